@@ -1,7 +1,9 @@
 /**
  * Demo page logic - connects components to the push server
  */
-import { retroPush } from './push-client.js';
+import { RetroPush } from '../../src/protocol/push-client.ts';
+
+const retroPush = new RetroPush('ws://localhost:3001');
 
 // Get component references
 const buildOutput = document.getElementById('build-output');
@@ -22,28 +24,28 @@ statusTable?.setData(
 retroPush.connect();
 
 // Handle connection status
-retroPush.on('_connected', () => {
-  buildOutput?.append('\x1b[32m✓\x1b[0m Connected to push server');
-});
-
-retroPush.on('_disconnected', () => {
-  buildOutput?.append('\x1b[31m✗\x1b[0m Disconnected from push server');
+retroPush.addEventListener('tui-push-state-change', (e) => {
+  const { state, previous } = e.detail;
+  if (state === 'open') {
+    buildOutput?.append('\x1b[32m✓\x1b[0m Connected to push server');
+  } else if (previous === 'open') {
+    buildOutput?.append('\x1b[31m✗\x1b[0m Disconnected from push server');
+  }
 });
 
 // Handle build channel
 retroPush.on('build', ({ type, data }) => {
   switch (type) {
     case 'log':
-      buildOutput?.append(data);
-      break;
-    case 'error':
-      buildOutput?.append(`\x1b[31m✗ ${data}\x1b[0m`);
-      break;
-    case 'warn':
-      buildOutput?.append(`\x1b[33m⚠ ${data}\x1b[0m`);
-      break;
-    case 'info':
-      buildOutput?.append(`\x1b[36mℹ ${data}\x1b[0m`);
+      if (data.level === 'error') {
+        buildOutput?.append(`\x1b[31m✗ ${data.message}\x1b[0m`);
+      } else if (data.level === 'warn') {
+        buildOutput?.append(`\x1b[33m⚠ ${data.message}\x1b[0m`);
+      } else if (data.level === 'info') {
+        buildOutput?.append(`\x1b[36mℹ ${data.message}\x1b[0m`);
+      } else {
+        buildOutput?.append(data.message);
+      }
       break;
     case 'clear':
       buildOutput?.clear();
@@ -54,12 +56,7 @@ retroPush.on('build', ({ type, data }) => {
 // Handle status channel
 retroPush.on('status', ({ type, data }) => {
   if (type === 'update') {
-    try {
-      const parsed = typeof data === 'string' ? JSON.parse(data) : data;
-      statusTable?.upsertRow(parsed.Service, parsed);
-    } catch (e) {
-      console.error('Invalid status data:', e);
-    }
+    statusTable?.upsertRow(data.Service, data);
   }
 });
 
@@ -83,7 +80,7 @@ consoleEl?.addEventListener('tui-console-command', (e) => {
   }
   
   if (cmd === 'status') {
-    consoleEl.print(`Push server: ${retroPush.ws?.readyState === 1 ? '\x1b[32mconnected\x1b[0m' : '\x1b[31mdisconnected\x1b[0m'}`);
+    consoleEl.print(`Push server: ${retroPush.state === 'open' ? '\x1b[32mconnected\x1b[0m' : '\x1b[31mdisconnected\x1b[0m'}`);
     return;
   }
   
@@ -103,4 +100,4 @@ buildOutput?.append('Waiting for push messages...');
 buildOutput?.append('');
 buildOutput?.append('\x1b[36mTry:\x1b[0m curl -X POST http://localhost:3001/push \\');
 buildOutput?.append('  -H "Content-Type: application/json" \\');
-buildOutput?.append('  -d \'{"channel":"build","type":"log","data":"Hello!"}\'');
+buildOutput?.append('  -d \'{"channel":"build","type":"log","id":"main","data":{"message":"Hello!"}}\'');
@@ -5,29 +5,81 @@
  * Usage:
  *   node push.js --channel=build --type=log --data="Hello world"
  *   node push.js log "Build started..."
- *   node push.js --channel=status status '{"cpu": 45}'
- * 
+ *   node push.js error "Build failed"                         # log with level: 'error'
+ *   node push.js --channel=deploy --id=auth status '{"state":"success","message":"OK"}'
+ *   node push.js prompt "Deploy to prod?" --options=yes,no   # prints the answer
+ *
+ * Pipe mode streams output into a log panel, one line per message, ANSI intact:
+ *   some-command 2>&1 | node push.js --channel build --id main-log
+ *   node push.js --channel build --id main-log run -- npm test
+ * `run` tags stderr lines level: 'error' and exits with the command's exit code.
+ * Both pass the output through to the terminal and finish with a `status`
+ * event, to the same id, carrying the exit code and duration.
+ *
+ * Flags take `--flag=value` or `--flag value`. The id defaults to the channel name.
+ * Set RETRO_PUSH_TOKEN when the server requires a token (PUSH_TOKENS). The server rejects messages that do not
+ * match the protocol (see docs/api/event-protocol.md) with the offending fields.
+ *
  * As a module:
  *   import { push } from './push.js';
- *   await push({ channel: 'build', type: 'log', data: 'Hello!' });
+ *   await push({ channel: 'build', type: 'log', id: 'main', data: { message: 'Hello!' } });
+ *   await pushBatch(lines.map(message => ({ channel: 'build', type: 'log', id: 'main', data: { message } })));
+ *   const answer = await prompt({ channel: 'deploy', message: 'Ship it?', options: ['yes', 'no'] });
+ *   const exitCode = await run({ channel: 'build', id: 'tests', command: 'npm', args: ['test'] });
  */
+import { spawn } from 'node:child_process';
+import os from 'node:os';
 
 const URL = process.env.RETRO_PUSH_URL || 'http://localhost:3001/push';
+const BASE_URL = URL.replace(/\/push$/, '');
+const TOKEN = process.env.RETRO_PUSH_TOKEN;
+
+/** Request headers, with the bearer token when RETRO_PUSH_TOKEN is set */
+function headers(contentType) {
+  return {
+    ...(contentType && { 'Content-Type': contentType }),
+    ...(TOKEN && { Authorization: `Bearer ${TOKEN}` }),
+  };
+}
 
 /**
  * Push a message to the RetroTUI server
  * @param {Object} message
  * @param {string} message.channel - Channel name
- * @param {string} [message.type] - Message type (log, status, etc.)
- * @param {any} message.data - Message data
+ * @param {string} message.type - Message type (log, status, etc.)
+ * @param {string} message.id - Component the message is for
+ * @param {Object} message.data - Type-specific payload
  */
 export async function push(message) {
   const response = await fetch(URL, {
     method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
+    headers: headers('application/json'),
     body: JSON.stringify(message),
   });
 
+  if (!response.ok) {
+    const error = await response.json();
+    const details = (error.errors || []).map(e => `${e.field} ${e.message}`);
+    throw new Error([error.error || 'Push failed', ...details].join('\n  '));
+  }
+
+  return response.json();
+}
+
+/**
+ * Push several messages in one request. The server publishes them in order
+ * and reports on each; an invalid message is skipped, not fatal.
+ * @param {Object[]} messages
+ * @returns {Promise<{ ok: boolean, received: number, published: number,
+ *   delivered: Array<number|null>, rejected: Array<{ index: number, error: string, errors?: Object[] }> }>}
+ */
+export async function pushBatch(messages) {
+  const response = await fetch(URL, {
+    method: 'POST',
+    headers: headers('application/json'),
+    body: JSON.stringify(messages),
+  });
+
   if (!response.ok) {
     const error = await response.json();
     throw new Error(error.error || 'Push failed');
@@ -38,53 +90,339 @@ export async function push(message) {
 
 /**
  * Convenience function to log a message
+ * @param {string|Object} data - The message, or a full `{ message, level }` payload
+ * @param {string} [channel] - Channel name (default: 'build')
+ * @param {string} [id] - Output to append to (default: the channel name)
  */
-export async function log(data, channel = 'build') {
-  return push({ channel, type: 'log', data });
+export async function log(data, channel = 'build', id = channel) {
+  return push({ channel, type: 'log', id, data: typeof data === 'string' ? { message: data } : data });
 }
 
 /**
  * Convenience function to send status update
+ * @param {Object} data - `{ state, message }`
+ * @param {string} [channel] - Channel name (default: 'status')
+ * @param {string} [id] - Status badge to update (default: the channel name)
+ */
+export async function status(data, channel = 'status', id = channel) {
+  return push({ channel, type: 'status', id, data });
+}
+
+/**
+ * Turn a CLI type and its text argument into a protocol message.
+ * `error`, `warn` and `info` are log levels; structured types take JSON.
+ */
+function fromCli(channel, type, id, text) {
+  if (['error', 'warn', 'info'].includes(type)) {
+    return { channel, type: 'log', id, data: { message: text, level: type } };
+  }
+  if (type === 'log') return { channel, type, id, data: { message: text } };
+  if (type === 'clear' || type === 'dismiss') return { channel, type, id, data: {} };
+  try {
+    return { channel, type, id, data: JSON.parse(text) };
+  } catch {
+    return { channel, type, id, data: { message: text } };
+  }
+}
+
+/**
+ * Ask the user a question in the browser and wait for the answer
+ * @param {Object} options
+ * @param {string} [options.channel] - Channel name (default: 'build')
+ * @param {string} [options.id] - Prompt id (default: generated)
+ * @param {string} options.message - The question
+ * @param {string[]} [options.options] - Choices; omit for free text
+ * @param {number} [options.timeout] - Give up after this many ms (default: wait forever)
+ * @returns {Promise<string>} The answer
+ */
+export async function prompt({ channel = 'build', id, message, options, timeout = Infinity }) {
+  id ??= `prompt-${Date.now().toString(36)}`;
+  await push({ channel, type: 'prompt', id, data: { message, options } });
+
+  const deadline = Date.now() + timeout;
+  const query = `channel=${encodeURIComponent(channel)}&id=${encodeURIComponent(id)}`;
+
+  // Long-poll in slices, so a proxy or server timeout only costs one retry.
+  while (Date.now() < deadline) {
+    const slice = Math.max(1, Math.min(30000, deadline - Date.now()));
+    const response = await fetch(`${BASE_URL}/answer?${query}&timeout=${slice}`, { headers: headers() });
+    if (response.status === 408) continue;
+    const result = await response.json();
+    if (!response.ok) throw new Error(result.error || 'Prompt failed');
+    return result.value;
+  }
+
+  // Withdraw the question so it does not linger in the browser.
+  await push({ channel, type: 'dismiss', id, data: {} }).catch(() => {});
+  throw new Error(`No answer to "${message}" within ${timeout}ms`);
+}
+
+/**
+ * Open one streaming NDJSON request to the server. Each `send()` is published
+ * as soon as the server reads its line; `end()` closes the request and resolves
+ * with the server's per-message report. Lines wait in a bounded queue while the
+ * server is slow to read them, oldest dropped first, and the report counts them
+ * as `dropped`. If the server cannot be reached, `send()` becomes a no-op and
+ * `end()` rejects.
+ * @param {Object} [options]
+ * @param {number} [options.queueSize] - Lines held for the server at most (default: 1000)
+ */
+export function openStream({ queueSize = 1000 } = {}) {
+  const encoder = new TextEncoder();
+  const lines = [];
+  let dropped = 0;
+  let ended = false;
+  let failed = null;
+  let wake = null;
+
+  // Pull-based, so nothing piles up beyond `lines` while the request is not reading.
+  const body = new ReadableStream({
+    async pull(controller) {
+      while (!lines.length && !ended) await new Promise(resolve => { wake = resolve; });
+      if (lines.length) controller.enqueue(encoder.encode(lines.shift()));
+      else controller.close();
+    },
+  }, { highWaterMark: 0 });
+
+  const report = fetch(URL, {
+    method: 'POST',
+    headers: headers('application/x-ndjson'),
+    body,
+    duplex: 'half',
+  }).then(async response => {
+    const result = await response.json();
+    if (!response.ok) throw new Error(result.error || 'Push failed');
+    return { ...result, dropped };
+  });
+  report.catch(err => {
+    failed = err;
+    lines.length = 0;
+  });
+
+  const notify = () => {
+    wake?.();
+    wake = null;
+  };
+
+  return {
+    send(message) {
+      if (failed || ended) return;
+      lines.push(`${JSON.stringify(message)}\n`);
+      if (lines.length > queueSize) {
+        dropped += lines.length - queueSize;
+        lines.splice(0, lines.length - queueSize);
+      }
+      notify();
+    },
+    end() {
+      ended = true;
+      notify();
+      return report;
+    },
+  };
+}
+
+/**
+ * Call `onLine` for each line of a readable stream, without its line ending.
+ * Resolves when the stream ends.
  */
-export async function status(data, channel = 'status') {
-  return push({ channel, type: 'status', data });
+function eachLine(stream, onLine) {
+  return new Promise((resolve, reject) => {
+    let pending = '';
+    stream.setEncoding('utf8');
+    stream.on('data', chunk => {
+      const lines = (pending + chunk).split('\n');
+      pending = lines.pop();
+      for (const line of lines) onLine(line.replace(/\r$/, ''));
+    });
+    stream.on('end', () => {
+      if (pending) onLine(pending.replace(/\r$/, ''));
+      resolve();
+    });
+    stream.on('error', reject);
+  });
+}
+
+const seconds = (ms) => `${(ms / 1000).toFixed(1)}s`;
+
+/**
+ * Stream the lines of `input` (default: stdin) into a log, echoing them to
+ * stdout, then send a `status` event once the input ends.
+ * @param {Object} options
+ * @param {string} [options.channel] - Channel name (default: 'build')
+ * @param {string} [options.id] - Output to append to (default: the channel name)
+ * @param {string} [options.level] - Level for every line: 'info', 'warn' or 'error'
+ * @param {NodeJS.ReadableStream} [options.input] - Stream to read (default: process.stdin)
+ * @returns {Promise<Object>} The server's report on the stream
+ */
+export async function pipe({ channel = 'build', id = channel, level, input = process.stdin }) {
+  const stream = openStream();
+  const started = Date.now();
+
+  await eachLine(input, line => {
+    process.stdout.write(`${line}\n`);
+    stream.send({ channel, type: 'log', id, data: level ? { message: line, level } : { message: line } });
+  });
+
+  const duration = Date.now() - started;
+  stream.send({
+    channel, type: 'status', id,
+    data: { state: 'info', message: `Input ended after ${seconds(duration)}`, duration },
+  });
+  return stream.end();
+}
+
+/**
+ * Run a command, streaming its stdout and stderr into a log — stderr with
+ * level 'error' — and echoing both to the terminal, then send a `status` event
+ * with the exit code and duration.
+ * @param {Object} options
+ * @param {string} [options.channel] - Channel name (default: 'build')
+ * @param {string} [options.id] - Output to append to (default: the channel name)
+ * @param {string} options.command - Program to run
+ * @param {string[]} [options.args] - Its arguments
+ * @returns {Promise<number>} The command's exit code (128 + signal number if killed)
+ */
+export async function run({ channel = 'build', id = channel, command, args = [] }) {
+  const stream = openStream();
+  const label = [command, ...args].join(' ');
+  const started = Date.now();
+
+  // Most tools drop colour when stdout is not a terminal; ask them to keep it.
+  const child = spawn(command, args, {
+    stdio: ['inherit', 'pipe', 'pipe'],
+    env: { FORCE_COLOR: '1', ...process.env },
+  });
+
+  // Ctrl+C reaches the child through the terminal; stay alive to report how it ended.
+  const ignore = () => {};
+  process.on('SIGINT', ignore);
+
+  const exit = new Promise(resolve => {
+    child.on('error', err => resolve({ code: 127, error: err.message }));
+    child.on('close', (code, signal) => resolve({ code, signal }));
+  });
+
+  await Promise.all([
+    eachLine(child.stdout, line => {
+      process.stdout.write(`${line}\n`);
+      stream.send({ channel, type: 'log', id, data: { message: line } });
+    }),
+    eachLine(child.stderr, line => {
+      process.stderr.write(`${line}\n`);
+      stream.send({ channel, type: 'log', id, data: { message: line, level: 'error' } });
+    }),
+  ]);
+  const { code, signal, error } = await exit;
+  process.off('SIGINT', ignore);
+
+  const duration = Date.now() - started;
+  const exitCode = code ?? 128 + (os.constants.signals[signal] ?? 0);
+  let message;
+  if (error) {
+    message = `✗ ${label} failed to start: ${error}`;
+  } else if (signal) {
+    message = `✗ ${label} killed by ${signal} after ${seconds(duration)}`;
+  } else {
+    message = `${exitCode === 0 ? '✓' : '✗'} ${label} exited ${exitCode} after ${seconds(duration)}`;
+  }
+
+  stream.send({
+    channel, type: 'status', id,
+    data: { state: exitCode === 0 ? 'success' : 'error', message, exitCode, duration },
+  });
+  try {
+    await stream.end();
+  } catch (err) {
+    console.error(`✗ Failed to push output: ${err.message}`);
+  }
+  return exitCode;
 }
 
 // CLI handling
-if (process.argv[1].endsWith('push.js')) {
+if (process.argv[1]?.endsWith('push.js')) {
   const args = process.argv.slice(2);
-  
-  let channel = 'build';
-  let type = 'log';
+  const FLAGS = ['channel', 'type', 'data', 'id', 'options', 'timeout'];
+  const TYPES = ['log', 'status', 'progress', 'error', 'warn', 'info', 'table', 'clear', 'dismiss', 'prompt'];
+
+  const flags = {};
+  let mode = 'push';
+  let command = [];
   let data = '';
+  let positional = 0;
 
   for (let i = 0; i < args.length; i++) {
     const arg = args[i];
-    
-    if (arg.startsWith('--channel=')) {
-      channel = arg.split('=')[1];
-    } else if (arg.startsWith('--type=')) {
-      type = arg.split('=')[1];
-    } else if (arg.startsWith('--data=')) {
-      data = arg.split('=')[1];
-    } else if (['log', 'status', 'error', 'warn', 'info', 'table', 'clear'].includes(arg)) {
-      type = arg;
+    const flag = arg.match(/^--(\w+)(?:=(.*))?$/);
+
+    if (flag && FLAGS.includes(flag[1])) {
+      flags[flag[1]] = flag[2] ?? args[++i];
+    } else if (arg === 'run' && positional === 0) {
+      // Only as the first word: `push.js log run` logs "run".
+      mode = 'run';
+      command = args.slice(args[i + 1] === '--' ? i + 2 : i + 1);
+      break;
+    } else if (TYPES.includes(arg)) {
+      flags.type = arg;
+      positional++;
     } else if (!data) {
       data = arg;
+      positional++;
     }
   }
 
-  if (!data) {
-    console.error('Usage: node push.js [--channel=NAME] [TYPE] DATA');
+  const channel = flags.channel ?? 'build';
+  const type = flags.type ?? 'log';
+  const id = flags.id ?? channel;
+  data = flags.data ?? data;
+
+  const fail = err => {
+    console.error(`✗ Failed: ${err.message}`);
     process.exit(1);
+  };
+
+  // Nothing to send but lines arriving on stdin: stream them.
+  if (mode === 'push' && !data && !process.stdin.isTTY && ['log', 'error', 'warn', 'info'].includes(type)) {
+    mode = 'pipe';
   }
 
-  push({ channel, type, data })
-    .then(result => {
-      console.log(`✓ Sent to ${result.delivered} client(s)`);
-    })
-    .catch(err => {
-      console.error(`✗ Failed: ${err.message}`);
+  if (mode === 'run') {
+    if (!command.length) {
+      console.error('Usage: node push.js [--channel NAME] [--id ID] run -- COMMAND [ARGS...]');
       process.exit(1);
-    });
+    }
+    run({ channel, id, command: command[0], args: command.slice(1) })
+      .then(code => process.exit(code))
+      .catch(fail);
+  } else if (mode === 'pipe') {
+    pipe({ channel, id, level: type === 'log' ? undefined : type })
+      .then(result => {
+        console.error(`✓ Streamed ${result.published} message(s)`);
+      })
+      .catch(fail);
+  } else if (!data && type !== 'clear' && type !== 'dismiss') {
+    console.error('Usage: node push.js [--channel NAME] [--id ID] [TYPE] DATA');
+    console.error('       COMMAND | node push.js [--channel NAME] [--id ID]');
+    console.error('       node push.js [--channel NAME] [--id ID] run -- COMMAND [ARGS...]');
+    process.exit(1);
+  } else if (type === 'prompt') {
+    // The answer is the only thing on stdout, so `$(node push.js prompt ...)` captures it.
+    prompt({
+      channel,
+      id: flags.id,
+      message: data,
+      options: flags.options?.split(','),
+      timeout: flags.timeout && Number(flags.timeout),
+    })
+      .then(answer => {
+        console.log(answer);
+      })
+      .catch(fail);
+  } else {
+    push(fromCli(channel, type, id, data))
+      .then(result => {
+        console.log(`✓ Sent to ${result.delivered} client(s)`);
+      })
+      .catch(fail);
+  }
 }
@@ -3,18 +3,22 @@
 #
 # Usage:
 #   ./push.sh log "Build started..."
-#   ./push.sh status '{"cpu": 45, "mem": 2048}'
+#   ./push.sh --id=auth status '{"state": "success", "message": "OK"}'
 #   ./push.sh --channel=deploy log "Deploying to prod"
 #   echo "Hello" | ./push.sh log
 #
+# error/warn/info send a log with that level. The id defaults to the channel.
+#
 # Environment:
 #   RETRO_PUSH_URL - Server URL (default: http://localhost:3001/push)
 #   RETRO_CHANNEL  - Default channel (default: build)
+#   RETRO_PUSH_TOKEN - Bearer token, when the server sets PUSH_TOKENS
 
 set -e
 
 URL="${RETRO_PUSH_URL:-http://localhost:3001/push}"
 CHANNEL="${RETRO_CHANNEL:-build}"
+ID=""
 TYPE=""
 DATA=""
 
@@ -25,11 +29,15 @@ while [[ $# -gt 0 ]]; do
       CHANNEL="${1#*=}"
       shift
       ;;
+    --id=*)
+      ID="${1#*=}"
+      shift
+      ;;
     --url=*)
       URL="${1#*=}"
       shift
       ;;
-    log|status|table|clear|error|warn|info)
+    log|status|progress|table|clear|dismiss|error|warn|info)
       TYPE="$1"
       shift
       ;;
@@ -40,30 +48,45 @@ while [[ $# -gt 0 ]]; do
   esac
 done
 
-# Default type
+# Defaults
 TYPE="${TYPE:-log}"
+ID="${ID:-$CHANNEL}"
 
 # Read from stdin if no data provided
-if [[ -z "$DATA" ]]; then
+if [[ -z "$DATA" && "$TYPE" != "clear" && "$TYPE" != "dismiss" ]]; then
   if [[ ! -t 0 ]]; then
     DATA=$(cat)
   else
     echo "Usage: ./push.sh [--channel=NAME] TYPE DATA" >&2
-    echo "Types: log, status, table, clear, error, warn, info" >&2
+    echo "Types: log, status, progress, table, clear, dismiss, error, warn, info" >&2
     exit 1
   fi
 fi
 
-# Build JSON payload
+# Build JSON payload: text for logs, JSON for structured types
+case $TYPE in
+  log)             PAYLOAD=$(jq -n --arg m "$DATA" '{message: $m}') ;;
+  error|warn|info) PAYLOAD=$(jq -n --arg m "$DATA" --arg l "$TYPE" '{message: $m, level: $l}'); TYPE=log ;;
+  clear|dismiss)   PAYLOAD='{}' ;;
+  *)               PAYLOAD="$DATA" ;;
+esac
+
 JSON=$(jq -n \
   --arg channel "$CHANNEL" \
   --arg type "$TYPE" \
-  --arg data "$DATA" \
-  '{channel: $channel, type: $type, data: $data}')
+  --arg id "$ID" \
+  --argjson data "$PAYLOAD" \
+  '{channel: $channel, type: $type, id: $id, data: $data}')
 
 # Send to server
+AUTH=()
+if [[ -n "$RETRO_PUSH_TOKEN" ]]; then
+  AUTH=(-H "Authorization: Bearer $RETRO_PUSH_TOKEN")
+fi
+
 RESPONSE=$(curl -s -X POST "$URL" \
   -H "Content-Type: application/json" \
+  "${AUTH[@]}" \
   -d "$JSON")
 
 # Check response
@@ -71,7 +94,7 @@ if echo "$RESPONSE" | jq -e '.ok' > /dev/null 2>&1; then
   DELIVERED=$(echo "$RESPONSE" | jq -r '.delivered')
   echo "✓ Sent to $DELIVERED client(s)"
 else
-  ERROR=$(echo "$RESPONSE" | jq -r '.error // "Unknown error"')
+  ERROR=$(echo "$RESPONSE" | jq -r '[.error // "Unknown error"] + [(.errors // [])[] | "\(.field) \(.message)"] | join("\n  ")')
   echo "✗ Failed: $ERROR" >&2
   exit 1
 fi
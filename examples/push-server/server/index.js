@@ -1,142 +1,50 @@
 /**
- * RetroTUI Push Server
- * 
- * A tiny WebSocket server that:
- * 1. Accepts WebSocket connections from browsers
- * 2. Accepts HTTP POST requests from scripts
- * 3. Broadcasts messages to connected clients
- * 
+ * RetroTUI Push Server - standalone.
+ *
+ * Runs createPushServer() (./push-server.js) on its own port. To mount the
+ * relay inside a server you already run, or a Vite dev server, use
+ * createPushServer() or the plugin in ./vite-plugin.js instead.
+ *
  * Usage:
  *   node server/index.js
- * 
+ *
+ * Environment:
+ *   PORT             Port to listen on (default: 3001)
+ *   REPLAY_SIZE      Messages kept per channel for late joiners; 0 disables (default: 200)
+ *   REPLAY_COLLAPSE  0 to replay every progress/status/table message, not just the latest
+ *   PUSH_TOKENS      "ci-secret:publish:build,deploy-* wall-secret:subscribe" to require tokens
+ *   ALLOWED_ORIGINS  "https://dash.example.com,http://localhost:5173" to restrict browsers
+ *
  * Push from curl:
  *   curl -X POST http://localhost:3001/push \
  *     -H "Content-Type: application/json" \
- *     -d '{"channel":"build","type":"log","data":"Hello!"}'
+ *     -d '{"channel":"build","type":"log","id":"main","data":{"message":"Hello!"}}'
+ *
+ * Stream from a script:
+ *   tail -f build.ndjson | curl -X POST http://localhost:3001/push \
+ *     -H "Content-Type: application/x-ndjson" -T -
  */
 
-import { createServer } from 'http';
-import { WebSocketServer } from 'ws';
+import { createPushServer } from './push-server.js';
 
-const PORT = process.env.PORT || 3001;
+const PORT = Number(process.env.PORT || 3001);
 
-// Track connected clients
-const clients = new Set();
-
-// Create HTTP server for POST endpoint
-const httpServer = createServer((req, res) => {
-  // CORS headers
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
-
-  // Handle preflight
-  if (req.method === 'OPTIONS') {
-    res.writeHead(204);
-    res.end();
-    return;
-  }
-
-  // Health check
-  if (req.method === 'GET' && req.url === '/health') {
-    res.writeHead(200, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify({ 
-      status: 'ok', 
-      clients: clients.size,
-      uptime: process.uptime(),
-    }));
-    return;
-  }
-
-  // Push endpoint
-  if (req.method === 'POST' && req.url === '/push') {
-    let body = '';
-    
-    req.on('data', chunk => {
-      body += chunk.toString();
-    });
-
-    req.on('end', () => {
-      try {
-        const message = JSON.parse(body);
-        
-        // Validate message structure
-        if (!message.channel) {
-          res.writeHead(400, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({ error: 'Missing channel' }));
-          return;
-        }
-
-        // Broadcast to all connected clients
-        const payload = JSON.stringify({
-          channel: message.channel,
-          type: message.type || 'message',
-          id: message.id || null,
-          data: message.data,
-          timestamp: Date.now(),
-        });
-
-        let delivered = 0;
-        for (const client of clients) {
-          if (client.readyState === 1) { // WebSocket.OPEN
-            client.send(payload);
-            delivered++;
-          }
-        }
-
-        console.log(`[push] ${message.channel}/${message.type}: delivered to ${delivered} clients`);
-
-        res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ ok: true, delivered }));
-      } catch (e) {
-        console.error('[push] Invalid JSON:', e.message);
-        res.writeHead(400, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: 'Invalid JSON' }));
-      }
-    });
-    return;
-  }
-
-  // 404 for everything else
-  res.writeHead(404, { 'Content-Type': 'application/json' });
-  res.end(JSON.stringify({ error: 'Not found' }));
-});
-
-// Create WebSocket server
-const wss = new WebSocketServer({ server: httpServer });
-
-wss.on('connection', (ws, req) => {
-  const clientId = req.socket.remoteAddress + ':' + req.socket.remotePort;
-  console.log(`[ws] Client connected: ${clientId}`);
-  clients.add(ws);
-
-  ws.on('close', () => {
-    console.log(`[ws] Client disconnected: ${clientId}`);
-    clients.delete(ws);
-  });
-
-  ws.on('error', (error) => {
-    console.error(`[ws] Client error: ${clientId}`, error.message);
-  });
-
-  // Send welcome message
-  ws.send(JSON.stringify({
-    channel: '_system',
-    type: 'connected',
-    data: { message: 'Connected to RetroTUI push server' },
-    timestamp: Date.now(),
-  }));
+const push = createPushServer({
+  replaySize: Number(process.env.REPLAY_SIZE ?? 200),
+  replayCollapse: process.env.REPLAY_COLLAPSE !== '0',
+  tokens: process.env.PUSH_TOKENS,
+  allowedOrigins: process.env.ALLOWED_ORIGINS,
 });
 
 // Start server
-httpServer.listen(PORT, () => {
-  console.log(`
+await push.listen(PORT);
+console.log(`
 ╔═══════════════════════════════════════════════════╗
 ║  RetroTUI Push Server                             ║
 ╠═══════════════════════════════════════════════════╣
 ║  WebSocket: ws://localhost:${PORT}                   ║
 ║  HTTP POST: http://localhost:${PORT}/push            ║
+║  Answers:   http://localhost:${PORT}/answer          ║
 ║  Health:    http://localhost:${PORT}/health          ║
 ╚═══════════════════════════════════════════════════╝
   `);
-});
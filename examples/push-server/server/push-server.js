@@ -0,0 +1,916 @@
+/**
+ * createPushServer - the RetroTUI push relay as an embeddable factory.
+ *
+ * The relay:
+ * 1. Accepts WebSocket connections from browsers
+ * 2. Accepts HTTP POST requests from scripts
+ * 3. Broadcasts messages to connected clients
+ * 4. Replays recent messages to clients that connect late
+ * 5. Relays answers to `prompt` messages from browsers back to scripts
+ *
+ * Standalone (what server/index.js does):
+ *   const push = createPushServer();
+ *   await push.listen(3001);
+ *
+ * Attached to a server you already run — only `path` is taken over; every other
+ * request and WebSocket upgrade goes to the server's own handlers:
+ *   const push = createPushServer({ server: app.listen(8080), path: '/retro' });
+ *   // POST /retro/push, GET /retro/answer, GET /retro/health, ws://host:8080/retro
+ *
+ * From the app itself:
+ *   push.publish({ channel: 'build', type: 'log', id: 'main', data: { message: 'Hi' } });
+ *
+ * Endpoints, relative to `path`:
+ *   POST /push    One message, a JSON array of them, or an application/x-ndjson
+ *                 stream, each published as its line arrives. Every message is
+ *                 checked against the protocol schema generated from
+ *                 src/protocol/types.ts. A single invalid message is a 400 naming
+ *                 each bad field; a batch answers 200 with a per-message report:
+ *                   { "ok": false, "received": 3, "published": 2, "delivered": [2, null, 2],
+ *                     "rejected": [{ "index": 1, "error": "Invalid event", "errors": [...] }] }
+ *                 A JSON body over `maxBodySize` is a 413; an NDJSON line over it
+ *                 is rejected as "Line too large", and the stream goes on.
+ *   GET /answer   ?channel=<channel>&id=<id>&timeout=<ms> — long-poll for the answer
+ *                 to a `prompt`; 408 after `timeout` (default 30000), so the
+ *                 script can ask again
+ *   GET /health   Client, subscription and buffer counts
+ *   WebSocket     ?channels=build,deploy-* to subscribe, ?since=<timestamp> to
+ *                 replay only what came after it, ?token=<token> to authenticate
+ *
+ * Subscriptions:
+ *   A client receives every channel until it says otherwise. Connecting with
+ *   ?channels= or sending
+ *     { "channel": "_system", "type": "subscribe", "id": "", "data": { "channels": ["build"] } }
+ *   narrows delivery to matching channels; `*` in a pattern matches any run of
+ *   characters. "unsubscribe" takes the same shape and removes patterns; naming
+ *   one the client does not have, such as "build" while it receives everything,
+ *   changes nothing and gets a `_system` "error" back.
+ *
+ * Replay:
+ *   Each channel keeps its last `replaySize` messages. progress/status/table
+ *   messages are collapsed to the latest state per id unless `replayCollapse`
+ *   is false, so a long build replays as its current state rather than every
+ *   intermediate percentage.
+ *
+ * Access control (both optional; without them anyone who can reach the server
+ * can publish and subscribe):
+ *   tokens: "ci-secret:publish:build,deploy-* wall-secret:subscribe"
+ *     Space-separated `token:scopes[:channels]` entries. `publish` allows POST
+ *     /push and GET /answer, `subscribe` a WebSocket connection; the optional
+ *     channel patterns limit either. Scripts send `Authorization: Bearer <token>`,
+ *     browsers `?token=<token>` on the WebSocket URL.
+ *   allowedOrigins: ["https://dash.example.com"]
+ *     Browser origins allowed to open a WebSocket or call the HTTP endpoints.
+ *     Requests without an Origin header (curl, scripts) are not affected.
+ */
+
+import { createServer } from 'http';
+import { createHash, timingSafeEqual } from 'crypto';
+import { WebSocketServer } from 'ws';
+import { validateEvent } from 'retro-tui/src/protocol/validate.js';
+
+/** How long an answer nobody has collected yet is kept, ms */
+const ANSWER_TTL = 5 * 60 * 1000;
+
+/** Default cap on a JSON body, or on one NDJSON line, in bytes */
+const MAX_BODY_SIZE = 1024 * 1024;
+
+/** Types whose latest message per id is the whole state, so older ones can go. */
+const COLLAPSIBLE = new Set(['progress', 'status', 'table']);
+
+/** Logger that drops everything, for tests and quiet embeddings. */
+export const silent = { log() {}, error() {} };
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// HELPERS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const patternCache = new Map();
+
+function matchesPattern(pattern, channel) {
+  let re = patternCache.get(pattern);
+  if (!re) {
+    const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    re = new RegExp(`^${source}$`);
+    patternCache.set(pattern, re);
+  }
+  return re.test(channel);
+}
+
+function parseChannels(value) {
+  const list = Array.isArray(value) ? value : String(value ?? '').split(',');
+  return list.map(c => String(c).trim()).filter(Boolean);
+}
+
+const digest = (secret) => createHash('sha256').update(secret).digest();
+
+/**
+ * Turn the `tokens` option into grants: { name, secret, scopes, channels }.
+ * Takes the `token:scopes[:channels]` string, or an array of
+ * `{ token, scopes, channels }`. `channels` is null when the token may use every
+ * channel. Tokens are never logged; `name` ("token #2") identifies one instead.
+ */
+function parseTokens(spec) {
+  const entries = typeof spec === 'string'
+    ? spec.split(/\s+/).filter(Boolean).map(entry => {
+      const [token, scopes = '', channels] = entry.split(':');
+      return { token, scopes: scopes.split(','), channels: channels && parseChannels(channels) };
+    })
+    : spec;
+
+  return entries.map(({ token, scopes = [], channels }, i) => {
+    const grant = {
+      name: `token #${i + 1}`,
+      secret: digest(token),
+      scopes: new Set(scopes.filter(Boolean)),
+      channels: channels?.length ? channels : null,
+    };
+    for (const scope of grant.scopes) {
+      if (scope !== 'publish' && scope !== 'subscribe') {
+        throw new Error(`tokens: unknown scope "${scope}" for ${grant.name}`);
+      }
+    }
+    return grant;
+  });
+}
+
+const OPEN_GRANT = { name: 'anonymous', scopes: new Set(['publish', 'subscribe']), channels: null };
+
+/** Whether `grant` covers `channel`. */
+function mayUse(grant, channel) {
+  if (!grant?.channels) return true;
+  return grant.channels.some(pattern => matchesPattern(pattern, channel));
+}
+
+/** The bearer token on a request: Authorization header, or `?token=` on a WebSocket URL. */
+function bearer(req, allowQuery) {
+  const header = req.headers.authorization ?? '';
+  if (header.startsWith('Bearer ')) return header.slice(7).trim();
+  if (allowQuery) return new URL(req.url, 'http://localhost').searchParams.get('token');
+  return null;
+}
+
+function isNdjson(req) {
+  const type = (req.headers['content-type'] ?? '').split(';')[0].trim();
+  return type === 'application/x-ndjson' || type === 'application/jsonl';
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+const describeRejection = ({ error, errors = [] }) =>
+  [error, ...errors.map(e => (e.field ? `${e.field} ${e.message}` : e.message))].join('; ');
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// FACTORY
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Create a push relay.
+ *
+ * @param {Object} [options]
+ * @param {import('http').Server} [options.server] - Attach to this server instead of creating one
+ * @param {string} [options.path] - Prefix for the endpoints and the WebSocket (default: '/')
+ * @param {number} [options.replaySize] - Messages kept per channel for late joiners; 0 disables (default: 200)
+ * @param {boolean} [options.replayCollapse] - Keep only the latest progress/status/table per id (default: true)
+ * @param {string|Array<{ token: string, scopes: string[], channels?: string[] }>} [options.tokens] - Require tokens (default: none)
+ * @param {string[]|string} [options.allowedOrigins] - Browser origins allowed in (default: any)
+ * @param {number} [options.maxBodySize] - Largest JSON body, or NDJSON line, accepted in bytes (default: 1 MiB)
+ * @param {(client: { socket: import('ws').WebSocket, request: import('http').IncomingMessage, grant: { name: string } }) => void} [options.onConnect]
+ *   Called for each WebSocket client, after it is authenticated and before replay
+ * @param {(envelope: Object, info: { delivered: number, source: 'http' | 'ws' | 'api' }) => void} [options.onPublish]
+ *   Called after each message is broadcast, whoever sent it
+ * @param {{ log: Function, error: Function }} [options.logger] - Where activity is logged (default: console)
+ */
+export function createPushServer({
+  server,
+  path = '/',
+  replaySize = 200,
+  replayCollapse = true,
+  tokens,
+  allowedOrigins,
+  maxBodySize = MAX_BODY_SIZE,
+  onConnect,
+  onPublish,
+  logger = console,
+} = {}) {
+  const base = path.replace(/\/+$/, '');
+  const wsPath = base || '/';
+  const TOKENS = tokens ? parseTokens(tokens) : null;
+  const ORIGINS = typeof allowedOrigins === 'string'
+    ? parseChannels(allowedOrigins)
+    : allowedOrigins?.length ? allowedOrigins : null;
+
+  // Track connected clients
+  const clients = new Set();
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // Access control
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  /** client → grant it connected with */
+  const grants = new Map();
+
+  /**
+   * The grant for a request, or an HTTP status explaining why there is none:
+   * 401 for a missing or unknown token, 403 for one without `scope`.
+   */
+  function authenticate(req, scope, allowQuery = false) {
+    if (!TOKENS) return { grant: OPEN_GRANT };
+    const token = bearer(req, allowQuery);
+    // Compare digests, so every comparison takes the same time whatever the token.
+    const presented = token ? digest(token) : null;
+    const grant = presented && TOKENS.find(t => timingSafeEqual(t.secret, presented));
+    if (!grant) return { status: 401, error: 'Unauthorized' };
+    if (scope && !grant.scopes.has(scope)) return { status: 403, error: `Token lacks the ${scope} scope` };
+    return { grant };
+  }
+
+  function originAllowed(origin) {
+    return !ORIGINS || !origin || ORIGINS.includes(origin);
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // Subscriptions
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  /** client → Set of channel patterns; a client absent from the map gets everything */
+  const subscriptions = new Map();
+
+  /** Whether `client` should be sent a message on `channel`. */
+  function wants(client, channel) {
+    if (channel === '_system') return true;
+    if (!mayUse(grants.get(client), channel)) return false;
+    const patterns = subscriptions.get(client);
+    if (!patterns) return true;
+    for (const pattern of patterns) {
+      if (matchesPattern(pattern, channel)) return true;
+    }
+    return false;
+  }
+
+  /** Subscriber counts keyed by pattern; `*` includes clients that never narrowed. */
+  function subscriberCounts() {
+    const counts = {};
+    for (const client of clients) {
+      for (const pattern of subscriptions.get(client) ?? ['*']) {
+        counts[pattern] = (counts[pattern] ?? 0) + 1;
+      }
+    }
+    return counts;
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // Replay buffer
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  /** channel → messages, oldest first, at most replaySize each */
+  const history = new Map();
+
+  let lastTimestamp = 0;
+
+  /**
+   * Stamp a message. Strictly increasing, so `?since=` never has to choose between
+   * replaying a duplicate and skipping a message sent in the same millisecond.
+   */
+  function nextTimestamp() {
+    lastTimestamp = Math.max(Date.now(), lastTimestamp + 1);
+    return lastTimestamp;
+  }
+
+  /**
+   * Whether `older` is superseded by `message` for replay purposes.
+   * A table upsert only supersedes an upsert of the same row; a full table
+   * replaces every earlier table message for the id.
+   */
+  function supersedes(message, older) {
+    if (older.id !== message.id) return false;
+    if (message.type === 'clear' || message.type === 'dismiss') return true;
+    if (message.type === 'answer') return older.type === 'prompt';
+    if (!replayCollapse || !COLLAPSIBLE.has(message.type) || older.type !== message.type) {
+      return false;
+    }
+    if (message.type === 'table' && message.data && 'key' in message.data) {
+      return older.data?.key === message.data.key;
+    }
+    return true;
+  }
+
+  function remember(message) {
+    if (replaySize <= 0) return;
+    let buffer = history.get(message.channel) ?? [];
+    if (message.id != null) {
+      buffer = buffer.filter(older => !supersedes(message, older));
+    }
+    // A clear, dismiss or answer leaves nothing to show, so it needs no replay either.
+    if (!['clear', 'dismiss', 'answer'].includes(message.type)) {
+      buffer.push(message);
+    }
+    if (buffer.length > replaySize) {
+      buffer.splice(0, buffer.length - replaySize);
+    }
+    history.set(message.channel, buffer);
+  }
+
+  /**
+   * Every buffered message stamped after `since` on a channel `client` wants,
+   * in send order. `channels` restricts to channels matching those patterns, and
+   * `include` to channels it returns true for.
+   */
+  function replaySince(client, since, channels = null, include = () => true) {
+    const missed = [];
+    for (const [channel, buffer] of history) {
+      if (!wants(client, channel) || !include(channel)) continue;
+      if (channels && !channels.some(pattern => matchesPattern(pattern, channel))) continue;
+      for (const message of buffer) {
+        if (message.timestamp > since) missed.push(message);
+      }
+    }
+    return missed.sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  function replayTo(ws, since, channels = null, include = undefined) {
+    const missed = replaySince(ws, since, channels, include);
+    for (const message of missed) {
+      ws.send(JSON.stringify(message));
+    }
+    ws.send(JSON.stringify({
+      channel: '_system',
+      type: 'replayed',
+      data: { count: missed.length, since },
+      timestamp: Date.now(),
+    }));
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // Answers
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  /** "channel/id" → { value, expires }, for answers that arrived before anyone asked */
+  const answers = new Map();
+
+  /** "channel/id" → Set of callbacks waiting on GET /answer */
+  const waiters = new Map();
+
+  const answerKey = (channel, id) => `${channel}/${id}`;
+
+  function deliverAnswer(channel, id, value) {
+    const key = answerKey(channel, id);
+    const waiting = waiters.get(key);
+    if (waiting?.size) {
+      waiters.delete(key);
+      for (const resolve of waiting) resolve(value);
+    } else {
+      answers.set(key, { value, expires: Date.now() + ANSWER_TTL });
+    }
+  }
+
+  /** Resolve with the answer for channel/id, or with undefined after `timeout` ms. */
+  function waitForAnswer(channel, id, timeout, res) {
+    const key = answerKey(channel, id);
+    const stored = answers.get(key);
+    answers.delete(key);
+    if (stored && stored.expires > Date.now()) return Promise.resolve(stored.value);
+
+    return new Promise(resolve => {
+      const done = (value) => {
+        clearTimeout(timer);
+        waiters.get(key)?.delete(done);
+        resolve(value);
+      };
+      const timer = setTimeout(() => done(undefined), timeout);
+      // A script that gave up must not swallow the answer meant for its retry.
+      res.on('close', () => done(undefined));
+      if (!waiters.has(key)) waiters.set(key, new Set());
+      waiters.get(key).add(done);
+    });
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // Publishing
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  /** Send an envelope to every open client subscribed to its channel. */
+  function broadcast(envelope) {
+    const payload = JSON.stringify(envelope);
+    let delivered = 0;
+    for (const client of clients) {
+      if (client.readyState === 1 && wants(client, envelope.channel)) { // WebSocket.OPEN
+        client.send(payload);
+        delivered++;
+      }
+    }
+    return delivered;
+  }
+
+  /** Stamp, buffer and broadcast an envelope, then tell onPublish. */
+  function relay(envelope, source) {
+    remember(envelope);
+    const delivered = broadcast(envelope);
+    onPublish?.(envelope, { delivered, source });
+    return delivered;
+  }
+
+  /**
+   * Validate, stamp, buffer and broadcast one message.
+   * @returns {{ ok: true, delivered: number } | { ok: false, status: number, error: string, errors: object[] }}
+   */
+  function publish(message, grant = OPEN_GRANT, source = 'api') {
+    const { ok, errors } = validateEvent(message);
+    if (!ok) return { ok: false, status: 400, error: 'Invalid event', errors };
+    if (!mayUse(grant, message.channel)) {
+      return {
+        ok: false,
+        status: 403,
+        error: 'Forbidden channel',
+        errors: [{ field: 'channel', message: `${grant.name} may not publish to "${message.channel}"` }],
+      };
+    }
+
+    const envelope = {
+      channel: message.channel,
+      type: message.type,
+      id: message.id,
+      data: message.data,
+      timestamp: nextTimestamp(),
+    };
+    return { ok: true, delivered: relay(envelope, source) };
+  }
+
+  /**
+   * Collects the outcome of each message in a batch, in order.
+   * `delivered[i]` is the client count for message i, or null if it was rejected.
+   */
+  function batchReport() {
+    const delivered = [];
+    const rejected = [];
+    return {
+      add(result) {
+        const index = delivered.length;
+        if (result.ok) {
+          delivered.push(result.delivered);
+        } else {
+          delivered.push(null);
+          rejected.push({ index, error: result.error, ...(result.errors && { errors: result.errors }) });
+          logger.error(`[push] Rejected #${index}: ${describeRejection(result)}`);
+        }
+      },
+      toJSON() {
+        return {
+          ok: rejected.length === 0,
+          received: delivered.length,
+          published: delivered.length - rejected.length,
+          delivered,
+          rejected,
+        };
+      },
+    };
+  }
+
+  /** A JSON body: one message, or an array of them published in order. 413 past `maxBodySize`. */
+  function receiveJson(req, res, grant) {
+    let body = '';
+    let size = 0;
+    let tooLarge = Number(req.headers['content-length']) > maxBodySize;
+    if (tooLarge) refuseTooLarge(res);
+    req.on('data', chunk => {
+      if (tooLarge) return;
+      size += Buffer.byteLength(chunk);
+      if (size > maxBodySize) {
+        tooLarge = true;
+        body = '';
+        refuseTooLarge(res);
+        return;
+      }
+      body += chunk;
+    });
+    req.on('end', () => {
+      if (tooLarge) return;
+      let parsed;
+      try {
+        parsed = JSON.parse(body);
+      } catch (e) {
+        logger.error('[push] Invalid JSON:', e.message);
+        sendJson(res, 400, { error: 'Invalid JSON' });
+        return;
+      }
+
+      if (Array.isArray(parsed)) {
+        const report = batchReport();
+        for (const message of parsed) report.add(publish(message, grant, 'http'));
+        const { published, rejected } = report.toJSON();
+        logger.log(`[push] batch: ${published} published, ${rejected.length} rejected`);
+        sendJson(res, 200, report);
+        return;
+      }
+
+      const result = publish(parsed, grant, 'http');
+      if (!result.ok) {
+        logger.error(`[push] Rejected: ${describeRejection(result)}`);
+        sendJson(res, result.status, { error: result.error, errors: result.errors });
+        return;
+      }
+      logger.log(`[push] ${parsed.channel}/${parsed.type}: delivered to ${result.delivered} clients`);
+      sendJson(res, 200, { ok: true, delivered: result.delivered });
+    });
+  }
+
+  /**
+   * An NDJSON body: one message per line, each published as soon as its line
+   * arrives, so a script streaming a long build is seen live. Blank lines are
+   * skipped; a line that is not JSON, or longer than `maxBodySize`, is rejected
+   * without ending the stream.
+   */
+  function receiveNdjson(req, res, grant) {
+    const report = batchReport();
+    let pending = '';
+    // Dropping the rest of a line that grew past maxBodySize
+    let skipping = false;
+
+    const tooLarge = () => report.add({ ok: false, error: 'Line too large' });
+    const take = (line) => {
+      if (!line.trim()) return;
+      if (Buffer.byteLength(line) > maxBodySize) {
+        tooLarge();
+        return;
+      }
+      let message;
+      try {
+        message = JSON.parse(line);
+      } catch {
+        report.add({ ok: false, error: 'Invalid JSON' });
+        return;
+      }
+      report.add(publish(message, grant, 'http'));
+    };
+
+    req.on('data', chunk => {
+      const lines = (pending + chunk).split('\n');
+      pending = lines.pop();
+      for (const line of lines) {
+        if (skipping) skipping = false;
+        else take(line);
+      }
+      if (!skipping && Buffer.byteLength(pending) > maxBodySize) {
+        tooLarge();
+        skipping = true;
+      }
+      if (skipping) pending = '';
+    });
+    req.on('end', () => {
+      if (!skipping) take(pending);
+      const { published, rejected } = report.toJSON();
+      logger.log(`[push] stream: ${published} published, ${rejected.length} rejected`);
+      sendJson(res, 200, report);
+    });
+  }
+
+  /** Answer 413 and close, leaving the rest of the body unread into memory. */
+  function refuseTooLarge(res) {
+    logger.error(`[push] Rejected: body over ${maxBodySize} bytes`);
+    res.setHeader('Connection', 'close');
+    sendJson(res, 413, { error: 'Payload too large', limit: maxBodySize });
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // HTTP
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  /** The endpoint a request is for, relative to `path`, or null if it is not ours. */
+  function route(req) {
+    const pathname = new URL(req.url, 'http://localhost').pathname;
+    if (base && pathname !== base && !pathname.startsWith(`${base}/`)) return null;
+    const endpoint = pathname.slice(base.length) || '/';
+    return ['/push', '/answer', '/health'].includes(endpoint) ? endpoint : null;
+  }
+
+  /**
+   * Answer a request if it is for one of our endpoints.
+   * @returns {boolean} false if the request is someone else's
+   */
+  function handleRequest(req, res) {
+    const endpoint = route(req);
+    // Standalone, everything is ours, and a stray path gets a JSON 404.
+    if (!endpoint && server) return false;
+
+    // CORS headers
+    const origin = req.headers.origin;
+    if (!ORIGINS) {
+      res.setHeader('Access-Control-Allow-Origin', '*');
+    } else if (origin && ORIGINS.includes(origin)) {
+      res.setHeader('Access-Control-Allow-Origin', origin);
+      res.setHeader('Vary', 'Origin');
+    }
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    // Handle preflight
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204);
+      res.end();
+      return true;
+    }
+
+    if (!originAllowed(origin)) {
+      sendJson(res, 403, { error: 'Origin not allowed' });
+      return true;
+    }
+
+    // Every endpoint below needs a token once `tokens` is set.
+    const { grant, status, error } = authenticate(req, endpoint === '/health' ? null : 'publish');
+    if (!grant) {
+      if (status === 401) res.setHeader('WWW-Authenticate', 'Bearer');
+      sendJson(res, status, { error });
+      return true;
+    }
+
+    // Health check
+    if (req.method === 'GET' && endpoint === '/health') {
+      sendJson(res, 200, {
+        status: 'ok',
+        clients: clients.size,
+        channels: subscriberCounts(),
+        buffered: Object.fromEntries([...history].map(([channel, buffer]) => [channel, buffer.length])),
+        uptime: process.uptime(),
+      });
+      return true;
+    }
+
+    // Answer endpoint (long-poll)
+    if (req.method === 'GET' && endpoint === '/answer') {
+      const params = new URL(req.url, 'http://localhost').searchParams;
+      const channel = params.get('channel');
+      const id = params.get('id');
+      if (!channel || !id) {
+        sendJson(res, 400, { error: 'Missing channel or id' });
+        return true;
+      }
+      if (!mayUse(grant, channel)) {
+        sendJson(res, 403, { error: 'Forbidden channel' });
+        return true;
+      }
+      const timeout = Math.min(Number(params.get('timeout')) || 30000, 120000);
+      waitForAnswer(channel, id, timeout, res).then(value => {
+        if (res.writableEnded || res.destroyed) return;
+        if (value === undefined) {
+          sendJson(res, 408, { error: 'No answer yet' });
+          return;
+        }
+        sendJson(res, 200, { ok: true, channel, id, value });
+      });
+      return true;
+    }
+
+    // Push endpoint
+    if (req.method === 'POST' && endpoint === '/push') {
+      req.setEncoding('utf8');
+      if (isNdjson(req)) {
+        receiveNdjson(req, res, grant);
+      } else {
+        receiveJson(req, res, grant);
+      }
+      return true;
+    }
+
+    // 404 for everything else
+    sendJson(res, 404, { error: 'Not found' });
+    return true;
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // WebSocket
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  const wss = new WebSocketServer({
+    // Upgrades are routed by hand below, so that other WebSocket servers on the
+    // same http.Server (Vite's HMR, say) keep theirs.
+    noServer: true,
+    // Refuse the upgrade outright, before any replay could leak.
+    verifyClient({ origin, req }, done) {
+      if (!originAllowed(origin)) {
+        logger.error(`[ws] Refused origin ${origin}`);
+        done(false, 403, 'Origin not allowed');
+        return;
+      }
+      const { grant, status, error } = authenticate(req, 'subscribe', true);
+      if (!grant) {
+        done(false, status, error);
+        return;
+      }
+      req.grant = grant;
+      done(true);
+    },
+  });
+
+  wss.on('connection', (ws, req) => {
+    const clientId = req.socket.remoteAddress + ':' + req.socket.remotePort;
+    logger.log(`[ws] Client connected: ${clientId} (${req.grant.name})`);
+    clients.add(ws);
+    grants.set(ws, req.grant);
+
+    const params = new URL(req.url, 'http://localhost').searchParams;
+    if (params.has('channels')) {
+      subscriptions.set(ws, new Set(parseChannels(params.get('channels'))));
+    }
+
+    ws.on('close', () => {
+      logger.log(`[ws] Client disconnected: ${clientId}`);
+      clients.delete(ws);
+      subscriptions.delete(ws);
+      grants.delete(ws);
+    });
+
+    ws.on('message', (raw) => {
+      let message;
+      try {
+        message = JSON.parse(raw.toString());
+      } catch {
+        logger.error(`[ws] Invalid JSON from ${clientId}`);
+        return;
+      }
+      if (message.channel === '_system') {
+        handleControl(ws, message);
+      } else if (message.type === 'answer') {
+        handleAnswer(ws, message);
+      }
+    });
+
+    ws.on('error', (error) => {
+      logger.error(`[ws] Client error: ${clientId}`, error.message);
+    });
+
+    onConnect?.({ socket: ws, request: req, grant: req.grant });
+
+    // Send welcome message
+    ws.send(JSON.stringify({
+      channel: '_system',
+      type: 'connected',
+      data: { message: 'Connected to RetroTUI push server' },
+      timestamp: Date.now(),
+    }));
+
+    // Catch the client up on what it missed
+    const since = Number(params.get('since') ?? 0) || 0;
+    replayTo(ws, since);
+  });
+
+  /** Handle a `_system` message from a client. */
+  function handleControl(ws, message) {
+    const data = message.data ?? {};
+    const channels = parseChannels(data.channels);
+
+    if (message.type === 'subscribe') {
+      // A client with no subscriptions has been receiving everything already.
+      const previous = subscriptions.get(ws);
+      const patterns = new Set(previous ?? []);
+      for (const c of channels) patterns.add(c);
+      subscriptions.set(ws, patterns);
+      sendSubscribed(ws);
+      if (previous) {
+        // Catch the client up on channels it was not receiving until now.
+        const isNew = channel => ![...previous].some(pattern => matchesPattern(pattern, channel));
+        replayTo(ws, 0, channels, isNew);
+      }
+    } else if (message.type === 'unsubscribe') {
+      const patterns = subscriptions.get(ws) ?? new Set(['*']);
+      // Patterns are removed, not subtracted: `build` cannot be taken out of `*`.
+      const unknown = channels.filter(c => !patterns.has(c));
+      for (const c of channels) patterns.delete(c);
+      subscriptions.set(ws, patterns);
+      if (unknown.length) {
+        ws.send(JSON.stringify({
+          channel: '_system',
+          type: 'error',
+          data: {
+            message: `Not subscribed to ${unknown.join(', ')}: subscribe to the channels you want instead`,
+            channels: unknown,
+          },
+          timestamp: Date.now(),
+        }));
+      }
+      sendSubscribed(ws);
+    }
+  }
+
+  /** Pass a browser's answer to the waiting script, and close the prompt in other tabs. */
+  function handleAnswer(ws, message) {
+    if (typeof message.channel !== 'string' || typeof message.id !== 'string' || !message.id) {
+      logger.error('[ws] Answer without channel or id');
+      return;
+    }
+    if (!mayUse(grants.get(ws), message.channel)) {
+      logger.error(`[ws] Answer on forbidden channel ${message.channel}`);
+      return;
+    }
+    const value = message.data?.value == null ? '' : String(message.data.value);
+    deliverAnswer(message.channel, message.id, value);
+
+    relay({
+      channel: message.channel,
+      type: 'answer',
+      id: message.id,
+      data: { value },
+      timestamp: nextTimestamp(),
+    }, 'ws');
+    logger.log(`[ws] ${message.channel}/${message.id}: answered`);
+  }
+
+  function sendSubscribed(ws) {
+    ws.send(JSON.stringify({
+      channel: '_system',
+      type: 'subscribed',
+      data: { channels: [...(subscriptions.get(ws) ?? ['*'])] },
+      timestamp: Date.now(),
+    }));
+  }
+
+  function handleUpgrade(req, socket, head) {
+    if (new URL(req.url, 'http://localhost').pathname !== wsPath) return false;
+    wss.handleUpgrade(req, socket, head, ws => wss.emit('connection', ws, req));
+    return true;
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // Wiring
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  const httpServer = server ?? createServer();
+
+  // Requests reach the server's own handlers unless they are for one of ours.
+  // Handlers added after this still see every request, ours included.
+  const ownHandlers = httpServer.listeners('request');
+  const onRequest = (req, res) => {
+    if (handleRequest(req, res)) return;
+    for (const handler of ownHandlers) handler.call(httpServer, req, res);
+  };
+  httpServer.removeAllListeners('request');
+  httpServer.on('request', onRequest);
+
+  // Standalone, nobody else will answer an upgrade we do not want.
+  const onUpgrade = (req, socket, head) => {
+    if (!handleUpgrade(req, socket, head) && !server) socket.destroy();
+  };
+  httpServer.on('upgrade', onUpgrade);
+
+  return {
+    /** The http.Server the relay is on: `options.server`, or one it created */
+    server: httpServer,
+
+    /**
+     * Start listening. Only for a relay that created its own server.
+     * @param {number} [port] - 0 or omitted picks a free port
+     * @returns {Promise<number>} The port it is listening on
+     */
+    listen(port = 0) {
+      return new Promise((resolve, reject) => {
+        httpServer.once('error', reject);
+        httpServer.listen(port, () => {
+          httpServer.off('error', reject);
+          resolve(httpServer.address().port);
+        });
+      });
+    },
+
+    /**
+     * Publish a message from the app itself, as if it had been POSTed. Skips
+     * token checks; the message is still validated.
+     * @returns {{ ok: true, delivered: number } | { ok: false, status: number, error: string, errors: object[] }}
+     */
+    publish(message) {
+      return publish(message);
+    },
+
+    /** Connected WebSocket clients */
+    get clients() {
+      return clients.size;
+    },
+
+    /**
+     * Disconnect every client, end pending long-polls, and detach from the
+     * server — closing it too if the relay created it.
+     * @returns {Promise<void>}
+     */
+    close() {
+      for (const ws of clients) ws.terminate();
+      for (const waiting of waiters.values()) {
+        for (const done of [...waiting]) done(undefined);
+      }
+      httpServer.off('request', onRequest);
+      for (const handler of ownHandlers) httpServer.on('request', handler);
+      httpServer.off('upgrade', onUpgrade);
+
+      return new Promise(resolve => {
+        wss.close(() => {
+          if (server || !httpServer.listening) {
+            resolve();
+            return;
+          }
+          httpServer.close(() => resolve());
+          httpServer.closeAllConnections?.();
+        });
+      });
+    },
+  };
+}
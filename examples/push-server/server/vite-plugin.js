@@ -0,0 +1,52 @@
+/**
+ * retroPush() - Vite plugin serving the push relay from the dev server.
+ *
+ * No second process and no second port: scripts POST to the dev server, and
+ * the page connects its WebSocket to the origin it was loaded from.
+ *
+ * Usage (vite.config.js):
+ *   import { retroPush } from './examples/push-server/server/vite-plugin.js';
+ *   export default defineConfig({ plugins: [retroPush()] });
+ *
+ *   // Scripts:  RETRO_PUSH_URL=http://localhost:5173/__retro-push/push node push.js log "Hi"
+ *   // Browser:  new RetroPush(`ws://${location.host}/__retro-push`)
+ *
+ * Only `vite dev` (and `vite preview`) are affected; builds are untouched.
+ */
+
+import { createPushServer } from './push-server.js';
+
+/**
+ * @param {Object} [options] - Anything createPushServer() takes except `server`
+ * @param {string} [options.path] - Mount point (default: '/__retro-push')
+ * @returns {import('vite').Plugin}
+ */
+export function retroPush({ path = '/__retro-push', ...options } = {}) {
+  let push = null;
+
+  const attach = ({ httpServer, config }) => {
+    // Middleware mode has no server of its own; the host app must mount the relay.
+    if (!httpServer) {
+      config.logger.warn('[retro-push] no http server (middleware mode?) — not attached');
+      return;
+    }
+    push = createPushServer({ ...options, server: httpServer, path });
+    httpServer.once('close', () => push?.close());
+    config.logger.info(`  ➜  Push:    ${path}/push, WebSocket ${path}`);
+  };
+
+  return {
+    name: 'retro-push',
+
+    configureServer: attach,
+    configurePreviewServer: attach,
+
+    /** The running relay, for publishing from other plugins: `plugin.api.publish(...)` */
+    api: {
+      publish(message) {
+        if (!push) throw new Error('retro-push: the dev server is not running');
+        return push.publish(message);
+      },
+    },
+  };
+}
@@ -0,0 +1,125 @@
+#!/usr/bin/env node
+/**
+ * Generate src/protocol/schema.js from the interfaces in src/protocol/types.ts.
+ *
+ * The validator (src/protocol/validate.js) has to run in the push server, which
+ * is plain Node with no TypeScript toolchain, so it cannot read the interfaces
+ * itself. Rather than keep a second, hand-written copy of them in step, this
+ * reads types.ts and writes the field list out as data.
+ *
+ * Deliberately not a TypeScript parser: it understands the subset types.ts is
+ * written in — flat interfaces whose fields are string, number, boolean, a
+ * string-literal union, Record<string, …>, or an array of one of those — and
+ * throws on anything else, so a new construct fails here instead of validating
+ * as "anything goes".
+ *
+ * Usage:
+ *   npm run generate:schema
+ *   node scripts/generate-protocol-schema.js --check   # exit 1 if schema.js is stale
+ */
+import { readFileSync, writeFileSync } from 'node:fs';
+import { join } from 'node:path';
+
+const ROOT = join(import.meta.dirname, '..');
+const TYPES = join(ROOT, 'src/protocol/types.ts');
+const OUT = join(ROOT, 'src/protocol/schema.js');
+
+/** Parse one field type into a schema node. */
+function parseType(text, where) {
+  const type = text.trim();
+  if (type.endsWith('[]')) {
+    return { type: 'array', items: parseType(type.slice(0, -2), where) };
+  }
+  if (type === 'string' || type === 'number' || type === 'boolean') return { type };
+  if (/^Record<string,\s*\w+>$/.test(type)) return { type: 'object' };
+  if (/^'[^']*'(\s*\|\s*'[^']*')*$/.test(type)) {
+    return { type: 'string', enum: type.split('|').map(t => t.trim().slice(1, -1)) };
+  }
+  throw new Error(`${where}: unsupported type "${type}"`);
+}
+
+/** Every `export interface Name { ... }` body in the source, comments stripped. */
+function interfaces(source) {
+  const stripped = source.replace(/\/\*[\s\S]*?\*\//g, '').replace(/\/\/.*$/gm, '');
+  const found = {};
+  for (const m of stripped.matchAll(/export interface (\w+)\s*\{([^}]*)\}/g)) {
+    found[m[1]] = m[2]
+      .split(';')
+      .map(line => line.trim())
+      .filter(Boolean);
+  }
+  return found;
+}
+
+/**
+ * Build the schema module source from the text of types.ts.
+ * @param {string} source
+ * @returns {string}
+ */
+export function generate(source) {
+  const parsed = interfaces(source);
+  const dataMap = parsed.EventDataMap;
+  if (!dataMap || !parsed.TuiEvent) {
+    throw new Error('types.ts must declare TuiEvent and EventDataMap');
+  }
+
+  // type → the data interfaces it may carry; [] means any object.
+  const eventData = {};
+  for (const field of dataMap) {
+    const m = field.match(/^(\w+):\s*(.+)$/);
+    if (!m) throw new Error(`EventDataMap: cannot parse field "${field}"`);
+    eventData[m[1]] = m[2].split('|').map(t => t.trim()).filter(t => parsed[t]);
+  }
+
+  // Only what the validator looks up: the envelope and the data of some event
+  // type. Payloads no type names (a component's own data shape) are not checked.
+  const used = new Set(['TuiEvent', ...Object.values(eventData).flat()]);
+  const schemas = {};
+  for (const [name, fields] of Object.entries(parsed)) {
+    if (!used.has(name)) continue;
+    schemas[name] = {};
+    for (const field of fields) {
+      const m = field.match(/^(\w+)(\??):\s*(.+)$/);
+      if (!m) throw new Error(`${name}: cannot parse field "${field}"`);
+      schemas[name][m[1]] = { ...parseType(m[3], `${name}.${m[1]}`), optional: m[2] === '?' };
+    }
+  }
+
+  // One field per line: diffs of schema.js then read like diffs of types.ts.
+  const schemaSource = Object.entries(schemas)
+    .map(([name, fields]) => {
+      const lines = Object.entries(fields).map(([f, schema]) => `    ${f}: ${JSON.stringify(schema)},`);
+      return `  ${name}: {\n${lines.join('\n')}\n  },`;
+    })
+    .join('\n');
+  const dataSource = Object.entries(eventData)
+    .map(([type, names]) => `  ${type}: ${JSON.stringify(names)},`)
+    .join('\n');
+
+  return `// Generated by scripts/generate-protocol-schema.js from src/protocol/types.ts.
+// Do not edit — change types.ts and run \`npm run generate:schema\`.
+
+/** Field schemas for the envelope and each event type's data, keyed by interface name. */
+export const SCHEMAS = {
+${schemaSource}
+};
+
+/** The data interfaces each standard event type may carry. Empty means any object. */
+export const EVENT_DATA = {
+${dataSource}
+};
+`;
+}
+
+if (process.argv[1] === import.meta.filename) {
+  const output = generate(readFileSync(TYPES, 'utf8'));
+  if (process.argv.includes('--check')) {
+    if (readFileSync(OUT, 'utf8') !== output) {
+      console.error('src/protocol/schema.js is stale — run `npm run generate:schema`');
+      process.exit(1);
+    }
+  } else {
+    writeFileSync(OUT, output);
+    console.log('Wrote src/protocol/schema.js');
+  }
+}
@@ -3,6 +3,7 @@ import { LitElement, html, css } from 'lit';
 import { customElement, property } from 'lit/decorators.js';
 import { sharedStyles } from '../styles/shared.js';
 import type { TuiEvent, CheckboxData } from '../protocol/types';
+import { warnInvalidEvent } from '../protocol/validate.js';
 
 /**
  * Checkbox input.
@@ -68,6 +69,7 @@ export class Checkbox extends LitElement {
   ];
 
   handleEvent(event: TuiEvent): void {
+    warnInvalidEvent(this.localName, event);
     if (event.type === 'clear') {
       this.checked = false;
       return;
@@ -1,8 +1,16 @@
 import { LitElement, html, css } from 'lit';
 import { customElement, property, state } from 'lit/decorators.js';
 import { sharedStyles } from '../styles/shared.js';
-import { ansiToHtml } from '../utils/ansi.js';
+import { AnsiStream, linkFromEvent } from '../utils/ansi.js';
+import type { AnsiLine, AnsiSpan } from '../utils/ansi.js';
+import { ansiSpans } from '../utils/ansi-directive.js';
+import { RingBuffer, VirtualWindow } from '../utils/virtual-list.js';
+import { exportLines, selectedRows, copyText, downloadText } from '../utils/export.js';
+import type { ExportFormat, ExportLine } from '../utils/export.js';
+import { tokenize, parseCommand, quoteArg, commonPrefix } from '../utils/command-line.js';
+import type { ParsedCommand } from '../utils/command-line.js';
 import type { TuiEvent, LogData } from '../protocol/types';
+import { warnInvalidEvent } from '../protocol/validate.js';
 
 // ═══════════════════════════════════════════════════════════════════════════════
 // TYPES
@@ -11,11 +19,95 @@ import type { TuiEvent, LogData } from '../protocol/types';
 interface ConsoleLine {
   id: number;
   text: string;
-  html: string;
+  /** Styled output; commands are shown as typed, from `text` */
+  spans: AnsiSpan[];
   type: 'output' | 'command';
   prompt?: string;
 }
 
+/** One argument in a command's usage line */
+export interface CommandArg {
+  /** Shown as `<name>`; a name starting with `-` is a flag, shown as `[--name]` */
+  name: string;
+  description?: string;
+  /** May be left out; shown as `[name]` */
+  optional?: boolean;
+  /** Values Tab offers for this argument, when the command has no `complete` */
+  choices?: string[];
+}
+
+/** What a command's `run` receives */
+export interface CommandContext extends ParsedCommand {
+  /** The command line as typed */
+  line: string;
+  /** Print a line of output (ANSI allowed) */
+  print: (text: string) => void;
+  /** Print raw output; see `Console.write()` */
+  write: (chunk: string | Uint8Array | ArrayBuffer) => void;
+  /** Aborted when the user presses Ctrl+C */
+  signal: AbortSignal;
+  /** Ask the user for a line; see `Console.read()` */
+  read: (prompt?: string) => Promise<string>;
+  console: Console;
+}
+
+/** What a command's `complete` receives */
+export interface CompletionContext {
+  /** Positional arguments before the word being completed */
+  args: string[];
+  flags: ParsedCommand['flags'];
+  /** The partial word at the cursor */
+  word: string;
+}
+
+export interface ConsoleCommand {
+  /** The first word of the command line */
+  name: string;
+  /** One line, shown by `help` */
+  description?: string;
+  /** Arguments and flags, for `help`, usage errors and completion */
+  args?: CommandArg[];
+  /** Runs the command; output printed before a returned promise settles streams in as it comes */
+  run: (context: CommandContext) => void | Promise<void>;
+  /** Candidates for the word at the cursor; those not starting with `word` are dropped */
+  complete?: (context: CompletionContext) => string[] | Promise<string[]>;
+}
+
+/** `deploy <env> [tag] [--force]` */
+function usage(command: ConsoleCommand): string {
+  const args = (command.args ?? []).map(arg =>
+    arg.name.startsWith('-') || arg.optional ? `[${arg.name}]` : `<${arg.name}>`);
+  return [command.name, ...args].join(' ');
+}
+
+const positional = (command: ConsoleCommand) => (command.args ?? []).filter(arg => !arg.name.startsWith('-'));
+
+const red = (text: string) => `\x1b[31m${text}\x1b[0m`;
+
+const errorText = (err: unknown) => (err instanceof Error ? err.message : String(err));
+
+/** Start of the word before `caret`; words are runs of `word` characters */
+function wordStart(text: string, caret: number, word = /\w/): number {
+  let i = caret;
+  while (i > 0 && !word.test(text[i - 1])) i--;
+  while (i > 0 && word.test(text[i - 1])) i--;
+  return i;
+}
+
+/** End of the word after `caret` */
+function wordEnd(text: string, caret: number): number {
+  let i = caret;
+  while (i < text.length && !/\w/.test(text[i])) i++;
+  while (i < text.length && /\w/.test(text[i])) i++;
+  return i;
+}
+
+/** An odd run of trailing backslashes: the last one continues the line */
+const CONTINUED = /(^|[^\\])(\\\\)*\\$/;
+
+/** The copy button's text, by copy status */
+const COPY_LABELS = { '': '⧉ copy', copied: '✓ copied', failed: '✗ copy failed' };
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // COMPONENT
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -24,27 +116,77 @@ interface ConsoleLine {
  * <tui-console> - Interactive command console with history
  * 
  * @attr {string} prompt - Command prompt (default: "> ")
+ * @attr {string} continuation-prompt - Prompt for the second and later lines of a multi-line command (default: "… ")
  * @attr {string} prompt-attr - Space-separated text attributes for the prompt (bold, dim, italic, etc.)
- * @attr {number} history-size - Max history entries (default: 100)
+ * @attr {number} history-size - Max history entries (default: 100); with an `id`, history is kept in localStorage
+ * @attr {number} max-lines - Maximum output lines to keep, commands included (default: 1000)
+ * @attr {boolean} autolink - Link bare URLs and `path:line:col` references in printed text
+ * @attr {boolean} actions - Show copy and save buttons above the output
+ * @attr {boolean} busy - Set while a command runs (read-only, reflected)
  * 
- * @fires tui-console-command - When a command is submitted (detail: { command: string })
+ * @fires tui-console-command - When a command is submitted (detail: { command, signal, waitUntil(promise) }). Cancelable: preventing it skips registered commands
+ * @fires tui-output-link - When a link in the output is clicked (detail: { text, href?, path?, line?, column? }). Cancelable
+ * @fires tui-output-copy - When lines are copied to the clipboard (detail: { text, lines })
  * 
  * @method print(text) - Print output to console
+ * @method write(chunk) - Print raw output (string or UTF-8 bytes); a partial line shows until its newline arrives
  * @method clear() - Clear console output
+ * @method exportText() - The output as plain text, commands with their prompt
+ * @method exportAnsi() - The output as ANSI text
+ * @method exportHtml() - The output as a `<pre>` of `ansi-*` classed spans
+ * @method copy(range?) - Copy rows [first, last] to the clipboard; default the selected lines, else all
+ * @method download(filename?) - Save the output as a .log file
+ * @method registerCommand(command) - Add a command `{ name, args?, description?, run, complete? }`; returns a function that removes it
+ * @method unregisterCommand(name) - Remove a command
+ * @method execute(line) - Run a command line as if it were typed; resolves when its handler finishes
+ * @method read(prompt?) - Ask the user for a line of input; resolves with it, rejects with an AbortError on Ctrl+C
+ *
+ * Once any command is registered the console answers `help`, reports unknown
+ * commands and usage errors, and completes names and arguments on Tab.
+ *
+ * A command is running while a registered `run` or a promise handed to the
+ * event's `waitUntil()` is unsettled: the prompt becomes a spinner, the input
+ * takes only Ctrl+C (which aborts `signal`) and answers to `read()`.
+ *
+ * Keyboard (in the input), readline style:
+ * - Enter submits; Shift+Enter, or Enter after a trailing `\`, starts another line of the same command
+ * - Ctrl+A / Ctrl+E: start / end of line; Alt+B / Alt+F: back / forward a word
+ * - Ctrl+K / Ctrl+U / Ctrl+W: cut to end, to start, the word before; Ctrl+Y pastes the cut text
+ * - Ctrl+R: search history backwards (again for older matches; Escape or Ctrl+G cancels)
+ * - ↑ / ↓: history; Tab completes; Ctrl+L clears; Ctrl+C drops the line, or interrupts a running command
+ * - Ctrl+Alt+C copies, Ctrl+Alt+S saves
  */
 @customElement('tui-console')
 export class Console extends LitElement {
   @property({ type: String })
   prompt = '❯ ';
 
+  @property({ type: String, attribute: 'continuation-prompt' })
+  continuationPrompt = '… ';
+
   @property({ type: String, attribute: 'prompt-attr' })
   promptAttr = '';
 
   @property({ type: Number, attribute: 'history-size' })
   historySize = 100;
 
-  @state()
-  private _lines: ConsoleLine[] = [];
+  @property({ type: Number, attribute: 'max-lines' })
+  maxLines = 1000;
+
+  @property({ type: Boolean })
+  autolink = false;
+
+  @property({ type: Boolean })
+  actions = false;
+
+  @property({ type: Boolean, reflect: true })
+  busy = false;
+
+  /** Newest `maxLines` lines; appends are O(1), so updates come from requestUpdate() */
+  private _lines = new RingBuffer<ConsoleLine>(this.maxLines);
+
+  /** Which rows are on screen; only those are rendered */
+  private _window = new VirtualWindow(this, () => this.shadowRoot?.querySelector('.output'));
 
   @state()
   private _inputValue = '';
@@ -52,8 +194,52 @@ export class Console extends LitElement {
   @state()
   private _historyIndex = -1;
 
+  /** The output line `write()` has started but not finished */
+  @state()
+  private _pending: ConsoleLine | null = null;
+
+  private _stream = new AnsiStream();
+
   private _history: string[] = [];
 
+  /** Finished lines of a multi-line command, above the input */
+  @state()
+  private _continued: string[] = [];
+
+  /** Text cut by Ctrl+K/U/W, for Ctrl+Y */
+  private _killed = '';
+
+  /** Ctrl+R in progress: the input holds the query; `index` is the matched history entry, or -1 */
+  @state()
+  private _search: { query: string; index: number; saved: string } | null = null;
+
+  /** Registered commands by name */
+  private _commands = new Map<string, ConsoleCommand>();
+
+  /** Built in until a registered command takes the name */
+  private _helpCommand: ConsoleCommand = {
+    name: 'help',
+    description: 'List commands, or show how to use one',
+    args: [{ name: 'command', optional: true }],
+    run: ({ args }) => this._help(args[0]),
+    complete: () => this._commandList().map(command => command.name),
+  };
+
+  /** Aborts the running command */
+  private _job: AbortController | null = null;
+
+  /** A `read()` waiting for the user's line */
+  @state()
+  private _reading: { prompt: string; resolve: (line: string) => void; reject: (err: Error) => void } | null = null;
+
+  /** Matches shown after an ambiguous Tab */
+  @state()
+  private _candidates: string[] = [];
+
+  /** Set briefly after a copy, for the button's feedback */
+  @state()
+  private _copyStatus: '' | 'copied' | 'failed' = '';
+
   static styles = [
     sharedStyles,
     css`
@@ -72,14 +258,25 @@ export class Console extends LitElement {
 
       .output {
         flex: 1;
-        overflow-y: auto;
+        overflow: auto;
         padding: var(--spacing-sm);
         line-height: 1.4;
       }
 
+      /* Virtualized: the spacer is as tall as every line, the rows inside it
+         are only the visible ones. Rows must share one height, so long lines
+         scroll sideways instead of wrapping. */
+      .spacer {
+        position: relative;
+        min-width: max-content;
+      }
+
+      .rows {
+        will-change: transform;
+      }
+
       .line {
-        white-space: pre-wrap;
-        word-break: break-all;
+        white-space: pre;
       }
 
       .line.command {
@@ -91,20 +288,102 @@ export class Console extends LitElement {
         color: var(--color-secondary);
       }
 
-      .input-line {
+      .actions {
         display: flex;
-        align-items: center;
+        justify-content: flex-end;
+        gap: var(--spacing-xs);
+        padding: 0 var(--spacing-sm);
+        background: var(--surface-elevated);
+        border-bottom: 1px solid var(--border-default);
+        font-size: 0.7rem;
+      }
+
+      .actions button {
+        background: none;
+        border: none;
+        color: var(--text-muted);
+        font-family: inherit;
+        font-size: inherit;
+        cursor: pointer;
+      }
+
+      .actions button:hover {
+        color: var(--text-primary);
+      }
+
+      .input-area {
         padding: var(--spacing-sm);
         border-top: 1px solid var(--border-default);
         background: var(--surface-elevated);
       }
 
+      .input-line {
+        display: flex;
+        align-items: center;
+      }
+
+      .spinner {
+        color: var(--color-secondary);
+        margin-right: var(--spacing-xs);
+        flex-shrink: 0;
+      }
+
+      .spinner::before {
+        content: '⠋';
+        animation: spin 0.8s steps(1) infinite;
+      }
+
+      @keyframes spin {
+        0% { content: '⠋'; }
+        12.5% { content: '⠙'; }
+        25% { content: '⠹'; }
+        37.5% { content: '⠸'; }
+        50% { content: '⠼'; }
+        62.5% { content: '⠴'; }
+        75% { content: '⠦'; }
+        87.5% { content: '⠧'; }
+      }
+
+      @media (prefers-reduced-motion: reduce) {
+        .spinner::before {
+          content: '…';
+          animation: none;
+        }
+      }
+
+      .input-line.busy input {
+        caret-color: transparent;
+      }
+
+      .continued {
+        white-space: pre;
+        color: var(--text-primary);
+      }
+
+      .history-match {
+        white-space: pre;
+        color: var(--text-muted);
+      }
+
+      .history-match.found {
+        color: var(--text-primary);
+      }
+
       .prompt {
         color: var(--color-secondary);
         margin-right: var(--spacing-xs);
         flex-shrink: 0;
       }
 
+      .completions {
+        display: flex;
+        flex-wrap: wrap;
+        gap: 0 2ch;
+        padding: 0 var(--spacing-sm);
+        border-top: 1px solid var(--border-default);
+        color: var(--text-muted);
+      }
+
       input {
         flex: 1;
         background: transparent;
@@ -132,16 +411,27 @@ export class Console extends LitElement {
 
   /**
    * Print output to console
-   * @param text - Text to print (supports ANSI codes)
+   * @param text - Text to print (supports ANSI codes; open colours carry on to the next print)
    */
   print(text: string): void {
-    const newLines: ConsoleLine[] = text.split('\n').map(line => ({
-      id: Date.now() + Math.random(),
-      text: line,
-      html: ansiToHtml(line),
-      type: 'output',
-    }));
-    this._lines = [...this._lines, ...newLines];
+    this.write(`${text}\n`);
+  }
+
+  /**
+   * Write raw output, as it arrives from a socket or pipe. Chunks may split
+   * lines or escape sequences anywhere; the unfinished last line is shown
+   * and updated in place until its newline arrives.
+   * @param chunk - Text, or UTF-8 bytes
+   */
+  write(chunk: string | Uint8Array | ArrayBuffer): void {
+    this._stream.autolink = this.autolink;
+    const finished = this._stream.write(chunk);
+    const pending = this._stream.pending;
+    if (finished.length) {
+      for (const line of finished) this._lines.push(this._toConsoleLine(line));
+      this.requestUpdate();
+    }
+    this._pending = pending ? this._toConsoleLine(pending) : null;
     this.updateComplete.then(() => this.scrollToBottom());
   }
 
@@ -149,11 +439,368 @@ export class Console extends LitElement {
    * Clear console output
    */
   clear(): void {
-    this._lines = [];
+    this._lines.clear();
+    this._pending = null;
+    this._stream.reset();
+    this.requestUpdate();
+  }
+
+  /** The output as plain text, commands with their prompt */
+  exportText(): string {
+    return this._export('text');
+  }
+
+  /** The output as ANSI text */
+  exportAnsi(): string {
+    return this._export('ansi');
+  }
+
+  /** The output as HTML */
+  exportHtml(): string {
+    return this._export('html');
+  }
+
+  /**
+   * Copy rows to the clipboard as plain text.
+   * @param range - First and last row (inclusive); defaults to the lines the
+   *   user has selected, or every line when nothing is
+   * @returns Resolves once the clipboard has the text
+   */
+  async copy(range?: [number, number]): Promise<void> {
+    const total = this._lines.length + (this._pending ? 1 : 0);
+    const [first, last] = range ?? selectedRows(this.shadowRoot!) ?? [0, total - 1];
+    const lines = this._exportRows(first, last + 1);
+    const text = exportLines(lines, 'text');
+    await copyText(text);
+    this._flashCopyStatus('copied');
+    this.dispatchEvent(new CustomEvent('tui-output-copy', {
+      detail: { text, lines: lines.length },
+      bubbles: true,
+      composed: true,
+    }));
+  }
+  /** Copy for the button and Ctrl+Alt+C, where nobody awaits the promise: a refused clipboard shows on the button */
+  private _copyFromUi(): void {
+    this.copy().catch((err: unknown) => {
+      console.warn(`<${this.localName}>: copy failed`, err);
+      this._flashCopyStatus('failed');
+    });
+  }
+
+  private _flashCopyStatus(status: 'copied' | 'failed'): void {
+    this._copyStatus = status;
+    setTimeout(() => { this._copyStatus = ''; }, 1500);
+  }
+
+
+  /**
+   * Save the output as a text file.
+   * @param filename - Defaults to the element's id (or "console") plus `.log`
+   */
+  download(filename = `${this.id || 'console'}.log`): void {
+    downloadText(this.exportText(), filename);
+  }
+
+  /**
+   * Add a command. Its handler runs when a line starting with `name` is
+   * submitted, after `tui-console-command`. A later command with the same
+   * name replaces an earlier one.
+   * @returns A function that removes the command again
+   */
+  registerCommand(command: ConsoleCommand): () => void {
+    this._commands.set(command.name, command);
+    return () => {
+      if (this._commands.get(command.name) === command) this._commands.delete(command.name);
+    };
+  }
+
+  unregisterCommand(name: string): void {
+    this._commands.delete(name);
+  }
+
+  /**
+   * Run a command line as if it were typed (without adding it to history):
+   * echo it, fire `tui-console-command`, then run the matching command. The
+   * console stays busy until the command's `run`, and any promise a listener
+   * passed to `waitUntil()` (synchronously, in the listener), has settled.
+   * @returns Resolves once the command's handlers have finished
+   */
+  async execute(line: string): Promise<void> {
+    const command = line.trim();
+    if (!command) return;
+
+    // One row per line: rows are a single line high
+    command.split('\n').forEach((text, i) => {
+      this._lines.push({
+        id: Date.now() + i,
+        text,
+        spans: [],
+        type: 'command',
+        prompt: i ? this.continuationPrompt : this.prompt,
+      });
+    });
+    this.requestUpdate();
+    this.updateComplete.then(() => this.scrollToBottom());
+
+    const controller = new AbortController();
+    const running: Promise<unknown>[] = [];
+    const event = new CustomEvent('tui-console-command', {
+      detail: {
+        command,
+        signal: controller.signal,
+        waitUntil: (promise: Promise<unknown>) => { running.push(promise); },
+      },
+      bubbles: true,
+      composed: true,
+      cancelable: true,
+    });
+    if (this.dispatchEvent(event)) {
+      const run = this._run(command, controller.signal);
+      if (run) running.push(run);
+    }
+    if (!running.length) return;
+
+    this._job = controller;
+    this.busy = true;
+    const name = parseCommand(command).name;
+    await Promise.all(running.map(promise => promise.catch(err => {
+      // After Ctrl+C the rejection is the abort itself
+      if (!controller.signal.aborted) this.print(red(`${name}: ${errorText(err)}`));
+    })));
+    if (this._job === controller) this._endJob();
+  }
+
+  /**
+   * Ask the user for a line of input, as an interactive prompt inside a
+   * running command. The line is echoed after `prompt`; it is not added to
+   * history and fires no `tui-console-command`.
+   * @returns The line as typed; rejects with an AbortError on Ctrl+C
+   */
+  read(prompt = ''): Promise<string> {
+    this._reading?.reject(new DOMException('Another read() took the input', 'AbortError'));
+    return new Promise((resolve, reject) => {
+      this._reading = { prompt, resolve, reject };
+    });
+  }
+
+  /** The command finished, or was interrupted */
+  private _endJob(reason = 'The command ended'): void {
+    this._job = null;
+    this.busy = false;
+    this._reading?.reject(new DOMException(reason, 'AbortError'));
+    this._reading = null;
+  }
+
+  /** Ctrl+C while a command runs or reads */
+  private _interrupt(): void {
+    this._job?.abort();
+    this._endJob('Interrupted');
+    this.print('^C');
+  }
+
+  private _submitRead(input: HTMLInputElement): void {
+    const reading = this._reading!;
+    const line = input.value;
+    this._lines.push({ id: Date.now(), text: line, spans: [], type: 'command', prompt: reading.prompt });
+    this.requestUpdate();
+    this.updateComplete.then(() => this.scrollToBottom());
+    this._reading = null;
+    this._edit(input, '', 0);
+    reading.resolve(line);
+  }
+
+  /** Registered commands plus the built-in `help`, by name */
+  private _commandList(): ConsoleCommand[] {
+    const commands = [...this._commands.values()];
+    if (!this._commands.has('help')) commands.push(this._helpCommand);
+    return commands.sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /** Null with nothing registered: then the event is the whole contract, as before commands existed */
+  private _command(name: string): ConsoleCommand | null {
+    if (!this._commands.size) return null;
+    return this._commands.get(name) ?? (name === 'help' ? this._helpCommand : null);
+  }
+
+  /**
+   * Run the registered command for a line.
+   * @returns The handler's promise, or null when there is nothing to wait for
+   */
+  private _run(line: string, signal: AbortSignal): Promise<void> | null {
+    const parsed = parseCommand(line);
+    const command = this._command(parsed.name);
+    if (!command) {
+      if (this._commands.size) this.print(red(`${parsed.name}: command not found (try "help")`));
+      return null;
+    }
+    if (positional(command).filter(arg => !arg.optional).length > parsed.args.length) {
+      this.print(red(`usage: ${usage(command)}`));
+      return null;
+    }
+    try {
+      const result = command.run({
+        ...parsed,
+        line,
+        print: text => this.print(text),
+        write: chunk => this.write(chunk),
+        signal,
+        read: prompt => this.read(prompt),
+        console: this,
+      });
+      return result ? Promise.resolve(result) : null;
+    } catch (err) {
+      this.print(red(`${parsed.name}: ${errorText(err)}`));
+      return null;
+    }
+  }
+
+  private _help(name?: string): void {
+    if (name) {
+      const command = this._command(name);
+      if (!command) {
+        this.print(red(`help: no command "${name}"`));
+        return;
+      }
+      this.print(`usage: ${usage(command)}`);
+      if (command.description) this.print(`  ${command.description}`);
+      const described = (command.args ?? []).filter(arg => arg.description);
+      const width = Math.max(0, ...described.map(arg => arg.name.length));
+      for (const arg of described) this.print(`  ${arg.name.padEnd(width)}  ${arg.description}`);
+      return;
+    }
+    const commands = this._commandList();
+    const usages = commands.map(usage);
+    const width = Math.max(...usages.map(text => text.length));
+    commands.forEach((command, i) => {
+      this.print(`  ${usages[i].padEnd(width)}  ${command.description ?? ''}`.trimEnd());
+    });
+  }
+
+  /**
+   * Complete the word at the cursor: a command name first, then the command's
+   * `complete`, or the declared flags and `choices`. One match is filled in;
+   * several are extended to their common prefix and listed.
+   */
+  private async _complete(input: HTMLInputElement): Promise<void> {
+    const value = input.value;
+    const caret = input.selectionStart ?? value.length;
+    // Earlier lines of a multi-line command hold its name and first arguments
+    const lead = this._continued.map(line => `${line}\n`).join('');
+    const before = lead + value.slice(0, caret);
+    const tokens = tokenize(before);
+    // The caret touching the last word means that word is being completed
+    const current = tokens.length && tokens[tokens.length - 1].end === before.length ? tokens.pop()! : null;
+    const word = current?.value ?? '';
+    const start = (current?.start ?? before.length) - lead.length;
+    // A quoted word opened on an earlier line can't be rewritten from here
+    if (start < 0) return;
+
+    let candidates: string[] = [];
+    if (!tokens.length) {
+      candidates = this._commandList().map(command => command.name);
+    } else {
+      const command = this._command(tokens[0].value);
+      const { args, flags } = parseCommand(before.slice(0, lead.length + start));
+      if (command?.complete) {
+        try {
+          candidates = await command.complete({ args, flags, word });
+        } catch (err) {
+          this.print(red(`${command.name}: ${errorText(err)}`));
+          return;
+        }
+      } else if (command && word.startsWith('-') && !current?.quoted) {
+        candidates = (command.args ?? []).map(arg => arg.name).filter(name => name.startsWith('-'));
+      } else if (command) {
+        candidates = positional(command)[args.length]?.choices ?? [];
+      }
+    }
+    // Typing went on while an async `complete` ran
+    if (input.value !== value) return;
+
+    const matches = [...new Set(candidates)].filter(candidate => candidate.startsWith(word)).sort();
+    this._candidates = matches.length > 1 ? matches : [];
+    let insert: string;
+    if (matches.length === 1) insert = `${quoteArg(matches[0])} `;
+    else if (commonPrefix(matches).length > word.length) insert = quoteArg(commonPrefix(matches));
+    else return;
+
+    this._inputValue = value.slice(0, start) + insert + value.slice(caret);
+    await this.updateComplete;
+    input.setSelectionRange(start + insert.length, start + insert.length);
+  }
+
+  private _export(format: ExportFormat): string {
+    return exportLines(this._exportRows(0, Infinity), format);
+  }
+
+  /** Rows [start, end) as export lines: commands carry their prompt */
+  private _exportRows(start: number, end: number): ExportLine[] {
+    const total = this._lines.length + (this._pending ? 1 : 0);
+    const rows: ExportLine[] = [];
+    for (let i = Math.max(0, start); i < Math.min(end, total); i++) {
+      const line = this._lineAt(i);
+      rows.push(line.type === 'command' ? { ...line, prefix: line.prompt } : line);
+    }
+    return rows;
+  }
+
+  connectedCallback(): void {
+    super.connectedCallback();
+    this._loadHistory();
+  }
+
+  willUpdate(changedProperties: Map<string, unknown>): void {
+    if (changedProperties.has('maxLines')) this._lines.resize(this.maxLines);
+    if (changedProperties.has('historySize')) this._history = this._trimHistory(this._history);
+  }
+
+  /** localStorage key for the history; none without an id to tell consoles apart */
+  private get _historyKey(): string | null {
+    return this.id ? `tui-console-history-${this.id}` : null;
+  }
+
+  private _trimHistory(entries: string[]): string[] {
+    return this.historySize > 0 ? entries.slice(-this.historySize) : [];
+  }
+
+  private _loadHistory(): void {
+    const key = this._historyKey;
+    if (!key) return;
+    try {
+      const stored = localStorage.getItem(key);
+      if (!stored) return;
+      const entries: unknown = JSON.parse(stored);
+      if (Array.isArray(entries)) {
+        this._history = this._trimHistory(entries.filter((entry): entry is string => typeof entry === 'string'));
+      }
+    } catch {
+      // Storage blocked (sandboxed frame, private mode), or the entry is not ours
+      // or damaged: start with an empty history
+    }
+  }
+
+  private _saveHistory(): void {
+    const key = this._historyKey;
+    if (!key) return;
+    try {
+      localStorage.setItem(key, JSON.stringify(this._history));
+    } catch {
+      // Blocked or full: the history still lasts as long as the page
+    }
+  }
+
+  private _toConsoleLine(line: AnsiLine): ConsoleLine {
+    return {
+      id: Date.now() + Math.random(),
+      text: line.text,
+      spans: line.spans,
+      type: 'output',
+    };
   }
 
   /** Accept a protocol event */
   handleEvent(event: TuiEvent): void {
+    warnInvalidEvent(this.localName, event);
     if (event.type === 'clear') {
       this.clear();
       return;
@@ -168,18 +815,76 @@ export class Console extends LitElement {
     const output = this.shadowRoot?.querySelector('.output');
     if (output) {
       output.scrollTop = output.scrollHeight;
+      this._window.sync();
     }
   }
 
   private focusInput(): void {
+    // Focusing the input would drop a selection the user is about to copy
+    if (document.getSelection()?.isCollapsed === false) return;
     const input = this.shadowRoot?.querySelector('input');
     input?.focus();
   }
 
   private handleKeydown(e: KeyboardEvent): void {
+    if ((e.ctrlKey || e.metaKey) && e.altKey && (e.code === 'KeyC' || e.code === 'KeyS')) {
+      e.preventDefault();
+      if (e.code === 'KeyC') this._copyFromUi();
+      else this.download();
+      return;
+    }
+    const input = e.target as HTMLInputElement;
+    if (e.ctrlKey && e.key === 'c' && (this._job || this._reading)) {
+      e.preventDefault();
+      this._interrupt();
+      return;
+    }
+    if (this._reading) {
+      if (e.key === 'Enter') this._submitRead(input);
+      else if (!(e.ctrlKey && e.key === 'r') && this._readline(e, input)) e.preventDefault();
+      return;
+    }
+    if (this._job) {
+      if (e.ctrlKey && e.key === 'l') {
+        e.preventDefault();
+        this.clear();
+      }
+      return;
+    }
+    if (this._search && this._searchKey(e, input)) return;
+    if (this._readline(e, input)) {
+      e.preventDefault();
+      return;
+    }
     switch (e.key) {
       case 'Enter':
-        this.submitCommand();
+        this._candidates = [];
+        if (e.shiftKey || CONTINUED.test(input.value)) {
+          e.preventDefault();
+          this._continued = [...this._continued, e.shiftKey ? input.value : input.value.slice(0, -1)];
+          this._edit(input, '', 0);
+        } else {
+          this.submitCommand();
+        }
+        break;
+      case 'Backspace':
+        // Back up into the previous line of a multi-line command
+        if (!input.value && this._continued.length) {
+          e.preventDefault();
+          const previous = this._continued[this._continued.length - 1];
+          this._continued = this._continued.slice(0, -1);
+          this._edit(input, previous, previous.length);
+        }
+        break;
+      case 'Tab':
+        // Without commands Tab keeps moving focus, as it did before there were any
+        if (this._commands.size && !e.shiftKey) {
+          e.preventDefault();
+          this._complete(e.target as HTMLInputElement);
+        }
+        break;
+      case 'Escape':
+        this._candidates = [];
         break;
       case 'ArrowUp':
         e.preventDefault();
@@ -199,6 +904,7 @@ export class Console extends LitElement {
         if (e.ctrlKey) {
           e.preventDefault();
           this._inputValue = '';
+          this._continued = [];
           this.print('^C');
         }
         break;
@@ -206,33 +912,19 @@ export class Console extends LitElement {
   }
 
   private submitCommand(): void {
-    const cmd = this._inputValue.trim();
+    const cmd = [...this._continued, this._inputValue].join('\n').trim();
+    this._continued = [];
     if (!cmd) return;
 
-    // Add to output
-    this._lines = [...this._lines, {
-      id: Date.now(),
-      text: cmd,
-      html: cmd,
-      type: 'command',
-      prompt: this.prompt,
-    }];
-
     // Add to history
-    this._history = [...this._history.slice(-this.historySize + 1), cmd];
+    this._history = this._trimHistory([...this._history, cmd]);
     this._historyIndex = -1;
+    this._saveHistory();
 
     // Clear input
     this._inputValue = '';
 
-    // Emit event
-    this.dispatchEvent(new CustomEvent('tui-console-command', {
-      detail: { command: cmd },
-      bubbles: true,
-      composed: true,
-    }));
-
-    this.updateComplete.then(() => this.scrollToBottom());
+    this.execute(cmd);
   }
 
   private navigateHistory(direction: number): void {
@@ -240,41 +932,221 @@ export class Console extends LitElement {
     
     if (newIndex < 0) {
       this._historyIndex = -1;
-      this._inputValue = '';
+      this._setInput('');
     } else if (newIndex < this._history.length) {
       this._historyIndex = newIndex;
-      this._inputValue = this._history[this._history.length - 1 - newIndex];
+      this._setInput(this._history[this._history.length - 1 - newIndex]);
+    }
+  }
+
+  /** Put a (possibly multi-line) command in the input; earlier lines go above it */
+  private _setInput(text: string): void {
+    const lines = text.split('\n');
+    this._inputValue = lines.pop()!;
+    this._continued = lines;
+    const input = this.shadowRoot?.querySelector('input');
+    if (input) input.value = this._inputValue;
+  }
+
+  /** Replace the input's text and place the caret, without waiting for a render */
+  private _edit(input: HTMLInputElement, value: string, caret: number): void {
+    input.value = value;
+    input.setSelectionRange(caret, caret);
+    this._inputValue = value;
+  }
+
+  /** Cut `[from, to)` of the input into the kill buffer */
+  private _kill(input: HTMLInputElement, from: number, to: number): void {
+    if (from >= to) return;
+    this._killed = input.value.slice(from, to);
+    this._edit(input, input.value.slice(0, from) + input.value.slice(to), from);
+  }
+
+  /**
+   * Emacs editing keys.
+   * @returns Whether `e` was one (and has been handled)
+   */
+  private _readline(e: KeyboardEvent, input: HTMLInputElement): boolean {
+    const { value } = input;
+    const caret = input.selectionStart ?? value.length;
+    if (e.ctrlKey && !e.altKey && !e.metaKey) {
+      switch (e.key) {
+        case 'a': input.setSelectionRange(0, 0); return true;
+        case 'e': input.setSelectionRange(value.length, value.length); return true;
+        case 'k': this._kill(input, caret, value.length); return true;
+        case 'u': this._kill(input, 0, caret); return true;
+        case 'w': this._kill(input, wordStart(value, caret, /\S/), caret); return true;
+        case 'y': {
+          const end = input.selectionEnd ?? caret;
+          this._edit(input, value.slice(0, caret) + this._killed + value.slice(end), caret + this._killed.length);
+          return true;
+        }
+        case 'r': this._startSearch(input); return true;
+      }
+    } else if (e.altKey && !e.ctrlKey && !e.metaKey) {
+      // By code: Alt changes the character produced on some layouts (macOS)
+      const to = e.code === 'KeyB' ? wordStart(value, caret) : e.code === 'KeyF' ? wordEnd(value, caret) : -1;
+      if (to >= 0) {
+        input.setSelectionRange(to, to);
+        return true;
+      }
+    }
+    return false;
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════════
+  // REVERSE SEARCH
+  // ═══════════════════════════════════════════════════════════════════════════════
+
+  /** Newest history entry at or before `from` containing `query`, or -1 */
+  private _findInHistory(query: string, from: number): number {
+    if (!query) return -1;
+    for (let i = from; i >= 0; i--) {
+      if (this._history[i].includes(query)) return i;
     }
+    return -1;
+  }
+
+  private _startSearch(input: HTMLInputElement): void {
+    this._search = { query: '', index: -1, saved: [...this._continued, input.value].join('\n') };
+    this._continued = [];
+    this._candidates = [];
+    this._edit(input, '', 0);
+  }
+
+  /**
+   * A key pressed during Ctrl+R. Typing edits the query; Ctrl+R steps to an
+   * older match; Escape or Ctrl+G (or Ctrl+C) puts the line back as it was.
+   * Any other key takes the match into the input and then acts as usual, so
+   * Enter runs it and ← starts editing it.
+   * @returns Whether the key was used up
+   */
+  private _searchKey(e: KeyboardEvent, input: HTMLInputElement): boolean {
+    const search = this._search!;
+    if (['Shift', 'Control', 'Alt', 'Meta'].includes(e.key)) return true;
+    if (e.ctrlKey && e.key === 'r') {
+      e.preventDefault();
+      const older = this._findInHistory(search.query, search.index - 1);
+      if (older >= 0) this._search = { ...search, index: older };
+      return true;
+    }
+    if (e.key === 'Escape' || (e.ctrlKey && (e.key === 'g' || e.key === 'c'))) {
+      e.preventDefault();
+      this._search = null;
+      this._setInput(search.saved);
+      return true;
+    }
+    // Editing the query; handleInput searches again
+    if (e.key === 'Backspace' || (e.key.length === 1 && !e.ctrlKey && !e.altKey && !e.metaKey)) return false;
+    this._search = null;
+    this._setInput(search.index >= 0 ? this._history[search.index] : search.saved);
+    return false;
   }
 
   private handleInput(e: Event): void {
     this._inputValue = (e.target as HTMLInputElement).value;
+    this._candidates = [];
+    if (this._search) {
+      const query = this._inputValue;
+      this._search = { ...this._search, query, index: this._findInHistory(query, this._history.length - 1) };
+    }
+  }
+
+  /**
+   * Report link clicks to the host. Preventing the event also stops the
+   * browser following an href, so a host can open `file://` links in an editor.
+   */
+  private _handleLinkClick(e: MouseEvent): void {
+    const detail = linkFromEvent(e);
+    if (!detail) return;
+    const event = new CustomEvent('tui-output-link', {
+      detail,
+      bubbles: true,
+      composed: true,
+      cancelable: true,
+    });
+    if (!this.dispatchEvent(event)) e.preventDefault();
   }
 
   private get _promptClasses(): string {
     return ['prompt', ...this.promptAttr.split(/\s+/).filter(Boolean).map(a => `tui-${a}`)].join(' ');
   }
 
-  render() {
+  /** Reverse search shows in place of the prompt, as in bash */
+  private get _currentPrompt(): string {
+    if (this._reading) return this._reading.prompt;
+    if (this._search) return '(reverse-i-search) ';
+    return this._continued.length ? this.continuationPrompt : this.prompt;
+  }
+
+  private _renderSearchMatch(search: { query: string; index: number }) {
+    const match = search.index >= 0 ? this._history[search.index] : null;
     return html`
-      <div class="console" @click=${this.focusInput}>
-        <div class="output">
-          ${this._lines.map(line => html`
-            <div class="line ${line.type}" data-prompt=${line.prompt || ''}>
-              <span .innerHTML=${line.html}></span>
+      <div class="history-match ${match === null ? '' : 'found'}">${match === null
+        ? 'no match'
+        : match.replace(/\n/g, ' ↵ ')}</div>
+    `;
+  }
+
+  /** Output lines, then the pending one */
+  private _lineAt(index: number): ConsoleLine {
+    return index < this._lines.length ? this._lines.at(index)! : this._pending!;
+  }
+
+  private _renderRows() {
+    const total = this._lines.length + (this._pending ? 1 : 0);
+    const [start, end] = this._window.range(total);
+    const rows: ConsoleLine[] = [];
+    for (let i = start; i < end; i++) rows.push(this._lineAt(i));
+    return html`
+      <div class="spacer" style="height: ${this._window.height(total)}px">
+        <div class="rows" style="transform: translateY(${this._window.offset(start)}px)">
+          ${rows.map((line, i) => html`
+            <div class="line ${line.type}" data-prompt=${line.prompt || ''} data-row=${start + i}>
+              <span>${line.type === 'command' ? line.text : ansiSpans(line.spans)}</span>
             </div>
           `)}
         </div>
-        <div class="input-line">
-          <span class="${this._promptClasses}">${this.prompt}</span>
-          <input
-            type="text"
-            .value=${this._inputValue}
-            @input=${this.handleInput}
-            @keydown=${this.handleKeydown}
-            autocomplete="off"
-            spellcheck="false"
-          />
+      </div>
+    `;
+  }
+
+  render() {
+    return html`
+      <div class="console" @click=${this.focusInput}>
+        ${this.actions ? html`
+          <div class="actions" @mousedown=${(e: Event) => e.preventDefault()}>
+            <button title="Copy selected lines, or all (Ctrl+Alt+C)" @click=${() => this._copyFromUi()}>
+              ${COPY_LABELS[this._copyStatus]}
+            </button>
+            <button title="Save as .log (Ctrl+Alt+S)" @click=${() => this.download()}>↓ save</button>
+          </div>
+        ` : ''}
+        <div class="output" @click=${this._handleLinkClick} @scroll=${() => this._window.sync()}>
+          ${this._renderRows()}
+        </div>
+        ${this._candidates.length ? html`
+          <div class="completions">${this._candidates.map(candidate => html`<span>${candidate}</span>`)}</div>
+        ` : ''}
+        <div class="input-area">
+          ${this._continued.map((text, i) => html`
+            <div class="continued"><span class="${this._promptClasses}">${i ? this.continuationPrompt : this.prompt}</span>${text}</div>
+          `)}
+          ${this._search?.query ? this._renderSearchMatch(this._search) : ''}
+          <div class="input-line ${this.busy && !this._reading ? 'busy' : ''}">
+            ${this.busy && !this._reading
+              ? html`<span class="spinner" role="status" aria-label="Running"></span>`
+              : html`<span class="${this._promptClasses}">${this._currentPrompt}</span>`}
+            <input
+              type="text"
+              ?readonly=${this.busy && !this._reading}
+              .value=${this._inputValue}
+              @input=${this.handleInput}
+              @keydown=${this.handleKeydown}
+              autocomplete="off"
+              spellcheck="false"
+            />
+          </div>
         </div>
       </div>
     `;
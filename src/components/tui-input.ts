@@ -3,6 +3,7 @@ import { LitElement, html, css } from 'lit';
 import { customElement, property } from 'lit/decorators.js';
 import { sharedStyles } from '../styles/shared.js';
 import type { TuiEvent, InputData } from '../protocol/types';
+import { warnInvalidEvent } from '../protocol/validate.js';
 
 /**
  * Text input.
@@ -65,6 +66,7 @@ export class Input extends LitElement {
   ];
 
   handleEvent(event: TuiEvent): void {
+    warnInvalidEvent(this.localName, event);
     if (event.type === 'clear') {
       this.value = '';
       return;
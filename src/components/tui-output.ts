@@ -1,34 +1,142 @@
 import { LitElement, html, css } from 'lit';
 import { customElement, property, state } from 'lit/decorators.js';
 import { sharedStyles } from '../styles/shared.js';
-import { ansiToHtml } from '../utils/ansi.js';
-import type { TuiEvent, LogData } from '../protocol/types';
+import { AnsiStream, ansiToSpans, linkFromEvent, markSpans } from '../utils/ansi.js';
+import type { AnsiLine, AnsiSpan } from '../utils/ansi.js';
+import { ansiSpans } from '../utils/ansi-directive.js';
+import { RingBuffer, VirtualWindow } from '../utils/virtual-list.js';
+import { exportLines, selectedRows, copyText, downloadText } from '../utils/export.js';
+import type { ExportFormat, ExportLine } from '../utils/export.js';
+import type { TuiEvent, LogData, GroupData } from '../protocol/types';
+import { warnInvalidEvent } from '../protocol/validate.js';
 
 // ═══════════════════════════════════════════════════════════════════════════════
 // TYPES
 // ═══════════════════════════════════════════════════════════════════════════════
 
+type LogLevel = NonNullable<LogData['level']>;
+type GroupStatus = NonNullable<GroupData['status']>;
+
+/** A foldable section, opened by a `group` event or a `::group::` line */
+interface OutputGroup {
+  /** Id of the header line */
+  headerId: number;
+  parent: OutputGroup | null;
+  /** 0 for a top-level group */
+  depth: number;
+  started: number;
+  ended: number | null;
+  status: GroupStatus | null;
+  /** Error lines inside, nested groups included */
+  errors: number;
+  collapsed: boolean;
+  /** Id of the last line inside, once ended; drawn with └ */
+  lastId: number | null;
+}
+
 interface OutputLine {
+  /** Increases by one per line, so a line's row is `id - first.id` */
   id: number;
   text: string;
-  html: string;
+  spans: AnsiSpan[];
   timestamp: string | null;
+  level: LogLevel | null;
+  /** Innermost group the line is in */
+  group: OutputGroup | null;
+  /** Set on a group's header line */
+  heads?: OutputGroup;
 }
 
+interface SearchMatch {
+  line: OutputLine;
+  start: number;
+  end: number;
+}
+
+export interface SearchOptions {
+  /** Treat the query as a regular expression */
+  regex?: boolean;
+  /** Match case exactly */
+  caseSensitive?: boolean;
+  /** Hide lines without a match */
+  filter?: boolean;
+}
+
+const LEVELS: LogLevel[] = ['info', 'warn', 'error'];
+
+/** Severity order for `min-level`; lines without a level count as info */
+const LEVEL_RANK: Record<LogLevel, number> = { info: 0, warn: 1, error: 2 };
+
+/** Gutter glyphs, as tui-status uses */
+const LEVEL_GLYPHS: Record<LogLevel, string> = {
+  info: 'ℹ',
+  warn: '⚠',
+  error: '✗',
+};
+
+const escapeRegExp = (text: string) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/** GitHub Actions-style fold markers, which most CI scripts already print */
+const GROUP_START = /^::group::(.*)$/;
+const GROUP_END = /^::endgroup::\s*$/;
+
+/** 350ms, 4.2s, 3m 07s */
+function formatDuration(ms: number): string {
+  if (ms < 1000) return `${Math.max(0, Math.round(ms))}ms`;
+  const seconds = ms / 1000;
+  if (seconds < 60) return `${seconds.toFixed(1)}s`;
+  return `${Math.floor(seconds / 60)}m ${String(Math.floor(seconds % 60)).padStart(2, '0')}s`;
+}
+
+/** The copy button's text, by copy status */
+const COPY_LABELS = { '': '⧉ copy', copied: '✓ copied', failed: '✗ copy failed' };
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // COMPONENT
 // ═══════════════════════════════════════════════════════════════════════════════
 
 /**
  * <tui-output> - Scrolling log output with ANSI color support
- * 
+ *
  * @attr {number} max-lines - Maximum lines to keep (default: 500)
  * @attr {boolean} autoscroll - Auto-scroll to bottom on new content
  * @attr {boolean} timestamps - Show timestamps on each line
  * @attr {string} attr - Space-separated text attributes applied to the output container (bold, dim, italic, etc.)
+ * @attr {boolean} autolink - Link bare URLs and `path:line:col` references in appended text
+ * @attr {string} min-level - Hide lines below this level: info | warn | error (default: '' shows all)
+ * @attr {string} hide-levels - Space-separated levels to hide, e.g. "info warn"
+ * @attr {number} error-count - Error lines since the last clear (read-only, reflected)
+ * @attr {number} warn-count - Warning lines since the last clear (read-only, reflected)
+ * @attr {boolean} actions - Show copy and save buttons above the output
+ * @attr {boolean} autocollapse - Fold groups that end successfully (default: true)
+ *
+ * @fires tui-output-link - When a link in the output is clicked (detail: { text, href?, path?, line?, column? }). Cancelable
+ * @fires tui-output-search - When the match count or current match changes (detail: { query, matches, current })
+ * @fires tui-output-count - When the error or warning count changes (detail: { errorCount, warnCount })
+ * @fires tui-output-copy - When lines are copied to the clipboard (detail: { text, lines })
  *
  * @method append(text) - Add a line of text
+ * @method log(text, level?) - Add a line of text at a level (default: info)
+ * @method write(chunk) - Add raw output (string or UTF-8 bytes); a partial line shows until its newline arrives
  * @method clear() - Clear all output
+ * @method search(query, options?) - Open the search bar, highlight matches and jump to the first; returns the match count
+ * @method nextMatch() - Move to the next match
+ * @method previousMatch() - Move to the previous match
+ * @method closeSearch() - Close the search bar, clearing highlights and filters
+ * @method toggleLevel(level, visible?) - Show or hide one level's lines
+ * @method group(title) - Open a foldable group; lines go inside it until groupEnd()
+ * @method groupEnd(status?) - Close the innermost group: 'success' | 'error' (default: error if it logged one)
+ * @method exportText() - The lines shown (after filters) as plain text, with timestamps
+ * @method exportAnsi() - The lines shown as ANSI text
+ * @method exportHtml() - The lines shown as a `<pre>` of `ansi-*` classed spans
+ * @method copy(range?) - Copy rows [first, last] to the clipboard; default the selected lines, else all
+ * @method download(filename?) - Save the lines shown as a .log file
+ *
+ * Lines `::group::Title` and `::endgroup::` open and close groups too, as do
+ * protocol `group` events. Click a group's header to fold or unfold it.
+ *
+ * Keyboard: Ctrl+F or `/` opens search; in the search box Enter / Shift+Enter
+ * step through matches and Escape closes. Ctrl+Alt+C copies, Ctrl+Alt+S saves.
  */
 @customElement('tui-output')
 export class Output extends LitElement {
@@ -44,8 +152,91 @@ export class Output extends LitElement {
   @property({ type: String })
   attr = '';
 
+  @property({ type: Boolean })
+  autolink = false;
+
+  @property({ type: String, attribute: 'min-level' })
+  minLevel: LogLevel | '' = '';
+
+  @property({ type: String, attribute: 'hide-levels' })
+  hideLevels = '';
+
+  /** Error lines since the last clear, evicted ones included */
+  @property({ type: Number, attribute: 'error-count', reflect: true })
+  errorCount = 0;
+
+  /** Warning lines since the last clear, evicted ones included */
+  @property({ type: Number, attribute: 'warn-count', reflect: true })
+  warnCount = 0;
+
+  @property({ type: Boolean })
+  actions = false;
+
+  @property({ type: Boolean })
+  autocollapse = true;
+
+  /** Newest `maxLines` lines; appends are O(1), so updates come from requestUpdate() */
+  private _lines = new RingBuffer<OutputLine>(this.maxLines);
+
+  private _nextId = 0;
+
+  /** The line `write()` has started but not finished */
+  @state()
+  private _pending: OutputLine | null = null;
+
+  private _stream = new AnsiStream();
+
+  /** Group new lines go into */
+  private _openGroup: OutputGroup | null = null;
+
+  /** Groups folded shut; while any are, rows come from the filtered list */
+  private _collapsedCount = 0;
+
+  private _lastId = -1;
+
+  /** Which rows are on screen; only those are rendered */
+  private _window = new VirtualWindow(this, () => this.shadowRoot?.querySelector('.output'));
+
+  // ─── Search state ───
+
+  @state()
+  private _searchOpen = false;
+
   @state()
-  private _lines: OutputLine[] = [];
+  private _query = '';
+
+  @state()
+  private _regex = false;
+
+  @state()
+  private _caseSensitive = false;
+
+  @state()
+  private _filterMode = false;
+
+  /** Compiled query, or null when there is nothing to search for or the regex is invalid */
+  private _pattern: RegExp | null = null;
+
+  @state()
+  private _patternError = false;
+
+  /** Every match in the buffer, oldest first */
+  private _matches: SearchMatch[] = [];
+
+  @state()
+  private _current = -1;
+
+  /** Lines that pass the filters, oldest first; null when nothing is filtered */
+  private _filtered: OutputLine[] | null = null;
+
+  /** Last search state reported, so tui-output-search fires on changes only */
+  private _reported = '';
+
+  private _reportedCounts = '0,0';
+
+  /** Set briefly after a copy, for the button's feedback */
+  @state()
+  private _copyStatus: '' | 'copied' | 'failed' = '';
 
   static styles = [
     sharedStyles,
@@ -56,8 +247,19 @@ export class Output extends LitElement {
         overflow: hidden;
       }
 
-      .output {
+      :host(:focus) {
+        outline: none;
+      }
+
+      .frame {
+        display: flex;
+        flex-direction: column;
         height: 100%;
+      }
+
+      .output {
+        flex: 1;
+        min-height: 0;
         overflow-y: auto;
         background: var(--surface-base);
         padding: 4px var(--spacing-sm);
@@ -65,6 +267,16 @@ export class Output extends LitElement {
         line-height: 1.3;
       }
 
+      /* Virtualized: the spacer is as tall as every line, the rows inside it
+         are only the visible ones, moved into place with a transform */
+      .spacer {
+        position: relative;
+      }
+
+      .rows {
+        will-change: transform;
+      }
+
       .line {
         white-space: nowrap;
         overflow: hidden;
@@ -78,11 +290,152 @@ export class Output extends LitElement {
         margin-right: 0.4em;
       }
 
+      /* ─── Groups ─── */
+      .guides {
+        color: var(--border-default);
+      }
+
+      .group-header {
+        cursor: pointer;
+        color: var(--text-primary);
+        font-weight: bold;
+      }
+
+      .group-header:hover {
+        background: var(--surface-elevated);
+      }
+
+      .fold {
+        color: var(--color-primary);
+        margin-right: 0.4em;
+      }
+
+      .group-header.status-success .gutter {
+        color: var(--color-success);
+      }
+
+      .duration {
+        color: var(--text-muted);
+        font-weight: normal;
+        margin-left: 0.6em;
+      }
+
+      .actions {
+        display: flex;
+        justify-content: flex-end;
+        gap: var(--spacing-xs);
+        padding: 0 var(--spacing-sm);
+        background: var(--surface-elevated);
+        border-bottom: 1px solid var(--border-default);
+        font-size: var(--font-size-xs, 0.6rem);
+        flex-shrink: 0;
+      }
+
+      .actions button {
+        background: none;
+        border: none;
+        color: var(--text-muted);
+        font-family: inherit;
+        font-size: inherit;
+        cursor: pointer;
+      }
+
+      .actions button:hover {
+        color: var(--text-primary);
+      }
+
+      .gutter {
+        display: inline-block;
+        width: 1.2em;
+      }
+
+      .level-info .gutter {
+        color: var(--color-info);
+      }
+
+      .level-warn {
+        color: var(--color-warning);
+      }
+
+      .level-error {
+        color: var(--color-error);
+      }
+
       .empty {
         color: var(--text-muted);
         font-style: italic;
       }
 
+      /* ─── Search bar ─── */
+      .search {
+        display: flex;
+        align-items: center;
+        gap: var(--spacing-xs);
+        padding: 2px var(--spacing-sm);
+        background: var(--surface-elevated);
+        border-bottom: 1px solid var(--border-default);
+        font-size: var(--font-size-xs, 0.6rem);
+        flex-shrink: 0;
+      }
+
+      .search-prompt {
+        color: var(--color-primary);
+      }
+
+      .search input {
+        flex: 1;
+        min-width: 4em;
+        background: transparent;
+        border: none;
+        color: var(--text-primary);
+        font-family: inherit;
+        font-size: inherit;
+        outline: none;
+        caret-color: var(--color-primary);
+      }
+
+      .search input.invalid {
+        color: var(--color-error);
+      }
+
+      .search-count {
+        color: var(--text-muted);
+        white-space: nowrap;
+      }
+
+      .search button {
+        background: none;
+        border: 1px solid transparent;
+        color: var(--text-muted);
+        font-family: inherit;
+        font-size: inherit;
+        padding: 0 0.3em;
+        cursor: pointer;
+      }
+
+      .search button:hover {
+        color: var(--text-primary);
+      }
+
+      .search button[aria-pressed="true"] {
+        color: var(--color-primary);
+        border-color: var(--color-primary);
+      }
+
+      .search button.level-toggle[aria-pressed="false"] {
+        color: var(--text-muted);
+        text-decoration: line-through;
+      }
+
+      mark.tui-match {
+        background: var(--color-warning);
+        color: var(--surface-base);
+      }
+
+      mark.tui-match.current {
+        background: var(--color-primary);
+      }
+
       /* Scrollbar styling */
       .output::-webkit-scrollbar {
         width: 8px;
@@ -103,25 +456,183 @@ export class Output extends LitElement {
     `,
   ];
 
+  connectedCallback(): void {
+    super.connectedCallback();
+    // Focusable, so Ctrl+F and `/` reach it
+    if (!this.hasAttribute('tabindex')) this.tabIndex = 0;
+    this.addEventListener('keydown', this._handleKeydown);
+  }
+
+  disconnectedCallback(): void {
+    super.disconnectedCallback();
+    this.removeEventListener('keydown', this._handleKeydown);
+  }
+
   /**
-   * Append a line of text (supports ANSI codes)
+   * Append a line of text (supports ANSI codes). Colours left open carry on
+   * to the next line, as they would in a terminal.
    * @param text - Text to append
    */
   append(text: string): void {
-    const timestamp = this.timestamps 
-      ? new Date().toLocaleTimeString('en-US', { hour12: false })
-      : null;
-    
-    const newLines: OutputLine[] = text.split('\n').map(line => ({
-      id: Date.now() + Math.random(),
-      text: line,
-      html: ansiToHtml(line),
-      timestamp,
-    }));
+    this._write(`${text}\n`, null);
+  }
+
+  /**
+   * Append a line of text at a log level: it is coloured and marked in the
+   * gutter, counted, and subject to `min-level` and `hide-levels`.
+   * @param text - Text to append
+   * @param level - info, warn or error
+   */
+  log(text: string, level: LogLevel = 'info'): void {
+    this._write(`${text}\n`, level);
+  }
 
-    this._lines = [...this._lines, ...newLines].slice(-this.maxLines);
+  /**
+   * Write raw output, as it arrives from a socket or pipe. Chunks may split
+   * lines or escape sequences anywhere; the unfinished last line is shown
+   * and updated in place until its newline arrives.
+   * @param chunk - Text, or UTF-8 bytes
+   */
+  write(chunk: string | Uint8Array | ArrayBuffer): void {
+    this._write(chunk, null);
+  }
 
-    if (this.autoscroll && this._isNearBottom()) {
+  private _write(chunk: string | Uint8Array | ArrayBuffer, level: LogLevel | null): void {
+    const follow = this._following();
+    this._stream.autolink = this.autolink;
+    const finished = this._stream.write(chunk);
+    const pending = this._stream.pending;
+
+    if (finished.length) {
+      const timestamp = this._timestamp();
+      for (const line of finished) {
+        const start = GROUP_START.exec(line.text);
+        if (start) this._startGroup(start[1].trim(), Date.now());
+        else if (GROUP_END.test(line.text)) this._endGroup(null, Date.now());
+        else this._addLine(this._toOutputLine(line, timestamp, level));
+      }
+    }
+    this._pending = pending ? this._toOutputLine(pending, null, level, -1) : null;
+    this._settle(follow);
+  }
+
+  /**
+   * Open a group. Lines that follow go inside it, indented under a header
+   * that folds them away, until groupEnd(). Groups nest.
+   * @param title - Header text (supports ANSI codes)
+   */
+  group(title: string): void {
+    const follow = this._following();
+    this._startGroup(title, Date.now());
+    this._settle(follow);
+  }
+
+  /**
+   * Close the innermost open group and show how long it ran. A group that
+   * succeeds folds itself away, unless `autocollapse` is off.
+   * @param status - 'success' or 'error'; by default, error if an error-level line was logged inside
+   */
+  groupEnd(status?: GroupStatus): void {
+    const follow = this._following();
+    this._endGroup(status ?? null, Date.now());
+    this._settle(follow);
+  }
+
+  private _startGroup(title: string, time: number): void {
+    const parent = this._openGroup;
+    const id = this._nextId++;
+    const spans = ansiToSpans(title)[0] ?? [];
+    const group: OutputGroup = {
+      headerId: id,
+      parent,
+      depth: parent ? parent.depth + 1 : 0,
+      started: time,
+      ended: null,
+      status: null,
+      errors: 0,
+      collapsed: false,
+      lastId: null,
+    };
+    this._addLine({
+      id,
+      text: spans.map(span => span.text).join(''),
+      spans,
+      timestamp: this._timestamp(),
+      level: null,
+      group: parent,
+      heads: group,
+    });
+    this._openGroup = group;
+  }
+
+  private _endGroup(status: GroupStatus | null, time: number): void {
+    const group = this._openGroup;
+    // An end without a start has nothing to close
+    if (!group) return;
+    group.ended = time;
+    group.status = status ?? (group.errors ? 'error' : 'success');
+    group.lastId = this._lastId > group.headerId ? this._lastId : null;
+    this._openGroup = group.parent;
+    if (group.status === 'success' && this.autocollapse) this._fold(group);
+  }
+
+  /** Fold a group that has just ended: everything shown after its header is inside it. */
+  private _fold(group: OutputGroup): void {
+    group.collapsed = true;
+    this._collapsedCount++;
+    if (!this._filtered) {
+      this._rebuild();
+      return;
+    }
+    let lo = 0;
+    let hi = this._filtered.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (this._filtered[mid].id <= group.headerId) lo = mid + 1;
+      else hi = mid;
+    }
+    this._filtered.splice(lo);
+  }
+
+  private _toggleGroup(group: OutputGroup): void {
+    group.collapsed = !group.collapsed;
+    this._collapsedCount += group.collapsed ? 1 : -1;
+    this._rebuild();
+  }
+
+  /** Whether a collapsed group hides the line */
+  private _folded(line: OutputLine): boolean {
+    for (let group = line.group; group; group = group.parent) {
+      if (group.collapsed) return true;
+    }
+    return false;
+  }
+
+  /** Unfold every group around a line; true if any was folded */
+  private _unfoldTo(line: OutputLine): boolean {
+    let changed = false;
+    for (let group = line.group; group; group = group.parent) {
+      if (group.collapsed) {
+        group.collapsed = false;
+        this._collapsedCount--;
+        changed = true;
+      }
+    }
+    return changed;
+  }
+
+  private _timestamp(): string | null {
+    return this.timestamps ? new Date().toLocaleTimeString('en-US', { hour12: false }) : null;
+  }
+
+  /** Whether new output should keep the view pinned to the bottom */
+  private _following(): boolean {
+    return this.autoscroll && this._isNearBottom();
+  }
+
+  private _settle(follow: boolean): void {
+    this.requestUpdate();
+    if (follow) {
       this.updateComplete.then(() => this.scrollToBottom());
     }
   }
@@ -130,19 +641,424 @@ export class Output extends LitElement {
    * Clear all output
    */
   clear(): void {
-    this._lines = [];
+    this._lines.clear();
+    this._pending = null;
+    this._stream.reset();
+    this._openGroup = null;
+    this._collapsedCount = 0;
+    this._current = -1;
+    this.errorCount = 0;
+    this.warnCount = 0;
+    this._rebuild();
+  }
+
+  /**
+   * Show or hide the lines of one level, as the toggles in the search bar do.
+   * @param level - info, warn or error
+   * @param visible - Force shown or hidden; toggles when left out
+   */
+  toggleLevel(level: LogLevel, visible?: boolean): void {
+    const hidden = this._hiddenLevels;
+    const show = visible ?? hidden.has(level);
+    if (show) hidden.delete(level);
+    else hidden.add(level);
+    this.hideLevels = LEVELS.filter(l => hidden.has(l)).join(' ');
   }
 
   /** Accept a protocol event */
   handleEvent(event: TuiEvent): void {
+    warnInvalidEvent(this.localName, event);
     if (event.type === 'clear') {
       this.clear();
       return;
     }
+    if (event.type === 'group') {
+      const group = event.data as unknown as GroupData;
+      const follow = this._following();
+      const time = event.timestamp ?? Date.now();
+      if (group.action === 'end') this._endGroup(group.status ?? null, time);
+      else this._startGroup(group.title ?? '', time);
+      this._settle(follow);
+      return;
+    }
     const data = event.data as unknown as LogData;
     if (data.message != null) {
-      this.append(data.message);
+      this._write(`${data.message}\n`, data.level ?? null);
+    }
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // SEARCH
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  /**
+   * Search the output: opens the search bar, highlights every match and
+   * scrolls to the first one at or below the top of the view.
+   * @param query - Text (or a regular expression, with `regex`) to find
+   * @param options - Toggles; any left out keep their current setting
+   * @returns Number of matches
+   */
+  search(query: string, options: SearchOptions = {}): number {
+    this._searchOpen = true;
+    this._query = query;
+    if (options.regex !== undefined) this._regex = options.regex;
+    if (options.caseSensitive !== undefined) this._caseSensitive = options.caseSensitive;
+    if (options.filter !== undefined) this._filterMode = options.filter;
+    this._rebuild();
+    this._current = this._firstMatchInView();
+    this._revealCurrent();
+    return this._matches.length;
+  }
+
+  /** Move to the next match, wrapping at the end */
+  nextMatch(): void {
+    this._step(1);
+  }
+
+  /** Move to the previous match, wrapping at the start */
+  previousMatch(): void {
+    this._step(-1);
+  }
+
+  /** Close the search bar, clearing highlights and filters. The query is kept for next time. */
+  closeSearch(): void {
+    if (!this._searchOpen) return;
+    this._searchOpen = false;
+    this._rebuild();
+    this.focus();
+  }
+
+  private _openSearch(): void {
+    this._searchOpen = true;
+    this._rebuild();
+    this.updateComplete.then(() => {
+      const input = this.shadowRoot?.querySelector<HTMLInputElement>('.search input');
+      input?.focus();
+      input?.select();
+    });
+  }
+
+  private _step(direction: number): void {
+    const count = this._matches.length;
+    if (!count) return;
+    this._current = (this._current + direction + count) % count;
+    this._revealCurrent();
+  }
+
+  /** True when a query is being highlighted */
+  private get _searching(): boolean {
+    return this._searchOpen && this._pattern !== null;
+  }
+
+  /** Compile the query and rescan the whole buffer. */
+  private _rebuild(): void {
+    this._pattern = null;
+    this._patternError = false;
+    if (this._searchOpen && this._query) {
+      try {
+        const source = this._regex ? this._query : escapeRegExp(this._query);
+        this._pattern = new RegExp(source, this._caseSensitive ? 'g' : 'gi');
+      } catch {
+        this._patternError = true;
+      }
     }
+
+    this._matches = [];
+    const filtering = (this._searchOpen && this._filterMode && this._pattern)
+      || this._filteringLevels
+      || this._collapsedCount > 0;
+    this._filtered = filtering ? [] : null;
+    for (const line of this._lines) this._index(line);
+    this._current = Math.min(this._current, this._matches.length - 1);
+    if (this._current < 0 && this._matches.length) this._current = 0;
+    this.requestUpdate();
+  }
+
+  /** Record a line's matches, and keep it if it passes the filters. */
+  private _index(line: OutputLine): void {
+    const ranges = this._searching ? this._find(line.text) : [];
+    for (const [start, end] of ranges) this._matches.push({ line, start, end });
+    if (this._filtered && this._passes(line, ranges.length > 0)) this._filtered.push(line);
+  }
+
+  private _passes(line: OutputLine, matched: boolean): boolean {
+    if (this._collapsedCount && this._folded(line)) return false;
+    // Headers have no level of their own; they stay as the outline of the log
+    if (!line.heads && !this._levelShown(line.level ?? 'info')) return false;
+    return !(this._searching && this._filterMode) || matched;
+  }
+
+  private get _hiddenLevels(): Set<string> {
+    return new Set(this.hideLevels.split(/\s+/).filter(Boolean));
+  }
+
+  private get _filteringLevels(): boolean {
+    return Boolean(this.minLevel) || this._hiddenLevels.size > 0;
+  }
+
+  private _levelShown(level: LogLevel): boolean {
+    if (this.minLevel && LEVEL_RANK[level] < (LEVEL_RANK[this.minLevel] ?? 0)) return false;
+    return !this._hiddenLevels.has(level);
+  }
+
+  /** [start, end) of each non-empty match of the query in `text` */
+  private _find(text: string): Array<[number, number]> {
+    const pattern = this._pattern;
+    if (!pattern) return [];
+    const ranges: Array<[number, number]> = [];
+    pattern.lastIndex = 0;
+    let match: RegExpExecArray | null;
+    while ((match = pattern.exec(text))) {
+      if (match[0].length === 0) {
+        pattern.lastIndex++;
+        continue;
+      }
+      ranges.push([match.index, match.index + match[0].length]);
+    }
+    return ranges;
+  }
+
+  private _addLine(line: OutputLine): void {
+    if (line.level === 'error') {
+      this.errorCount++;
+      for (let group = line.group; group; group = group.parent) group.errors++;
+    } else if (line.level === 'warn') {
+      this.warnCount++;
+    }
+    this._lastId = line.id;
+    const evicted = this._lines.push(line);
+    // A folded group whose header scrolls away could never be opened again
+    if (evicted?.heads?.collapsed) {
+      evicted.heads.collapsed = false;
+      this._collapsedCount--;
+      this._rebuild();
+      return;
+    }
+    if (evicted) {
+      let dropped = 0;
+      while (this._matches[dropped]?.line === evicted) dropped++;
+      if (dropped) {
+        this._matches.splice(0, dropped);
+        this._current = this._matches.length ? Math.max(0, this._current - dropped) : -1;
+      }
+      if (this._filtered?.[0] === evicted) this._filtered.shift();
+    }
+    this._index(line);
+    if (this._current < 0 && this._matches.length) this._current = 0;
+  }
+
+  /** The first match on or after the top row in view, else the first match */
+  private _firstMatchInView(): number {
+    if (!this._matches.length) return -1;
+    const top = this._window.firstRow;
+    const index = this._matches.findIndex(match => this._rowOf(match.line) >= top);
+    return index === -1 ? 0 : index;
+  }
+
+  private _revealCurrent(): void {
+    const match = this._matches[this._current];
+    if (!match) return;
+    if (this._unfoldTo(match.line)) this._rebuild();
+    this.updateComplete.then(() => this._window.scrollToRow(this._rowOf(match.line)));
+  }
+
+  /** Row index of a line in the current view (filtered or not) */
+  private _rowOf(line: OutputLine): number {
+    if (!this._filtered) return line.id - (this._lines.at(0)?.id ?? 0);
+    // Ids increase along the list, so binary search
+    let lo = 0;
+    let hi = this._filtered.length - 1;
+    while (lo <= hi) {
+      const mid = (lo + hi) >> 1;
+      const id = this._filtered[mid].id;
+      if (id === line.id) return mid;
+      if (id < line.id) lo = mid + 1;
+      else hi = mid - 1;
+    }
+    return lo;
+  }
+
+  private _handleKeydown = (e: KeyboardEvent): void => {
+    const inSearch = e.composedPath()[0] instanceof HTMLInputElement;
+    if ((e.ctrlKey || e.metaKey) && e.altKey && (e.code === 'KeyC' || e.code === 'KeyS')) {
+      e.preventDefault();
+      if (e.code === 'KeyC') this._copyFromUi();
+      else this.download();
+    } else if ((e.ctrlKey || e.metaKey) && e.key === 'f') {
+      e.preventDefault();
+      this._openSearch();
+    } else if (e.key === '/' && !inSearch && !e.ctrlKey && !e.metaKey && !e.altKey) {
+      e.preventDefault();
+      this._openSearch();
+    }
+  };
+
+  private _handleSearchKeydown(e: KeyboardEvent): void {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      this._step(e.shiftKey ? -1 : 1);
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      this.closeSearch();
+    }
+  }
+
+  private _handleSearchInput(e: Event): void {
+    this._query = (e.target as HTMLInputElement).value;
+    this._rebuild();
+    this._current = this._firstMatchInView();
+    this._revealCurrent();
+  }
+
+  private _toggle(option: '_regex' | '_caseSensitive' | '_filterMode'): void {
+    this[option] = !this[option];
+    this._rebuild();
+    this._revealCurrent();
+  }
+
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // EXPORT
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  /** The lines shown, after level and search filters, as plain text with timestamps */
+  exportText(): string {
+    return this._export('text');
+  }
+
+  /** The lines shown, after filters, as ANSI text */
+  exportAnsi(): string {
+    return this._export('ansi');
+  }
+
+  /** The lines shown, after filters, as HTML */
+  exportHtml(): string {
+    return this._export('html');
+  }
+
+  /**
+   * Copy rows to the clipboard as plain text.
+   * @param range - First and last row (inclusive) of the lines shown; defaults
+   *   to the lines the user has selected, or every line when nothing is
+   * @returns Resolves once the clipboard has the text
+   */
+  async copy(range?: [number, number]): Promise<void> {
+    const [first, last] = range ?? selectedRows(this.shadowRoot!) ?? [0, this._rowCount - 1];
+    const lines = this._rows(first, last + 1).map(line => this._exportLine(line));
+    const text = exportLines(lines, 'text');
+    await copyText(text);
+    this._flashCopyStatus('copied');
+    this.dispatchEvent(new CustomEvent('tui-output-copy', {
+      detail: { text, lines: lines.length },
+      bubbles: true,
+      composed: true,
+    }));
+  }
+  /** Copy for the button and Ctrl+Alt+C, where nobody awaits the promise: a refused clipboard shows on the button */
+  private _copyFromUi(): void {
+    this.copy().catch((err: unknown) => {
+      console.warn(`<${this.localName}>: copy failed`, err);
+      this._flashCopyStatus('failed');
+    });
+  }
+
+  private _flashCopyStatus(status: 'copied' | 'failed'): void {
+    this._copyStatus = status;
+    setTimeout(() => { this._copyStatus = ''; }, 1500);
+  }
+
+
+  /**
+   * Save the lines shown as a text file.
+   * @param filename - Defaults to the element's id (or "output") plus `.log`
+   */
+  download(filename = `${this.id || 'output'}.log`): void {
+    downloadText(this.exportText(), filename);
+  }
+
+  private _export(format: ExportFormat): string {
+    return exportLines(this._rows(0, this._rowCount).map(line => this._exportLine(line)), format);
+  }
+
+  /** Group headers export as shown: fold glyph, title and duration */
+  private _exportLine(line: OutputLine): ExportLine {
+    const group = line.heads;
+    if (!group) return line;
+    const duration = group.ended === null ? '' : ` (${formatDuration(group.ended - group.started)})`;
+    return {
+      ...line,
+      prefix: group.collapsed ? '▸ ' : '▾ ',
+      text: line.text + duration,
+      spans: duration ? [...line.spans, ...(ansiToSpans(duration)[0] ?? [])] : line.spans,
+    };
+  }
+
+  /** Rows [start, end) of the lines shown */
+  private _rows(start: number, end: number): OutputLine[] {
+    const rows: OutputLine[] = [];
+    for (let i = Math.max(0, start); i < Math.min(end, this._rowCount); i++) rows.push(this._rowAt(i));
+    return rows;
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // RENDERING
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  willUpdate(changedProperties: Map<string, unknown>): void {
+    if (changedProperties.has('maxLines')) this._lines.resize(this.maxLines);
+    const refilter = changedProperties.has('minLevel') || changedProperties.has('hideLevels');
+    if (refilter || (changedProperties.has('maxLines') && (this._searchOpen || this._filtered))) {
+      this._rebuild();
+    }
+  }
+
+  updated(): void {
+    this._reportCounts();
+    this._reportSearch();
+  }
+
+  private _reportCounts(): void {
+    const counts = `${this.errorCount},${this.warnCount}`;
+    if (counts === this._reportedCounts) return;
+    this._reportedCounts = counts;
+    this.dispatchEvent(new CustomEvent('tui-output-count', {
+      detail: { errorCount: this.errorCount, warnCount: this.warnCount },
+      bubbles: true,
+      composed: true,
+    }));
+  }
+
+  private _reportSearch(): void {
+    const matches = this._searching ? this._matches.length : 0;
+    const current = this._searching ? this._current + 1 : 0;
+    const query = this._searchOpen ? this._query : '';
+    const report = JSON.stringify([query, matches, current]);
+    if (report === this._reported) return;
+    const first = this._reported === '';
+    this._reported = report;
+    // Nothing to report until a search has happened
+    if (first && !query) return;
+    this.dispatchEvent(new CustomEvent('tui-output-search', {
+      detail: { query, matches, current },
+      bubbles: true,
+      composed: true,
+    }));
+  }
+
+  private _toOutputLine(
+    line: AnsiLine,
+    timestamp: string | null,
+    level: LogLevel | null,
+    id = this._nextId++,
+  ): OutputLine {
+    return {
+      id,
+      text: line.text,
+      spans: line.spans,
+      timestamp,
+      level,
+      group: this._openGroup,
+    };
   }
 
   /** Check if the user is scrolled near the bottom (within 1 line height) */
@@ -157,25 +1073,183 @@ export class Output extends LitElement {
     const output = this.shadowRoot?.querySelector('.output');
     if (output) {
       output.scrollTop = output.scrollHeight;
+      this._window.sync();
     }
   }
 
+  /**
+   * Report link clicks to the host. Preventing the event also stops the
+   * browser following an href, so a host can open `file://` links in an editor.
+   */
+  private _handleLinkClick(e: MouseEvent): void {
+    const detail = linkFromEvent(e);
+    if (!detail) return;
+    const event = new CustomEvent('tui-output-link', {
+      detail,
+      bubbles: true,
+      composed: true,
+      cancelable: true,
+    });
+    if (!this.dispatchEvent(event)) e.preventDefault();
+  }
+
   private get _attrClasses(): string {
     return this.attr.split(/\s+/).filter(Boolean).map(a => `tui-${a}`).join(' ');
   }
 
+  /** The pending line, if it passes the filters; it is never indexed, so it is checked as it stands */
+  private get _pendingShown(): OutputLine | null {
+    const pending = this._pending;
+    if (!pending || !this._filtered) return pending;
+    return this._passes(pending, this._searching && this._find(pending.text).length > 0) ? pending : null;
+  }
+
+  /** Lines shown: every line, or the filtered list, then the pending one */
+  private get _rowCount(): number {
+    const lines = this._filtered ? this._filtered.length : this._lines.length;
+    return lines + (this._pendingShown ? 1 : 0);
+  }
+
+  private _rowAt(index: number): OutputLine {
+    if (this._filtered) return index < this._filtered.length ? this._filtered[index] : this._pendingShown!;
+    return index < this._lines.length ? this._lines.at(index)! : this._pendingShown!;
+  }
+
+  /** The line's spans with search matches marked */
+  private _highlighted(line: OutputLine): AnsiSpan[] {
+    if (!this._searching) return line.spans;
+    const currentMatch = this._matches[this._current];
+    const ranges = this._find(line.text).map(([start, end]) => ({
+      start,
+      end,
+      current: currentMatch?.line === line && currentMatch.start === start,
+    }));
+    return markSpans(line.spans, ranges);
+  }
+
+  /** Box-draw guides, one per enclosing group; └ marks a group's last line */
+  private _guides(line: OutputLine): string {
+    let guides = '';
+    for (let group = line.group; group; group = group.parent) {
+      guides = (group === line.group && group.lastId === line.id ? '└ ' : '│ ') + guides;
+    }
+    return guides;
+  }
+
+  private _renderLine(line: OutputLine, row: number) {
+    const group = line.heads;
+    if (group) return this._renderHeader(line, group, row);
+    const level = line.level;
+    const spans = this._highlighted(line);
+    return html`
+      <div class="line ${level ? `level-${level}` : ''}" data-row=${row}>
+        ${line.group ? html`<span class="guides">${this._guides(line)}</span>` : ''}
+        ${level ? html`<span class="gutter" aria-label=${level}>${LEVEL_GLYPHS[level]}</span>` : ''}
+        ${line.timestamp ? html`<span class="timestamp">[${line.timestamp}]</span>` : ''}
+        <span>${ansiSpans(spans)}</span>
+      </div>
+    `;
+  }
+
+  private _renderHeader(line: OutputLine, group: OutputGroup, row: number) {
+    const failed = group.status === 'error';
+    return html`
+      <div
+        class="line group-header ${group.status ? `status-${group.status}` : ''} ${failed ? 'level-error' : ''}"
+        data-row=${row}
+        role="button"
+        aria-expanded=${!group.collapsed}
+        @click=${() => this._toggleGroup(group)}
+      >
+        ${line.group ? html`<span class="guides">${this._guides(line)}</span>` : ''}
+        <span class="fold">${group.collapsed ? '▸' : '▾'}</span>
+        ${group.status ? html`<span class="gutter">${failed ? LEVEL_GLYPHS.error : '✓'}</span>` : ''}
+        ${line.timestamp ? html`<span class="timestamp">[${line.timestamp}]</span>` : ''}
+        <span>${ansiSpans(this._highlighted(line))}</span>
+        ${group.ended !== null ? html`<span class="duration">${formatDuration(group.ended - group.started)}</span>` : ''}
+      </div>
+    `;
+  }
+
+  private _renderRows() {
+    const total = this._rowCount;
+    const [start, end] = this._window.range(total);
+    const rows: OutputLine[] = [];
+    for (let i = start; i < end; i++) rows.push(this._rowAt(i));
+    return html`
+      <div class="spacer" style="height: ${this._window.height(total)}px">
+        <div class="rows" style="transform: translateY(${this._window.offset(start)}px)">
+          ${rows.map((line, i) => this._renderLine(line, start + i))}
+        </div>
+      </div>
+    `;
+  }
+
+  private _renderSearch() {
+    const count = this._matches.length;
+    const status = this._patternError
+      ? 'bad regex'
+      : !this._query ? '' : count ? `${this._current + 1}/${count}` : 'no matches';
+    return html`
+      <div class="search" role="search">
+        <span class="search-prompt">/</span>
+        <input
+          class=${this._patternError ? 'invalid' : ''}
+          .value=${this._query}
+          @input=${this._handleSearchInput}
+          @keydown=${this._handleSearchKeydown}
+          placeholder="search"
+          aria-label="Search output"
+          autocomplete="off"
+          spellcheck="false"
+        />
+        <span class="search-count" aria-live="polite">${status}</span>
+        <button title="Previous match (Shift+Enter)" @click=${() => this._step(-1)}>↑</button>
+        <button title="Next match (Enter)" @click=${() => this._step(1)}>↓</button>
+        <button title="Regular expression" aria-pressed=${this._regex} @click=${() => this._toggle('_regex')}>.*</button>
+        <button title="Match case" aria-pressed=${this._caseSensitive} @click=${() => this._toggle('_caseSensitive')}>Aa</button>
+        <button title="Show matching lines only" aria-pressed=${this._filterMode} @click=${() => this._toggle('_filterMode')}>≡</button>
+        ${LEVELS.map(level => html`
+          <button
+            class="level-toggle level-${level}"
+            title="Show ${level} lines"
+            aria-pressed=${this._levelShown(level)}
+            @click=${() => this.toggleLevel(level)}
+          >${LEVEL_GLYPHS[level]}</button>
+        `)}
+        <button title="Close (Esc)" @click=${() => this.closeSearch()}>×</button>
+      </div>
+    `;
+  }
+
+  private _renderActions() {
+    // Keep the text selection when a button is pressed, so "copy" can use it
+    return html`
+      <div class="actions" @mousedown=${(e: Event) => e.preventDefault()}>
+        <button title="Copy selected lines, or all (Ctrl+Alt+C)" @click=${() => this._copyFromUi()}>
+          ${COPY_LABELS[this._copyStatus]}
+        </button>
+        <button title="Save as .log (Ctrl+Alt+S)" @click=${() => this.download()}>↓ save</button>
+      </div>
+    `;
+  }
+
   render() {
+    const empty = this._lines.length === 0 && !this._pending;
     return html`
-      <div class="output ${this._attrClasses}">
-        ${this._lines.length === 0 
-          ? html`<div class="empty">Waiting for output...</div>`
-          : this._lines.map(line => html`
-              <div class="line">
-                ${line.timestamp ? html`<span class="timestamp">[${line.timestamp}]</span>` : ''}
-                <span .innerHTML=${line.html}></span>
-              </div>
-            `)
-        }
+      <div class="frame">
+        ${this.actions ? this._renderActions() : ''}
+        ${this._searchOpen ? this._renderSearch() : ''}
+        <div
+          class="output ${this._attrClasses}"
+          @click=${this._handleLinkClick}
+          @scroll=${() => this._window.sync()}
+        >
+          ${empty
+            ? html`<div class="empty">Waiting for output...</div>`
+            : this._renderRows()
+          }
+        </div>
       </div>
     `;
   }
@@ -3,6 +3,7 @@ import { LitElement, html, css } from 'lit';
 import { customElement, property } from 'lit/decorators.js';
 import { sharedStyles } from '../styles/shared.js';
 import type { TuiEvent, ProgressData } from '../protocol/types';
+import { warnInvalidEvent } from '../protocol/validate.js';
 
 @customElement('tui-progress')
 export class Progress extends LitElement {
@@ -32,6 +33,7 @@ export class Progress extends LitElement {
   ];
 
   handleEvent(event: TuiEvent): void {
+    warnInvalidEvent(this.localName, event);
     if (event.type === 'clear') {
       this.value = 0;
       this.label = '';
@@ -0,0 +1,171 @@
+import { LitElement, html, css } from 'lit';
+import { customElement, property, state } from 'lit/decorators.js';
+import { sharedStyles } from '../styles/shared.js';
+import type { TuiEvent, PromptData } from '../protocol/types';
+import { warnInvalidEvent } from '../protocol/validate.js';
+import './tui-modal';
+import './tui-button';
+import './tui-input';
+import './tui-radio';
+import './tui-radio-group';
+
+/** Up to this many options render as one button each; more become a radio list. */
+const MAX_BUTTONS = 4;
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// COMPONENT
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * <tui-prompt> - Asks the user a question from a protocol `prompt` event
+ *
+ * Few options render as buttons, many as a radio list with a submit button, and
+ * none as a free-text input. Answering closes the prompt and fires
+ * `tui-prompt-answer`; send that detail back with `RetroPush.answer()` to unblock
+ * the script that asked.
+ *
+ * Usage:
+ *   prompt.handleEvent({ channel: 'deploy', type: 'prompt', id: 'go',
+ *                        data: { message: 'Deploy to prod?', options: ['yes', 'no'] } });
+ *   document.addEventListener('tui-prompt-answer', (e) => push.answer(e.detail));
+ *
+ * @attr {string} message - The question
+ * @attr {string} channel - Channel of the prompt, echoed in the answer
+ * @attr {string} prompt-id - Protocol id of the prompt, echoed in the answer
+ * @attr {boolean} open - Whether the prompt is showing
+ *
+ * @fires tui-prompt-answer - When the user answers (detail: { channel, id, value })
+ *
+ * @method answer(value) - Answer programmatically
+ */
+@customElement('tui-prompt')
+export class Prompt extends LitElement {
+  @property({ type: String })
+  message = '';
+
+  @property({ type: Array })
+  options: string[] = [];
+
+  @property({ type: Boolean, reflect: true })
+  open = false;
+
+  /** Channel of the prompt being answered, echoed in the answer */
+  @property({ type: String })
+  channel = '';
+
+  /** Protocol id of the prompt being answered, echoed in the answer */
+  @property({ type: String, attribute: 'prompt-id' })
+  promptId = '';
+
+  @state()
+  private _value = '';
+
+  static styles = [
+    sharedStyles,
+    css`
+      :host { display: contents; }
+      .message { margin: 0 0 var(--spacing-sm) 0; color: var(--text-primary); white-space: pre-wrap; }
+      .footer { display: flex; gap: var(--spacing-sm); flex-wrap: wrap; justify-content: flex-end; }
+    `,
+  ];
+
+  /** Accept a protocol event */
+  handleEvent(event: TuiEvent): void {
+    warnInvalidEvent(this.localName, event);
+    switch (event.type) {
+      case 'prompt': {
+        const data = event.data as unknown as PromptData;
+        this.channel = event.channel;
+        this.promptId = event.id;
+        this.message = data.message ?? '';
+        this.options = Array.isArray(data.options) ? data.options.map(String) : [];
+        this._value = '';
+        this.open = true;
+        break;
+      }
+      // Answered in another tab...
+      case 'answer':
+        if (event.id === this.promptId) this.open = false;
+        break;
+      // ...or withdrawn by the script.
+      case 'clear':
+      case 'dismiss':
+        this.open = false;
+        break;
+    }
+  }
+
+  /**
+   * Answer the prompt and close it.
+   * @param value - The answer; one of `options` when there are any
+   */
+  answer(value: string): void {
+    if (!this.open) return;
+    this.open = false;
+    this.dispatchEvent(new CustomEvent('tui-prompt-answer', {
+      detail: { channel: this.channel, id: this.promptId, value },
+      bubbles: true,
+      composed: true,
+    }));
+  }
+
+  private _submit(): void {
+    if (this._value || this.options.length === 0) this.answer(this._value);
+  }
+
+  private _renderChoices() {
+    if (this.options.length === 0) {
+      return html`
+        <tui-input
+          .value=${this._value}
+          @tui-input=${(e: CustomEvent) => { this._value = e.detail.value; }}
+          @keydown=${(e: KeyboardEvent) => { if (e.key === 'Enter') this._submit(); }}
+        ></tui-input>
+        <div class="footer" slot="footer">
+          <tui-button color="primary" @click=${this._submit}>OK</tui-button>
+        </div>
+      `;
+    }
+
+    if (this.options.length <= MAX_BUTTONS) {
+      return html`
+        <div class="footer" slot="footer">
+          ${this.options.map(option => html`
+            <tui-button @click=${() => this.answer(option)}>${option}</tui-button>
+          `)}
+        </div>
+      `;
+    }
+
+    return html`
+      <tui-radio-group
+        .value=${this._value}
+        @tui-change=${(e: CustomEvent) => { this._value = e.detail.value; }}
+      >
+        ${this.options.map(option => html`<tui-radio value=${option} label=${option}></tui-radio>`)}
+      </tui-radio-group>
+      <div class="footer" slot="footer">
+        <tui-button color="primary" ?disabled=${!this._value} @click=${this._submit}>OK</tui-button>
+      </div>
+    `;
+  }
+
+  render() {
+    return html`
+      <tui-modal title=${this.promptId || 'Prompt'} .closable=${false} ?open=${this.open}>
+        <p class="message">${this.message}</p>
+        ${this._renderChoices()}
+      </tui-modal>
+    `;
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// TYPE AUGMENTATION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+declare global {
+  interface HTMLElementTagNameMap {
+    'tui-prompt': Prompt;
+  }
+}
@@ -3,6 +3,7 @@ import { LitElement, html, css } from 'lit';
 import { customElement, property } from 'lit/decorators.js';
 import { sharedStyles } from '../styles/shared.js';
 import type { TuiEvent } from '../protocol/types';
+import { warnInvalidEvent } from '../protocol/validate.js';
 import type { Radio } from './tui-radio';
 
 /**
@@ -105,6 +106,7 @@ export class RadioGroup extends LitElement {
   }
 
   handleEvent(event: TuiEvent): void {
+    warnInvalidEvent(this.localName, event);
     if (event.type === 'clear') {
       this.value = '';
       for (const child of this._getChildren()) {
@@ -3,6 +3,7 @@ import { LitElement, html, css } from 'lit';
 import { customElement, property } from 'lit/decorators.js';
 import { sharedStyles } from '../styles/shared.js';
 import type { TuiEvent, StatusData } from '../protocol/types';
+import { warnInvalidEvent } from '../protocol/validate.js';
 
 const INDICATORS: Record<string, string> = {
   success: '✓',
@@ -45,6 +46,7 @@ export class Status extends LitElement {
   ];
 
   handleEvent(event: TuiEvent): void {
+    warnInvalidEvent(this.localName, event);
     if (event.type === 'clear') {
       this.state = '';
       this.message = '';
@@ -1,36 +1,122 @@
 import { LitElement, html, css } from 'lit';
 import { customElement, property, state } from 'lit/decorators.js';
+import { styleMap } from 'lit/directives/style-map.js';
 import { sharedStyles } from '../styles/shared.js';
-import { type BorderStyle } from '../utils/borders.js';
+import { type BorderStyle, BORDER_CHARS, getBorderChars } from '../utils/borders.js';
 import type { TuiEvent, TableData, TableUpsertData } from '../protocol/types';
+import { warnInvalidEvent } from '../protocol/validate.js';
 
 // ═══════════════════════════════════════════════════════════════════════════════
 // TYPES
 // ═══════════════════════════════════════════════════════════════════════════════
 type RowData = Record<string, unknown>;
 
+export type ColumnType = 'text' | 'number' | 'status';
+
+export type ColumnAlign = 'left' | 'center' | 'right';
+
+export interface TableColumn {
+  /** Property of the row to show */
+  key: string;
+  /** Header text (default: the key) */
+  label?: string;
+  /** Fixed width: a number of characters, or any CSS length. Columns without one share the rest */
+  width?: number | string;
+  /** Default: right for numbers, else left */
+  align?: ColumnAlign;
+  /**
+   * `number` cells are right-aligned in tabular figures and sort numerically;
+   * `status` cells are coloured ok / warn / error and sort by severity.
+   * Without a type, numbers and the standard status words are picked out per cell.
+   */
+  type?: ColumnType;
+  /** Text for a cell, e.g. `(bytes) => formatSize(bytes)`. Sorting still uses the raw value */
+  format?: (value: unknown, row: RowData) => string;
+  /** Render a cell yourself: return a Lit template or a string. Overrides `format` */
+  template?: (value: unknown, row: RowData) => unknown;
+  /** Clicking the header sorts by this column (default: true) */
+  sortable?: boolean;
+}
+
+export interface TableSort {
+  key: string;
+  direction: 'asc' | 'desc';
+}
+
+type Status = 'ok' | 'warn' | 'error';
+
+const STATUS_WORDS: Record<Status, string[]> = {
+  ok: ['✓', 'ok', 'online', 'up', 'pass', 'passed', 'success', 'healthy'],
+  warn: ['⚠', 'warn', 'warning', 'degraded', 'pending'],
+  error: ['✗', 'error', 'offline', 'down', 'fail', 'failed', 'unhealthy'],
+};
+
+/** Sort order of a status column: problems first when descending */
+const STATUS_RANK: Record<Status, number> = { ok: 0, warn: 1, error: 2 };
+
+function statusOf(value: unknown): Status | null {
+  const word = String(value ?? '').trim().toLowerCase();
+  for (const status of Object.keys(STATUS_WORDS) as Status[]) {
+    if (STATUS_WORDS[status].includes(word)) return status;
+  }
+  return null;
+}
+
+const collator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+
+/** Compare two cell values for an ascending sort. Empty cells go last either way, so this leaves them out */
+function compareValues(a: unknown, b: unknown, type: ColumnType | undefined): number {
+  if (type === 'status') {
+    return (STATUS_RANK[statusOf(a) ?? 'ok'] - STATUS_RANK[statusOf(b) ?? 'ok']) || collator.compare(String(a), String(b));
+  }
+  const x = Number(a);
+  const y = Number(b);
+  if ((type === 'number' || (typeof a === 'number' && typeof b === 'number')) && !Number.isNaN(x) && !Number.isNaN(y)) {
+    return x - y;
+  }
+  return collator.compare(String(a), String(b));
+}
+
+const isEmpty = (value: unknown) => value == null || value === '';
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // COMPONENT
 // ═══════════════════════════════════════════════════════════════════════════════
 
 /**
  * <tui-table> - ASCII-bordered data table
- * 
+ *
  * @attr {string} border - Border style: single | double | heavy | none
- * 
- * @method setData(columns, rows) - Set table data
+ *
+ * @fires tui-table-sort - When a header click changes the sort (detail: { sort }). `sort` is [{ key, direction }], first key first
+ *
+ * @method setData(columns, rows) - Set table data; columns are keys or { key, label, width, align, type, format, template, sortable }
+ * @method upsertRow(key, data) - Replace the row whose first column is `key`, or add it
+ *
+ * Click a header to sort by it, again to reverse, a third time to stop.
+ * Shift+click adds the column to the sort instead; each sorted header then
+ * shows its place in the order. The marks follow `border`: ┴ ascending and
+ * ┬ descending for single, ┻ ┳ for heavy, ╩ ╦ for double. Set `sort` to sort
+ * from code.
  */
 @customElement('tui-table')
 export class Table extends LitElement {
   @property({ type: String })
   border: BorderStyle = 'single';
 
+  /** Sort keys, most significant first; rows keep their order when empty */
+  @property({ attribute: false })
+  sort: TableSort[] = [];
+
   @state()
-  private _columns: string[] = [];
+  private _columns: TableColumn[] = [];
 
   @state()
   private _rows: RowData[] = [];
 
+  /** `_rows` in sort order, rebuilt when the rows, columns or sort change */
+  private _sorted: RowData[] = [];
+
   static styles = [
     sharedStyles,
     css`
@@ -53,7 +139,8 @@ export class Table extends LitElement {
       }
 
       .cell {
-        flex: 1;
+        flex: 1 1 0;
+        min-width: 0;
         padding: 0.4rem 0.6rem;
         overflow: hidden;
         text-overflow: ellipsis;
@@ -70,6 +157,22 @@ export class Table extends LitElement {
         font-weight: normal;
       }
 
+      .header .cell.sortable {
+        cursor: pointer;
+        user-select: none;
+      }
+
+      .header .cell.sortable:hover,
+      .header .cell.sortable:focus-visible {
+        background: var(--surface-elevated);
+        outline: none;
+      }
+
+      .sort-indicator {
+        color: var(--text-primary);
+        margin-left: 0.4em;
+      }
+
       .empty {
         color: var(--text-muted);
         font-style: italic;
@@ -78,22 +181,27 @@ export class Table extends LitElement {
 
       /* Value styling */
       .cell.status-ok { color: var(--color-secondary); }
-      .cell.status-warn { color: var(--color-secondary); }
+      .cell.status-warn { color: var(--color-warning); }
       .cell.status-error { color: var(--color-error); }
       .cell.number { 
         font-variant-numeric: tabular-nums;
         text-align: right;
       }
+
+      /* After .number, so a column's own align wins */
+      .cell.align-left { text-align: left; }
+      .cell.align-center { text-align: center; }
+      .cell.align-right { text-align: right; }
     `,
   ];
 
   /**
    * Set table data
-   * @param columns - Column headers
+   * @param columns - Column keys (shown as headers), or column definitions
    * @param rows - Row data
    */
-  setData(columns: string[], rows: RowData[]): void {
-    this._columns = columns;
+  setData(columns: (string | TableColumn)[], rows: RowData[]): void {
+    this._columns = columns.map(column => typeof column === 'string' ? { key: column } : column);
     this._rows = rows;
   }
 
@@ -103,7 +211,8 @@ export class Table extends LitElement {
    * @param data - Row data
    */
   upsertRow(key: string, data: RowData): void {
-    const existingIndex = this._rows.findIndex(r => r[this._columns[0]] === key);
+    const keyColumn = this._columns[0]?.key;
+    const existingIndex = this._rows.findIndex(r => keyColumn !== undefined && r[keyColumn] === key);
     if (existingIndex >= 0) {
       this._rows = [
         ...this._rows.slice(0, existingIndex),
@@ -117,6 +226,7 @@ export class Table extends LitElement {
 
   /** Accept a protocol event */
   handleEvent(event: TuiEvent): void {
+    warnInvalidEvent(this.localName, event);
     if (event.type === 'clear') {
       this._columns = [];
       this._rows = [];
@@ -125,19 +235,127 @@ export class Table extends LitElement {
     const data = event.data as Record<string, unknown>;
     if ('columns' in data && 'rows' in data) {
       const tableData = data as unknown as TableData;
-      this.setData(tableData.columns, tableData.rows);
+      // Keys only arrive over the wire, so keep the definitions already set for them
+      const columns = tableData.columns.map(key => this._columns.find(column => column.key === key) ?? key);
+      this.setData(columns, tableData.rows);
     } else if ('key' in data && 'row' in data) {
       const upsert = data as unknown as TableUpsertData;
       this.upsertRow(upsert.key, upsert.row);
     }
   }
 
-  private getCellClass(value: unknown): string {
-    if (typeof value === 'number') return 'number';
-    if (value === '✓' || value === 'OK' || value === 'online') return 'status-ok';
-    if (value === '⚠' || value === 'WARN' || value === 'degraded') return 'status-warn';
-    if (value === '✗' || value === 'ERROR' || value === 'offline') return 'status-error';
-    return '';
+  willUpdate(changedProperties: Map<string, unknown>): void {
+    if (changedProperties.has('sort') || changedProperties.has('_rows') || changedProperties.has('_columns')) {
+      this._sorted = this._sortRows();
+    }
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // SORTING
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  private _sortRows(): RowData[] {
+    const keys = this.sort
+      .map(sort => ({ ...sort, column: this._columns.find(column => column.key === sort.key) }))
+      .filter(sort => sort.column);
+    if (!keys.length) return this._rows;
+    // Array.prototype.sort is stable, so ties keep the order rows arrived in
+    return [...this._rows].sort((a, b) => {
+      for (const { key, direction, column } of keys) {
+        const x = a[key];
+        const y = b[key];
+        if (isEmpty(x) || isEmpty(y)) {
+          if (isEmpty(x) !== isEmpty(y)) return isEmpty(x) ? 1 : -1;
+          continue;
+        }
+        const order = compareValues(x, y, column!.type);
+        if (order) return direction === 'asc' ? order : -order;
+      }
+      return 0;
+    });
+  }
+
+  /** Header click: cycle this column ascending → descending → off; with Shift, keep the other keys */
+  private _toggleSort(column: TableColumn, add: boolean): void {
+    const current = this.sort.find(sort => sort.key === column.key);
+    const next: TableSort | null = !current
+      ? { key: column.key, direction: 'asc' }
+      : current.direction === 'asc' ? { key: column.key, direction: 'desc' } : null;
+    if (!add) this.sort = next ? [next] : [];
+    else if (current) this.sort = this.sort.flatMap(sort => sort !== current ? [sort] : next ? [next] : []);
+    else this.sort = [...this.sort, next!];
+    this.dispatchEvent(new CustomEvent('tui-table-sort', {
+      detail: { sort: this.sort },
+      bubbles: true,
+      composed: true,
+    }));
+  }
+
+  private _handleHeaderKeydown(e: KeyboardEvent, column: TableColumn): void {
+    if (e.key !== 'Enter' && e.key !== ' ') return;
+    e.preventDefault();
+    this._toggleSort(column, e.shiftKey);
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // RENDER
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  private getCellClass(value: unknown, column: TableColumn): string {
+    const classes: string[] = [];
+    const type = column.type ?? (typeof value === 'number' ? 'number' : undefined);
+    if (type === 'number') classes.push('number');
+    // Untyped columns only pick out the exact words they always have
+    const status = column.type === 'status' ? statusOf(value)
+      : column.type ? null
+      : value === '✓' || value === 'OK' || value === 'online' ? 'ok'
+      : value === '⚠' || value === 'WARN' || value === 'degraded' ? 'warn'
+      : value === '✗' || value === 'ERROR' || value === 'offline' ? 'error'
+      : null;
+    if (status) classes.push(`status-${status}`);
+    if (column.align) classes.push(`align-${column.align}`);
+    return classes.join(' ');
+  }
+
+  private _columnStyle(column: TableColumn) {
+    if (column.width == null) return {};
+    const width = typeof column.width === 'number' ? `calc(${column.width}ch + 1.2rem)` : column.width;
+    return { flex: `0 0 ${width}` };
+  }
+
+  private _renderCell(row: RowData, column: TableColumn) {
+    const value = row[column.key];
+    if (column.template) return column.template(value, row);
+    if (column.format) return column.format(value, row);
+    return value ?? '';
+  }
+
+  private _renderHeader(column: TableColumn) {
+    const label = column.label ?? column.key;
+    const align = column.align ?? (column.type === 'number' ? 'right' : undefined);
+    const alignClass = align ? `align-${align}` : '';
+    if (column.sortable === false) {
+      return html`<div class="cell ${alignClass}" role="columnheader" style=${styleMap(this._columnStyle(column))}>${label}</div>`;
+    }
+    const index = this.sort.findIndex(sort => sort.key === column.key);
+    const sort = this.sort[index];
+    // The border set's tees, stem up (┴) ascending and down (┬) descending; single
+    // when there is no border. With several keys, each shows its place: ┴1 ┬2
+    const chars = getBorderChars(this.border) ?? BORDER_CHARS.single;
+    const indicator = sort
+      ? `${sort.direction === 'asc' ? chars.bt : chars.tt}${this.sort.length > 1 ? index + 1 : ''}`
+      : '';
+    return html`
+      <div
+        class="cell sortable ${alignClass}"
+        role="columnheader"
+        tabindex="0"
+        aria-sort=${sort ? (sort.direction === 'asc' ? 'ascending' : 'descending') : 'none'}
+        style=${styleMap(this._columnStyle(column))}
+        @click=${(e: MouseEvent) => this._toggleSort(column, e.shiftKey)}
+        @keydown=${(e: KeyboardEvent) => this._handleHeaderKeydown(e, column)}
+      >${label}${indicator ? html`<span class="sort-indicator">${indicator}</span>` : ''}</div>
+    `;
   }
 
   render() {
@@ -146,14 +364,18 @@ export class Table extends LitElement {
     }
 
     return html`
-      <div class="table">
-        <div class="row header">
-          ${this._columns.map(col => html`<div class="cell">${col}</div>`)}
+      <div class="table" role="table">
+        <div class="row header" role="row">
+          ${this._columns.map(column => this._renderHeader(column))}
         </div>
-        ${this._rows.map(row => html`
-          <div class="row">
-            ${this._columns.map(col => html`
-              <div class="cell ${this.getCellClass(row[col])}">${row[col] ?? ''}</div>
+        ${this._sorted.map(row => html`
+          <div class="row" role="row">
+            ${this._columns.map(column => html`
+              <div
+                class="cell ${this.getCellClass(row[column.key], column)}"
+                role="cell"
+                style=${styleMap(this._columnStyle(column))}
+              >${this._renderCell(row, column)}</div>
             `)}
           </div>
         `)}
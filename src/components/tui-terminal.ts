@@ -0,0 +1,532 @@
+import { LitElement, html, css } from 'lit';
+import { customElement, property, state } from 'lit/decorators.js';
+import { sharedStyles } from '../styles/shared.js';
+import { linkFromEvent } from '../utils/ansi.js';
+import { ansiSpans } from '../utils/ansi-directive.js';
+import { VirtualWindow } from '../utils/virtual-list.js';
+import { ScreenBuffer, encodeKey } from '../utils/screen-buffer.js';
+import type { TuiEvent, LogData } from '../protocol/types';
+import { warnInvalidEvent } from '../protocol/validate.js';
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// TYPES
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Anything with a readable and a writable side: a WebSocketStream's `opened`
+ * value, a fetch-based duplex, a serial port, or a pair you build yourself.
+ */
+export interface DuplexStream {
+  readable: ReadableStream<Uint8Array | string>;
+  writable: WritableStream<Uint8Array>;
+}
+
+export type TerminalTarget = WebSocket | DuplexStream;
+
+/** Row height, in em; fixed so the cursor and `fit` can count rows */
+const LINE_HEIGHT = 1.2;
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// COMPONENT
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * <tui-terminal> - An xterm-compatible terminal for full-screen programs
+ *
+ * Where tui-output keeps a log of lines, this keeps a grid of cells that
+ * programs draw on: cursor addressing, erase in place, scroll regions and the
+ * alternate screen, so shells, editors, `top` and `htop` look as they do in a
+ * real terminal. Colours and links use the same ANSI handling and theme
+ * tokens as tui-output.
+ *
+ * @attr {number} cols - Width in characters (default: 80)
+ * @attr {number} rows - Height in characters (default: 24)
+ * @attr {number} scrollback - Lines kept after they scroll off the top (default: 1000)
+ * @attr {boolean} fit - Size cols and rows to the element instead
+ * @attr {boolean} convert-eol - Treat a bare `\n` as `\r\n`, for output not written for a terminal
+ *
+ * @fires tui-terminal-data - When the terminal has input for the program: keys, pastes and replies to queries (detail: { data })
+ * @fires tui-terminal-resize - When cols or rows change, so the program can be told (detail: { cols, rows })
+ * @fires tui-terminal-title - When the program sets the window title (detail: { title })
+ * @fires tui-terminal-bell - When the program rings the bell
+ * @fires tui-output-link - When a link in the output is clicked (detail: { text, href?, path?, line?, column? }). Cancelable
+ *
+ * @method write(chunk) - Play program output (string or UTF-8 bytes)
+ * @method input(data) - Send input to the program, as if typed
+ * @method paste(text) - Send text as a paste, bracketed if the program asked for it
+ * @method attach(target) - Connect a WebSocket or { readable, writable } stream; returns a detach function
+ * @method detach() - Disconnect the attached stream
+ * @method reset() - Back to the power-on state (scrollback is kept)
+ * @method clear() - Drop the scrollback and blank the screen
+ * @method exportText() - Scrollback and screen as plain text
+ *
+ * Keys are sent the way xterm sends them while the terminal has focus, except
+ * Ctrl+C with text selected (copy) and Ctrl+V / Ctrl+Shift+V (paste).
+ */
+@customElement('tui-terminal')
+export class Terminal extends LitElement {
+  @property({ type: Number })
+  cols = 80;
+
+  @property({ type: Number })
+  rows = 24;
+
+  @property({ type: Number })
+  scrollback = 1000;
+
+  @property({ type: Boolean })
+  fit = false;
+
+  @property({ type: Boolean, attribute: 'convert-eol' })
+  convertEol = false;
+
+  private _screen = new ScreenBuffer({
+    cols: this.cols,
+    rows: this.rows,
+    scrollback: this.scrollback,
+    reply: (data) => this.input(data),
+    bell: () => {
+      this.dispatchEvent(new CustomEvent('tui-terminal-bell', { bubbles: true, composed: true }));
+    },
+    title: (title) => {
+      this.dispatchEvent(new CustomEvent('tui-terminal-title', {
+        detail: { title },
+        bubbles: true,
+        composed: true,
+      }));
+    },
+  });
+
+  /** Which lines are on screen; only those are rendered */
+  private _window = new VirtualWindow(this, () => this.shadowRoot?.querySelector('.viewport'));
+
+  @state()
+  private _focused = false;
+
+  /** Sends input to the attached stream; null when nothing is attached */
+  private _sink: ((data: string) => void) | null = null;
+
+  private _detach: (() => void) | null = null;
+
+  private _fitObserver: ResizeObserver | null = null;
+
+  static styles = [
+    sharedStyles,
+    css`
+      :host {
+        display: block;
+        overflow: hidden;
+      }
+
+      :host([fit]) {
+        height: 100%;
+      }
+
+      :host(:focus) {
+        outline: none;
+      }
+
+      .viewport {
+        position: relative;
+        overflow-y: auto;
+        overflow-x: hidden;
+        background: var(--surface-base);
+        color: var(--text-primary);
+        padding: 2px var(--spacing-xs);
+        font-size: var(--font-size-xs, 0.6rem);
+        line-height: ${LINE_HEIGHT};
+      }
+
+      :host([fit]) .viewport {
+        height: 100%;
+        box-sizing: border-box;
+      }
+
+      .spacer {
+        position: relative;
+      }
+
+      .rows {
+        will-change: transform;
+      }
+
+      /* Cells are spaces where nothing is drawn; they must keep their width */
+      .line {
+        white-space: pre;
+        height: ${LINE_HEIGHT}em;
+        overflow: hidden;
+      }
+
+      .cursor {
+        position: absolute;
+        width: 1ch;
+        height: ${LINE_HEIGHT}em;
+        pointer-events: none;
+        white-space: pre;
+      }
+
+      .cursor.block {
+        background: var(--color-primary);
+        color: var(--surface-base);
+      }
+
+      .cursor.underline {
+        border-bottom: 2px solid var(--color-primary);
+        box-sizing: border-box;
+      }
+
+      .cursor.bar {
+        border-left: 2px solid var(--color-primary);
+      }
+
+      /* Unfocused, the block is an outline, as in most terminals */
+      .cursor.block.unfocused {
+        background: none;
+        color: inherit;
+        outline: 1px solid var(--color-primary);
+        outline-offset: -1px;
+      }
+
+      .measure {
+        position: absolute;
+        visibility: hidden;
+        white-space: pre;
+      }
+
+      .viewport::-webkit-scrollbar {
+        width: 6px;
+      }
+
+      .viewport::-webkit-scrollbar-track {
+        background: var(--surface-base);
+      }
+
+      .viewport::-webkit-scrollbar-thumb {
+        background: var(--border-default);
+      }
+    `,
+  ];
+
+  connectedCallback(): void {
+    super.connectedCallback();
+    // Focusable, so it can take keys
+    if (!this.hasAttribute('tabindex')) this.tabIndex = 0;
+    this.addEventListener('keydown', this._handleKeydown);
+    this.addEventListener('paste', this._handlePaste);
+    this.addEventListener('focus', this._handleFocus);
+    this.addEventListener('blur', this._handleFocus);
+    if (typeof ResizeObserver !== 'undefined') {
+      this._fitObserver = new ResizeObserver(() => this._fitToSize());
+    }
+  }
+
+  disconnectedCallback(): void {
+    super.disconnectedCallback();
+    this.removeEventListener('keydown', this._handleKeydown);
+    this.removeEventListener('paste', this._handlePaste);
+    this.removeEventListener('focus', this._handleFocus);
+    this.removeEventListener('blur', this._handleFocus);
+    this._fitObserver?.disconnect();
+    this._fitObserver = null;
+  }
+
+  willUpdate(changedProperties: Map<string, unknown>): void {
+    if (changedProperties.has('scrollback')) this._screen.scrollback.resize(this.scrollback);
+    this._screen.convertEol = this.convertEol;
+    if (changedProperties.has('cols') || changedProperties.has('rows')) {
+      const { cols, rows } = this._screen;
+      this._screen.resize(this.cols, this.rows);
+      if (this._screen.cols !== cols || this._screen.rows !== rows) {
+        this.dispatchEvent(new CustomEvent('tui-terminal-resize', {
+          detail: { cols: this._screen.cols, rows: this._screen.rows },
+          bubbles: true,
+          composed: true,
+        }));
+      }
+    }
+  }
+
+  updated(): void {
+    const viewport = this.shadowRoot?.querySelector('.viewport');
+    if (!this._fitObserver || !viewport) return;
+    this._fitObserver.disconnect();
+    if (this.fit) this._fitObserver.observe(viewport);
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // OUTPUT
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  /**
+   * Play program output onto the screen. Chunks may split escape sequences
+   * and UTF-8 characters anywhere.
+   * @param chunk - Text, or UTF-8 bytes
+   */
+  write(chunk: string | Uint8Array | ArrayBuffer): void {
+    const follow = this._isNearBottom();
+    this._screen.write(chunk);
+    this.requestUpdate();
+    if (follow) this.updateComplete.then(() => this.scrollToBottom());
+  }
+
+  /** Back to the power-on state: modes, colours and the alternate screen. Scrollback is kept. */
+  reset(): void {
+    this._screen.reset();
+    this.requestUpdate();
+  }
+
+  /** Drop the scrollback and blank the screen */
+  clear(): void {
+    this._screen.clear();
+    this.requestUpdate();
+  }
+
+  /** Scrollback and screen as plain text, without trailing blanks */
+  exportText(): string {
+    return this._screen.text();
+  }
+
+  /** Accept a protocol event */
+  handleEvent(event: TuiEvent): void {
+    warnInvalidEvent(this.localName, event);
+    if (event.type === 'clear') {
+      this.reset();
+      this.clear();
+      return;
+    }
+    const data = event.data as unknown as LogData;
+    if (data.message != null) {
+      this.write(`${data.message}\r\n`);
+    }
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // INPUT
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  /**
+   * Send input to the program, as if typed: fires tui-terminal-data and
+   * writes to the attached stream.
+   * @param data - Bytes to send, as a string
+   */
+  input(data: string): void {
+    if (!data) return;
+    this.dispatchEvent(new CustomEvent('tui-terminal-data', {
+      detail: { data },
+      bubbles: true,
+      composed: true,
+    }));
+    this._sink?.(data);
+  }
+
+  /**
+   * Send text as a paste. Line breaks become Enter (`\r`), and if the program
+   * turned on bracketed paste the text is wrapped so it is not run line by line.
+   * @param text - Text to paste
+   */
+  paste(text: string): void {
+    const data = text.replace(/\r?\n/g, '\r');
+    this.input(this._screen.modes.bracketedPaste ? `\x1b[200~${data}\x1b[201~` : data);
+  }
+
+  private _handleKeydown = (e: KeyboardEvent): void => {
+    if (e.isComposing) return;
+    const key = e.key.toLowerCase();
+    // Copy a selection rather than interrupting; leave paste to the paste event
+    if (e.ctrlKey && key === 'c' && document.getSelection()?.isCollapsed === false) return;
+    if (e.ctrlKey && key === 'v') return;
+    const data = encodeKey(e, this._screen.modes);
+    if (data == null) return;
+    e.preventDefault();
+    this.scrollToBottom();
+    this.input(data);
+  };
+
+  private _handlePaste = (e: ClipboardEvent): void => {
+    const text = e.clipboardData?.getData('text/plain');
+    if (!text) return;
+    e.preventDefault();
+    this.paste(text);
+  };
+
+  private _handleFocus = (e: FocusEvent): void => {
+    this._focused = e.type === 'focus';
+  };
+
+  /**
+   * Report link clicks to the host. Preventing the event also stops the
+   * browser following an href.
+   */
+  private _handleLinkClick(e: MouseEvent): void {
+    const detail = linkFromEvent(e);
+    if (!detail) return;
+    const event = new CustomEvent('tui-output-link', {
+      detail,
+      bubbles: true,
+      composed: true,
+      cancelable: true,
+    });
+    if (!this.dispatchEvent(event)) e.preventDefault();
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // STREAMS
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  /**
+   * Connect to a program: what it sends is written to the screen, and input
+   * goes back to it. Attaching again detaches the previous target.
+   * @param target - A WebSocket, or any { readable, writable } pair of streams
+   * @returns A function that detaches it
+   */
+  attach(target: TerminalTarget): () => void {
+    this.detach();
+    const release = 'readable' in target ? this._attachStream(target) : this._attachSocket(target);
+    const detach = () => {
+      // A stale detach function must not disconnect a later target
+      if (this._detach !== detach) return;
+      this._detach = null;
+      this._sink = null;
+      release();
+    };
+    this._detach = detach;
+    return detach;
+  }
+
+  /** Disconnect the attached WebSocket or stream. The socket or stream itself is left open. */
+  detach(): void {
+    this._detach?.();
+  }
+
+  private _attachSocket(socket: WebSocket): () => void {
+    socket.binaryType = 'arraybuffer';
+    const onMessage = (e: MessageEvent) => {
+      this.write(typeof e.data === 'string' ? e.data : new Uint8Array(e.data as ArrayBuffer));
+    };
+    socket.addEventListener('message', onMessage);
+    this._sink = (data) => {
+      if (socket.readyState === WebSocket.OPEN) socket.send(data);
+    };
+    return () => socket.removeEventListener('message', onMessage);
+  }
+
+  private _attachStream(stream: DuplexStream): () => void {
+    const reader = stream.readable.getReader();
+    const writer = stream.writable.getWriter();
+    const encoder = new TextEncoder();
+    let attached = true;
+    (async () => {
+      try {
+        for (;;) {
+          const { value, done } = await reader.read();
+          if (done || !attached) break;
+          this.write(value);
+        }
+      } catch {
+        // The stream errored or was cancelled; nothing more will arrive
+      }
+    })();
+    this._sink = (data) => {
+      writer.write(encoder.encode(data)).catch(() => {});
+    };
+    return () => {
+      attached = false;
+      reader.releaseLock();
+      writer.releaseLock();
+    };
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // LAYOUT
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  /** With `fit`, work out how many cells fit in the viewport */
+  private _fitToSize(): void {
+    if (!this.fit) return;
+    const viewport = this.shadowRoot?.querySelector<HTMLElement>('.viewport');
+    const measure = this.shadowRoot?.querySelector<HTMLElement>('.measure');
+    if (!viewport || !measure) return;
+    const { width, height } = measure.getBoundingClientRect();
+    if (!width || !height) return;
+    const style = getComputedStyle(viewport);
+    const innerWidth = viewport.clientWidth - parseFloat(style.paddingLeft) - parseFloat(style.paddingRight);
+    const innerHeight = viewport.clientHeight - parseFloat(style.paddingTop) - parseFloat(style.paddingBottom);
+    // The measure holds ten characters, for sub-pixel widths
+    const cols = Math.max(1, Math.floor(innerWidth / (width / 10)));
+    const rows = Math.max(1, Math.floor(innerHeight / height));
+    if (cols !== this.cols || rows !== this.rows) {
+      this.cols = cols;
+      this.rows = rows;
+    }
+  }
+
+  /** Check if the user is scrolled near the bottom (within 1 line height) */
+  private _isNearBottom(): boolean {
+    const viewport = this.shadowRoot?.querySelector('.viewport');
+    if (!viewport) return true;
+    return viewport.scrollHeight - viewport.scrollTop - viewport.clientHeight < this._window.rowHeight;
+  }
+
+  private scrollToBottom(): void {
+    const viewport = this.shadowRoot?.querySelector('.viewport');
+    if (viewport) {
+      viewport.scrollTop = viewport.scrollHeight;
+      this._window.sync();
+    }
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // RENDER
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  private _renderCursor() {
+    const screen = this._screen;
+    const { modes } = screen;
+    if (!modes.cursorVisible) return '';
+    const { row, col } = screen.cursor;
+    const cell = screen.lineAt(screen.screenStart + row)?.cells[col];
+    const ch = modes.cursorShape === 'block' ? cell?.ch || ' ' : '';
+    return html`<div
+      class="cursor ${modes.cursorShape} ${this._focused ? '' : 'unfocused'}"
+      style="top: ${this._window.offset(screen.screenStart + row)}px; left: ${col}ch"
+      aria-hidden="true"
+    >${ch}</div>`;
+  }
+
+  render() {
+    const screen = this._screen;
+    const total = screen.length;
+    const [start, end] = this._window.range(total);
+    const lines: number[] = [];
+    for (let i = start; i < end; i++) lines.push(i);
+    const height = this.fit ? '' : `height: ${screen.rows * LINE_HEIGHT}em`;
+    return html`
+      <div
+        class="viewport"
+        style=${height}
+        role="log"
+        aria-label=${this.getAttribute('aria-label') ?? 'Terminal'}
+        @click=${this._handleLinkClick}
+        @scroll=${() => this._window.sync()}
+      >
+        <span class="measure" aria-hidden="true">0000000000</span>
+        <div class="spacer" style="height: ${this._window.height(total)}px">
+          <div class="rows" style="transform: translateY(${this._window.offset(start)}px)">
+            ${lines.map(i => html`<div class="line">${ansiSpans(screen.spansAt(i))}</div>`)}
+          </div>
+          ${this._renderCursor()}
+        </div>
+      </div>
+    `;
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// TYPE AUGMENTATION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+declare global {
+  interface HTMLElementTagNameMap {
+    'tui-terminal': Terminal;
+  }
+}
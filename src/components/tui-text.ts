@@ -1,7 +1,8 @@
 import { LitElement, html, css } from 'lit';
 import { customElement, property } from 'lit/decorators.js';
 import { sharedStyles } from '../styles/shared.js';
-import { ansiToHtml } from '../utils/ansi.js';
+import { ansiToSpans } from '../utils/ansi.js';
+import { ansiSpans } from '../utils/ansi-directive.js';
 
 // ═══════════════════════════════════════════════════════════════════════════════
 // COMPONENT
@@ -73,8 +74,8 @@ export class Text extends LitElement {
       .map(a => `tui-${a}`)
       .join(' ');
 
-    const htmlContent = ansiToHtml(this.content || this.textContent || '');
-    return html`<pre class="${attrClasses}" .innerHTML=${htmlContent}></pre>`;
+    const lines = ansiToSpans(this.content || this.textContent || '');
+    return html`<pre class="${attrClasses}">${lines.map((spans, i) => html`${i ? '\n' : ''}${ansiSpans(spans)}`)}</pre>`;
   }
 }
 
@@ -14,7 +14,11 @@ export { Sidebar } from './components/tui-sidebar';
 export { Panel } from './components/tui-panel';
 export { Output } from './components/tui-output';
 export { Table } from './components/tui-table';
+export type { TableColumn, TableSort, ColumnType, ColumnAlign } from './components/tui-table';
 export { Console } from './components/tui-console';
+export type { ConsoleCommand, CommandArg, CommandContext, CompletionContext } from './components/tui-console';
+export { Terminal } from './components/tui-terminal';
+export type { DuplexStream, TerminalTarget } from './components/tui-terminal';
 export { Text } from './components/tui-text';
 export { Menu, MenuItem, MenuAction, MenuDivider } from './components/tui-menu';
 export { Statusbar, StatusItem } from './components/tui-statusbar';
@@ -38,8 +42,22 @@ export { Radio } from './components/tui-radio';
 export { CheckboxGroup } from './components/tui-checkbox-group';
 export { RadioGroup } from './components/tui-radio-group';
 
+// Protocol
+export { EventRouter } from './protocol/router';
+export type { EventRouterOptions, EventReceiver } from './protocol/router';
+export { RetroPush } from './protocol/push-client';
+export type { RetroPushOptions, ConnectionState, StateChangeDetail } from './protocol/push-client';
+export type { TuiEvent, TypedTuiEvent, StandardEventType, EventDataMap, GroupData, PromptData, AnswerData } from './protocol/types';
+export { validateEvent, formatErrors } from './protocol/validate.js';
+
 // Utilities
-export { ansiToHtml } from './utils/ansi.js';
+export { ansiToHtml, ansiToSpans, spansToHtml, spansToAnsi, markSpans, AnsiStream } from './utils/ansi.js';
+export type { AnsiLine, AnsiSpan } from './utils/ansi.js';
+export { ansiSpans } from './utils/ansi-directive';
+export { parseCommand, tokenize } from './utils/command-line';
+export type { ParsedCommand } from './utils/command-line';
+export { ScreenBuffer, encodeKey } from './utils/screen-buffer';
+export type { ScreenBufferOptions, TerminalModes, CursorShape } from './utils/screen-buffer';
 export { BORDER_CHARS, getBorderChars, titleDecoration, STATE_BORDERS } from './utils/borders';
 
 // Styles (design-language assets, importable by extensions like retro-tui-lab)
@@ -54,3 +72,4 @@ export type { SemanticColor, ControlSize, SelectionStyle } from './styles/semant
 // New components
 export { Progress } from './components/tui-progress';
 export { Status } from './components/tui-status';
+export { Prompt } from './components/tui-prompt';
@@ -0,0 +1,360 @@
+/**
+ * RetroPush - WebSocket client for the push server.
+ *
+ * Receives protocol envelopes and hands them, whole, to subscribers — `id` and
+ * `timestamp` included, so a handler can pass the event straight to a
+ * component's `handleEvent()` or to `EventRouter.dispatch()`. The example client
+ * this replaces emitted only `{ type, data }`, which is why every app needed its
+ * own switch.
+ *
+ * Reconnects with jittered exponential backoff, so a server restart does not
+ * bring every open tab back on the same tick. Messages sent while disconnected
+ * wait in a bounded queue and flush, in order, once the socket opens. On
+ * reconnect it asks the server for `?since=<last timestamp seen>`, so a dropped
+ * connection resumes where it left off instead of replaying from the start.
+ *
+ * The server sends every channel to a client that has not subscribed. Once
+ * `subscribe()` is called it sends only the channels matching the subscribed
+ * patterns, and the set is carried over reconnects.
+ *
+ * Usage:
+ *   const push = new RetroPush('ws://localhost:3001');
+ *   push.subscribe('build', 'deploy-*');
+ *   push.on('build', 'log', (event) => output.handleEvent(event));
+ *   push.addEventListener('tui-push-state-change', (e) => console.log(e.detail.state));
+ *   push.connect();
+ */
+import type { TuiEvent, TypedTuiEvent } from './types';
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// TYPES
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export type ConnectionState = 'idle' | 'connecting' | 'open' | 'reconnecting' | 'closed';
+
+export interface RetroPushOptions {
+  /** First reconnect delay in ms (default: 1000) */
+  minDelay?: number;
+  /** Ceiling for the reconnect delay in ms (default: 30000) */
+  maxDelay?: number;
+  /** Fraction of each delay that is randomised, 0–1 (default: 0.5) */
+  jitter?: number;
+  /** Messages kept while offline; the oldest is dropped past this (default: 100) */
+  queueSize?: number;
+  /** Reconnect with `?since=` the last timestamp received (default: true) */
+  resume?: boolean;
+  /** Token for a server that sets PUSH_TOKENS, sent as `?token=` (default: none) */
+  token?: string;
+  /** WebSocket constructor, for runtimes without a global one (default: globalThis.WebSocket) */
+  WebSocket?: typeof WebSocket;
+}
+
+export interface StateChangeDetail {
+  state: ConnectionState;
+  previous: ConnectionState;
+  /** Reconnect attempts since the socket was last open */
+  attempt: number;
+}
+
+type Handler = (event: TuiEvent) => void;
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CLIENT
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * @fires tui-push-state-change - When the connection state changes (detail: StateChangeDetail)
+ */
+export class RetroPush extends EventTarget {
+  readonly url: string;
+
+  private _options: Required<Omit<RetroPushOptions, 'WebSocket' | 'token'>>;
+  private _token: string | undefined;
+  private _WebSocket: typeof WebSocket | undefined;
+  private _ws: WebSocket | null = null;
+  private _state: ConnectionState = 'idle';
+  private _attempt = 0;
+  private _timer: ReturnType<typeof setTimeout> | null = null;
+  private _queue: string[] = [];
+  private _lastTimestamp = 0;
+  /** Channel patterns; null until subscribe() is first called, meaning "all" */
+  private _channels: Set<string> | null = null;
+  /** The patterns the current socket was opened with */
+  private _openedWith: Set<string> | null = null;
+  /** channel → type → handlers; '*' is the wildcard at either level */
+  private _handlers = new Map<string, Map<string, Set<Handler>>>();
+
+  constructor(url = 'ws://localhost:3001', options: RetroPushOptions = {}) {
+    super();
+    this.url = url;
+    this._WebSocket = options.WebSocket ?? globalThis.WebSocket;
+    this._token = options.token;
+    this._options = {
+      minDelay: options.minDelay ?? 1000,
+      maxDelay: options.maxDelay ?? 30000,
+      jitter: Math.max(0, Math.min(1, options.jitter ?? 0.5)),
+      queueSize: options.queueSize ?? 100,
+      resume: options.resume ?? true,
+    };
+  }
+
+  /** Current connection state */
+  get state(): ConnectionState {
+    return this._state;
+  }
+
+  /** Timestamp of the newest non-system event received, 0 before the first */
+  get lastTimestamp(): number {
+    return this._lastTimestamp;
+  }
+
+  /** Messages waiting for the socket to open */
+  get queued(): number {
+    return this._queue.length;
+  }
+
+  /**
+   * Open the connection. Reconnects automatically until `disconnect()`.
+   */
+  connect(): void {
+    // Open, or an attempt (first or a retry) still in flight: leave it be.
+    // Only a retry waiting on its timer is brought forward.
+    if (this._ws) return;
+    this._clearTimer();
+    this._open();
+  }
+
+  /**
+   * Close the connection and stop reconnecting. Queued messages are kept
+   * and sent on the next `connect()`.
+   */
+  disconnect(): void {
+    this._clearTimer();
+    const ws = this._ws;
+    this._ws = null;
+    this._attempt = 0;
+    this._setState('closed');
+    ws?.close();
+  }
+
+  /**
+   * Send a message to the server, or queue it until the socket opens.
+   * @param message - Any JSON-serialisable value
+   */
+  send(message: unknown): void {
+    const payload = JSON.stringify(message);
+    if (this._ws && this._state === 'open') {
+      this._ws.send(payload);
+      return;
+    }
+    this._queue.push(payload);
+    if (this._queue.length > this._options.queueSize) {
+      this._queue.splice(0, this._queue.length - this._options.queueSize);
+    }
+  }
+
+  /**
+   * Send the user's answer to a `prompt` back to the script waiting on it.
+   * Takes the `tui-prompt-answer` detail as-is.
+   */
+  answer({ channel, id, value }: { channel: string; id: string; value: string }): void {
+    this.send({ channel, type: 'answer', id, data: { value } });
+  }
+
+  /** Channel patterns the server is asked for; null means every channel */
+  get subscriptions(): string[] | null {
+    return this._channels ? [...this._channels] : null;
+  }
+
+  /**
+   * Ask the server for channels matching these patterns (`*` matches any run of
+   * characters). The first call narrows delivery from "everything" to just these.
+   */
+  subscribe(...patterns: string[]): void {
+    this._channels ??= new Set();
+    const added = patterns.filter((p) => !this._channels!.has(p));
+    for (const p of added) this._channels.add(p);
+    if (added.length && this._state === 'open') this._control('subscribe', added);
+  }
+
+  /** Stop receiving channels for these patterns. */
+  unsubscribe(...patterns: string[]): void {
+    if (!this._channels) return;
+    const removed = patterns.filter((p) => this._channels!.has(p));
+    for (const p of removed) this._channels.delete(p);
+    if (removed.length && this._state === 'open') this._control('unsubscribe', removed);
+  }
+
+  /**
+   * Listen for events on a channel, optionally narrowed to one type.
+   * `'*'` matches every channel or every type.
+   * @returns Unsubscribe function
+   */
+  on<T extends string>(channel: string, type: T, handler: (event: TypedTuiEvent<T>) => void): () => void;
+  on(channel: string, handler: (event: TuiEvent) => void): () => void;
+  on(channel: string, typeOrHandler: string | Handler, maybeHandler?: Handler): () => void {
+    const type = typeof typeOrHandler === 'string' ? typeOrHandler : '*';
+    const handler = (typeof typeOrHandler === 'function' ? typeOrHandler : maybeHandler) as Handler;
+
+    let byType = this._handlers.get(channel);
+    if (!byType) {
+      byType = new Map();
+      this._handlers.set(channel, byType);
+    }
+    let set = byType.get(type);
+    if (!set) {
+      set = new Set();
+      byType.set(type, set);
+    }
+    set.add(handler);
+
+    return () => {
+      set!.delete(handler);
+    };
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // Internals
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  private _open(): void {
+    if (!this._WebSocket) {
+      throw new Error('RetroPush: no WebSocket implementation; pass one via options.WebSocket');
+    }
+    this._setState(this._attempt > 0 ? 'reconnecting' : 'connecting');
+
+    let ws: WebSocket;
+    try {
+      ws = new this._WebSocket(this._connectUrl());
+    } catch (e) {
+      console.error('[RetroPush] Connection failed:', e);
+      this._scheduleReconnect();
+      return;
+    }
+    this._ws = ws;
+
+    ws.onopen = () => {
+      if (this._ws !== ws) return;
+      this._attempt = 0;
+      this._setState('open');
+      this._syncSubscriptions();
+      this._flush();
+    };
+
+    ws.onmessage = (msg: MessageEvent) => {
+      if (this._ws !== ws) return;
+      let event: TuiEvent;
+      try {
+        event = JSON.parse(msg.data);
+      } catch (e) {
+        console.error('[RetroPush] Invalid message:', e);
+        return;
+      }
+      // _system messages are stamped outside the replay sequence.
+      if (event.channel !== '_system' && typeof event.timestamp === 'number') {
+        this._lastTimestamp = Math.max(this._lastTimestamp, event.timestamp);
+      }
+      this._emit(event);
+    };
+
+    ws.onclose = () => {
+      // A socket replaced by disconnect() or a newer attempt has nothing to say.
+      if (this._ws !== ws) return;
+      this._ws = null;
+      this._scheduleReconnect();
+    };
+
+    ws.onerror = () => {
+      // onclose always follows and owns the reconnect; nothing to do here.
+    };
+  }
+
+  private _connectUrl(): string {
+    const params: string[] = [];
+    this._openedWith = this._channels ? new Set(this._channels) : null;
+    if (this._channels) {
+      params.push(`channels=${[...this._channels].map(encodeURIComponent).join(',')}`);
+    }
+    if (this._options.resume && this._lastTimestamp) {
+      params.push(`since=${this._lastTimestamp}`);
+    }
+    // Browsers cannot set headers on a WebSocket, so the token rides in the URL.
+    if (this._token) {
+      params.push(`token=${encodeURIComponent(this._token)}`);
+    }
+    if (!params.length) return this.url;
+    const sep = this.url.includes('?') ? '&' : '?';
+    return `${this.url}${sep}${params.join('&')}`;
+  }
+
+  /** Catch the server up on subscribe()/unsubscribe() calls made while connecting. */
+  private _syncSubscriptions(): void {
+    if (!this._channels) return;
+    const opened = this._openedWith;
+    if (!opened) {
+      // Opened without a channel list, the socket is receiving everything.
+      this._control('subscribe', [...this._channels]);
+    } else {
+      const added = [...this._channels].filter((p) => !opened.has(p));
+      const removed = [...opened].filter((p) => !this._channels!.has(p));
+      if (added.length) this._control('subscribe', added);
+      if (removed.length) this._control('unsubscribe', removed);
+    }
+    this._openedWith = new Set(this._channels);
+  }
+
+  private _control(type: 'subscribe' | 'unsubscribe', channels: string[]): void {
+    this._ws!.send(JSON.stringify({ channel: '_system', type, id: '', data: { channels } }));
+  }
+
+  private _scheduleReconnect(): void {
+    const { minDelay, maxDelay, jitter } = this._options;
+    const base = Math.min(maxDelay, minDelay * 2 ** this._attempt);
+    const delay = base * (1 - jitter * Math.random());
+    this._attempt++;
+    this._setState('reconnecting');
+    this._timer = setTimeout(() => {
+      this._timer = null;
+      this._open();
+    }, delay);
+  }
+
+  private _flush(): void {
+    const pending = this._queue;
+    this._queue = [];
+    for (const payload of pending) this._ws!.send(payload);
+  }
+
+  private _emit(event: TuiEvent): void {
+    for (const channel of new Set([event.channel, '*'])) {
+      const byType = this._handlers.get(channel);
+      if (!byType) continue;
+      for (const type of new Set([event.type, '*'])) {
+        const handlers = byType.get(type);
+        if (!handlers) continue;
+        for (const handler of handlers) {
+          try {
+            handler(event);
+          } catch (e) {
+            console.error('[RetroPush] Handler error:', e);
+          }
+        }
+      }
+    }
+  }
+
+  private _setState(state: ConnectionState): void {
+    const previous = this._state;
+    if (previous === state) return;
+    this._state = state;
+    const detail: StateChangeDetail = { state, previous, attempt: this._attempt };
+    this.dispatchEvent(new CustomEvent('tui-push-state-change', { detail }));
+  }
+
+  private _clearTimer(): void {
+    if (this._timer) {
+      clearTimeout(this._timer);
+      this._timer = null;
+    }
+  }
+}
@@ -0,0 +1,224 @@
+/**
+ * EventRouter - delivers protocol events to the components they address.
+ *
+ * The routing rule is the one docs/api/event-protocol.md has always described:
+ * an event goes to the component registered for its `id`, and an `id` nobody
+ * registered renders as a `<tui-output>` with a type badge. Before this module
+ * every app wrote that switch by hand (see examples/push-server/demo.js).
+ *
+ * Lookup order for an event's `id`:
+ *   1. an element passed to `register()`
+ *   2. an element in `root` whose DOM `id` matches
+ *   3. a fallback, created on first sight and reused afterwards: a
+ *      `<tui-prompt>` for `prompt` events, removed once it closes, otherwise a
+ *      panel holding a `<tui-output>`
+ *
+ * Events that fail validation against the protocol schema are dropped with a
+ * console warning, so a malformed message from a script never reaches a
+ * component half-formed.
+ *
+ * Usage:
+ *   const router = new EventRouter({ container: document.querySelector('#panels') });
+ *   socket.onmessage = (e) => router.dispatch(JSON.parse(e.data));
+ */
+import '../components/tui-panel';
+import '../components/tui-output';
+import '../components/tui-prompt';
+import type { Output } from '../components/tui-output';
+import type { Prompt } from '../components/tui-prompt';
+import type { TuiEvent } from './types';
+import { validateEvent, formatErrors } from './validate.js';
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// TYPES
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/** Anything with the `handleEvent(event)` method every protocol component has. */
+export interface EventReceiver {
+  handleEvent(event: TuiEvent): void;
+}
+
+export interface EventRouterOptions {
+  /** Where ids are looked up in the DOM. Default: `document`. */
+  root?: Document | DocumentFragment;
+  /**
+   * Where fallback panels for unknown ids are appended. Default: `document.body`.
+   * Pass `null` to drop events for unknown ids instead.
+   */
+  container?: Element | null;
+  /** Drop events that fail schema validation, with a console warning. Default: true. */
+  validate?: boolean;
+}
+
+type Routable = Element & EventReceiver;
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// HELPERS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/** Types the fallback output understands natively; anything else gets a badge. */
+const NATIVE_TYPES = new Set(['log', 'group', 'clear']);
+
+function isRoutable(el: Element | null | undefined): el is Routable {
+  return !!el && typeof (el as Partial<EventReceiver>).handleEvent === 'function';
+}
+
+/** One line of text for an event type the fallback output has no renderer for. */
+function badgeLine(event: TuiEvent): string {
+  const data = event.data ?? {};
+  const body = typeof data.message === 'string' ? data.message : JSON.stringify(data);
+  return `\x1b[7m ${event.type} \x1b[0m ${body}`;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// ROUTER
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export class EventRouter {
+  private _registry = new Map<string, Routable>();
+  private _fallbacks = new Map<string, Routable>();
+  private _root: Document | DocumentFragment | undefined;
+  private _container: Element | null | undefined;
+  private _validate: boolean;
+
+  constructor(options: EventRouterOptions = {}) {
+    this._root = options.root;
+    this._container = options.container;
+    this._validate = options.validate ?? true;
+  }
+
+  /**
+   * Route events for `id` to `target`, ahead of any DOM lookup.
+   * @returns A function that removes the registration.
+   */
+  register(id: string, target: Routable): () => void {
+    this._registry.set(id, target);
+    return () => {
+      if (this._registry.get(id) === target) this._registry.delete(id);
+    };
+  }
+
+  /** Remove the registration for `id`, if any. */
+  unregister(id: string): void {
+    this._registry.delete(id);
+  }
+
+  /**
+   * Deliver an event to the component for its `id`.
+   * @returns The element that received it, or null if it was dropped.
+   */
+  dispatch(event: TuiEvent): Element | null {
+    if (this._validate) {
+      const { ok, errors } = validateEvent(event);
+      if (!ok) {
+        console.warn(`[EventRouter] Dropped invalid "${event?.type}" event:\n${formatErrors(errors)}`);
+        return null;
+      }
+    }
+
+    const target = this.resolve(event.id);
+
+    if (event.type === 'dismiss') {
+      if (target) this._dismiss(event.id, target);
+      return target;
+    }
+
+    if (target) {
+      // A fallback keeps badging whatever it has no renderer for, including
+      // events for its id that arrive after it was created.
+      if (target === this._fallbacks.get(event.id) && target.localName === 'tui-output') {
+        this._deliverToFallback(target as Output, event);
+      } else {
+        target.handleEvent(event);
+        if (target === this._fallbacks.get(event.id) && target.localName === 'tui-prompt') {
+          this._removeClosedPrompt(event.id, target as Prompt);
+        }
+      }
+      return target;
+    }
+
+    // Nothing to clear or close on a component that was never shown.
+    if (event.type === 'clear' || event.type === 'answer') return null;
+
+    if (event.type === 'prompt') {
+      const prompt = this._createPromptFallback(event);
+      prompt?.handleEvent(event);
+      return prompt;
+    }
+
+    const fallback = this._createFallback(event);
+    if (!fallback) return null;
+    this._deliverToFallback(fallback, event);
+    return fallback;
+  }
+
+  /** The element events for `id` currently go to, without creating a fallback. */
+  resolve(id: string): Routable | null {
+    const registered = this._registry.get(id);
+    if (registered) return registered;
+
+    const fallback = this._fallbacks.get(id);
+    if (fallback) return fallback;
+
+    const root = this._root ?? (typeof document !== 'undefined' ? document : undefined);
+    const found = id ? root?.getElementById(id) : null;
+    return isRoutable(found) ? found : null;
+  }
+
+  private _deliverToFallback(output: Output, event: TuiEvent): void {
+    if (NATIVE_TYPES.has(event.type)) {
+      output.handleEvent(event);
+    } else {
+      output.append(badgeLine(event));
+    }
+  }
+
+  private _fallbackContainer(): Element | null {
+    if (this._container !== undefined) return this._container;
+    return typeof document !== 'undefined' ? document.body : null;
+  }
+
+  private _createPromptFallback(event: TuiEvent): Routable | null {
+    const container = this._fallbackContainer();
+    if (!container) return null;
+
+    const prompt = document.createElement('tui-prompt');
+    // Answered here: the event still reaches document listeners after removal.
+    prompt.addEventListener('tui-prompt-answer', () => this._removeClosedPrompt(event.id, prompt));
+    container.appendChild(prompt);
+    this._fallbacks.set(event.id, prompt);
+    return prompt;
+  }
+
+  /**
+   * Take a fallback prompt off the page once it has closed — answered here or in
+   * another tab, or withdrawn — so the next prompt for its id gets a fresh one.
+   */
+  private _removeClosedPrompt(id: string, prompt: Prompt): void {
+    if (prompt.open) return;
+    prompt.remove();
+    if (this._fallbacks.get(id) === prompt) this._fallbacks.delete(id);
+  }
+
+  private _createFallback(event: TuiEvent): Output | null {
+    const container = this._fallbackContainer();
+    if (!container) return null;
+
+    const panel = document.createElement('tui-panel');
+    panel.title = event.id || event.type;
+    panel.dataset.tuiFallback = event.id;
+
+    const output = document.createElement('tui-output');
+    panel.appendChild(output);
+    container.appendChild(panel);
+    this._fallbacks.set(event.id, output);
+    return output;
+  }
+
+  private _dismiss(id: string, target: Routable): void {
+    const panel = target.closest('tui-panel') ?? target;
+    panel.remove();
+    this._fallbacks.delete(id);
+    this._registry.delete(id);
+  }
+}
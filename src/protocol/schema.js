@@ -0,0 +1,60 @@
+// Generated by scripts/generate-protocol-schema.js from src/protocol/types.ts.
+// Do not edit — change types.ts and run `npm run generate:schema`.
+
+/** Field schemas for the envelope and each event type's data, keyed by interface name. */
+export const SCHEMAS = {
+  LogData: {
+    message: {"type":"string","optional":false},
+    level: {"type":"string","enum":["info","warn","error"],"optional":true},
+  },
+  GroupData: {
+    action: {"type":"string","enum":["start","end"],"optional":false},
+    title: {"type":"string","optional":true},
+    status: {"type":"string","enum":["success","error"],"optional":true},
+  },
+  ProgressData: {
+    value: {"type":"number","optional":false},
+    label: {"type":"string","optional":true},
+    total: {"type":"number","optional":true},
+    current: {"type":"number","optional":true},
+  },
+  TableData: {
+    columns: {"type":"array","items":{"type":"string"},"optional":false},
+    rows: {"type":"array","items":{"type":"object"},"optional":false},
+  },
+  TableUpsertData: {
+    key: {"type":"string","optional":false},
+    row: {"type":"object","optional":false},
+  },
+  StatusData: {
+    state: {"type":"string","enum":["success","error","info","warning","pending"],"optional":false},
+    message: {"type":"string","optional":false},
+  },
+  PromptData: {
+    message: {"type":"string","optional":false},
+    options: {"type":"array","items":{"type":"string"},"optional":true},
+  },
+  AnswerData: {
+    value: {"type":"string","optional":false},
+  },
+  TuiEvent: {
+    channel: {"type":"string","optional":false},
+    type: {"type":"string","optional":false},
+    id: {"type":"string","optional":false},
+    data: {"type":"object","optional":false},
+    timestamp: {"type":"number","optional":true},
+  },
+};
+
+/** The data interfaces each standard event type may carry. Empty means any object. */
+export const EVENT_DATA = {
+  log: ["LogData"],
+  group: ["GroupData"],
+  progress: ["ProgressData"],
+  table: ["TableData","TableUpsertData"],
+  status: ["StatusData"],
+  prompt: ["PromptData"],
+  answer: ["AnswerData"],
+  clear: [],
+  dismiss: [],
+};
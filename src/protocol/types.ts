@@ -1,10 +1,12 @@
 /** Standard event types that map to retro-tui components */
 export type StandardEventType =
   | 'log'
+  | 'group'
   | 'progress'
   | 'table'
   | 'status'
   | 'prompt'
+  | 'answer'
   | 'clear'
   | 'dismiss';
 
@@ -16,6 +18,16 @@ export interface LogData {
   level?: 'info' | 'warn' | 'error';
 }
 
+/** Opens or closes a foldable section of a `<tui-output>` log */
+export interface GroupData {
+  // 'start' opens a group inside the current one; 'end' closes the innermost.
+  action: 'start' | 'end';
+  title?: string;
+  // Only read on 'end'. A group that ends without one succeeded unless an
+  // error-level line was logged inside it.
+  status?: 'success' | 'error';
+}
+
 export interface ProgressData {
   value: number;
   label?: string;
@@ -62,6 +74,24 @@ export interface PromptData {
   options?: string[];
 }
 
+/** The user's reply to a `prompt`, sent from the browser back to the server */
+export interface AnswerData {
+  value: string;
+}
+
+/** The `data` payload each standard event type carries */
+export interface EventDataMap {
+  log: LogData;
+  group: GroupData;
+  progress: ProgressData;
+  table: TableData | TableUpsertData;
+  status: StatusData;
+  prompt: PromptData;
+  answer: AnswerData;
+  clear: Record<string, never>;
+  dismiss: Record<string, never>;
+}
+
 /** The protocol event envelope — every message follows this shape */
 export interface TuiEvent {
   channel: string;
@@ -70,3 +100,9 @@ export interface TuiEvent {
   data: Record<string, unknown>;
   timestamp?: number;
 }
+
+/** An envelope whose `data` is narrowed by its `type`; custom types keep the loose shape */
+export type TypedTuiEvent<T extends string = string> = Omit<TuiEvent, 'type' | 'data'> & {
+  type: T;
+  data: T extends keyof EventDataMap ? EventDataMap[T] : Record<string, unknown>;
+};
@@ -0,0 +1,147 @@
+/**
+ * Protocol event validation.
+ *
+ * Checks an envelope, and for the standard types its `data`, against the schema
+ * generated from src/protocol/types.ts. Plain JavaScript so the push server can
+ * import it without a build step; the same function backs the server's 400
+ * responses, EventRouter, and the dev-mode warnings in components.
+ *
+ * Fields the interfaces do not mention are allowed — the protocol is open to
+ * extension, and a stricter check would reject every custom field.
+ */
+import { SCHEMAS, EVENT_DATA } from './schema.js';
+
+/**
+ * @typedef {Object} ValidationError
+ * @property {string} field - Dotted path to the bad field, e.g. "data.value"
+ * @property {string} message - What was wrong with it
+ */
+
+/**
+ * @typedef {Object} ValidationResult
+ * @property {boolean} ok
+ * @property {ValidationError[]} errors - Empty when ok
+ */
+
+function describe(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && !Number.isFinite(value)) return String(value);
+  return typeof value;
+}
+
+function checkValue(value, schema, field, errors) {
+  switch (schema.type) {
+    case 'number':
+      // NaN and Infinity are numbers to typeof, and exactly what renders as "NaN%".
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        errors.push({ field, message: `expected a finite number, got ${describe(value)}` });
+      }
+      return;
+    case 'object':
+      if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+        errors.push({ field, message: `expected an object, got ${describe(value)}` });
+      }
+      return;
+    case 'array':
+      if (!Array.isArray(value)) {
+        errors.push({ field, message: `expected an array, got ${describe(value)}` });
+        return;
+      }
+      value.forEach((item, i) => checkValue(item, schema.items, `${field}[${i}]`, errors));
+      return;
+    default:
+      if (typeof value !== schema.type) {
+        errors.push({ field, message: `expected a ${schema.type}, got ${describe(value)}` });
+      } else if (schema.enum && !schema.enum.includes(value)) {
+        errors.push({ field, message: `expected one of ${schema.enum.map(v => `"${v}"`).join(', ')}, got "${value}"` });
+      }
+  }
+}
+
+function checkObject(obj, name, prefix) {
+  const errors = [];
+  for (const [key, schema] of Object.entries(SCHEMAS[name])) {
+    const field = prefix ? `${prefix}.${key}` : key;
+    const value = obj[key];
+    if (value === undefined) {
+      if (!schema.optional) errors.push({ field, message: 'is required' });
+      continue;
+    }
+    checkValue(value, schema, field, errors);
+  }
+  return errors;
+}
+
+/**
+ * Validate a protocol event.
+ * @param {unknown} event - Anything; typically freshly parsed JSON
+ * @returns {ValidationResult}
+ */
+export function validateEvent(event) {
+  if (event === null || typeof event !== 'object' || Array.isArray(event)) {
+    return { ok: false, errors: [{ field: '', message: `expected an event object, got ${describe(event)}` }] };
+  }
+
+  const errors = checkObject(event, 'TuiEvent', '');
+  const variants = EVENT_DATA[event.type];
+  const dataIsObject = !errors.some(e => e.field === 'data');
+
+  // Custom types, and clear/dismiss, only need an object. A standard type has to
+  // match one of its data interfaces; when it matches none, the closest miss is
+  // the most useful one to report.
+  if (dataIsObject && variants?.length) {
+    let best = null;
+    for (const name of variants) {
+      const found = checkObject(event.data, name, 'data');
+      if (found.length === 0) {
+        best = [];
+        break;
+      }
+      if (!best || found.length < best.length) best = found;
+    }
+    errors.push(...best);
+  }
+
+  return { ok: errors.length === 0, errors };
+}
+
+/**
+ * Format validation errors as one line each, e.g. `data.value: expected a finite number, got string`.
+ * @param {ValidationError[]} errors
+ * @returns {string}
+ */
+export function formatErrors(errors) {
+  return errors.map(e => (e.field ? `${e.field}: ${e.message}` : e.message)).join('\n');
+}
+
+/**
+ * Whether this is a production build. Written as the bare `process.env.NODE_ENV`
+ * so bundlers that define it (Vite, webpack, esbuild, and our CDN build) replace
+ * it; where nothing does and there is no `process` — native ESM, Vite dev — the
+ * lookup throws and counts as development.
+ * @returns {boolean}
+ */
+function isProduction() {
+  try {
+    return process.env.NODE_ENV === 'production';
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * In development, warn on the console when a component is handed an invalid
+ * event. The component still processes it — this is a diagnostic, not a gate.
+ * Production bundles that replace `process.env.NODE_ENV` drop it.
+ * @param {string} tag - The receiving element's tag name
+ * @param {unknown} event
+ */
+export function warnInvalidEvent(tag, event) {
+  if (isProduction()) return;
+  const { ok, errors } = validateEvent(event);
+  if (!ok) {
+    const type = event && typeof event === 'object' ? event.type : undefined;
+    console.warn(`[${tag}] Invalid "${type}" event:\n${formatErrors(errors)}`);
+  }
+}
@@ -8,15 +8,24 @@ export const sharedStyles = css`
     font-size: var(--font-size-body, 0.85rem);
   }
 
-  /* ANSI color classes */
-  .ansi-black { color: #484848; }
-  .ansi-red { color: var(--color-error); }
-  .ansi-green { color: var(--color-secondary); }
-  .ansi-yellow { color: var(--color-secondary); }
-  .ansi-blue { color: var(--color-primary); }
-  .ansi-magenta { color: var(--color-primary); }
-  .ansi-cyan { color: #56d4dd; }
-  .ansi-white { color: var(--text-primary); }
+  /* ANSI color classes — the 16-colour palette, themed by the --ansi-* tokens
+     in tokens.css. 256-colour indices 0–15 resolve to these classes too. */
+  .ansi-black { color: var(--ansi-black); }
+  .ansi-red { color: var(--ansi-red); }
+  .ansi-green { color: var(--ansi-green); }
+  .ansi-yellow { color: var(--ansi-yellow); }
+  .ansi-blue { color: var(--ansi-blue); }
+  .ansi-magenta { color: var(--ansi-magenta); }
+  .ansi-cyan { color: var(--ansi-cyan); }
+  .ansi-white { color: var(--ansi-white); }
+  .ansi-bright-black { color: var(--ansi-bright-black); }
+  .ansi-bright-red { color: var(--ansi-bright-red); }
+  .ansi-bright-green { color: var(--ansi-bright-green); }
+  .ansi-bright-yellow { color: var(--ansi-bright-yellow); }
+  .ansi-bright-blue { color: var(--ansi-bright-blue); }
+  .ansi-bright-magenta { color: var(--ansi-bright-magenta); }
+  .ansi-bright-cyan { color: var(--ansi-bright-cyan); }
+  .ansi-bright-white { color: var(--ansi-bright-white); }
   .ansi-bold { font-weight: bold; }
   .ansi-dim { opacity: 0.7; }
   .ansi-italic { font-style: italic; }
@@ -29,14 +38,32 @@ export const sharedStyles = css`
   .ansi-hidden { visibility: hidden; }
 
   /* Background colors */
-  .ansi-bg-black { background-color: #484848; }
-  .ansi-bg-red { background-color: var(--color-error); }
-  .ansi-bg-green { background-color: var(--color-secondary); }
-  .ansi-bg-yellow { background-color: #d29922; }
-  .ansi-bg-blue { background-color: var(--color-primary); }
-  .ansi-bg-magenta { background-color: #bc8cff; }
-  .ansi-bg-cyan { background-color: #56d4dd; }
-  .ansi-bg-white { background-color: var(--text-primary); }
+  .ansi-bg-black { background-color: var(--ansi-black); }
+  .ansi-bg-red { background-color: var(--ansi-red); }
+  .ansi-bg-green { background-color: var(--ansi-green); }
+  .ansi-bg-yellow { background-color: var(--ansi-yellow); }
+  .ansi-bg-blue { background-color: var(--ansi-blue); }
+  .ansi-bg-magenta { background-color: var(--ansi-magenta); }
+  .ansi-bg-cyan { background-color: var(--ansi-cyan); }
+  .ansi-bg-white { background-color: var(--ansi-white); }
+  .ansi-bg-bright-black { background-color: var(--ansi-bright-black); }
+  .ansi-bg-bright-red { background-color: var(--ansi-bright-red); }
+  .ansi-bg-bright-green { background-color: var(--ansi-bright-green); }
+  .ansi-bg-bright-yellow { background-color: var(--ansi-bright-yellow); }
+  .ansi-bg-bright-blue { background-color: var(--ansi-bright-blue); }
+  .ansi-bg-bright-magenta { background-color: var(--ansi-bright-magenta); }
+  .ansi-bg-bright-cyan { background-color: var(--ansi-bright-cyan); }
+  .ansi-bg-bright-white { background-color: var(--ansi-bright-white); }
+
+  /* Links in ANSI output (OSC 8 and autolinked), styled like <tui-link> */
+  a.tui-link {
+    color: var(--color-primary);
+    text-decoration: underline;
+    text-decoration-style: dotted;
+    text-underline-offset: 2px;
+    cursor: pointer;
+  }
+  a.tui-link:hover { text-decoration-style: solid; }
 
   /* ═══ Text Attribute Utilities ═══
      Declarative terminal text styling.
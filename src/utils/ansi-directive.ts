@@ -0,0 +1,54 @@
+import { html, nothing } from 'lit';
+import type { TemplateResult } from 'lit';
+import { Directive, directive } from 'lit/directive.js';
+import { classMap } from 'lit/directives/class-map.js';
+import { styleMap } from 'lit/directives/style-map.js';
+import { spanStyle, linkAttributes } from './ansi.js';
+import type { AnsiSpan } from './ansi.js';
+
+/**
+ * ansiSpans(spans) - Render one line of ANSI spans as DOM.
+ *
+ * Span text goes in through text bindings and colours through classMap/styleMap,
+ * so nothing is parsed as HTML: the safe counterpart to `.innerHTML=${ansiToHtml(text)}`,
+ * producing the same elements.
+ *
+ * @example
+ *   html`${ansiToSpans(text).map(spans => html`<div>${ansiSpans(spans)}</div>`)}`
+ */
+class AnsiSpansDirective extends Directive {
+  render(spans: readonly AnsiSpan[]): TemplateResult[] {
+    const parts: TemplateResult[] = [];
+    let i = 0;
+    while (i < spans.length) {
+      const { link } = spans[i];
+      const run: TemplateResult[] = [];
+      for (; i < spans.length && spans[i].link === link; i++) run.push(renderSpan(spans[i]));
+      const attrs = link && linkAttributes(link);
+      parts.push(attrs ? html`<a
+        class="tui-link"
+        href=${attrs.href ?? nothing}
+        target=${attrs.target ?? nothing}
+        rel=${attrs.rel ?? nothing}
+        data-path=${attrs['data-path'] ?? nothing}
+        data-line=${attrs['data-line'] ?? nothing}
+        data-column=${attrs['data-column'] ?? nothing}
+      >${run}</a>` : html`${run}`);
+    }
+    return parts;
+  }
+}
+
+function renderSpan(span: AnsiSpan): TemplateResult {
+  const { classes, styles } = spanStyle(span);
+  const text = span.mark
+    ? html`<mark class="tui-match ${span.mark === 'current' ? 'current' : ''}">${span.text}</mark>`
+    : span.text;
+  if (!classes.length && !Object.keys(styles).length) return html`${text}`;
+  return html`<span
+    class=${classMap(Object.fromEntries(classes.map(name => [name, true])))}
+    style=${styleMap(styles)}
+  >${text}</span>`;
+}
+
+export const ansiSpans = directive(AnsiSpansDirective);
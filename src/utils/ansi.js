@@ -2,41 +2,68 @@
  * ANSI escape code to HTML converter
  * Handles terminal colors (standard, 256, truecolor), background colors,
  * and text attributes (bold, dim, italic, underline, reverse, strikethrough).
+ *
+ * Text is run through a small terminal model rather than a regex, so output
+ * written for a terminal renders the way the terminal would have shown it:
+ * `\r` returns to the start of the line and later text overwrites earlier,
+ * `\x1b[K` erases, cursor movement moves, and SGR state changes one attribute
+ * at a time (`\x1b[22m` ends bold without ending the colour). Sequences with no
+ * meaning on a static page — cursor visibility, window titles and the other
+ * OSC strings, charset switches — are consumed and dropped, never shown.
+ *
+ * OSC 8 hyperlinks are the exception among OSC strings: they render as
+ * `<a class="tui-link">`. With `{ autolink: true }`, bare URLs and
+ * `path:line:col` references in the text become links too.
  */
 
-const ANSI_COLORS = {
-  30: 'black', 31: 'red', 32: 'green', 33: 'yellow',
-  34: 'blue', 35: 'magenta', 36: 'cyan', 37: 'white',
-  90: 'black', 91: 'red', 92: 'green', 93: 'yellow',
-  94: 'blue', 95: 'magenta', 96: 'cyan', 97: 'white',
-};
+/**
+ * The 16-colour palette, in index order: 0–7 normal, 8–15 bright. Each name is
+ * a class (`ansi-bright-red`, `ansi-bg-bright-red`) that reads its colour from a
+ * theme token (`--ansi-bright-red`), so output follows the active theme.
+ */
+const BASE_COLORS = ['black', 'red', 'green', 'yellow', 'blue', 'magenta', 'cyan', 'white'];
+const PALETTE = [...BASE_COLORS, ...BASE_COLORS.map(name => `bright-${name}`)];
 
-const ANSI_BG_COLORS = {
-  40: 'black', 41: 'red', 42: 'green', 43: 'yellow',
-  44: 'blue', 45: 'magenta', 46: 'cyan', 47: 'white',
-  100: 'black', 101: 'red', 102: 'green', 103: 'yellow',
-  104: 'blue', 105: 'magenta', 106: 'cyan', 107: 'white',
-};
+/** SGR code → palette colour, for 30–37/90–97 and (backgrounds) 40–47/100–107. */
+const ANSI_COLORS = {};
+const ANSI_BG_COLORS = {};
+for (let i = 0; i < 8; i++) {
+  ANSI_COLORS[30 + i] = PALETTE[i];
+  ANSI_COLORS[90 + i] = PALETTE[8 + i];
+  ANSI_BG_COLORS[40 + i] = PALETTE[i];
+  ANSI_BG_COLORS[100 + i] = PALETTE[8 + i];
+}
 
+/** SGR code → attribute it turns on. */
 const ANSI_STYLES = {
   1: 'bold',
   2: 'dim',
   3: 'italic',
   4: 'underline',
   7: 'reverse',
+  8: 'hidden',
   9: 'strikethrough',
 };
 
+/** SGR code → attributes it turns off. 22 ends both bold and dim. */
+const ANSI_STYLE_RESETS = {
+  22: ['bold', 'dim'],
+  23: ['italic'],
+  24: ['underline'],
+  27: ['reverse'],
+  28: ['hidden'],
+  29: ['strikethrough'],
+};
+
+/** Attribute names in the order their classes are emitted. */
+const ATTRIBUTES = Object.values(ANSI_STYLES);
+
 /**
- * Convert 256-color index to hex color.
- * 0-7: standard, 8-15: bright, 16-231: 6x6x6 cube, 232-255: grayscale
+ * Resolve a 256-colour index. 0–15 are the themed palette and come back as
+ * names; 16–231 (6x6x6 cube) and 232–255 (grayscale) are fixed and come back as hex.
  */
-function color256ToHex(n) {
-  const standard = ['#000000','#aa0000','#00aa00','#aa5500','#0000aa','#aa00aa','#00aaaa','#aaaaaa'];
-  const bright = ['#555555','#ff5555','#55ff55','#ffff55','#5555ff','#ff55ff','#55ffff','#ffffff'];
-
-  if (n < 8) return standard[n];
-  if (n < 16) return bright[n - 8];
+function color256(n) {
+  if (n < 16) return PALETTE[n];
   if (n < 232) {
     const idx = n - 16;
     const r = Math.floor(idx / 36);
@@ -50,90 +77,795 @@ function color256ToHex(n) {
   return `#${hex}${hex}${hex}`;
 }
 
+// ─────────────────────────────────────────────────────────────────────────────
+// SGR state
+// ─────────────────────────────────────────────────────────────────────────────
+
 /**
- * Convert ANSI escape codes to HTML with span classes/styles.
- * @param {string} text - Text with ANSI escape codes
- * @returns {string} HTML string with styled spans
+ * A style is immutable and shared by every cell written while it was current,
+ * so consecutive cells can be grouped into one span by identity.
+ * `fg`/`bg` are a palette name ('red', 'bright-red'; rendered as a class) or a CSS colour.
  */
-export function ansiToHtml(text) {
-  if (!text) return '';
+export const DEFAULT_STYLE = Object.freeze({
+  fg: null, bg: null,
+  bold: false, dim: false, italic: false, underline: false,
+  reverse: false, hidden: false, strikethrough: false,
+});
+
+/**
+ * Read an extended colour (38/48) starting at params[i].
+ * Takes both `38;5;N` and the colon form `38:5:N` / `38:2::R:G:B`.
+ * @returns {[string|null, number]} The colour, and how many params it used
+ */
+function extendedColor(params, i) {
+  const param = params[i];
+  if (param.includes(':')) {
+    const sub = param.split(':').map(Number);
+    if (sub[1] === 5 && sub.length >= 3) return [color256(sub[2]), 1];
+    if (sub[1] === 2 && sub.length >= 5) {
+      const [r, g, b] = sub.slice(-3);
+      return [`rgb(${r},${g},${b})`, 1];
+    }
+    return [null, 1];
+  }
+  const mode = Number(params[i + 1]);
+  if (mode === 5 && params[i + 2] !== undefined) {
+    return [color256(Number(params[i + 2])), 3];
+  }
+  if (mode === 2 && params.length > i + 4) {
+    const [r, g, b] = params.slice(i + 2, i + 5).map(Number);
+    return [`rgb(${r},${g},${b})`, 5];
+  }
+  return [null, 1];
+}
+
+/**
+ * Apply an SGR parameter list to a style.
+ * @param {object} style - Current style
+ * @param {string[]} params - Raw parameters; empty means reset
+ * @returns {object} The new style (the same object if nothing changed)
+ */
+export function applySgr(style, params) {
+  if (params.length === 0) return DEFAULT_STYLE;
+  const next = { ...style };
+
+  for (let i = 0; i < params.length; i++) {
+    const param = params[i];
+    const code = Number(param.split(':')[0] || 0);
+
+    if (code === 0) {
+      Object.assign(next, DEFAULT_STYLE);
+    } else if (code === 38 || code === 48) {
+      const [color, used] = extendedColor(params, i);
+      if (color) next[code === 38 ? 'fg' : 'bg'] = color;
+      i += used - 1;
+    } else if (code === 39) {
+      next.fg = null;
+    } else if (code === 49) {
+      next.bg = null;
+    } else if (ANSI_COLORS[code]) {
+      next.fg = ANSI_COLORS[code];
+    } else if (ANSI_BG_COLORS[code]) {
+      next.bg = ANSI_BG_COLORS[code];
+    } else if (ANSI_STYLES[code]) {
+      next[ANSI_STYLES[code]] = true;
+    } else if (ANSI_STYLE_RESETS[code]) {
+      for (const attr of ANSI_STYLE_RESETS[code]) next[attr] = false;
+    }
+  }
+
+  const changed = Object.keys(next).some(key => next[key] !== style[key]);
+  if (!changed) return style;
+  const isDefault = Object.keys(next).every(key => next[key] === DEFAULT_STYLE[key]);
+  return isDefault ? DEFAULT_STYLE : Object.freeze(next);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Escape sequences
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * @typedef {Object} AnsiHandler - What scanAnsi() hands each piece of text to
+ * @property {(ch: string) => void} print - A printable character; a surrogate pair comes whole
+ * @property {(ch: string) => void} control - A C0 control character (`\n`, `\r`, `\t`, BEL…) or DEL
+ * @property {(params: string[], intermediates: string, final: string, privateMarker: string) => void} csi -
+ *   `ESC [ ? 25 h` → (['25'], '', 'h', '?')
+ * @property {(body: string) => void} osc - An OSC string without its `ESC ]` and terminator
+ * @property {(final: string, intermediates: string) => void} esc - Any other escape:
+ *   `ESC 7` → ('7', ''), `ESC ( 0` → ('0', '(')
+ */
+
+/**
+ * Split text into printable characters, control characters and escape
+ * sequences. DCS, SOS, PM and APC strings are consumed and dropped.
+ * @param {string} text
+ * @param {AnsiHandler} handler
+ * @returns {number} Index of the first character not consumed: the start of an
+ *   escape sequence or surrogate pair cut off by the end of the text, else `text.length`
+ */
+export function scanAnsi(text, handler) {
+  let i = 0;
+  while (i < text.length) {
+    const ch = text[i];
+    const code = ch.charCodeAt(0);
 
-  // Escape HTML first
-  let html = text
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;');
-
-  const ansiRegex = /\x1b\[([0-9;]+)m/g;
-
-  let result = '';
-  let lastIndex = 0;
-  let openTags = [];
-  let match;
-
-  while ((match = ansiRegex.exec(html)) !== null) {
-    result += html.slice(lastIndex, match.index);
-    lastIndex = match.index + match[0].length;
-
-    const codes = match[1].split(';').map(Number);
-
-    for (let i = 0; i < codes.length; i++) {
-      const code = codes[i];
-      if (code === 0) {
-        // Reset — close all open tags
-        result += openTags.map(() => '</span>').join('');
-        openTags = [];
-      } else if (code === 38 && codes[i + 1] === 5 && codes[i + 2] !== undefined) {
-        // 256-color foreground: 38;5;N
-        const hex = color256ToHex(codes[i + 2]);
-        result += `<span style="color: ${hex}">`;
-        openTags.push('256fg');
-        i += 2;
-      } else if (code === 48 && codes[i + 1] === 5 && codes[i + 2] !== undefined) {
-        // 256-color background: 48;5;N
-        const hex = color256ToHex(codes[i + 2]);
-        result += `<span style="background-color: ${hex}">`;
-        openTags.push('256bg');
-        i += 2;
-      } else if (code === 38 && codes[i + 1] === 2 && codes.length > i + 4) {
-        // Truecolor foreground: 38;2;R;G;B
-        const r = codes[i + 2], g = codes[i + 3], b = codes[i + 4];
-        result += `<span style="color: rgb(${r},${g},${b})">`;
-        openTags.push('tcfg');
-        i += 4;
-      } else if (code === 48 && codes[i + 1] === 2 && codes.length > i + 4) {
-        // Truecolor background: 48;2;R;G;B
-        const r = codes[i + 2], g = codes[i + 3], b = codes[i + 4];
-        result += `<span style="background-color: rgb(${r},${g},${b})">`;
-        openTags.push('tcbg');
-        i += 4;
-      } else if (ANSI_COLORS[code]) {
-        const className = `ansi-${ANSI_COLORS[code]}`;
-        result += `<span class="${className}">`;
-        openTags.push(className);
-      } else if (ANSI_BG_COLORS[code]) {
-        const className = `ansi-bg-${ANSI_BG_COLORS[code]}`;
-        result += `<span class="${className}">`;
-        openTags.push(className);
-      } else if (ANSI_STYLES[code]) {
-        const className = `ansi-${ANSI_STYLES[code]}`;
-        result += `<span class="${className}">`;
-        openTags.push(className);
+    if (ch === '\x1b') {
+      const next = text[i + 1];
+      if (next === undefined) return i;
+      if (next === '[') {
+        // CSI: parameter bytes 0x30–0x3F, intermediate bytes 0x20–0x2F, final 0x40–0x7E
+        let j = i + 2;
+        const privateMarker = /[<=>?]/.test(text[j] ?? '') ? text[j++] : '';
+        const paramStart = j;
+        while (j < text.length && text.charCodeAt(j) >= 0x30 && text.charCodeAt(j) <= 0x3f) j++;
+        const paramText = text.slice(paramStart, j);
+        const interStart = j;
+        while (j < text.length && text.charCodeAt(j) >= 0x20 && text.charCodeAt(j) <= 0x2f) j++;
+        const intermediates = text.slice(interStart, j);
+        if (j >= text.length) return i;
+        const final = text[j];
+        if (final.charCodeAt(0) >= 0x40 && final.charCodeAt(0) <= 0x7e) {
+          handler.csi(paramText ? paramText.split(';') : [], intermediates, final, privateMarker);
+        }
+        i = j + 1;
+      } else if (next === ']' || next === 'P' || next === 'X' || next === '^' || next === '_') {
+        // OSC, DCS, SOS, PM, APC: a string ended by BEL or ST (ESC \)
+        let j = i + 2;
+        while (j < text.length && text[j] !== '\x07' && !(text[j] === '\x1b' && text[j + 1] === '\\')) j++;
+        if (j >= text.length) return i;
+        if (next === ']') handler.osc(text.slice(i + 2, j));
+        i = text[j] === '\x07' ? j + 1 : j + 2;
+      } else {
+        // ESC, intermediate bytes 0x20–0x2F, final byte: charset designation, save cursor…
+        let j = i + 1;
+        while (j < text.length && text.charCodeAt(j) >= 0x20 && text.charCodeAt(j) <= 0x2f) j++;
+        if (j >= text.length) return i;
+        handler.esc(text[j], text.slice(i + 1, j));
+        i = j + 1;
       }
+    } else if (code < 0x20 || code === 0x7f) {
+      handler.control(ch);
+      i++;
+    } else if (code >= 0xd800 && code <= 0xdbff) {
+      // Keep surrogate pairs together in one cell.
+      if (i + 1 >= text.length) return i;
+      handler.print(text.slice(i, i + 2));
+      i += 2;
+    } else {
+      handler.print(ch);
+      i++;
+    }
+  }
+  return i;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Terminal model
+// ─────────────────────────────────────────────────────────────────────────────
+
+const BLANK = Object.freeze({ ch: ' ', style: DEFAULT_STYLE, link: null });
+
+/**
+ * Furthest the cursor can be sent: a column this wide, or this many rows past
+ * the last line. Output cannot make a line or the grid any bigger than it
+ * could by printing, so `\x1b[9999999C` is not megabytes of padding.
+ */
+const MAX_COLUMN = 1000;
+const MAX_ROW_SLACK = 100;
+
+/** Numeric CSI parameter `n`, with `fallback` for missing or zero, clamped to MAX_COLUMN. */
+function count(params, n, fallback = 1) {
+  const value = Number(params[n] || 0);
+  return value > 0 ? Math.min(value, MAX_COLUMN) : fallback;
+}
+
+/**
+ * A minimal terminal: a grid of lines that grows as the cursor moves down, and
+ * never scrolls off. Lines are arrays of `{ ch, style, link }` cells; like
+ * styles, a link object is shared by every cell written while it was open.
+ *
+ * `feed()` can be called repeatedly, which is what lets AnsiStream carry SGR
+ * state and half-received sequences from one chunk to the next.
+ */
+class Terminal {
+  constructor() {
+    /** @type {Array<Array<{ ch: string, style: object, link: object|null }>>} */
+    this.lines = [[]];
+    this.row = 0;
+    this.col = 0;
+    this.style = DEFAULT_STYLE;
+    this.link = null;
+    this.saved = { row: 0, col: 0 };
+  }
+
+  line() {
+    return (this.lines[this.row] ??= []);
+  }
+
+  moveTo(r, c) {
+    this.row = Math.max(0, Math.min(r, this.lines.length - 1 + MAX_ROW_SLACK));
+    this.col = Math.max(0, Math.min(c, MAX_COLUMN));
+    for (let i = this.lines.length; i <= this.row; i++) this.lines[i] = [];
+  }
+
+  write(ch) {
+    const cells = this.line();
+    while (cells.length < this.col) cells.push(BLANK);
+    cells[this.col++] = { ch, style: this.style, link: this.link };
+  }
+
+  print(ch) {
+    this.write(ch);
+  }
+
+  control(ch) {
+    if (ch === '\n') this.moveTo(this.row + 1, 0);
+    else if (ch === '\r') this.col = 0;
+    else if (ch === '\b') this.col = Math.max(0, this.col - 1);
+    else if (ch === '\t') this.write(ch);
+    // BEL and the other C0 controls show nothing
+  }
+
+  osc(body) {
+    const link = oscLink(body);
+    if (link !== undefined) this.link = link;
+  }
+
+  esc(final, intermediates) {
+    if (intermediates) return; // charset designation
+    if (final === '7') this.saved = { row: this.row, col: this.col };
+    else if (final === '8') this.moveTo(this.saved.row, this.saved.col);
+  }
+
+  csi(params, intermediates, final, privateMarker) {
+    // DEC private modes (cursor visibility, bracketed paste...) change nothing visible here.
+    if (privateMarker) return;
+    const { row, col } = this;
+    switch (final) {
+      case 'm':
+        if (!intermediates) this.style = applySgr(this.style, params);
+        break;
+      case 'K': {
+        const cells = this.line();
+        const mode = Number(params[0] || 0);
+        if (mode === 0) cells.length = Math.min(cells.length, col);
+        else if (mode === 1) cells.fill(BLANK, 0, Math.min(cells.length, col + 1));
+        else if (mode === 2) cells.length = 0;
+        break;
+      }
+      case 'J': {
+        const { lines } = this;
+        const mode = Number(params[0] || 0);
+        if (mode === 0) {
+          this.line().length = Math.min(this.line().length, col);
+          lines.length = row + 1;
+        } else if (mode === 1) {
+          for (let r = 0; r < row; r++) lines[r] = [];
+          this.line().fill(BLANK, 0, Math.min(this.line().length, col + 1));
+        } else {
+          for (let r = 0; r < lines.length; r++) lines[r] = [];
+        }
+        break;
+      }
+      case 'A': this.moveTo(row - count(params, 0), col); break;
+      case 'B': this.moveTo(row + count(params, 0), col); break;
+      case 'C': this.moveTo(row, col + count(params, 0)); break;
+      case 'D': this.moveTo(row, col - count(params, 0)); break;
+      case 'E': this.moveTo(row + count(params, 0), 0); break;
+      case 'F': this.moveTo(row - count(params, 0), 0); break;
+      case 'G': case '`': this.moveTo(row, count(params, 0) - 1); break;
+      case 'd': this.moveTo(count(params, 0) - 1, col); break;
+      case 'H': case 'f': this.moveTo(count(params, 0) - 1, count(params, 1) - 1); break;
+      case 's': this.saved = { row, col }; break;
+      case 'u': this.moveTo(this.saved.row, this.saved.col); break;
+      case 'X': {
+        const cells = this.line();
+        const end = Math.min(cells.length, col + count(params, 0));
+        cells.fill(BLANK, Math.min(col, end), end);
+        break;
+      }
+      case 'P': this.line().splice(col, count(params, 0)); break;
+      case '@': {
+        const cells = this.line();
+        if (col < cells.length) cells.splice(col, 0, ...Array(count(params, 0)).fill(BLANK));
+        break;
+      }
+      // Anything else (scroll regions, tab stops, reports) has no static rendering.
+    }
+  }
+
+  /**
+   * Play text through the terminal.
+   * @param {string} text
+   * @returns {number} Index of the first character not consumed: the start of an
+   *   escape sequence or surrogate pair cut off by the end of the text, else `text.length`
+   */
+  feed(text) {
+    return scanAnsi(text, this);
+  }
+}
+
+/**
+ * Play a whole text through a fresh terminal. Anything cut off at the end is dropped.
+ * @param {string} text
+ * @returns {Array<Array<{ ch: string, style: object, link: object|null }>>}
+ */
+function interpret(text) {
+  const terminal = new Terminal();
+  terminal.feed(text);
+  const { lines, row } = terminal;
+  // Lines past the cursor only exist if something was written on them.
+  while (lines.length > row + 1 && lines[lines.length - 1].length === 0) lines.pop();
+  return lines;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Links
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** Schemes an anchor may point at; anything else (javascript:, data:) renders as text. */
+const SAFE_HREF = /^(?:https?|mailto|ftp|file):/i;
+
+/**
+ * The link an OSC string opens: `OSC 8 ; params ; URI`, where an empty URI
+ * closes the open link.
+ * @param {string} body - The OSC string without `ESC ]` and its terminator
+ * @returns {object | null | undefined} The link, null to close it, undefined if
+ *   the string is not OSC 8
+ */
+export function oscLink(body) {
+  if (!body.startsWith('8;')) return undefined;
+  const uri = body.slice(body.indexOf(';', 2) + 1);
+  return body.indexOf(';', 2) === -1 || !uri ? null : fileLink(uri) ?? Object.freeze({ href: uri });
+}
+
+/** An OSC 8 `file://host/path` link also names a path the host app can open. */
+function fileLink(uri) {
+  const match = /^file:\/\/[^/]*(\/[^?#]*)/i.exec(uri);
+  if (!match) return null;
+  let path = match[1];
+  try { path = decodeURIComponent(path); } catch { /* keep it encoded */ }
+  return Object.freeze({ href: uri, path });
+}
+
+/**
+ * Bare URLs, and `path:line` / `path:line:col` references as printed by
+ * compilers, linters and stack traces. A path needs a file extension, so
+ * clock times and `host:port` without a dot stay text.
+ */
+const AUTOLINK = new RegExp([
+  String.raw`\b((?:https?|ftp|file):\/\/[^\s<>"'\`]+)`,
+  String.raw`(?<![\w/\\.:@~-])((?:[A-Za-z]:)?[\w.~@+/\\-]*[\w-]\.[A-Za-z]\w*):(\d+)(?::(\d+))?`,
+].join('|'), 'g');
+
+/** Drop sentence punctuation and unbalanced closing brackets from a URL's end. */
+function trimUrl(url) {
+  for (;;) {
+    const last = url[url.length - 1];
+    if (/[.,;:!?'"]/.test(last)) {
+      url = url.slice(0, -1);
+    } else if ((last === ')' || last === ']')
+      && url.split(last).length > url.split(last === ')' ? '(' : '[').length) {
+      url = url.slice(0, -1);
+    } else {
+      return url;
+    }
+  }
+}
+
+/** A web link, or for `file://` URLs a file reference (Node stack traces end them in `:line:col`). */
+function urlLink(url) {
+  const position = /:(\d+)(?::(\d+))?$/.exec(url);
+  const file = fileLink(position ? url.slice(0, position.index) : url);
+  if (!file) return { href: url };
+  return {
+    ...file,
+    ...(position && { line: Number(position[1]) }),
+    ...(position?.[2] && { column: Number(position[2]) }),
+  };
+}
+
+/**
+ * Link the URLs and file references in a line of cells. Matching runs on the
+ * visible text, so a URL keeps its link across colour changes; cells already
+ * inside an OSC 8 link are left alone.
+ */
+function autolink(cells) {
+  let text = '';
+  const cellAt = [];
+  cells.forEach((cell, index) => {
+    for (let k = 0; k < cell.ch.length; k++) cellAt.push(index);
+    text += cell.ch;
+  });
+
+  const linked = cells.slice();
+  for (const match of text.matchAll(AUTOLINK)) {
+    const [whole, url, path, line, column] = match;
+    const length = url ? trimUrl(url).length : whole.length;
+    const first = cellAt[match.index];
+    const last = cellAt[match.index + length - 1];
+    if (cells.slice(first, last + 1).some(cell => cell.link)) continue;
+
+    const link = Object.freeze(url
+      ? urlLink(trimUrl(url))
+      : { path, line: Number(line), ...(column && { column: Number(column) }) });
+    for (let k = first; k <= last; k++) linked[k] = { ...cells[k], link };
+  }
+  return linked;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Rendering
+// ─────────────────────────────────────────────────────────────────────────────
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+const escapeAttr = (text) => escapeHtml(String(text)).replace(/"/g, '&quot;');
+
+const isNamedColor = (color) => /^[a-z-]+$/.test(color);
+
+/**
+ * @typedef {Object} AnsiSpan - A run of text in one style and one link
+ * @property {string} text
+ * @property {string | null} fg - Palette name ('red', 'bright-red'; rendered as a class) or a CSS colour
+ * @property {string | null} bg - Likewise, for the background
+ * @property {boolean} bold
+ * @property {boolean} dim
+ * @property {boolean} italic
+ * @property {boolean} underline
+ * @property {boolean} reverse
+ * @property {boolean} hidden
+ * @property {boolean} strikethrough
+ * @property {{ href?: string, path?: string, line?: number, column?: number } | null} link -
+ *   Shared by every span of one link, so `a.link === b.link` tells whether they belong together
+ * @property {'match' | 'current'} [mark] - Set by markSpans() on search hits
+ */
+
+/**
+ * @typedef {Object} AnsiLine - One finished (or pending) line of output
+ * @property {string} text - The line as plain text
+ * @property {AnsiSpan[]} spans
+ */
+
+/**
+ * Classes and inline CSS for a span's style. Both renderers — the HTML string
+ * and the Lit directive — go through this, so they cannot drift apart.
+ * @param {AnsiSpan} span
+ * @returns {{ classes: string[], styles: Record<string, string> }}
+ */
+export function spanStyle(span) {
+  const classes = [];
+  const styles = {};
+  if (span.fg) {
+    if (isNamedColor(span.fg)) classes.push(`ansi-${span.fg}`);
+    else styles.color = span.fg;
+  }
+  if (span.bg) {
+    if (isNamedColor(span.bg)) classes.push(`ansi-bg-${span.bg}`);
+    else styles['background-color'] = span.bg;
+  }
+  for (const attr of ATTRIBUTES) {
+    if (span[attr]) classes.push(`ansi-${attr}`);
+  }
+  // The two classes each set text-decoration; one span needs both at once.
+  if (span.underline && span.strikethrough) styles['text-decoration'] = 'underline line-through';
+  return { classes, styles };
+}
+
+/**
+ * Attributes for a link's anchor, besides `class="tui-link"`; null if there is
+ * nothing safe to link to. Web links open in a new tab; file references carry
+ * `data-path`, `data-line` and `data-column` for the host app to act on.
+ * @param {AnsiSpan['link']} link
+ * @returns {Record<string, string> | null}
+ */
+export function linkAttributes(link) {
+  const safe = link.href && SAFE_HREF.test(link.href);
+  if (!safe && !link.path) return null;
+  const attrs = {};
+  if (safe) {
+    attrs.href = link.href;
+    if (!link.path) Object.assign(attrs, { target: '_blank', rel: 'noopener noreferrer' });
+  }
+  if (link.path) attrs['data-path'] = link.path;
+  if (link.line) attrs['data-line'] = String(link.line);
+  if (link.column) attrs['data-column'] = String(link.column);
+  return attrs;
+}
+
+/**
+ * Group a line's cells into spans; cells share style and link objects, so identity decides.
+ * @param {Array<{ ch: string, style: object, link: object|null }>} cells
+ * @returns {AnsiSpan[]}
+ */
+export function toSpans(cells) {
+  const spans = [];
+  let i = 0;
+  while (i < cells.length) {
+    const { style, link } = cells[i];
+    let text = '';
+    while (i < cells.length && cells[i].style === style && cells[i].link === link) text += cells[i++].ch;
+    spans.push({ text, ...style, link });
+  }
+  return spans;
+}
+
+/**
+ * Render a line's spans as HTML: a `<span>` per styled run, wrapped in an
+ * anchor wherever consecutive spans share a link.
+ * @param {AnsiSpan[]} spans
+ * @returns {string}
+ */
+export function spansToHtml(spans) {
+  let html = '';
+  let i = 0;
+  while (i < spans.length) {
+    const { link } = spans[i];
+    let inner = '';
+    for (; i < spans.length && spans[i].link === link; i++) {
+      const span = spans[i];
+      const { classes, styles } = spanStyle(span);
+      const css = Object.entries(styles).map(([name, value]) => `${name}: ${value}`);
+      const attrs = [];
+      if (classes.length) attrs.push(`class="${classes.join(' ')}"`);
+      if (css.length) attrs.push(`style="${css.join('; ')}"`);
+      inner += attrs.length
+        ? `<span ${attrs.join(' ')}>${escapeHtml(span.text)}</span>`
+        : escapeHtml(span.text);
     }
+    const attrs = link && linkAttributes(link);
+    html += attrs
+      ? `<a class="tui-link"${Object.entries(attrs).map(([name, value]) => ` ${name}="${escapeAttr(value)}"`).join('')}>${inner}</a>`
+      : inner;
   }
+  return html;
+}
+
+/** SGR code turning each attribute on, the inverse of ANSI_STYLES. */
+const ATTRIBUTE_CODES = Object.fromEntries(Object.entries(ANSI_STYLES).map(([code, name]) => [name, code]));
 
-  result += html.slice(lastIndex);
-  result += openTags.map(() => '</span>').join('');
+/** SGR parameters for a span colour: a palette name, `#rrggbb` or `rgb(r,g,b)`. */
+function colorCode(color, background) {
+  const index = PALETTE.indexOf(color);
+  if (index !== -1) return String((index < 8 ? 30 + index : 82 + index) + (background ? 10 : 0));
+  const hex = /^#([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(color);
+  const rgb = hex ? hex.slice(1).map(v => parseInt(v, 16)) : color.match(/\d+/g);
+  return rgb ? `${background ? 48 : 38};2;${rgb.join(';')}` : null;
+}
 
+/**
+ * Render a line's spans back to ANSI text: each style change resets and
+ * re-applies the whole style, links become OSC 8, and the line ends with the
+ * style reset, so lines stand alone and can be filtered or reordered.
+ * @param {AnsiSpan[]} spans
+ * @returns {string}
+ */
+export function spansToAnsi(spans) {
+  let out = '';
+  let sgr = '';
+  let href = null;
+  for (const span of spans) {
+    const params = [];
+    if (span.fg) params.push(colorCode(span.fg, false));
+    if (span.bg) params.push(colorCode(span.bg, true));
+    for (const attr of ATTRIBUTES) {
+      if (span[attr]) params.push(ATTRIBUTE_CODES[attr]);
+    }
+    const next = params.filter(Boolean).join(';');
+    if (next !== sgr) {
+      out += next ? `\x1b[0;${next}m` : '\x1b[0m';
+      sgr = next;
+    }
+    const nextHref = span.link?.href ?? null;
+    if (nextHref !== href) {
+      out += `\x1b]8;;${nextHref ?? ''}\x1b\\`;
+      href = nextHref;
+    }
+    out += span.text;
+  }
+  if (href) out += '\x1b]8;;\x1b\\';
+  if (sgr) out += '\x1b[0m';
+  return out;
+}
+
+/**
+ * Split a line's spans at the edges of highlighted ranges and mark the pieces
+ * inside them, so a search hit can be highlighted without losing the colours
+ * it spans. Offsets index the line's plain text (the spans' texts joined).
+ * @param {AnsiSpan[]} spans
+ * @param {Array<{ start: number, end: number, current?: boolean }>} ranges - Sorted, not overlapping
+ * @returns {AnsiSpan[]}
+ */
+export function markSpans(spans, ranges) {
+  if (!ranges.length) return spans;
+  const result = [];
+  let offset = 0;
+  let r = 0;
+  for (const span of spans) {
+    const end = offset + span.text.length;
+    let at = offset;
+    while (at < end) {
+      while (r < ranges.length && ranges[r].end <= at) r++;
+      const range = ranges[r];
+      if (!range || range.start >= end) {
+        result.push({ ...span, text: span.text.slice(at - offset) });
+        break;
+      }
+      if (range.start > at) {
+        result.push({ ...span, text: span.text.slice(at - offset, range.start - offset) });
+        at = range.start;
+      }
+      const stop = Math.min(end, range.end);
+      result.push({
+        ...span,
+        text: span.text.slice(at - offset, stop - offset),
+        mark: range.current ? 'current' : 'match',
+      });
+      at = stop;
+    }
+    offset = end;
+  }
   return result;
 }
 
 /**
- * Strip ANSI codes from text
+ * Parse ANSI text into lines of styled spans — the structured form of
+ * ansiToHtml, for rendering without HTML strings (see the ansiSpans directive),
+ * measuring or searching.
+ * @param {string} text - Text with ANSI escape codes
+ * @param {Object} [options]
+ * @param {boolean} [options.autolink] - Also link bare URLs and `path:line:col` references
+ * @returns {AnsiSpan[][]} One array of spans per line
+ */
+export function ansiToSpans(text, { autolink: linkify = false } = {}) {
+  if (!text) return [];
+  return interpret(text).map(cells => toSpans(linkify ? autolink(cells) : cells));
+}
+
+/**
+ * Convert ANSI escape codes to HTML with span classes/styles.
+ * @param {string} text - Text with ANSI escape codes
+ * @param {Object} [options]
+ * @param {boolean} [options.autolink] - Also link bare URLs and `path:line:col` references
+ * @returns {string} HTML string with styled spans
+ */
+export function ansiToHtml(text, options) {
+  return ansiToSpans(text, options).map(spansToHtml).join('\n');
+}
+
+/**
+ * Describe the ansiToHtml link a click landed on, for a `tui-output-link` detail.
+ * @param {Event} event - A click inside rendered output
+ * @returns {{ text: string, href?: string, path?: string, line?: number, column?: number } | null}
+ *   The link's text and whichever of href/path/line/column it carries; null off a link
+ */
+export function linkFromEvent(event) {
+  const anchor = event.target?.closest?.('a.tui-link');
+  if (!anchor) return null;
+  const { path, line, column } = anchor.dataset;
+  return {
+    text: anchor.textContent,
+    ...(anchor.hasAttribute('href') && { href: anchor.getAttribute('href') }),
+    ...(path && { path }),
+    ...(line && { line: Number(line) }),
+    ...(column && { column: Number(column) }),
+  };
+}
+
+/**
+ * Strip ANSI codes from text, leaving what a terminal would have shown:
+ * carriage-return overwrites and erases are applied, not just removed.
  * @param {string} text - Text with ANSI escape codes
  * @returns {string} Plain text without ANSI codes
  */
 export function stripAnsi(text) {
-  return text.replace(/\x1b\[[0-9;]*m/g, '');
+  if (!text) return '';
+  return interpret(text).map(cells => cells.map(cell => cell.ch).join('')).join('\n');
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Streaming
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** Longest unfinished escape sequence held for the next chunk before it is dropped. */
+const MAX_HELD = 4096;
+
+/**
+ * Stateful parser for output that arrives in pieces — WebSocket frames, pipe
+ * reads, one log message at a time. Colour and link state carry from one chunk
+ * to the next, an escape sequence or UTF-8 character split across two chunks is
+ * reassembled, and each line is handed back once its newline arrives.
+ *
+ * The model is the same as ansiToHtml's, with one difference: a finished line
+ * is gone, so cursor movement and erases only reach the line still being written.
+ *
+ * @example
+ *   const stream = new AnsiStream();
+ *   stream.write('\x1b[31merror: disk');   // → [] (no newline yet)
+ *   stream.pending;                         // → the red "error: disk" so far
+ *   stream.write(' full\nretrying\x1b[0m\n'); // → two lines, both red
+ */
+export class AnsiStream {
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.autolink] - Link bare URLs and `path:line:col` references
+   */
+  constructor({ autolink = false } = {}) {
+    /** Link bare URLs and `path:line:col` references in lines from here on. */
+    this.autolink = autolink;
+    this.reset();
+  }
+
+  /**
+   * Feed a chunk of output.
+   * @param {string | Uint8Array | ArrayBuffer} chunk - Text, or UTF-8 bytes
+   * @returns {AnsiLine[]} The lines this chunk finished, possibly none
+   */
+  write(chunk) {
+    const text = typeof chunk === 'string' ? chunk : this._decoder.decode(chunk, { stream: true });
+    this._feed(this._held + text);
+    return this._takeFinished();
+  }
+
+  /**
+   * The line still being written, or null if nothing has been written on it.
+   * @returns {AnsiLine | null}
+   */
+  get pending() {
+    const cells = this._terminal.lines[0];
+    return cells.length ? this._toLine(cells) : null;
+  }
+
+  /**
+   * End of input: finish the pending line, and drop any sequence left incomplete.
+   * Style state is kept, as a terminal would.
+   * @returns {AnsiLine[]} The lines this finished, possibly none
+   */
+  end() {
+    this._feed(this._held + this._decoder.decode());
+    this._held = '';
+    const lines = this._takeFinished();
+    const pending = this.pending;
+    if (pending) {
+      this._terminal.lines = [[]];
+      this._terminal.col = 0;
+      lines.push(pending);
+    }
+    return lines;
+  }
+
+  /** Forget everything: pending text, held bytes and style state. */
+  reset() {
+    this._terminal = new Terminal();
+    this._decoder = new TextDecoder();
+    this._held = '';
+  }
+
+  _feed(text) {
+    const used = this._terminal.feed(text);
+    this._held = text.slice(used);
+    // An unterminated OSC string would otherwise hold back all later output.
+    if (this._held.length > MAX_HELD) this._held = '';
+  }
+
+  /** Lines above the cursor are finished; hand them back and forget them. */
+  _takeFinished() {
+    const terminal = this._terminal;
+    const done = terminal.lines.splice(0, terminal.row);
+    if (terminal.lines.length === 0) terminal.lines.push([]);
+    terminal.row = 0;
+    terminal.saved = { row: Math.max(0, terminal.saved.row - done.length), col: terminal.saved.col };
+    return done.map(cells => this._toLine(cells));
+  }
+
+  _toLine(cells) {
+    const linked = this.autolink ? autolink(cells) : cells;
+    return {
+      text: cells.map(cell => cell.ch).join(''),
+      spans: toSpans(linked),
+    };
+  }
 }
@@ -22,6 +22,8 @@ export interface BorderChars {
   br: string; // bottom-right corner
   h: string;  // horizontal line
   v: string;  // vertical line
+  tt: string; // top tee, stem down: ┬
+  bt: string; // bottom tee, stem up: ┴
 }
 
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -29,10 +31,10 @@ export interface BorderChars {
 // ═══════════════════════════════════════════════════════════════════════════════
 
 export const BORDER_CHARS: Record<Exclude<BorderStyle, 'none'>, BorderChars> = {
-  single:  { tl: '┌', tr: '┐', bl: '└', br: '┘', h: '─', v: '│' },
-  heavy:   { tl: '┏', tr: '┓', bl: '┗', br: '┛', h: '━', v: '┃' },
-  double:  { tl: '╔', tr: '╗', bl: '╚', br: '╝', h: '═', v: '║' },
-  rounded: { tl: '╭', tr: '╮', bl: '╰', br: '╯', h: '─', v: '│' },
+  single:  { tl: '┌', tr: '┐', bl: '└', br: '┘', h: '─', v: '│', tt: '┬', bt: '┴' },
+  heavy:   { tl: '┏', tr: '┓', bl: '┗', br: '┛', h: '━', v: '┃', tt: '┳', bt: '┻' },
+  double:  { tl: '╔', tr: '╗', bl: '╚', br: '╝', h: '═', v: '║', tt: '╦', bt: '╩' },
+  rounded: { tl: '╭', tr: '╮', bl: '╰', br: '╯', h: '─', v: '│', tt: '┬', bt: '┴' },
 };
 
 /**
@@ -0,0 +1,114 @@
+/**
+ * Shell-style parsing for tui-console command lines.
+ *
+ * Splits on whitespace with single and double quotes and backslash escapes,
+ * then sorts words into positional arguments and flags: `--name`, `--name=value`,
+ * `--no-name`, and bundled short flags `-abc`. A `--` word ends the flags, and
+ * quoted words and negative numbers are never flags.
+ */
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// TYPES
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export interface Token {
+  /** The word with quotes and escapes removed */
+  value: string;
+  /** Offsets of the word in the line, quotes included */
+  start: number;
+  end: number;
+  /** The word began with a quote, so it is never a flag */
+  quoted: boolean;
+}
+
+export interface ParsedCommand {
+  /** The first word */
+  name: string;
+  /** Positional arguments after the name */
+  args: string[];
+  /** `--watch` → true, `--no-watch` → false, `--out=dist` → 'dist', `-v` → true */
+  flags: Record<string, string | boolean>;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// PARSING
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Split a line into words. An unclosed quote runs to the end of the line, so a
+ * half-typed line still tokenizes (for completion).
+ */
+export function tokenize(line: string): Token[] {
+  const tokens: Token[] = [];
+  let i = 0;
+  while (i < line.length) {
+    while (i < line.length && /\s/.test(line[i])) i++;
+    if (i >= line.length) break;
+    const start = i;
+    const quoted = line[i] === '"' || line[i] === "'";
+    let value = '';
+    let quote: string | null = null;
+    for (; i < line.length; i++) {
+      const ch = line[i];
+      if (quote) {
+        if (ch === quote) quote = null;
+        // Inside double quotes a backslash escapes only a quote or backslash
+        else if (ch === '\\' && quote === '"' && (line[i + 1] === '"' || line[i + 1] === '\\')) value += line[++i];
+        else value += ch;
+      } else if (ch === '"' || ch === "'") {
+        quote = ch;
+      } else if (ch === '\\' && i + 1 < line.length) {
+        value += line[++i];
+      } else if (/\s/.test(ch)) {
+        break;
+      } else {
+        value += ch;
+      }
+    }
+    tokens.push({ value, start, end: i, quoted });
+  }
+  return tokens;
+}
+
+/** Whether a word is a flag rather than a positional argument */
+export function isFlag(token: Token): boolean {
+  return !token.quoted && /^--?[^-\d]/.test(token.value);
+}
+
+/** Parse a command line into its name, positional arguments and flags. */
+export function parseCommand(line: string): ParsedCommand {
+  const [first, ...rest] = tokenize(line);
+  const parsed: ParsedCommand = { name: first?.value ?? '', args: [], flags: {} };
+  let flagsDone = false;
+  for (const token of rest) {
+    if (!flagsDone && !token.quoted && token.value === '--') {
+      flagsDone = true;
+    } else if (flagsDone || !isFlag(token)) {
+      parsed.args.push(token.value);
+    } else if (token.value.startsWith('--')) {
+      const [name, ...value] = token.value.slice(2).split('=');
+      if (value.length) parsed.flags[name] = value.join('=');
+      else if (name.startsWith('no-')) parsed.flags[name.slice(3)] = false;
+      else parsed.flags[name] = true;
+    } else {
+      for (const ch of token.value.slice(1)) parsed.flags[ch] = true;
+    }
+  }
+  return parsed;
+}
+
+/** Quote a word if it needs it to come back out of tokenize() unchanged. */
+export function quoteArg(value: string): string {
+  if (value && !/[\s"'\\]/.test(value)) return value;
+  return `"${value.replace(/["\\]/g, '\\$&')}"`;
+}
+
+/** The longest prefix every value shares */
+export function commonPrefix(values: string[]): string {
+  if (!values.length) return '';
+  let prefix = values[0];
+  for (const value of values) {
+    while (!value.startsWith(prefix)) prefix = prefix.slice(0, -1);
+  }
+  return prefix;
+}
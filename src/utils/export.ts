@@ -0,0 +1,140 @@
+/**
+ * Getting lines out of tui-output and tui-console: as plain text, ANSI or
+ * HTML, onto the clipboard or into a downloaded file.
+ *
+ * Works from the components' line records rather than the DOM, so timestamps
+ * and prompts come out as text, colours survive the round trip, and lines
+ * scrolled out of the virtualized view are included.
+ */
+
+import { spansToAnsi, spansToHtml } from './ansi.js';
+import type { AnsiSpan } from './ansi.js';
+
+export type ExportFormat = 'text' | 'ansi' | 'html';
+
+export interface ExportLine {
+  /** The line as plain text */
+  text: string;
+  spans: AnsiSpan[];
+  /** Shown as `[HH:MM:SS] ` before the line */
+  timestamp?: string | null;
+  /** Plain text before the line, such as a console prompt */
+  prefix?: string;
+}
+
+const escapeHtml = (text: string) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+/**
+ * Join lines into one string. HTML comes back as a `<pre>` using the same
+ * `ansi-*` classes the components render, so it needs `sharedStyles` (or
+ * your own rules for those classes) to show colour.
+ */
+export function exportLines(lines: Iterable<ExportLine>, format: ExportFormat): string {
+  const out: string[] = [];
+  for (const line of lines) {
+    const lead = `${line.timestamp ? `[${line.timestamp}] ` : ''}${line.prefix ?? ''}`;
+    if (format === 'html') {
+      const stamp = line.timestamp ? `<span class="timestamp">[${escapeHtml(line.timestamp)}]</span> ` : '';
+      // Spans are empty for lines kept as typed (console commands)
+      const body = line.spans.length ? spansToHtml(line.spans) : escapeHtml(line.text);
+      out.push(`${stamp}${escapeHtml(line.prefix ?? '')}${body}`);
+    } else if (format === 'ansi') {
+      out.push(lead + (line.spans.length ? spansToAnsi(line.spans) : line.text));
+    } else {
+      out.push(lead + line.text);
+    }
+  }
+  const text = out.join('\n');
+  return format === 'html' ? `<pre class="tui-export">${text}</pre>` : text;
+}
+
+/**
+ * Rows `[first, last]` (inclusive) touched by the user's text selection inside
+ * `root`, read from the `data-row` attribute of `.line` elements; null when
+ * nothing there is selected.
+ */
+export function selectedRows(root: ShadowRoot): [number, number] | null {
+  const range = selectionRange(root);
+  if (!range || range.collapsed) return null;
+  const rowOf = (node: Node): number | null => {
+    const element = node instanceof Element ? node : node.parentElement;
+    const row = element?.closest<HTMLElement>('.line[data-row]');
+    return row ? Number(row.dataset.row) : null;
+  };
+  const first = rowOf(range.startContainer);
+  const last = rowOf(range.endContainer);
+  if (first === null || last === null) return null;
+  return [Math.min(first, last), Math.max(first, last)];
+}
+
+/** The selection's range as seen from inside a shadow root, where browsers allow it. */
+function selectionRange(root: ShadowRoot): AbstractRange | null {
+  const selection = document.getSelection();
+  if (!selection?.rangeCount) return null;
+  // Standard, but not yet in every browser or in TypeScript's DOM types
+  const composed = selection as Selection & {
+    getComposedRanges?: (options: { shadowRoots: ShadowRoot[] }) => StaticRange[];
+  };
+  // Chromium's older, non-standard way in
+  const scoped = root as ShadowRoot & { getSelection?: () => Selection | null };
+  let range: AbstractRange | null;
+  if (composed.getComposedRanges) {
+    range = composed.getComposedRanges({ shadowRoots: [root] })[0] ?? null;
+  } else if (scoped.getSelection) {
+    const inner = scoped.getSelection();
+    range = inner?.rangeCount ? inner.getRangeAt(0) : null;
+  } else {
+    range = selection.getRangeAt(0);
+  }
+  if (!range || !root.contains(range.startContainer) || !root.contains(range.endContainer)) return null;
+  return range;
+}
+
+/**
+ * Copy text to the clipboard. Where the Clipboard API is missing (plain http
+ * origins) or refuses, falls back to `execCommand('copy')`; rejects only if
+ * that fails too.
+ */
+export async function copyText(text: string): Promise<void> {
+  let error: unknown = new Error('Clipboard unavailable');
+  if (navigator.clipboard?.writeText) {
+    try {
+      await navigator.clipboard.writeText(text);
+      return;
+    } catch (err) {
+      error = err;
+    }
+  }
+  if (!execCopy(text)) throw error;
+}
+
+function execCopy(text: string): boolean {
+  if (typeof document.execCommand !== 'function') return false;
+  const area = document.createElement('textarea');
+  area.value = text;
+  area.setAttribute('readonly', '');
+  area.style.position = 'fixed';
+  area.style.opacity = '0';
+  document.body.append(area);
+  area.select();
+  try {
+    return document.execCommand('copy');
+  } catch {
+    return false;
+  } finally {
+    area.remove();
+  }
+}
+
+/** Save text as a file through the browser's download prompt. */
+export function downloadText(text: string, filename: string): void {
+  const url = URL.createObjectURL(new Blob([text], { type: 'text/plain' }));
+  const anchor = document.createElement('a');
+  anchor.href = url;
+  anchor.download = filename;
+  anchor.click();
+  setTimeout(() => URL.revokeObjectURL(url));
+}
@@ -0,0 +1,787 @@
+/**
+ * The screen of an xterm-compatible terminal, for <tui-terminal>.
+ *
+ * Unlike the line model behind ansiToSpans and AnsiStream, this is a fixed grid
+ * of rows × cols cells that programs address directly: absolute cursor
+ * positioning, erase and insert/delete in place, scroll regions, the alternate
+ * screen full-screen programs switch to, and DEC line-drawing characters.
+ * Lines scrolled off the top of the main screen go to a scrollback buffer.
+ *
+ * Escape sequences are split by the same scanner as the rest of the ANSI
+ * handling (scanAnsi), and SGR colours and links go through the same code
+ * (applySgr, oscLink), so a cell's style is an AnsiSpan style and renders
+ * with the same classes and theme tokens.
+ *
+ * Wide characters (CJK, most emoji) take two cells, as in xterm: the glyph,
+ * then an empty continuation cell. Combining marks are not joined to the
+ * character before them; each takes a cell of its own.
+ */
+
+import { scanAnsi, applySgr, oscLink, toSpans, DEFAULT_STYLE } from './ansi.js';
+import type { AnsiSpan } from './ansi.js';
+import { RingBuffer } from './virtual-list.js';
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// TYPES
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export type CellStyle = Omit<AnsiSpan, 'text' | 'link' | 'mark'>;
+
+export interface Cell {
+  /** Empty for the second cell of a wide character */
+  ch: string;
+  /** Shared by every cell written while it was current, so runs group by identity */
+  style: CellStyle;
+  link: AnsiSpan['link'];
+}
+
+export interface ScreenLine {
+  /** Exactly `cols` cells on screen; scrollback lines keep the width they left with */
+  cells: Cell[];
+  /** Rendered spans, dropped whenever a cell changes */
+  spans: AnsiSpan[] | null;
+}
+
+export type CursorShape = 'block' | 'underline' | 'bar';
+
+/** Modes a program switches that change how input must be encoded or shown */
+export interface TerminalModes {
+  /** DECCKM: arrow keys send `ESC O A` rather than `ESC [ A` */
+  applicationCursor: boolean;
+  /** Pasted text is wrapped in `ESC [200~` … `ESC [201~` */
+  bracketedPaste: boolean;
+  /** DECAWM: printing past the last column continues on the next line */
+  autowrap: boolean;
+  /** IRM: printing shifts the rest of the line right */
+  insert: boolean;
+  /** DECOM: cursor addressing is relative to the scroll region */
+  origin: boolean;
+  cursorVisible: boolean;
+  cursorShape: CursorShape;
+}
+
+export interface ScreenBufferOptions {
+  cols?: number;
+  rows?: number;
+  /** Lines kept above the main screen */
+  scrollback?: number;
+  /** Treat LF as CR LF, for output that does not come from a pty */
+  convertEol?: boolean;
+  /** Answers to the program's queries (cursor position, device attributes), to send back to it */
+  reply?: (data: string) => void;
+  /** BEL */
+  bell?: () => void;
+  /** OSC 0 / OSC 2 window title */
+  title?: (title: string) => void;
+}
+
+interface SavedCursor {
+  row: number;
+  col: number;
+  style: CellStyle;
+  origin: boolean;
+  charsets: [string, string];
+  shift: 0 | 1;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CONSTANTS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const BLANK: Cell = Object.freeze({ ch: ' ', style: DEFAULT_STYLE as CellStyle, link: null });
+
+/** DEC special graphics (`ESC ( 0`): what ncurses draws boxes with */
+const DEC_GRAPHICS: Record<string, string> = {
+  '`': '◆', a: '▒', f: '°', g: '±', j: '┘', k: '┐', l: '┌', m: '└', n: '┼',
+  o: '⎺', p: '⎻', q: '─', r: '⎼', s: '⎽', t: '├', u: '┤', v: '┴', w: '┬',
+  x: '│', y: '≤', z: '≥', '{': 'π', '|': '≠', '}': '£', '~': '·',
+};
+
+const TAB_WIDTH = 8;
+
+/** Longest unfinished escape sequence held for the next chunk before it is dropped */
+const MAX_HELD = 4096;
+
+/** DECSCUSR parameter → cursor shape (odd numbers blink, which we don't) */
+const CURSOR_SHAPES: CursorShape[] = ['block', 'block', 'block', 'underline', 'underline', 'bar', 'bar'];
+
+/** Numeric CSI parameter `n`, with `fallback` for missing or zero */
+function param(params: string[], n: number, fallback = 1): number {
+  const value = Number((params[n] ?? '').split(':')[0] || 0);
+  return value > 0 ? value : fallback;
+}
+
+const clamp = (value: number, min: number, max: number) => Math.min(max, Math.max(min, value));
+
+/** East Asian Wide and Fullwidth ranges (Unicode 15, EastAsianWidth.txt W/F), coalesced */
+const WIDE_RANGES: [number, number][] = [
+  [0x1100, 0x115f], [0x231a, 0x231b], [0x2329, 0x232a], [0x23e9, 0x23ec], [0x23f0, 0x23f0],
+  [0x23f3, 0x23f3], [0x25fd, 0x25fe], [0x2614, 0x2615], [0x2648, 0x2653], [0x267f, 0x267f],
+  [0x2693, 0x2693], [0x26a1, 0x26a1], [0x26aa, 0x26ab], [0x26bd, 0x26be], [0x26c4, 0x26c5],
+  [0x26ce, 0x26ce], [0x26d4, 0x26d4], [0x26ea, 0x26ea], [0x26f2, 0x26f3], [0x26f5, 0x26f5],
+  [0x26fa, 0x26fa], [0x26fd, 0x26fd], [0x2705, 0x2705], [0x270a, 0x270b], [0x2728, 0x2728],
+  [0x274c, 0x274c], [0x274e, 0x274e], [0x2753, 0x2755], [0x2757, 0x2757], [0x2795, 0x2797],
+  [0x27b0, 0x27b0], [0x27bf, 0x27bf], [0x2b1b, 0x2b1c], [0x2b50, 0x2b50], [0x2b55, 0x2b55],
+  [0x2e80, 0x303e], [0x3041, 0x33ff], [0x3400, 0x4dbf], [0x4e00, 0x9fff], [0xa000, 0xa4cf],
+  [0xa960, 0xa97f], [0xac00, 0xd7a3], [0xf900, 0xfaff], [0xfe10, 0xfe19], [0xfe30, 0xfe6f],
+  [0xff00, 0xff60], [0xffe0, 0xffe6], [0x16fe0, 0x16fe4], [0x17000, 0x18cff], [0x1b000, 0x1b2ff],
+  [0x1f004, 0x1f004], [0x1f0cf, 0x1f0cf], [0x1f18e, 0x1f18e], [0x1f191, 0x1f19a], [0x1f200, 0x1f251],
+  [0x1f260, 0x1f265], [0x1f300, 0x1f320], [0x1f32d, 0x1f335], [0x1f337, 0x1f37c], [0x1f37e, 0x1f393],
+  [0x1f3a0, 0x1f3ca], [0x1f3cf, 0x1f3d3], [0x1f3e0, 0x1f3f0], [0x1f3f4, 0x1f3f4], [0x1f3f8, 0x1f43e],
+  [0x1f440, 0x1f440], [0x1f442, 0x1f4fc], [0x1f4ff, 0x1f53d], [0x1f54b, 0x1f54e], [0x1f550, 0x1f567],
+  [0x1f57a, 0x1f57a], [0x1f595, 0x1f596], [0x1f5a4, 0x1f5a4], [0x1f5fb, 0x1f64f], [0x1f680, 0x1f6c5],
+  [0x1f6cc, 0x1f6cc], [0x1f6d0, 0x1f6d2], [0x1f6d5, 0x1f6d7], [0x1f6dc, 0x1f6df], [0x1f6eb, 0x1f6ec],
+  [0x1f6f4, 0x1f6fc], [0x1f7e0, 0x1f7eb], [0x1f7f0, 0x1f7f0], [0x1f90c, 0x1f93a], [0x1f93c, 0x1f945],
+  [0x1f947, 0x1f9ff], [0x1fa70, 0x1faff], [0x20000, 0x2fffd], [0x30000, 0x3fffd],
+];
+
+/** Cells a character takes: 2 for wide characters, else 1 */
+function charWidth(ch: string): 1 | 2 {
+  const code = ch.codePointAt(0)!;
+  if (code < 0x1100) return 1;
+  let lo = 0;
+  let hi = WIDE_RANGES.length - 1;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    const [start, end] = WIDE_RANGES[mid];
+    if (code < start) hi = mid - 1;
+    else if (code > end) lo = mid + 1;
+    else return 2;
+  }
+  return 1;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// SCREEN BUFFER
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * @example
+ *   const screen = new ScreenBuffer({ cols: 80, rows: 24, reply: data => socket.send(data) });
+ *   screen.write('\x1b[2J\x1b[5;10Hhello');
+ *   screen.lineText(screen.scrollback.length + 4); // '         hello'
+ */
+export class ScreenBuffer {
+  /** Lines scrolled off the top of the main screen, oldest first */
+  readonly scrollback: RingBuffer<ScreenLine>;
+
+  convertEol: boolean;
+
+  readonly modes: TerminalModes = ScreenBuffer._defaultModes();
+
+  private _cols: number;
+  private _rows: number;
+  private _main: ScreenLine[];
+  private _alt: ScreenLine[] | null = null;
+  private _row = 0;
+  private _col = 0;
+  /** The last column was just written; the next character wraps first (xterm's deferred wrap) */
+  private _wrapPending = false;
+  private _style = DEFAULT_STYLE as CellStyle;
+  private _link: AnsiSpan['link'] = null;
+  private _top = 0;
+  private _bottom: number;
+  /** G0 and G1: 'B' is ASCII, '0' DEC line drawing */
+  private _charsets: [string, string] = ['B', 'B'];
+  private _shift: 0 | 1 = 0;
+  /** Saved by DECSC, one slot for each screen */
+  private _saved: { main: SavedCursor | null; alt: SavedCursor | null } = { main: null, alt: null };
+  private _lastChar = ' ';
+  private _decoder = new TextDecoder();
+  private _held = '';
+  private _blank: Cell = BLANK;
+  private _options: ScreenBufferOptions;
+  /** Swapped-colour styles for reverse video, by the style they swap */
+  private _reversed = new WeakMap<CellStyle, CellStyle>();
+
+  constructor(options: ScreenBufferOptions = {}) {
+    this._options = options;
+    this._cols = Math.max(1, options.cols ?? 80);
+    this._rows = Math.max(1, options.rows ?? 24);
+    this._bottom = this._rows - 1;
+    this.convertEol = options.convertEol ?? false;
+    this.scrollback = new RingBuffer(options.scrollback ?? 1000);
+    this._main = this._blankLines(this._rows);
+  }
+
+  private static _defaultModes(): TerminalModes {
+    return {
+      applicationCursor: false,
+      bracketedPaste: false,
+      autowrap: true,
+      insert: false,
+      origin: false,
+      cursorVisible: true,
+      cursorShape: 'block',
+    };
+  }
+
+  get cols(): number {
+    return this._cols;
+  }
+
+  get rows(): number {
+    return this._rows;
+  }
+
+  /** Whether a full-screen program has switched to the alternate screen */
+  get alternate(): boolean {
+    return this._alt !== null;
+  }
+
+  /** Cursor position on the screen, 0-based */
+  get cursor(): { row: number; col: number } {
+    return { row: this._row, col: this._col };
+  }
+
+  /** Lines there are to show: the scrollback then the screen, or the alternate screen alone */
+  get length(): number {
+    return this.alternate ? this._rows : this.scrollback.length + this._rows;
+  }
+
+  /** Index of the first screen line in `lineAt()` terms */
+  get screenStart(): number {
+    return this.alternate ? 0 : this.scrollback.length;
+  }
+
+  /** Line `index` of `length`: scrollback first */
+  lineAt(index: number): ScreenLine | undefined {
+    const start = this.screenStart;
+    return index < start ? this.scrollback.at(index) : this._screen[index - start];
+  }
+
+  /** Spans for line `index`, reverse video resolved against the line's colours */
+  spansAt(index: number): AnsiSpan[] {
+    const line = this.lineAt(index);
+    if (!line) return [];
+    line.spans ??= toSpans(line.cells.map(cell => this._resolveReverse(cell)));
+    return line.spans;
+  }
+
+  /** Line `index` as plain text, without trailing blanks */
+  lineText(index: number): string {
+    return (this.lineAt(index)?.cells ?? []).map(cell => cell.ch).join('').trimEnd();
+  }
+
+  /** Everything, scrollback included, as plain text without trailing blank lines */
+  text(): string {
+    const lines: string[] = [];
+    for (let i = 0; i < this.length; i++) lines.push(this.lineText(i));
+    while (lines.length && !lines[lines.length - 1]) lines.pop();
+    return lines.join('\n');
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════════
+  // INPUT
+  // ═══════════════════════════════════════════════════════════════════════════════
+
+  /**
+   * Play program output onto the screen. Chunks may split escape sequences and
+   * UTF-8 characters anywhere.
+   * @param chunk - Text, or UTF-8 bytes
+   */
+  write(chunk: string | Uint8Array | ArrayBuffer): void {
+    const text = this._held + (typeof chunk === 'string' ? chunk : this._decoder.decode(chunk, { stream: true }));
+    const used = scanAnsi(text, this._handler);
+    this._held = text.slice(used);
+    // An unterminated OSC string would otherwise hold back all later output.
+    if (this._held.length > MAX_HELD) this._held = '';
+  }
+
+  /** Change the size. Lines are cut or padded, not re-wrapped; rows taken off the top go to scrollback. */
+  resize(cols: number, rows: number): void {
+    cols = Math.max(1, Math.floor(cols));
+    rows = Math.max(1, Math.floor(rows));
+    if (cols === this._cols && rows === this._rows) return;
+    this._cols = cols;
+    const fit = (line: ScreenLine) => {
+      const cells = line.cells.slice(0, cols);
+      while (cells.length < cols) cells.push(BLANK);
+      return { cells, spans: null };
+    };
+    this._main = this._main.map(fit);
+    if (this._alt) this._alt = this._alt.map(fit);
+
+    const shrink = this._rows - rows;
+    if (shrink > 0) {
+      // Keep each screen's cursor line on it: drop from the top only as far as that needs.
+      // On the alternate screen, the main screen's cursor is the one saved on entering it.
+      const fromTop = (row: number) => Math.max(0, row - (rows - 1));
+      const mainCut = fromTop(this.alternate ? this._saved.main?.row ?? this._row : this._row);
+      for (const line of this._main.splice(0, mainCut)) this.scrollback.push(line);
+      this._main.length = rows;
+      if (this._saved.main) this._saved.main.row = Math.max(0, this._saved.main.row - mainCut);
+      let altCut = 0;
+      if (this._alt) {
+        altCut = fromTop(this._row);
+        this._alt = this._alt.slice(altCut, altCut + rows);
+        if (this._saved.alt) this._saved.alt.row = Math.max(0, this._saved.alt.row - altCut);
+      }
+      this._row -= this.alternate ? altCut : mainCut;
+    } else {
+      this._main.push(...this._blankLines(-shrink));
+      this._alt?.push(...this._blankLines(-shrink));
+    }
+    this._rows = rows;
+    this._top = 0;
+    this._bottom = rows - 1;
+    this._row = clamp(this._row, 0, rows - 1);
+    this._col = clamp(this._col, 0, cols - 1);
+    this._wrapPending = false;
+  }
+
+  /** RIS: back to the power-on state. Scrollback is kept. */
+  reset(): void {
+    this._alt = null;
+    this._main = this._blankLines(this._rows);
+    Object.assign(this.modes, ScreenBuffer._defaultModes());
+    this._row = 0;
+    this._col = 0;
+    this._wrapPending = false;
+    this._style = DEFAULT_STYLE as CellStyle;
+    this._link = null;
+    this._blank = BLANK;
+    this._top = 0;
+    this._bottom = this._rows - 1;
+    this._charsets = ['B', 'B'];
+    this._shift = 0;
+    this._saved = { main: null, alt: null };
+  }
+
+  /** Drop the scrollback and blank the screen, leaving modes alone */
+  clear(): void {
+    this.scrollback.clear();
+    for (let r = 0; r < this._rows; r++) this._eraseLine(r, 0, this._cols);
+    this._moveTo(0, 0);
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════════
+  // SEQUENCES
+  // ═══════════════════════════════════════════════════════════════════════════════
+
+  private _handler = {
+    print: (ch: string) => this._print(ch),
+    control: (ch: string) => this._control(ch),
+    csi: (params: string[], intermediates: string, final: string, privateMarker: string) =>
+      this._csi(params, intermediates, final, privateMarker),
+    osc: (body: string) => this._osc(body),
+    esc: (final: string, intermediates: string) => this._esc(final, intermediates),
+  };
+
+  private get _screen(): ScreenLine[] {
+    return this._alt ?? this._main;
+  }
+
+  private _print(ch: string): void {
+    if (this._charsets[this._shift] === '0') ch = DEC_GRAPHICS[ch] ?? ch;
+    const width = Math.min(charWidth(ch), this._cols);
+    if (this._wrapPending) {
+      this._col = 0;
+      this._lineFeed();
+    }
+    // A wide character that does not fit at the end of the line goes to the next one
+    if (this._col + width > this._cols) {
+      if (this.modes.autowrap) {
+        this._place(this._touch(this._row).cells, this._col, [this._blank]);
+        this._col = 0;
+        this._lineFeed();
+      } else {
+        this._col = this._cols - width;
+      }
+    }
+    const line = this._touch(this._row);
+    const cell = { ch, style: this._style, link: this._link };
+    const cells = width === 2 ? [cell, { ...cell, ch: '' }] : [cell];
+    if (this.modes.insert) {
+      line.cells.splice(this._col, 0, ...cells);
+      line.cells.length = this._cols;
+    } else {
+      this._place(line.cells, this._col, cells);
+    }
+    this._lastChar = ch;
+    if (this._col + width < this._cols) this._col += width;
+    else {
+      this._col = this._cols - 1;
+      this._wrapPending = this.modes.autowrap;
+    }
+  }
+
+  /** Overwrite cells, blanking what is left of any wide character they cut in half */
+  private _place(line: Cell[], col: number, cells: Cell[]): void {
+    const end = col + cells.length;
+    if (col > 0 && line[col]?.ch === '') line[col - 1] = this._blank;
+    if (line[end]?.ch === '') line[end] = this._blank;
+    line.splice(col, cells.length, ...cells);
+  }
+
+  private _control(ch: string): void {
+    switch (ch) {
+      case '\n': case '\v': case '\f':
+        if (this.convertEol) this._col = 0;
+        this._lineFeed();
+        break;
+      case '\r': this._col = 0; this._wrapPending = false; break;
+      case '\b': this._moveTo(this._row, this._col - 1); break;
+      case '\t': this._moveTo(this._row, Math.floor(this._col / TAB_WIDTH + 1) * TAB_WIDTH); break;
+      case '\x07': this._options.bell?.(); break;
+      case '\x0e': this._shift = 1; break;
+      case '\x0f': this._shift = 0; break;
+    }
+  }
+
+  private _osc(body: string): void {
+    const link = oscLink(body);
+    if (link !== undefined) {
+      this._link = link as AnsiSpan['link'];
+      return;
+    }
+    const match = /^([02]);(.*)$/s.exec(body);
+    if (match) this._options.title?.(match[2]);
+  }
+
+  private _esc(final: string, intermediates: string): void {
+    if (intermediates === '(' || intermediates === ')') {
+      this._charsets[intermediates === '(' ? 0 : 1] = final;
+      return;
+    }
+    if (intermediates) return;
+    switch (final) {
+      case '7': this._saveCursor(); break;
+      case '8': this._restoreCursor(); break;
+      case 'D': this._lineFeed(); break;
+      case 'E': this._col = 0; this._lineFeed(); break;
+      case 'M': this._reverseIndex(); break;
+      case 'c': this.reset(); break;
+    }
+  }
+
+  private _csi(params: string[], intermediates: string, final: string, privateMarker: string): void {
+    if (privateMarker === '?') {
+      if (final === 'h' || final === 'l') this._setPrivateModes(params, final === 'h');
+      else if (final === 'J' || final === 'K') this._csi(params, intermediates, final, '');
+      return;
+    }
+    if (privateMarker === '>') {
+      if (final === 'c') this._reply('\x1b[>0;0;0c');
+      return;
+    }
+    if (privateMarker) return;
+    if (intermediates) {
+      if (intermediates === ' ' && final === 'q') {
+        this.modes.cursorShape = CURSOR_SHAPES[param(params, 0, 0)] ?? 'block';
+      }
+      return;
+    }
+
+    const row = this._row;
+    const col = this._col;
+    const n = param(params, 0);
+    switch (final) {
+      case 'A': this._moveTo(Math.max(row - n, row >= this._top ? this._top : 0), col); break;
+      case 'B': case 'e': this._moveTo(Math.min(row + n, row <= this._bottom ? this._bottom : this._rows - 1), col); break;
+      case 'C': case 'a': this._moveTo(row, col + n); break;
+      case 'D': this._moveTo(row, col - n); break;
+      case 'E': this._moveTo(Math.min(row + n, this._bottom), 0); break;
+      case 'F': this._moveTo(Math.max(row - n, this._top), 0); break;
+      case 'G': case '`': this._moveTo(row, n - 1); break;
+      case 'd': this._moveToAddressed(n - 1, col); break;
+      case 'H': case 'f': this._moveToAddressed(n - 1, param(params, 1) - 1); break;
+      case 'I': this._moveTo(row, (Math.floor(col / TAB_WIDTH) + n) * TAB_WIDTH); break;
+      case 'Z': this._moveTo(row, (Math.ceil(col / TAB_WIDTH) - n) * TAB_WIDTH); break;
+      case 'J': this._eraseDisplay(param(params, 0, 0)); break;
+      case 'K': {
+        const mode = param(params, 0, 0);
+        if (mode === 0) this._eraseLine(row, col, this._cols);
+        else if (mode === 1) this._eraseLine(row, 0, col + 1);
+        else if (mode === 2) this._eraseLine(row, 0, this._cols);
+        break;
+      }
+      case 'X': this._eraseLine(row, col, col + n); break;
+      case '@': this._shiftCells(n); break;
+      case 'P': this._shiftCells(-n); break;
+      case 'L': if (row >= this._top && row <= this._bottom) this._scroll(row, this._bottom, -n); this._col = 0; break;
+      case 'M': if (row >= this._top && row <= this._bottom) this._scroll(row, this._bottom, n); this._col = 0; break;
+      case 'S': this._scroll(this._top, this._bottom, n, true); break;
+      case 'T': this._scroll(this._top, this._bottom, -n); break;
+      // Repeating more than a screenful only scrolls the same text off again
+      case 'b': for (let i = Math.min(n, this._cols * this._rows); i > 0; i--) this._print(this._lastChar); break;
+      case 'c': if (param(params, 0, 0) === 0) this._reply('\x1b[?1;2c'); break;
+      case 'n':
+        if (n === 5) this._reply('\x1b[0n');
+        else if (n === 6) {
+          const top = this.modes.origin ? this._top : 0;
+          this._reply(`\x1b[${row - top + 1};${col + 1}R`);
+        }
+        break;
+      case 'h': case 'l':
+        for (const p of params) {
+          if (p === '4') this.modes.insert = final === 'h';
+          else if (p === '20') this.convertEol = final === 'h';
+        }
+        break;
+      case 'm': this._style = applySgr(this._style, params) as CellStyle; this._blank = this._blankCell(); break;
+      case 'r': {
+        const top = param(params, 0) - 1;
+        const bottom = param(params, 1, this._rows) - 1;
+        if (top < bottom && bottom < this._rows) {
+          this._top = top;
+          this._bottom = bottom;
+          this._moveToAddressed(0, 0);
+        }
+        break;
+      }
+      case 's': this._saveCursor(); break;
+      case 'u': this._restoreCursor(); break;
+    }
+  }
+
+  private _setPrivateModes(params: string[], on: boolean): void {
+    for (const p of params) {
+      switch (Number(p)) {
+        case 1: this.modes.applicationCursor = on; break;
+        case 6: this.modes.origin = on; this._moveToAddressed(0, 0); break;
+        case 7: this.modes.autowrap = on; break;
+        case 25: this.modes.cursorVisible = on; break;
+        case 2004: this.modes.bracketedPaste = on; break;
+        case 47: case 1047: this._switchScreen(on); break;
+        case 1049:
+          if (on) {
+            this._saveCursor();
+            this._switchScreen(true);
+          } else {
+            this._switchScreen(false);
+            this._restoreCursor();
+          }
+          break;
+      }
+    }
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════════
+  // OPERATIONS
+  // ═══════════════════════════════════════════════════════════════════════════════
+
+  private _reply(data: string): void {
+    this._options.reply?.(data);
+  }
+
+  /** The line at screen row `row`, its cached spans dropped because it is about to change */
+  private _touch(row: number): ScreenLine {
+    const line = this._screen[row];
+    line.spans = null;
+    return line;
+  }
+
+  /** Erased cells take the current background colour, as in xterm */
+  private _blankCell(): Cell {
+    const { bg } = this._style;
+    if (!bg) return BLANK;
+    if (this._blank.style.bg === bg) return this._blank;
+    return Object.freeze({ ch: ' ', style: Object.freeze({ ...(DEFAULT_STYLE as CellStyle), bg }), link: null });
+  }
+
+  private _blankLines(count: number): ScreenLine[] {
+    return Array.from({ length: count }, () => ({ cells: Array(this._cols).fill(this._blank), spans: null }));
+  }
+
+  private _moveTo(row: number, col: number): void {
+    this._row = clamp(row, 0, this._rows - 1);
+    this._col = clamp(col, 0, this._cols - 1);
+    this._wrapPending = false;
+  }
+
+  /** CUP and VPA: rows count from the scroll region's top in origin mode, and stay inside it */
+  private _moveToAddressed(row: number, col: number): void {
+    if (this.modes.origin) this._moveTo(clamp(this._top + row, this._top, this._bottom), col);
+    else this._moveTo(row, col);
+  }
+
+  private _lineFeed(): void {
+    this._wrapPending = false;
+    if (this._row === this._bottom) this._scroll(this._top, this._bottom, 1, true);
+    else if (this._row < this._rows - 1) this._row++;
+  }
+
+  private _reverseIndex(): void {
+    this._wrapPending = false;
+    if (this._row === this._top) this._scroll(this._top, this._bottom, -1);
+    else if (this._row > 0) this._row--;
+  }
+
+  /**
+   * Scroll rows `top`..`bottom` up by `n` (down when negative), blanking the
+   * rows that open up. With `save`, lines leaving the top of the whole main
+   * screen go to scrollback; only a linefeed and SU save them, while deleted
+   * lines (DL) are gone.
+   */
+  private _scroll(top: number, bottom: number, n: number, save = false): void {
+    const height = bottom - top + 1;
+    const count = Math.min(Math.abs(n), height);
+    if (!count) return;
+    const screen = this._screen;
+    const blanks = this._blankLines(count);
+    if (n > 0) {
+      const gone = screen.splice(top, count);
+      screen.splice(bottom - count + 1, 0, ...blanks);
+      if (save && top === 0 && !this.alternate) for (const line of gone) this.scrollback.push(line);
+    } else {
+      screen.splice(bottom - count + 1, count);
+      screen.splice(top, 0, ...blanks);
+    }
+  }
+
+  private _eraseLine(row: number, from: number, to: number): void {
+    const line = this._touch(row);
+    line.cells.fill(this._blank, clamp(from, 0, this._cols), clamp(to, 0, this._cols));
+  }
+
+  private _eraseDisplay(mode: number): void {
+    const row = this._row;
+    if (mode === 0) {
+      this._eraseLine(row, this._col, this._cols);
+      for (let r = row + 1; r < this._rows; r++) this._eraseLine(r, 0, this._cols);
+    } else if (mode === 1) {
+      for (let r = 0; r < row; r++) this._eraseLine(r, 0, this._cols);
+      this._eraseLine(row, 0, this._col + 1);
+    } else if (mode === 2) {
+      for (let r = 0; r < this._rows; r++) this._eraseLine(r, 0, this._cols);
+    } else if (mode === 3) {
+      this.scrollback.clear();
+    }
+  }
+
+  /** ICH (n > 0) inserts blanks at the cursor; DCH (n < 0) deletes cells, pulling the rest left */
+  private _shiftCells(n: number): void {
+    const cells = this._touch(this._row).cells;
+    const count = Math.min(Math.abs(n), this._cols - this._col);
+    const blanks = Array(count).fill(this._blank);
+    if (n > 0) {
+      cells.splice(this._col, 0, ...blanks);
+      cells.length = this._cols;
+    } else {
+      cells.splice(this._col, count);
+      cells.push(...blanks);
+    }
+    this._wrapPending = false;
+  }
+
+  private _switchScreen(alternate: boolean): void {
+    if (alternate === this.alternate) return;
+    this._alt = alternate ? this._blankLines(this._rows) : null;
+    this._wrapPending = false;
+  }
+
+  private _saveCursor(): void {
+    this._saved[this.alternate ? 'alt' : 'main'] = {
+      row: this._row,
+      col: this._col,
+      style: this._style,
+      origin: this.modes.origin,
+      charsets: [...this._charsets],
+      shift: this._shift,
+    };
+  }
+
+  private _restoreCursor(): void {
+    const saved = this._saved[this.alternate ? 'alt' : 'main'];
+    if (!saved) {
+      this._moveTo(0, 0);
+      return;
+    }
+    this._style = saved.style;
+    this._blank = this._blankCell();
+    this.modes.origin = saved.origin;
+    this._charsets = [...saved.charsets];
+    this._shift = saved.shift;
+    this._moveTo(saved.row, saved.col);
+  }
+
+  /**
+   * The `ansi-reverse` class swaps to the theme's default colours, which is
+   * right only when the cell has none of its own; otherwise swap them here.
+   */
+  private _resolveReverse(cell: Cell): Cell {
+    const { style } = cell;
+    if (!style.reverse || (!style.fg && !style.bg)) return cell;
+    let swapped = this._reversed.get(style);
+    if (!swapped) {
+      swapped = Object.freeze({
+        ...style,
+        reverse: false,
+        fg: style.bg ?? 'var(--surface-base)',
+        bg: style.fg ?? 'var(--text-primary)',
+      });
+      this._reversed.set(style, swapped);
+    }
+    return { ...cell, style: swapped };
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// KEYBOARD
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/** Keys sent as CSI (or SS3 in application cursor mode) plus a letter */
+const CURSOR_KEYS: Record<string, string> = {
+  ArrowUp: 'A', ArrowDown: 'B', ArrowRight: 'C', ArrowLeft: 'D', Home: 'H', End: 'F',
+};
+
+/** Keys sent as `CSI n ~` */
+const TILDE_KEYS: Record<string, number> = {
+  Insert: 2, Delete: 3, PageUp: 5, PageDown: 6,
+  F5: 15, F6: 17, F7: 18, F8: 19, F9: 20, F10: 21, F11: 23, F12: 24,
+};
+
+/** Keys sent as SS3 plus a letter */
+const FUNCTION_KEYS: Record<string, string> = { F1: 'P', F2: 'Q', F3: 'R', F4: 'S' };
+
+/** Ctrl plus a punctuation key → the C0 control it types */
+const CTRL_PUNCTUATION: Record<string, string> = {
+  ' ': '\x00', '@': '\x00', '[': '\x1b', '\\': '\x1c', ']': '\x1d', '^': '\x1e', '_': '\x1f', '?': '\x7f',
+};
+
+export type KeyInput = Pick<KeyboardEvent, 'key' | 'code' | 'ctrlKey' | 'altKey' | 'shiftKey' | 'metaKey'>;
+
+/**
+ * What a key press sends to the program, as xterm encodes it; null for keys
+ * that send nothing (bare modifiers) or are left to the browser (anything with
+ * Meta/Cmd).
+ * @param modes - Only `applicationCursor` matters
+ */
+export function encodeKey(e: KeyInput, modes: Pick<TerminalModes, 'applicationCursor'>): string | null {
+  if (e.metaKey) return null;
+  // xterm's modifier parameter: 1 + Shift 1 + Alt 2 + Ctrl 4
+  const modifier = 1 + (e.shiftKey ? 1 : 0) + (e.altKey ? 2 : 0) + (e.ctrlKey ? 4 : 0);
+
+  if (CURSOR_KEYS[e.key]) {
+    const letter = CURSOR_KEYS[e.key];
+    if (modifier > 1) return `\x1b[1;${modifier}${letter}`;
+    return modes.applicationCursor ? `\x1bO${letter}` : `\x1b[${letter}`;
+  }
+  if (TILDE_KEYS[e.key]) {
+    return modifier > 1 ? `\x1b[${TILDE_KEYS[e.key]};${modifier}~` : `\x1b[${TILDE_KEYS[e.key]}~`;
+  }
+  if (FUNCTION_KEYS[e.key]) {
+    return modifier > 1 ? `\x1b[1;${modifier}${FUNCTION_KEYS[e.key]}` : `\x1bO${FUNCTION_KEYS[e.key]}`;
+  }
+
+  const alt = (data: string) => (e.altKey ? `\x1b${data}` : data);
+  switch (e.key) {
+    case 'Enter': return alt('\r');
+    case 'Backspace': return alt(e.ctrlKey ? '\b' : '\x7f');
+    case 'Tab': return e.shiftKey ? '\x1b[Z' : alt('\t');
+    case 'Escape': return alt('\x1b');
+  }
+  if (e.key.length !== 1 && !/^[\uD800-\uDBFF][\uDC00-\uDFFF]$/.test(e.key)) return null;
+
+  // Alt changes the character some layouts produce (macOS), so go by the key's position
+  let key = e.key;
+  const letter = /^Key([A-Z])$/.exec(e.code ?? '');
+  if (e.altKey && letter) key = e.shiftKey ? letter[1] : letter[1].toLowerCase();
+
+  if (e.ctrlKey) {
+    if (/^[a-z]$/i.test(key)) return alt(String.fromCharCode(key.toLowerCase().charCodeAt(0) - 96));
+    return CTRL_PUNCTUATION[key] !== undefined ? alt(CTRL_PUNCTUATION[key]) : null;
+  }
+  return alt(key);
+}
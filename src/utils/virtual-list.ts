@@ -0,0 +1,210 @@
+/**
+ * Building blocks for long scrolling line lists (tui-output, tui-console).
+ *
+ * RingBuffer keeps the newest N lines with O(1) appends, and VirtualWindow
+ * works out which of them are on screen, so a log of 100k lines costs a
+ * screenful of DOM nodes. Rows are assumed to share one height, measured
+ * from the first rendered row — which is why both components keep lines to
+ * a single row (no wrapping).
+ */
+
+import type { ReactiveController, ReactiveControllerHost } from 'lit';
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// RING BUFFER
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Fixed-capacity list that drops its oldest item to make room.
+ * Index 0 is the oldest item kept.
+ */
+export class RingBuffer<T> implements Iterable<T> {
+  private _items: T[] = [];
+  private _start = 0;
+  private _capacity: number;
+
+  constructor(capacity: number) {
+    this._capacity = RingBuffer._clamp(capacity);
+  }
+
+  private static _clamp(capacity: number): number {
+    return Math.max(1, Math.floor(capacity) || 1);
+  }
+
+  get length(): number {
+    return this._items.length;
+  }
+
+  get capacity(): number {
+    return this._capacity;
+  }
+
+  /**
+   * Append an item in O(1).
+   * @returns The item evicted to make room, if the buffer was full
+   */
+  push(item: T): T | undefined {
+    if (this._items.length < this._capacity) {
+      this._items.push(item);
+      return undefined;
+    }
+    const evicted = this._items[this._start];
+    this._items[this._start] = item;
+    this._start = (this._start + 1) % this._capacity;
+    return evicted;
+  }
+
+  /** Item at `index` (0 = oldest); negative indices count back from the newest. */
+  at(index: number): T | undefined {
+    const length = this._items.length;
+    const i = index < 0 ? length + index : index;
+    if (i < 0 || i >= length) return undefined;
+    return this._items[(this._start + i) % length];
+  }
+
+  /** Items from `start` up to (not including) `end`, oldest first. */
+  slice(start = 0, end = this.length): T[] {
+    const from = Math.max(0, start);
+    const to = Math.min(this.length, end);
+    const result: T[] = [];
+    for (let i = from; i < to; i++) result.push(this.at(i) as T);
+    return result;
+  }
+
+  /** Change the capacity, keeping the newest items that fit. */
+  resize(capacity: number): void {
+    const next = RingBuffer._clamp(capacity);
+    if (next === this._capacity) return;
+    this._items = this.slice(Math.max(0, this.length - next));
+    this._start = 0;
+    this._capacity = next;
+  }
+
+  clear(): void {
+    this._items = [];
+    this._start = 0;
+  }
+
+  *[Symbol.iterator](): Iterator<T> {
+    for (let i = 0; i < this.length; i++) yield this.at(i) as T;
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// VIRTUAL WINDOW
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/** Rows rendered beyond each edge of the viewport, so fast scrolling shows no gap */
+const OVERSCAN = 20;
+
+/** Row height until one has been measured (and in layout-less test environments) */
+const FALLBACK_ROW_HEIGHT = 16;
+
+/** Viewport height in rows until one has been measured */
+const FALLBACK_VIEWPORT_ROWS = 40;
+
+/**
+ * Tracks the scroll position of a host's scroll container and says which rows
+ * to render. The host renders `rows` inside a spacer of `height(total)` pixels,
+ * offset by `offset(start)`, and calls `sync()` from the container's scroll event.
+ *
+ * @example
+ *   private _window = new VirtualWindow(this, () => this.shadowRoot?.querySelector('.output'));
+ *   const [start, end] = this._window.range(total);
+ */
+export class VirtualWindow implements ReactiveController {
+  private _host: ReactiveControllerHost & HTMLElement;
+  private _scroller: () => Element | null | undefined;
+  private _rowHeight = 0;
+  private _firstRow = 0;
+  private _viewportRows = 0;
+  private _resizeObserver: ResizeObserver | null = null;
+  private _observed: Element | null = null;
+
+  constructor(host: ReactiveControllerHost & HTMLElement, scroller: () => Element | null | undefined) {
+    this._host = host;
+    this._scroller = scroller;
+    host.addController(this);
+  }
+
+  /** Height of one row in pixels */
+  get rowHeight(): number {
+    return this._rowHeight || FALLBACK_ROW_HEIGHT;
+  }
+
+  /** Index of the first row in view */
+  get firstRow(): number {
+    return this._firstRow;
+  }
+
+  /** Scroll so row `index` sits in the middle of the viewport. */
+  scrollToRow(index: number): void {
+    const scroller = this._scroller();
+    if (!scroller) return;
+    scroller.scrollTop = Math.max(0, this.offset(index) - (scroller.clientHeight - this.rowHeight) / 2);
+    this.sync();
+  }
+
+  /** [start, end) of the rows to render out of `total` */
+  range(total: number): [number, number] {
+    const visible = this._viewportRows || FALLBACK_VIEWPORT_ROWS;
+    // Clamp first so a shrinking list (clear, filter) never leaves an empty window.
+    const first = Math.min(this._firstRow, Math.max(0, total - visible));
+    return [Math.max(0, first - OVERSCAN), Math.min(total, first + visible + OVERSCAN)];
+  }
+
+  /** Pixel height of the spacer holding `total` rows */
+  height(total: number): number {
+    return total * this.rowHeight;
+  }
+
+  /** Pixel offset of row `index` */
+  offset(index: number): number {
+    return index * this.rowHeight;
+  }
+
+  /** Re-read the scroll position; re-render only if the visible rows changed. */
+  sync(): void {
+    const scroller = this._scroller();
+    if (!scroller) return;
+    const firstRow = Math.floor(scroller.scrollTop / this.rowHeight);
+    const viewportRows = Math.ceil(scroller.clientHeight / this.rowHeight);
+    if (firstRow !== this._firstRow || viewportRows !== this._viewportRows) {
+      this._firstRow = firstRow;
+      this._viewportRows = viewportRows;
+      this._host.requestUpdate();
+    }
+  }
+
+  hostConnected(): void {
+    // ResizeObserver may not be available in test environments
+    if (typeof ResizeObserver !== 'undefined') {
+      this._resizeObserver = new ResizeObserver(() => this.sync());
+    }
+  }
+
+  hostDisconnected(): void {
+    this._resizeObserver?.disconnect();
+    this._resizeObserver = null;
+    this._observed = null;
+  }
+
+  hostUpdated(): void {
+    const scroller = this._scroller();
+    if (scroller && this._resizeObserver && scroller !== this._observed) {
+      this._resizeObserver.disconnect();
+      this._resizeObserver.observe(scroller);
+      this._observed = scroller;
+    }
+
+    if (!this._rowHeight) {
+      const row = scroller?.querySelector('.line');
+      const measured = row?.getBoundingClientRect().height ?? 0;
+      if (measured > 0) {
+        this._rowHeight = measured;
+        this.sync();
+        this._host.requestUpdate();
+      }
+    }
+  }
+}
@@ -1,6 +1,8 @@
 // @vitest-environment node
 import { describe, it, expect } from 'vitest';
-import { ansiToHtml, stripAnsi } from '../src/utils/ansi.js';
+import { readFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { ansiToHtml, ansiToSpans, stripAnsi, AnsiStream, spansToHtml, spansToAnsi, markSpans } from '../src/utils/ansi.js';
 
 describe('ansiToHtml', () => {
   // Existing behavior (regression safety)
@@ -36,7 +38,22 @@ describe('ansiToHtml', () => {
 
   it('converts bright background colors (100-107)', () => {
     const result = ansiToHtml('\x1b[102mbright green bg\x1b[0m');
-    expect(result).toContain('ansi-bg-green');
+    expect(result).toContain('ansi-bg-bright-green');
+  });
+
+  it('converts bright foreground colors (90-97) to their own palette entries', () => {
+    expect(ansiToHtml('\x1b[91mA\x1b[97mB')).toBe(
+      '<span class="ansi-bright-red">A</span><span class="ansi-bright-white">B</span>',
+    );
+  });
+
+  it('resolves 256-color indices 0-15 through the palette classes', () => {
+    expect(ansiToHtml('\x1b[38;5;1mA\x1b[38;5;12mB\x1b[48;5;0mC')).toBe(
+      '<span class="ansi-red">A</span><span class="ansi-bright-blue">B</span>'
+        + '<span class="ansi-bright-blue ansi-bg-black">C</span>',
+    );
+    expect(ansiToHtml('\x1b[38:5:9mA')).toBe('<span class="ansi-bright-red">A</span>');
+    expect(ansiToHtml('\x1b[38;5;16mA')).toBe('<span style="color: #000000">A</span>');
   });
 
   it('combines foreground and background', () => {
@@ -85,8 +102,281 @@ describe('ansiToHtml', () => {
   });
 });
 
+describe('ansiToHtml terminal behaviour', () => {
+  it('overwrites from the start of the line after \\r', () => {
+    expect(ansiToHtml('Downloading 10%\rDownloading 100%')).toBe('Downloading 100%');
+    expect(ansiToHtml('abcdef\rXY')).toBe('XYcdef');
+  });
+
+  it('erases to the end of the line with \\x1b[K', () => {
+    expect(ansiToHtml('⠋ building...\r\x1b[K✓ built')).toBe('✓ built');
+    expect(ansiToHtml('abcdef\r\x1b[2C\x1b[K')).toBe('ab');
+  });
+
+  it('erases the start or the whole line', () => {
+    expect(ansiToHtml('abcdef\x1b[3D\x1b[1K')).toBe('    ef');
+    expect(ansiToHtml('abcdef\x1b[2Kxy')).toBe('      xy');
+  });
+
+  it('applies backspace and horizontal cursor movement', () => {
+    expect(ansiToHtml('ab\bc')).toBe('ac');
+    expect(ansiToHtml('a\x1b[3Cb')).toBe('a   b');
+    expect(ansiToHtml('abcdef\x1b[2GX')).toBe('aXcdef');
+  });
+
+  it('clamps huge cursor movements instead of padding out to them', () => {
+    const right = ansiToHtml('x\x1b[5000000Cy');
+    expect(right.length).toBeLessThan(1100);
+    expect(right.endsWith(' y')).toBe(true);
+    expect(ansiToHtml('x\x1b[2000000By').split('\n').length).toBeLessThan(110);
+    expect(ansiToHtml('\x1b[999999999;999999999Hz').length).toBeLessThan(1200);
+  });
+
+  it('redraws earlier lines with cursor up', () => {
+    const frame1 = 'layer1: waiting\nlayer2: waiting\n';
+    const frame2 = '\x1b[2A\x1b[Klayer1: done\n\x1b[Klayer2: 50%\n';
+    expect(ansiToHtml(frame1 + frame2)).toBe('layer1: done\nlayer2: 50%\n');
+  });
+
+  it('keeps the style of overwritten text per character', () => {
+    expect(ansiToHtml('\x1b[31mfail\x1b[0m\rok')).toBe('ok<span class="ansi-red">il</span>');
+  });
+
+  it('drops OSC strings, private modes and other non-printing sequences', () => {
+    expect(ansiToHtml('\x1b]0;npm install\x07\x1b[?25lbusy\x1b[?25h')).toBe('busy');
+    expect(ansiToHtml('\x1b]2;title\x1b\\text\x07')).toBe('text');
+    expect(ansiToHtml('\x1b(Bplain\x1b=')).toBe('plain');
+    expect(ansiToHtml('cut\x1b[3')).toBe('cut');
+  });
+
+  it('treats an empty SGR as a reset', () => {
+    expect(ansiToHtml('\x1b[1mbold\x1b[mplain')).toBe('<span class="ansi-bold">bold</span>plain');
+  });
+
+  it('turns off single attributes with SGR sub-resets', () => {
+    expect(ansiToHtml('\x1b[1;31mA\x1b[22mB')).toBe(
+      '<span class="ansi-red ansi-bold">A</span><span class="ansi-red">B</span>',
+    );
+    expect(ansiToHtml('\x1b[2;3;4;7;9mA\x1b[22;23;24;27;29mB')).toBe(
+      '<span class="ansi-dim ansi-italic ansi-underline ansi-reverse ansi-strikethrough" '
+        + 'style="text-decoration: underline line-through">A</span>B',
+    );
+  });
+
+  it('resets foreground and background independently with 39 and 49', () => {
+    expect(ansiToHtml('\x1b[31;42mA\x1b[39mB\x1b[49mC')).toBe(
+      '<span class="ansi-red ansi-bg-green">A</span><span class="ansi-bg-green">B</span>C',
+    );
+    expect(ansiToHtml('\x1b[38;5;196;48;2;0;0;128mA\x1b[49mB')).toBe(
+      '<span style="color: #ff0000; background-color: rgb(0,0,128)">A</span><span style="color: #ff0000">B</span>',
+    );
+  });
+
+  it('reads colon-separated extended colours', () => {
+    expect(ansiToHtml('\x1b[38:2::255:128:0mA')).toBe('<span style="color: rgb(255,128,0)">A</span>');
+    expect(ansiToHtml('\x1b[38:5:21mA')).toContain('style="color: #0000ff"');
+  });
+
+  it('escapes HTML written over other text', () => {
+    expect(ansiToHtml('xxx\r<b>')).toBe('&lt;b&gt;');
+  });
+});
+
+describe('ansiToHtml links', () => {
+  const web = (href, text) =>
+    `<a class="tui-link" href="${href}" target="_blank" rel="noopener noreferrer">${text}</a>`;
+
+  it('renders OSC 8 hyperlinks as anchors, keeping styles inside', () => {
+    expect(ansiToHtml('\x1b]8;;https://example.com\x1b\\see \x1b[31mhere\x1b[0m\x1b]8;;\x1b\\ now')).toBe(
+      `${web('https://example.com', 'see <span class="ansi-red">here</span>')} now`,
+    );
+    expect(ansiToHtml('\x1b]8;id=7;https://a.dev/?q=1&r="2"\x07x\x1b]8;;\x07')).toBe(
+      web('https://a.dev/?q=1&amp;r=&quot;2&quot;', 'x'),
+    );
+  });
+
+  it('renders unsafe OSC 8 targets as plain text', () => {
+    expect(ansiToHtml('\x1b]8;;javascript:alert(1)\x07click\x1b]8;;\x07')).toBe('click');
+  });
+
+  it('gives OSC 8 file links a path', () => {
+    expect(ansiToHtml('\x1b]8;;file://host/src/my%20app.ts\x07app\x1b]8;;\x07')).toBe(
+      '<a class="tui-link" href="file://host/src/my%20app.ts" data-path="/src/my app.ts">app</a>',
+    );
+  });
+
+  it('leaves bare URLs alone unless asked', () => {
+    expect(ansiToHtml('https://example.com')).toBe('https://example.com');
+  });
+
+  it('autolinks URLs without trailing punctuation', () => {
+    expect(ansiToHtml('docs (https://x.dev/a_(b)), then https://y.dev.', { autolink: true })).toBe(
+      `docs (${web('https://x.dev/a_(b)', 'https://x.dev/a_(b)')}), then ${web('https://y.dev', 'https://y.dev')}.`,
+    );
+  });
+
+  it('autolinks path:line:col references across colour changes', () => {
+    expect(ansiToHtml('\x1b[4msrc/app.ts\x1b[0m:12:5 - error', { autolink: true })).toBe(
+      '<a class="tui-link" data-path="src/app.ts" data-line="12" data-column="5">'
+        + '<span class="ansi-underline">src/app.ts</span>:12:5</a> - error',
+    );
+    expect(ansiToHtml('at file:///srv/a.js:3:9', { autolink: true })).toBe(
+      'at <a class="tui-link" href="file:///srv/a.js" data-path="/srv/a.js" data-line="3" data-column="9">'
+        + 'file:///srv/a.js:3:9</a>',
+    );
+  });
+
+  it('does not autolink clock times or hosts without a file extension', () => {
+    expect(ansiToHtml('12:30:45 localhost:3000', { autolink: true })).toBe('12:30:45 localhost:3000');
+  });
+});
+
+describe('ansiToSpans', () => {
+  const plain = {
+    fg: null, bg: null, bold: false, dim: false, italic: false,
+    underline: false, reverse: false, hidden: false, strikethrough: false, link: null,
+  };
+
+  it('returns one array of style runs per line', () => {
+    expect(ansiToSpans('\x1b[1;31mFAIL\x1b[0m test\n\x1b[38;5;21mnext')).toEqual([
+      [{ ...plain, text: 'FAIL', fg: 'red', bold: true }, { ...plain, text: ' test' }],
+      [{ ...plain, text: 'next', fg: '#0000ff' }],
+    ]);
+  });
+
+  it('shares one link object between the spans of a link', () => {
+    const [spans] = ansiToSpans('\x1b]8;;https://a.dev\x07a\x1b[1mb\x1b]8;;\x07c');
+    expect(spans.map((span) => span.text)).toEqual(['a', 'b', 'c']);
+    expect(spans[0].link).toEqual({ href: 'https://a.dev' });
+    expect(spans[1].link).toBe(spans[0].link);
+    expect(spans[2].link).toBeNull();
+  });
+
+  it('returns no lines for empty input', () => {
+    expect(ansiToSpans('')).toEqual([]);
+  });
+});
+
+describe('spansToAnsi', () => {
+  it('writes each style run as a full SGR and resets at the end of the line', () => {
+    const [spans] = ansiToSpans('\x1b[1;31mFAIL\x1b[0m ok \x1b[92;44mnew\x1b[38;5;21mblue');
+    expect(spansToAnsi(spans)).toBe(
+      '\x1b[0;31;1mFAIL\x1b[0m ok \x1b[0;92;44mnew\x1b[0;38;2;0;0;255;44mblue\x1b[0m',
+    );
+  });
+
+  it('round-trips through the parser, links included', () => {
+    const [spans] = ansiToSpans('\x1b[3;35mit\x1b]8;;https://a.dev\x07link\x1b]8;;\x07\x1b[0m end');
+    const [again] = ansiToSpans(spansToAnsi(spans));
+    expect(again).toEqual(spans);
+  });
+
+  it('leaves unstyled text alone', () => {
+    expect(spansToAnsi(ansiToSpans('plain')[0])).toBe('plain');
+  });
+});
+
+describe('markSpans', () => {
+  it('splits spans at match edges, keeping their style', () => {
+    const [spans] = ansiToSpans('\x1b[31mred\x1b[0m plain');
+    const marked = markSpans(spans, [{ start: 1, end: 5 }, { start: 7, end: 9, current: true }]);
+    expect(marked.map((span) => [span.text, span.fg, span.mark])).toEqual([
+      ['r', 'red', undefined],
+      ['ed', 'red', 'match'],
+      [' p', null, 'match'],
+      ['la', null, undefined],
+      ['in', null, 'current'],
+    ]);
+  });
+
+  it('returns the spans untouched with no ranges', () => {
+    const [spans] = ansiToSpans('text');
+    expect(markSpans(spans, [])).toBe(spans);
+  });
+});
+
 describe('stripAnsi', () => {
   it('removes all ANSI codes', () => {
     expect(stripAnsi('\x1b[31;42mbold\x1b[0m')).toBe('bold');
   });
+
+  it('applies overwrites and drops non-SGR sequences', () => {
+    expect(stripAnsi('\x1b]0;title\x07 50%\r\x1b[K100%')).toBe('100%');
+  });
+
+  it('keeps the text of OSC 8 links', () => {
+    expect(stripAnsi('\x1b]8;;https://a.dev\x07docs\x1b]8;;\x07')).toBe('docs');
+  });
 });
+
+describe('AnsiStream', () => {
+  const render = (lines) => lines.map((line) => spansToHtml(line.spans));
+
+  it('returns lines as their newlines arrive and holds the rest as pending', () => {
+    const stream = new AnsiStream();
+    expect(stream.write('one\ntw')).toHaveLength(1);
+    expect(stream.pending.text).toBe('tw');
+    expect(stream.write('o\n').map((line) => line.text)).toEqual(['two']);
+    expect(stream.pending).toBeNull();
+  });
+
+  it('carries SGR state across lines and chunks', () => {
+    const stream = new AnsiStream();
+    expect(render(stream.write('\x1b[31mfirst\n'))).toEqual(['<span class="ansi-red">first</span>']);
+    expect(render(stream.write('second\x1b[0m\nthird\n'))).toEqual([
+      '<span class="ansi-red">second</span>',
+      'third',
+    ]);
+  });
+
+  it('reassembles escape sequences split across chunks', () => {
+    const stream = new AnsiStream();
+    expect(stream.write('\x1b')).toEqual([]);
+    expect(stream.write('[3')).toEqual([]);
+    expect(render(stream.write('2mok\n'))).toEqual(['<span class="ansi-green">ok</span>']);
+    stream.write('\x1b]8;;https://ex');
+    expect(render(stream.write('ample.com\x07docs\x1b]8;;\x07\n'))[0]).toContain('href="https://example.com"');
+  });
+
+  it('decodes UTF-8 split across byte chunks', () => {
+    const stream = new AnsiStream();
+    const bytes = new TextEncoder().encode('✓ done\n');
+    expect(stream.write(bytes.slice(0, 2))).toEqual([]);
+    expect(stream.write(bytes.slice(2)).map((line) => line.text)).toEqual(['✓ done']);
+  });
+
+  it('rewrites the pending line on carriage return', () => {
+    const stream = new AnsiStream();
+    stream.write(' 10%');
+    stream.write('\r 60%');
+    expect(stream.pending.text).toBe(' 60%');
+    expect(stream.write('\r100%\n').map((line) => line.text)).toEqual(['100%']);
+  });
+
+  it('finishes the pending line on end(), keeping style state', () => {
+    const stream = new AnsiStream();
+    stream.write('\x1b[1mlast');
+    expect(render(stream.end())).toEqual(['<span class="ansi-bold">last</span>']);
+    expect(stream.pending).toBeNull();
+    expect(render(stream.write('still\n'))).toEqual(['<span class="ansi-bold">still</span>']);
+  });
+
+  it('autolinks when asked', () => {
+    const stream = new AnsiStream({ autolink: true });
+    expect(stream.write('src/a.ts:1:2\n')[0].spans[0].link).toEqual({ path: 'src/a.ts', line: 1, column: 2 });
+  });
+});
+
+describe('ANSI palette tokens', () => {
+  const tokens = readFileSync(join(import.meta.dirname, '../src/styles/tokens.css'), 'utf8');
+  const colors = ['black', 'red', 'green', 'yellow', 'blue', 'magenta', 'cyan', 'white'];
+  const palette = [...colors, ...colors.map((name) => `bright-${name}`)];
+
+  it.each(['terminal-classic', 'vibrant-scifi', 'home-security-interface'])('theme-%s defines all 16 colours', (theme) => {
+    const block = tokens.slice(tokens.indexOf(`.theme-${theme}`)).split('}')[0];
+    for (const name of palette) {
+      expect(block, `--ansi-${name} in theme-${theme}`).toMatch(new RegExp(`--ansi-${name}:\\s*#[0-9a-f]{6};`));
+    }
+  });
+});
+
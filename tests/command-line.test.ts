@@ -0,0 +1,45 @@
+import { describe, it, expect } from 'vitest';
+import { tokenize, parseCommand, quoteArg, commonPrefix } from '../src/utils/command-line';
+
+describe('tokenize', () => {
+  it('splits on whitespace, honouring quotes and escapes', () => {
+    const words = tokenize(`cp 'a b' "say \\"hi\\"" c\\ d`).map((token) => token.value);
+    expect(words).toEqual(['cp', 'a b', 'say "hi"', 'c d']);
+  });
+
+  it('runs an unclosed quote to the end of the line', () => {
+    const tokens = tokenize('open "my fi');
+    expect(tokens[1]).toEqual({ value: 'my fi', start: 5, end: 11, quoted: true });
+  });
+});
+
+describe('parseCommand', () => {
+  it('separates positional arguments from flags', () => {
+    expect(parseCommand('run a --watch --no-color --out=dist=x -vq b')).toEqual({
+      name: 'run',
+      args: ['a', 'b'],
+      flags: { watch: true, color: false, out: 'dist=x', v: true, q: true },
+    });
+  });
+
+  it('keeps negative numbers, quoted words and words after -- positional', () => {
+    expect(parseCommand(`seek -5 "--raw" -- --late`).args).toEqual(['-5', '--raw', '--late']);
+  });
+
+  it('parses an empty line to an empty name', () => {
+    expect(parseCommand('   ')).toEqual({ name: '', args: [], flags: {} });
+  });
+});
+
+describe('quoteArg and commonPrefix', () => {
+  it('quotes only words that need it, reversibly', () => {
+    expect(quoteArg('plain')).toBe('plain');
+    const quoted = quoteArg('a "b" c');
+    expect(tokenize(quoted)[0].value).toBe('a "b" c');
+  });
+
+  it('finds the shared prefix', () => {
+    expect(commonPrefix(['deploy', 'describe', 'delete'])).toBe('de');
+    expect(commonPrefix([])).toBe('');
+  });
+});
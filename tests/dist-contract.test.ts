@@ -10,15 +10,18 @@ const dist = (f: string) => resolve(process.cwd(), 'dist', f);
 // Same regex and same `import.meta.dirname` reasoning as tests/event-naming.test.ts
 // (jsdom replaces the global URL, so `new URL(..., import.meta.url)` is unusable).
 const EVENT_CONSTRUCTION = /new (?:Custom)?Event\(\s*(['"])([^'"]+)\1/g;
-const COMPONENTS = join(import.meta.dirname, '../src/components');
+// src/protocol too: RetroPush is not an element, but its events are just as public.
+const DIRS = ['../src/components', '../src/protocol'].map((d) => join(import.meta.dirname, d));
 
 const eventsIn = (src: string) => new Set([...src.matchAll(EVENT_CONSTRUCTION)].map((m) => m[2]));
 
 const sortedEvents = (src: string) => [...eventsIn(src)].sort();
 
 const sourceEvents = () => {
-  const files = readdirSync(COMPONENTS).filter((f) => /\.(ts|js)$/.test(f));
-  const all = files.map((f) => readFileSync(join(COMPONENTS, f), 'utf8')).join('\n');
+  const files = DIRS.flatMap((dir) =>
+    readdirSync(dir).filter((f) => /\.(ts|js)$/.test(f)).map((f) => join(dir, f)),
+  );
+  const all = files.map((f) => readFileSync(f, 'utf8')).join('\n');
   return sortedEvents(all);
 };
 
@@ -47,7 +50,7 @@ describe('built artifacts', () => {
   // dist/ consumers bind listeners to, so that is what gets compared. A set
   // comparison, deliberately — not a diff of the bundles.
   it.each(['retro-tui.js', 'retro-tui.cdn.js'])(
-    '%s dispatches exactly the event set src/components does',
+    '%s dispatches exactly the event set src/ does',
     (file) => {
       // The CDN build bundles lit, but lit itself constructs no literal-named
       // events, so both bundles are expected to carry the identical set.
@@ -7,7 +7,9 @@ import { join } from 'node:path';
 // file") and whose relative resolution picks up jsdom's document base. Not
 // `process.cwd()` either — that binds the test to where it was invoked from.
 // `import.meta.dirname` is a plain absolute path with none of those problems.
-const DIR = join(import.meta.dirname, '../src/components');
+const SRC = join(import.meta.dirname, '../src');
+// protocol/ holds RetroPush, which dispatches events without being an element.
+const DIRS = ['components', 'protocol'];
 
 // Matches `new CustomEvent('name'` and `new Event("name"` alike. Deliberately not
 // an AST parse: it sees literal-named constructions, which is every dispatch in
@@ -16,8 +18,10 @@ const DIR = join(import.meta.dirname, '../src/components');
 const EVENT_CONSTRUCTION = /new (?:Custom)?Event\(\s*(['"])([^'"]+)\1/g;
 const FIRES_TAG = /@fires\s+(\S+)/g;
 
-const files = readdirSync(DIR).filter((f) => /\.(ts|js)$/.test(f));
-const read = (file: string) => readFileSync(join(DIR, file), 'utf8');
+const files = DIRS.flatMap((dir) =>
+  readdirSync(join(SRC, dir)).filter((f) => /\.(ts|js)$/.test(f)).map((f) => `${dir}/${f}`),
+);
+const read = (file: string) => readFileSync(join(SRC, file), 'utf8');
 const dispatched = (src: string) => [...src.matchAll(EVENT_CONSTRUCTION)].map((m) => m[2]);
 const documented = (src: string) => [...src.matchAll(FIRES_TAG)].map((m) => m[1]);
 
@@ -0,0 +1,126 @@
+import { describe, it, beforeEach, vi } from 'vitest';
+import { fixture, html, expect } from '@open-wc/testing';
+import { EventRouter } from '../src/protocol/router';
+import '../src/components/tui-status.ts';
+
+const event = (id: string, type: string, data: Record<string, unknown> = {}) =>
+  ({ channel: 'test', type, id, data });
+
+describe('EventRouter', () => {
+  let container: HTMLElement;
+
+  beforeEach(async () => {
+    container = await fixture(html`<div></div>`);
+  });
+
+  it('delivers to a registered component', async () => {
+    const router = new EventRouter({ container });
+    const status = document.createElement('tui-status');
+    router.register('auth', status);
+
+    const target = router.dispatch(event('auth', 'status', { state: 'success', message: 'ok' }));
+    expect(target).to.equal(status);
+    expect(status.state).to.equal('success');
+  });
+
+  it('stops delivering after the registration is removed', () => {
+    const router = new EventRouter({ container: null });
+    const status = document.createElement('tui-status');
+    const off = router.register('auth', status);
+    off();
+    expect(router.dispatch(event('auth', 'status', { state: 'error', message: 'x' }))).to.equal(null);
+    expect(status.state).to.equal('');
+  });
+
+  it('finds a component by DOM id when nothing is registered', async () => {
+    const el = await fixture(html`<tui-status id="deploy"></tui-status>`);
+    const router = new EventRouter({ container: null });
+    router.dispatch(event('deploy', 'status', { state: 'pending', message: 'waiting' }));
+    expect((el as any).state).to.equal('pending');
+  });
+
+  it('creates one fallback output panel per unknown id', async () => {
+    const router = new EventRouter({ container });
+    router.dispatch(event('main-log', 'log', { message: 'first' }));
+    router.dispatch(event('main-log', 'log', { message: 'second' }));
+
+    const panels = container.querySelectorAll('tui-panel');
+    expect(panels.length).to.equal(1);
+    expect((panels[0] as any).title).to.equal('main-log');
+
+    const output = panels[0].querySelector('tui-output') as any;
+    await output.updateComplete;
+    const lines = output.shadowRoot.querySelectorAll('.line');
+    expect(lines.length).to.equal(2);
+  });
+
+  it('badges types the fallback has no renderer for', async () => {
+    const router = new EventRouter({ container });
+    const output = router.dispatch(event('metrics', 'cpu', { load: 0.5 })) as any;
+    await output.updateComplete;
+    const text = output.shadowRoot.querySelector('.line').textContent;
+    expect(text).to.contain('cpu');
+    expect(text).to.contain('"load":0.5');
+  });
+
+  it('drops unknown ids when container is null', () => {
+    const router = new EventRouter({ container: null });
+    expect(router.dispatch(event('nobody', 'log', { message: 'x' }))).to.equal(null);
+  });
+
+  it('does not create a fallback just to clear it', () => {
+    const router = new EventRouter({ container });
+    router.dispatch(event('nobody', 'clear'));
+    expect(container.querySelector('tui-panel')).to.equal(null);
+  });
+
+  it('shows a prompt for prompt events to unknown ids', async () => {
+    const router = new EventRouter({ container });
+    const target = router.dispatch(event('confirm', 'prompt', { message: 'Ship it?', options: ['yes'] })) as any;
+    expect(target.localName).to.equal('tui-prompt');
+    expect(target.open).to.be.true;
+    router.dispatch(event('confirm', 'answer', { value: 'yes' }));
+    expect(target.open).to.be.false;
+    expect(target.isConnected).to.be.false;
+    expect(router.resolve('confirm')).to.equal(null);
+  });
+
+  it('removes a fallback prompt answered on the page, and opens a new one for the next prompt', () => {
+    const router = new EventRouter({ container });
+    const answers: unknown[] = [];
+    const listener = (e: Event) => answers.push((e as CustomEvent).detail);
+    document.addEventListener('tui-prompt-answer', listener);
+    const first = router.dispatch(event('confirm', 'prompt', { message: 'Ship it?', options: ['yes'] })) as any;
+    first.answer('yes');
+    document.removeEventListener('tui-prompt-answer', listener);
+    expect(answers).to.deep.equal([{ channel: 'test', id: 'confirm', value: 'yes' }]);
+    expect(container.querySelector('tui-prompt')).to.equal(null);
+
+    const second = router.dispatch(event('confirm', 'prompt', { message: 'Really?' })) as any;
+    expect(second).to.not.equal(first);
+    expect(second.open).to.be.true;
+    expect(container.querySelectorAll('tui-prompt').length).to.equal(1);
+  });
+
+  it('removes the enclosing panel on dismiss', () => {
+    const router = new EventRouter({ container });
+    router.dispatch(event('summary', 'log', { message: 'x' }));
+    router.dispatch(event('summary', 'dismiss'));
+    expect(container.querySelector('tui-panel')).to.equal(null);
+    expect(router.resolve('summary')).to.equal(null);
+  });
+
+  it('drops an invalid event with a warning', () => {
+    const router = new EventRouter({ container });
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    expect(router.dispatch(event('dl', 'progress', { value: 'half' }))).to.equal(null);
+    expect(container.children.length).to.equal(0);
+    expect(warn.mock.calls[0][0]).to.contain('data.value: expected a finite number, got string');
+    warn.mockRestore();
+  });
+
+  it('delivers invalid events when validation is off', () => {
+    const router = new EventRouter({ container, validate: false });
+    expect(router.dispatch(event('dl', 'progress', { value: 'half' }))).to.not.equal(null);
+  });
+});
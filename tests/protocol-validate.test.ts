@@ -0,0 +1,145 @@
+import { describe, it, vi, afterEach } from 'vitest';
+import { expect } from '@open-wc/testing';
+import { readFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { validateEvent, formatErrors, warnInvalidEvent } from '../src/protocol/validate.js';
+import { generate } from '../scripts/generate-protocol-schema.js';
+
+const event = (type: string, data: unknown, extra: Record<string, unknown> = {}) =>
+  ({ channel: 'ci', type, id: 'x', data, ...extra });
+
+const fields = (e: unknown) => validateEvent(e).errors.map(err => err.field);
+
+describe('validateEvent', () => {
+  it('accepts a well-formed event of every standard type', () => {
+    const valid = [
+      event('log', { message: 'hi', level: 'warn' }),
+      event('group', { action: 'start', title: 'Install' }),
+      event('group', { action: 'end', status: 'success' }),
+      event('progress', { value: 0.5, label: 'dl', total: 4, current: 2 }),
+      event('table', { columns: ['a'], rows: [{ a: 1 }] }),
+      event('table', { key: 'a', row: { a: 2 } }),
+      event('status', { state: 'pending', message: 'waiting' }),
+      event('prompt', { message: 'Ship it?', options: ['yes', 'no'] }),
+      event('answer', { value: 'yes' }),
+      event('clear', {}),
+      event('dismiss', {}),
+    ];
+    for (const e of valid) {
+      expect(validateEvent(e), e.type).to.deep.equal({ ok: true, errors: [] });
+    }
+  });
+
+  it('requires the envelope fields', () => {
+    expect(fields({ type: 'log', data: { message: 'hi' } })).to.deep.equal(['channel', 'id']);
+    expect(fields({ channel: 'ci', type: 'log', id: 'x', data: 'hi' })).to.deep.equal(['data']);
+  });
+
+  it('rejects something that is not an object', () => {
+    const { ok, errors } = validateEvent('hello');
+    expect(ok).to.equal(false);
+    expect(errors[0].message).to.equal('expected an event object, got string');
+  });
+
+  it('names the bad data field', () => {
+    const { errors } = validateEvent(event('progress', { value: '50%' }));
+    expect(errors).to.deep.equal([
+      { field: 'data.value', message: 'expected a finite number, got string' },
+    ]);
+  });
+
+  it('rejects NaN and Infinity where a number is expected', () => {
+    expect(fields(event('progress', { value: NaN }))).to.deep.equal(['data.value']);
+    expect(fields(event('progress', { value: 0.5, total: Infinity }))).to.deep.equal(['data.total']);
+  });
+
+  it('checks string-literal unions', () => {
+    const { errors } = validateEvent(event('status', { state: 'warn', message: 'x' }));
+    expect(errors[0].field).to.equal('data.state');
+    expect(errors[0].message).to.contain('"warning"');
+  });
+
+  it('checks array items by index', () => {
+    expect(fields(event('prompt', { message: 'pick', options: ['a', 2] }))).to.deep.equal(['data.options[1]']);
+  });
+
+  it('reports the closest table shape when neither matches', () => {
+    expect(fields(event('table', { key: 'a' }))).to.deep.equal(['data.row']);
+    expect(fields(event('table', { columns: ['a'] }))).to.deep.equal(['data.rows']);
+  });
+
+  it('lets custom types carry any object and extra fields through', () => {
+    expect(validateEvent(event('deploy', { anything: [1, 2] })).ok).to.equal(true);
+    expect(validateEvent(event('log', { message: 'hi', color: 'red' }, { source: 'ci' })).ok).to.equal(true);
+  });
+});
+
+describe('formatErrors', () => {
+  it('puts one error on each line', () => {
+    const { errors } = validateEvent({ channel: 'ci', type: 'progress', data: { value: 'x' } });
+    expect(formatErrors(errors)).to.equal(
+      'id: is required\ndata.value: expected a finite number, got string',
+    );
+  });
+});
+
+describe('warnInvalidEvent', () => {
+  afterEach(() => vi.restoreAllMocks());
+
+  it('warns with the tag and errors for an invalid event only', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    warnInvalidEvent('tui-progress', event('progress', { value: 0.5 }));
+    expect(warn.mock.calls.length).to.equal(0);
+
+    warnInvalidEvent('tui-progress', event('progress', {}));
+    expect(warn.mock.calls.length).to.equal(1);
+    expect(warn.mock.calls[0][0]).to.equal('[tui-progress] Invalid "progress" event:\ndata.value: is required');
+  });
+
+  it('warns in a browser without `process`, and not in production', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.stubGlobal('process', undefined);
+    try {
+      warnInvalidEvent('tui-progress', event('progress', {}));
+    } finally {
+      vi.unstubAllGlobals();
+    }
+    expect(warn.mock.calls.length).to.equal(1);
+
+    vi.stubEnv('NODE_ENV', 'production');
+    try {
+      warnInvalidEvent('tui-progress', event('progress', {}));
+    } finally {
+      vi.unstubAllEnvs();
+    }
+    expect(warn.mock.calls.length).to.equal(1);
+  });
+});
+
+describe('schema.js', () => {
+  it('is up to date with types.ts (run `npm run generate:schema`)', () => {
+    // jsdom replaces the global URL, so resolve from import.meta.dirname instead.
+    const types = readFileSync(join(import.meta.dirname, '../src/protocol/types.ts'), 'utf8');
+    const schema = readFileSync(join(import.meta.dirname, '../src/protocol/schema.js'), 'utf8');
+    expect(generate(types)).to.equal(schema);
+  });
+
+  it('leaves out interfaces no event type carries', () => {
+    const source = generate(`
+      export interface TuiEvent { channel: string; }
+      export interface EventDataMap { log: LogData; clear: Record<string, never>; }
+      export interface LogData { message: string; }
+      export interface CheckboxData { checked?: boolean; }
+    `);
+    expect(source).to.contain('LogData: {');
+    expect(source).to.not.contain('CheckboxData');
+  });
+
+  it('refuses a field type it cannot check', () => {
+    expect(() => generate(`
+      export interface TuiEvent { channel: string; }
+      export interface EventDataMap { log: Foo; }
+      export interface Foo { when: Date; }
+    `)).to.throw('Foo.when: unsupported type "Date"');
+  });
+});
@@ -0,0 +1,258 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { RetroPush } from '../src/protocol/push-client';
+
+/** Just enough of a WebSocket for the client to drive. */
+class FakeSocket {
+  static instances: FakeSocket[] = [];
+  onopen: (() => void) | null = null;
+  onclose: (() => void) | null = null;
+  onmessage: ((e: { data: string }) => void) | null = null;
+  onerror: (() => void) | null = null;
+  sent: string[] = [];
+  constructor(public url: string) {
+    FakeSocket.instances.push(this);
+  }
+  send(data: string) { this.sent.push(data); }
+  close() { this.onclose?.(); }
+  // Test helpers
+  open() { this.onopen?.(); }
+  receive(msg: unknown) { this.onmessage?.({ data: JSON.stringify(msg) }); }
+}
+
+const latest = () => FakeSocket.instances[FakeSocket.instances.length - 1];
+const create = (opts = {}) =>
+  new RetroPush('ws://test', { WebSocket: FakeSocket as unknown as typeof WebSocket, ...opts });
+
+describe('RetroPush', () => {
+  beforeEach(() => {
+    FakeSocket.instances = [];
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('delivers the full envelope, id and timestamp included', () => {
+    const push = create();
+    const seen: unknown[] = [];
+    push.on('build', (e) => seen.push(e));
+    push.connect();
+    latest().open();
+
+    const event = { channel: 'build', type: 'log', id: 'main', data: { message: 'hi' }, timestamp: 42 };
+    latest().receive(event);
+    expect(seen).toEqual([event]);
+  });
+
+  it('filters by channel and type, with * at either level', () => {
+    const push = create();
+    const logs: string[] = [];
+    const any: string[] = [];
+    push.on('build', 'log', (e) => logs.push(e.data.message));
+    push.on('*', '*', (e) => any.push(e.type));
+    push.connect();
+    latest().open();
+
+    latest().receive({ channel: 'build', type: 'log', id: 'a', data: { message: 'one' } });
+    latest().receive({ channel: 'build', type: 'status', id: 'b', data: {} });
+    latest().receive({ channel: 'other', type: 'log', id: 'c', data: { message: 'two' } });
+
+    expect(logs).toEqual(['one']);
+    expect(any).toEqual(['log', 'status', 'log']);
+  });
+
+  it('stops delivering after unsubscribe', () => {
+    const push = create();
+    const handler = vi.fn();
+    const off = push.on('build', handler);
+    push.connect();
+    latest().open();
+    off();
+    latest().receive({ channel: 'build', type: 'log', id: 'a', data: {} });
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  it('reports connection state as events', () => {
+    const push = create();
+    const states: string[] = [];
+    push.addEventListener('tui-push-state-change', (e) => {
+      states.push((e as CustomEvent).detail.state);
+    });
+    push.connect();
+    latest().open();
+    latest().close();
+    push.disconnect();
+    expect(states).toEqual(['connecting', 'open', 'reconnecting', 'closed']);
+    expect(push.state).toBe('closed');
+  });
+
+  it('reconnects with a jittered delay that grows and is capped', () => {
+    vi.spyOn(Math, 'random').mockReturnValue(1);
+    const push = create({ minDelay: 100, maxDelay: 300, jitter: 0.5 });
+    push.connect();
+
+    latest().close();
+    // attempt 0: 100ms base, jitter takes up to half off → 50ms with random() = 1
+    vi.advanceTimersByTime(49);
+    expect(FakeSocket.instances.length).toBe(1);
+    vi.advanceTimersByTime(1);
+    expect(FakeSocket.instances.length).toBe(2);
+
+    latest().close(); // 200 → 100
+    vi.advanceTimersByTime(100);
+    expect(FakeSocket.instances.length).toBe(3);
+
+    latest().close(); // 400 capped at 300 → 150
+    vi.advanceTimersByTime(149);
+    expect(FakeSocket.instances.length).toBe(3);
+    vi.advanceTimersByTime(1);
+    expect(FakeSocket.instances.length).toBe(4);
+    push.disconnect();
+  });
+
+  it('keeps a reconnect attempt in flight when connect() is called again', () => {
+    const push = create({ minDelay: 100, jitter: 0 });
+    const seen = vi.fn();
+    push.on('build', seen);
+    push.connect();
+    latest().close();
+
+    // Waiting on the timer: connect() retries now
+    push.connect();
+    expect(FakeSocket.instances.length).toBe(2);
+    expect(push.state).toBe('reconnecting');
+
+    // A retry is open but not yet connected: connect() leaves it alone
+    push.connect();
+    vi.advanceTimersByTime(1000);
+    expect(FakeSocket.instances.length).toBe(2);
+    latest().open();
+    latest().receive({ channel: 'build', type: 'log', id: 'a', data: {} });
+    expect(seen).toHaveBeenCalledTimes(1);
+    push.disconnect();
+  });
+
+  it('does not reconnect after disconnect()', () => {
+    const push = create({ minDelay: 10 });
+    push.connect();
+    latest().open();
+    push.disconnect();
+    vi.advanceTimersByTime(1000);
+    expect(FakeSocket.instances.length).toBe(1);
+  });
+
+  it('queues sends while offline, dropping the oldest past queueSize', () => {
+    const push = create({ queueSize: 2 });
+    push.send({ n: 1 });
+    push.send({ n: 2 });
+    push.send({ n: 3 });
+    expect(push.queued).toBe(2);
+
+    push.connect();
+    latest().open();
+    expect(latest().sent.map((s) => JSON.parse(s).n)).toEqual([2, 3]);
+    expect(push.queued).toBe(0);
+
+    push.send({ n: 4 });
+    expect(latest().sent.length).toBe(3);
+  });
+
+  it('resumes from the last timestamp seen when it reconnects', () => {
+    const push = create({ minDelay: 10, jitter: 0 });
+    push.connect();
+    expect(latest().url).toBe('ws://test');
+    latest().open();
+    latest().receive({ channel: 'build', type: 'log', id: 'a', data: {}, timestamp: 500 });
+    latest().receive({ channel: '_system', type: 'replayed', id: null, data: {}, timestamp: 9999 });
+
+    latest().close();
+    vi.advanceTimersByTime(10);
+    expect(latest().url).toBe('ws://test?since=500');
+    push.disconnect();
+  });
+
+  it('reconnects from scratch when resume is off', () => {
+    const push = create({ minDelay: 10, jitter: 0, resume: false });
+    push.connect();
+    latest().open();
+    latest().receive({ channel: 'build', type: 'log', id: 'a', data: {}, timestamp: 500 });
+    latest().close();
+    vi.advanceTimersByTime(10);
+    expect(latest().url).toBe('ws://test');
+    push.disconnect();
+  });
+
+  it('opens with its channel subscriptions and carries them over reconnects', () => {
+    const push = create({ minDelay: 10, jitter: 0, resume: false });
+    push.subscribe('build', 'deploy-*');
+    push.connect();
+    expect(latest().url).toBe('ws://test?channels=build,deploy-*');
+    latest().open();
+    latest().close();
+    vi.advanceTimersByTime(10);
+    expect(latest().url).toBe('ws://test?channels=build,deploy-*');
+    push.disconnect();
+  });
+
+  it('sends its token in the URL on every connect', () => {
+    const push = create({ minDelay: 10, jitter: 0, token: 'wall s3cret' });
+    push.subscribe('build');
+    push.connect();
+    expect(latest().url).toBe('ws://test?channels=build&token=wall%20s3cret');
+    latest().open();
+    latest().receive({ channel: 'build', type: 'log', id: 'a', data: {}, timestamp: 7 });
+    latest().close();
+    vi.advanceTimersByTime(10);
+    expect(latest().url).toBe('ws://test?channels=build&since=7&token=wall%20s3cret');
+    push.disconnect();
+  });
+
+  it('sends subscribe and unsubscribe control messages while open', () => {
+    const push = create();
+    push.connect();
+    latest().open();
+    push.subscribe('build');
+    push.subscribe('build');
+    push.unsubscribe('build');
+    expect(latest().sent.map((s) => JSON.parse(s))).toEqual([
+      { channel: '_system', type: 'subscribe', id: '', data: { channels: ['build'] } },
+      { channel: '_system', type: 'unsubscribe', id: '', data: { channels: ['build'] } },
+    ]);
+    expect(push.subscriptions).toEqual([]);
+  });
+
+  it('catches the server up on subscriptions changed while connecting', () => {
+    const push = create();
+    push.subscribe('a');
+    push.connect();
+    push.subscribe('b');
+    push.unsubscribe('a');
+    latest().open();
+    expect(latest().sent.map((s) => JSON.parse(s).type)).toEqual(['subscribe', 'unsubscribe']);
+    expect(JSON.parse(latest().sent[0]).data.channels).toEqual(['b']);
+  });
+
+  it('sends a prompt answer as an answer envelope', () => {
+    const push = create();
+    push.connect();
+    latest().open();
+    push.answer({ channel: 'deploy', id: 'go', value: 'yes' });
+    expect(JSON.parse(latest().sent[0])).toEqual({
+      channel: 'deploy', type: 'answer', id: 'go', data: { value: 'yes' },
+    });
+  });
+
+  it('isolates a throwing handler from the rest', () => {
+    const push = create();
+    const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+    const after = vi.fn();
+    push.on('build', () => { throw new Error('boom'); });
+    push.on('build', after);
+    push.connect();
+    latest().open();
+    latest().receive({ channel: 'build', type: 'log', id: 'a', data: {} });
+    expect(after).toHaveBeenCalledOnce();
+    error.mockRestore();
+  });
+});
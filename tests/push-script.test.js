@@ -0,0 +1,116 @@
+// @vitest-environment node
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { spawn } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import { createPushServer, silent } from '../examples/push-server/server/push-server.js';
+import { openStream } from '../examples/push-server/push.js';
+
+const log = (message) => ({ channel: 'build', type: 'log', id: 'main', data: { message } });
+
+const SCRIPT = fileURLToPath(new URL('../examples/push-server/push.js', import.meta.url));
+
+/** Run push.js against `port`, feeding it `stdin`; resolves with its exit code and output. */
+function pushJs(port, args, stdin = '') {
+  const child = spawn(process.execPath, [SCRIPT, ...args], {
+    env: { ...process.env, RETRO_PUSH_URL: `http://localhost:${port}/push` },
+  });
+  let stdout = '';
+  child.stdout.setEncoding('utf8').on('data', (chunk) => { stdout += chunk; });
+  child.stderr.resume();
+  child.stdin.end(stdin);
+  return new Promise((resolve, reject) => {
+    child.on('error', reject);
+    child.on('close', (code) => resolve({ code, stdout }));
+  });
+}
+
+describe('push.js', () => {
+  const cleanup = [];
+  let published;
+  let port;
+
+  afterEach(async () => {
+    while (cleanup.length) await cleanup.pop()();
+  });
+
+  async function start() {
+    published = [];
+    const push = createPushServer({ logger: silent, onPublish: (envelope) => published.push(envelope) });
+    cleanup.push(() => push.close());
+    port = await push.listen(0);
+  }
+
+  it('pipes stdin into a log, line by line, and ends with a status', async () => {
+    await start();
+    const { code, stdout } = await pushJs(port, ['--channel', 'build', '--id', 'main-log'], 'compiling\r\n\x1b[32mok\x1b[0m\nlast');
+
+    expect(code).toBe(0);
+    expect(stdout).toBe('compiling\n\x1b[32mok\x1b[0m\nlast\n');
+    expect(published.map(({ channel, type, id }) => `${channel}/${id}/${type}`)).toEqual([
+      'build/main-log/log', 'build/main-log/log', 'build/main-log/log', 'build/main-log/status',
+    ]);
+    expect(published.slice(0, 3).map((e) => e.data)).toEqual([
+      { message: 'compiling' }, { message: '\x1b[32mok\x1b[0m' }, { message: 'last' },
+    ]);
+    expect(published[3].data).toMatchObject({ state: 'info', duration: expect.any(Number) });
+    expect(published[3].data.message).toMatch(/^Input ended after \d+\.\ds$/);
+  });
+
+  it('tags every piped line with the level named on the command line', async () => {
+    await start();
+    await pushJs(port, ['--channel=ci', 'warn'], 'careful\n');
+    expect(published[0]).toMatchObject({ id: 'ci', type: 'log', data: { message: 'careful', level: 'warn' } });
+  });
+
+  it('takes run as a mode only when it comes first', async () => {
+    await start();
+    const { code } = await pushJs(port, ['log', 'run']);
+    expect(code).toBe(0);
+    expect(published).toHaveLength(1);
+    expect(published[0]).toMatchObject({ type: 'log', data: { message: 'run' } });
+  });
+
+  it('runs a command, logging stderr as errors, and exits with its exit code', async () => {
+    await start();
+    const script = "console.log('out'); console.error('oops'); process.exit(3)";
+    const { code } = await pushJs(port, ['--id', 'tests', 'run', '--', process.execPath, '-e', script]);
+
+    expect(code).toBe(3);
+    const logs = published.filter((e) => e.type === 'log').map((e) => e.data);
+    expect(logs).toHaveLength(2);
+    expect(logs).toContainEqual({ message: 'out' });
+    expect(logs).toContainEqual({ message: 'oops', level: 'error' });
+    const status = published.at(-1);
+    expect(status).toMatchObject({ channel: 'build', id: 'tests', type: 'status' });
+    expect(status.data).toMatchObject({ state: 'error', exitCode: 3 });
+    expect(status.data.message).toMatch(/^✗ .* exited 3 after \d+\.\ds$/);
+  });
+
+  it('exits 0 and reports success when the command does', async () => {
+    await start();
+    const { code } = await pushJs(port, ['run', process.execPath, '-e', '']);
+    expect(code).toBe(0);
+    expect(published).toHaveLength(1);
+    expect(published[0].data).toMatchObject({ state: 'success', exitCode: 0 });
+  });
+});
+
+describe('openStream', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('holds at most queueSize lines while the request is not reading, dropping the oldest', async () => {
+    let body;
+    vi.stubGlobal('fetch', async (url, init) => {
+      body = init.body;
+      return new Response(JSON.stringify({ ok: true }));
+    });
+    const stream = openStream({ queueSize: 3 });
+    for (let i = 1; i <= 5; i++) stream.send(log(`line ${i}`));
+    expect(await stream.end()).toEqual({ ok: true, dropped: 2 });
+
+    const sent = (await new Response(body).text()).trim().split('\n').map((line) => JSON.parse(line).data.message);
+    expect(sent).toEqual(['line 3', 'line 4', 'line 5']);
+  });
+});
@@ -0,0 +1,433 @@
+// @vitest-environment node
+import { describe, it, expect, afterEach } from 'vitest';
+import { createServer } from 'node:http';
+import WebSocket, { WebSocketServer } from 'ws';
+import { createServer as createViteServer } from 'vite';
+import { createPushServer, silent } from '../examples/push-server/server/push-server.js';
+import { retroPush } from '../examples/push-server/server/vite-plugin.js';
+
+const log = (message) => ({ channel: 'build', type: 'log', id: 'main', data: { message } });
+
+/** Open a client and collect what it receives, minus _system chatter, once replay is done. */
+function connect(url, options) {
+  const received = [];
+  const ws = new WebSocket(url, options);
+  ws.on('message', (raw) => {
+    const event = JSON.parse(raw);
+    if (event.channel !== '_system') received.push(event);
+    if (event.type === 'replayed') ws.emit('replayed', event.data);
+  });
+  return new Promise((resolve, reject) => {
+    ws.once('replayed', (replayed) => resolve({ ws, received, replayed }));
+    ws.once('error', reject);
+  });
+}
+
+const until = async (check) => {
+  for (let i = 0; i < 100 && !check(); i++) await new Promise((r) => setTimeout(r, 10));
+};
+
+describe('createPushServer', () => {
+  const cleanup = [];
+
+  afterEach(async () => {
+    while (cleanup.length) await cleanup.pop()();
+  });
+
+  it('listens on its own server and relays POSTed messages', async () => {
+    const push = createPushServer({ logger: silent });
+    cleanup.push(() => push.close());
+    const port = await push.listen(0);
+
+    const { ws, received } = await connect(`ws://localhost:${port}`);
+    cleanup.push(() => ws.close());
+
+    const res = await fetch(`http://localhost:${port}/push`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(log('hello')),
+    });
+    expect(await res.json()).toEqual({ ok: true, delivered: 1 });
+    await until(() => received.length);
+    expect(received[0]).toMatchObject(log('hello'));
+  });
+
+  it('publishes from the app and reports through the hooks', async () => {
+    const connected = [];
+    const published = [];
+    const push = createPushServer({
+      logger: silent,
+      onConnect: ({ grant }) => connected.push(grant.name),
+      onPublish: (envelope, info) => published.push([envelope.data.message, info]),
+    });
+    cleanup.push(() => push.close());
+    const port = await push.listen(0);
+
+    const { ws, received } = await connect(`ws://localhost:${port}`);
+    cleanup.push(() => ws.close());
+    expect(connected).toEqual(['anonymous']);
+    expect(push.clients).toBe(1);
+
+    expect(push.publish(log('from the app'))).toEqual({ ok: true, delivered: 1 });
+    expect(push.publish({ channel: 'build' }).ok).toBe(false);
+    expect(published).toEqual([['from the app', { delivered: 1, source: 'api' }]]);
+    await until(() => received.length);
+    expect(received[0].timestamp).toBeTypeOf('number');
+  });
+
+  it('attaches to an existing server under a path, leaving the rest alone', async () => {
+    const server = createServer((req, res) => res.end(`app ${req.url}`));
+    const other = new WebSocketServer({ noServer: true });
+    server.on('upgrade', (req, socket, head) => {
+      if (req.url === '/hmr') other.handleUpgrade(req, socket, head, (ws) => ws.send('hmr'));
+    });
+    await new Promise((resolve) => server.listen(0, resolve));
+    const { port } = server.address();
+    cleanup.push(() => new Promise((resolve) => server.close(resolve)));
+
+    const push = createPushServer({ server, path: '/retro/', logger: silent });
+    cleanup.push(() => push.close());
+
+    expect(await (await fetch(`http://localhost:${port}/about`)).text()).toBe('app /about');
+    expect((await fetch(`http://localhost:${port}/retro/health`)).status).toBe(200);
+
+    const hmr = new WebSocket(`ws://localhost:${port}/hmr`);
+    const greeting = await new Promise((resolve) => hmr.once('message', (m) => resolve(String(m))));
+    hmr.close();
+    expect(greeting).toBe('hmr');
+
+    const { ws, received } = await connect(`ws://localhost:${port}/retro?channels=build`);
+    cleanup.push(() => ws.close());
+    await fetch(`http://localhost:${port}/retro/push`, {
+      method: 'POST',
+      body: JSON.stringify(log('attached')),
+    });
+    await until(() => received.length);
+    expect(received[0].data.message).toBe('attached');
+  });
+
+  it('gives the server back its own handlers on close', async () => {
+    const server = createServer((req, res) => res.end('app'));
+    await new Promise((resolve) => server.listen(0, resolve));
+    const { port } = server.address();
+    cleanup.push(() => new Promise((resolve) => server.close(resolve)));
+
+    const push = createPushServer({ server, logger: silent });
+    expect((await fetch(`http://localhost:${port}/health`)).headers.get('content-type')).toBe('application/json');
+    await push.close();
+    expect(await (await fetch(`http://localhost:${port}/health`)).text()).toBe('app');
+    expect(server.listening).toBe(true);
+  });
+
+  it('requires a token when given tokens', async () => {
+    const push = createPushServer({
+      logger: silent,
+      tokens: [{ token: 'ci', scopes: ['publish'], channels: ['build'] }],
+    });
+    cleanup.push(() => push.close());
+    const port = await push.listen(0);
+    const post = (body, token) => fetch(`http://localhost:${port}/push`, {
+      method: 'POST',
+      headers: token ? { Authorization: `Bearer ${token}` } : {},
+      body: JSON.stringify(body),
+    });
+
+    expect((await post(log('x'))).status).toBe(401);
+    expect((await post(log('x'), 'nope')).status).toBe(401);
+    expect((await post(log('x'), 'ci')).status).toBe(200);
+    expect((await post({ ...log('x'), channel: 'deploy' }, 'ci')).status).toBe(403);
+  });
+
+  it('replays buffered messages to a late client, or only those after ?since=', async () => {
+    const push = createPushServer({ logger: silent });
+    cleanup.push(() => push.close());
+    const port = await push.listen(0);
+    for (const message of ['one', 'two', 'three']) push.publish(log(message));
+
+    const late = await connect(`ws://localhost:${port}`);
+    cleanup.push(() => late.ws.close());
+    expect(late.received.map((e) => e.data.message)).toEqual(['one', 'two', 'three']);
+    expect(late.replayed).toEqual({ count: 3, since: 0 });
+
+    const since = late.received[1].timestamp;
+    const back = await connect(`ws://localhost:${port}?since=${since}`);
+    cleanup.push(() => back.ws.close());
+    expect(back.received.map((e) => e.data.message)).toEqual(['three']);
+    expect(back.replayed).toEqual({ count: 1, since });
+  });
+
+  it('replays the latest progress per id, unless replayCollapse is off', async () => {
+    const progress = (id, value) => ({ channel: 'build', type: 'progress', id, data: { value } });
+    const replayed = async (options) => {
+      const push = createPushServer({ logger: silent, ...options });
+      cleanup.push(() => push.close());
+      const port = await push.listen(0);
+      push.publish(progress('a', 10));
+      push.publish(progress('b', 50));
+      push.publish(log('between'));
+      push.publish(progress('a', 90));
+      const { ws, received, replayed: info } = await connect(`ws://localhost:${port}`);
+      cleanup.push(() => ws.close());
+      expect(info.count).toBe(received.length);
+      return received.map((e) => e.data.message ?? `${e.id}=${e.data.value}`);
+    };
+
+    expect(await replayed({})).toEqual(['b=50', 'between', 'a=90']);
+    expect(await replayed({ replayCollapse: false })).toEqual(['a=10', 'b=50', 'between', 'a=90']);
+    expect(await replayed({ replaySize: 2 })).toEqual(['between', 'a=90']);
+    expect(await replayed({ replaySize: 0 })).toEqual([]);
+  });
+
+  it('delivers by channel pattern, and changes subscriptions on request', async () => {
+    const push = createPushServer({ logger: silent });
+    cleanup.push(() => push.close());
+    const port = await push.listen(0);
+    const health = async () => {
+      const { clients, channels } = await (await fetch(`http://localhost:${port}/health`)).json();
+      return { clients, channels };
+    };
+    const on = (channel, message) => ({ ...log(message), channel });
+    const messages = (received) => received.map((e) => `${e.channel}:${e.data.message}`);
+    const control = (ws, type, channels) =>
+      ws.send(JSON.stringify({ channel: '_system', type, id: '', data: { channels } }));
+
+    const builds = await connect(`ws://localhost:${port}?channels=build`);
+    const deploys = await connect(`ws://localhost:${port}?channels=deploy-*`);
+    cleanup.push(() => builds.ws.close(), () => deploys.ws.close());
+    expect(await health()).toEqual({ clients: 2, channels: { build: 1, 'deploy-*': 1 } });
+
+    push.publish(on('build', 'compiled'));
+    push.publish(on('deploy-eu', 'rolled out'));
+    push.publish(on('deployment', 'nobody'));
+    await until(() => builds.received.length && deploys.received.length);
+    expect(messages(builds.received)).toEqual(['build:compiled']);
+    expect(messages(deploys.received)).toEqual(['deploy-eu:rolled out']);
+
+    // Subscribing replays what the new pattern missed; unsubscribing stops delivery.
+    control(builds.ws, 'subscribe', ['deploy-*']);
+    control(builds.ws, 'unsubscribe', ['build']);
+    await until(() => builds.received.length === 2);
+    expect(await health()).toEqual({ clients: 2, channels: { 'deploy-*': 2 } });
+    push.publish(on('build', 'ignored'));
+    push.publish(on('deploy-us', 'rolled out'));
+    await until(() => builds.received.length === 3);
+    expect(messages(builds.received)).toEqual(['build:compiled', 'deploy-eu:rolled out', 'deploy-us:rolled out']);
+
+    deploys.ws.close();
+    await until(() => push.clients === 1);
+    expect(await health()).toEqual({ clients: 1, channels: { 'deploy-*': 1 } });
+  });
+
+  it('refuses to unsubscribe a channel the client only receives through a wildcard', async () => {
+    const push = createPushServer({ logger: silent });
+    cleanup.push(() => push.close());
+    const port = await push.listen(0);
+    const { ws, received } = await connect(`ws://localhost:${port}`);
+    cleanup.push(() => ws.close());
+    const system = [];
+    ws.on('message', (raw) => {
+      const event = JSON.parse(raw);
+      if (event.channel === '_system') system.push(event);
+    });
+
+    ws.send(JSON.stringify({ channel: '_system', type: 'unsubscribe', id: '', data: { channels: ['build'] } }));
+    await until(() => system.length === 2);
+    expect(system[0]).toMatchObject({ type: 'error', data: { channels: ['build'] } });
+    expect(system[0].data.message).toContain('Not subscribed to build');
+    expect(system[1]).toMatchObject({ type: 'subscribed', data: { channels: ['*'] } });
+
+    push.publish(log('still here'));
+    await until(() => received.length);
+    expect(received.map((e) => e.data.message)).toEqual(['still here']);
+  });
+
+  it('long-polls /answer: times out, then gets an answer sent during or before the poll', async () => {
+    const push = createPushServer({ logger: silent });
+    cleanup.push(() => push.close());
+    const port = await push.listen(0);
+    const poll = (id, timeout = 5000) =>
+      fetch(`http://localhost:${port}/answer?channel=deploy&id=${id}&timeout=${timeout}`);
+    const answer = (ws, id, value) =>
+      ws.send(JSON.stringify({ channel: 'deploy', type: 'answer', id, data: { value } }));
+
+    const browser = await connect(`ws://localhost:${port}`);
+    const other = await connect(`ws://localhost:${port}`);
+    cleanup.push(() => browser.ws.close(), () => other.ws.close());
+
+    const late = await poll('go', 50);
+    expect(late.status).toBe(408);
+    expect(await late.json()).toEqual({ error: 'No answer yet' });
+
+    const waiting = poll('go');
+    await new Promise((r) => setTimeout(r, 50));
+    answer(browser.ws, 'go', 'yes');
+    const delivered = await waiting;
+    expect(delivered.status).toBe(200);
+    expect(await delivered.json()).toEqual({ ok: true, channel: 'deploy', id: 'go', value: 'yes' });
+    // Every tab hears the answer, so it can close the prompt.
+    await until(() => other.received.length);
+    expect(other.received[0]).toMatchObject({ channel: 'deploy', type: 'answer', id: 'go', data: { value: 'yes' } });
+
+    answer(browser.ws, 'early', 'no');
+    await until(() => other.received.length === 2);
+    const kept = await poll('early', 50);
+    expect(kept.status).toBe(200);
+    expect((await kept.json()).value).toBe('no');
+    // Collected once: asking again waits for a new answer.
+    expect((await poll('early', 50)).status).toBe(408);
+  });
+
+  it('publishes a JSON array in order and reports each message', async () => {
+    const push = createPushServer({ logger: silent });
+    cleanup.push(() => push.close());
+    const port = await push.listen(0);
+    const { ws, received } = await connect(`ws://localhost:${port}`);
+    cleanup.push(() => ws.close());
+
+    const res = await fetch(`http://localhost:${port}/push`, {
+      method: 'POST',
+      body: JSON.stringify([log('first'), { channel: 'build', type: 'log', id: 'main' }, log('last')]),
+    });
+    expect(res.status).toBe(200);
+    const report = await res.json();
+    expect(report).toMatchObject({ ok: false, received: 3, published: 2, delivered: [1, null, 1] });
+    expect(report.rejected).toHaveLength(1);
+    expect(report.rejected[0]).toMatchObject({ index: 1, error: 'Invalid event' });
+    expect(report.rejected[0].errors.map((e) => e.field)).toContain('data');
+    await until(() => received.length === 2);
+    expect(received.map((e) => e.data.message)).toEqual(['first', 'last']);
+  });
+
+  it('publishes NDJSON lines as they arrive and reports the invalid ones', async () => {
+    const push = createPushServer({ logger: silent });
+    cleanup.push(() => push.close());
+    const port = await push.listen(0);
+    const { ws, received } = await connect(`ws://localhost:${port}`);
+    cleanup.push(() => ws.close());
+
+    let stream;
+    const body = new ReadableStream({ start(controller) { stream = controller; } });
+    const send = (text) => stream.enqueue(new TextEncoder().encode(text));
+    const pending = fetch(`http://localhost:${port}/push`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-ndjson' },
+      body,
+      duplex: 'half',
+    });
+
+    // A line split across chunks is published once it is whole, before the body ends.
+    const first = JSON.stringify(log('live'));
+    send(first.slice(0, 10));
+    send(`${first.slice(10)}\n`);
+    await until(() => received.length);
+    expect(received.map((e) => e.data.message)).toEqual(['live']);
+
+    send('\nnot json\n');
+    send(`${JSON.stringify({ ...log('bad'), type: 42 })}\n`);
+    send(JSON.stringify(log('unterminated')));
+    stream.close();
+
+    const report = await (await pending).json();
+    expect(report).toMatchObject({ ok: false, received: 4, published: 2, delivered: [1, null, null, 1] });
+    expect(report.rejected.map(({ index, error }) => [index, error])).toEqual([
+      [1, 'Invalid JSON'],
+      [2, 'Invalid event'],
+    ]);
+    await until(() => received.length === 2);
+    expect(received.map((e) => e.data.message)).toEqual(['live', 'unterminated']);
+  });
+
+  it('refuses a body over maxBodySize with 413, and an NDJSON line over it alone', async () => {
+    const push = createPushServer({ logger: silent, maxBodySize: 200 });
+    cleanup.push(() => push.close());
+    const port = await push.listen(0);
+    const post = (body, headers = {}) =>
+      fetch(`http://localhost:${port}/push`, { method: 'POST', headers, body, duplex: 'half' });
+    const big = log('x'.repeat(300));
+
+    const refused = await post(JSON.stringify(big));
+    expect(refused.status).toBe(413);
+    expect(await refused.json()).toEqual({ error: 'Payload too large', limit: 200 });
+    expect((await post(JSON.stringify(log('small')))).status).toBe(200);
+
+    const ndjson = [log('before'), big, log('after')].map((m) => JSON.stringify(m)).join('\n');
+    const report = await (await post(ndjson, { 'Content-Type': 'application/x-ndjson' })).json();
+    expect(report).toMatchObject({ received: 3, published: 2, delivered: [0, null, 0] });
+    expect(report.rejected).toEqual([{ index: 1, error: 'Line too large' }]);
+
+    // A line still arriving is given up on once it passes the limit.
+    let stream;
+    const body = new ReadableStream({ start(controller) { stream = controller; } });
+    const pending = post(body, { 'Content-Type': 'application/x-ndjson' });
+    const line = JSON.stringify(big);
+    stream.enqueue(new TextEncoder().encode(line.slice(0, 250)));
+    await new Promise((r) => setTimeout(r, 50));
+    stream.enqueue(new TextEncoder().encode(`${line.slice(250)}\n${JSON.stringify(log('after'))}`));
+    stream.close();
+    const streamed = await (await pending).json();
+    expect(streamed).toMatchObject({ received: 2, published: 1, delivered: [null, 0] });
+  });
+
+  it('turns away browsers from origins not in allowedOrigins', async () => {
+    const push = createPushServer({ logger: silent, allowedOrigins: ['https://dash.example.com'] });
+    cleanup.push(() => push.close());
+    const port = await push.listen(0);
+    const post = (origin) => fetch(`http://localhost:${port}/push`, {
+      method: 'POST',
+      headers: origin ? { Origin: origin } : {},
+      body: JSON.stringify(log('x')),
+    });
+
+    const refused = await post('https://evil.example.com');
+    expect(refused.status).toBe(403);
+    expect(refused.headers.get('access-control-allow-origin')).toBe(null);
+    expect(await refused.json()).toEqual({ error: 'Origin not allowed' });
+    await expect(connect(`ws://localhost:${port}`, { origin: 'https://evil.example.com' }))
+      .rejects.toThrow(/403/);
+    expect(push.clients).toBe(0);
+
+    const allowed = await post('https://dash.example.com');
+    expect(allowed.status).toBe(200);
+    expect(allowed.headers.get('access-control-allow-origin')).toBe('https://dash.example.com');
+    // Scripts send no Origin at all.
+    expect((await post()).status).toBe(200);
+
+    const { ws, received } = await connect(`ws://localhost:${port}`, { origin: 'https://dash.example.com' });
+    cleanup.push(() => ws.close());
+    expect(received.map((e) => e.data.message)).toEqual(['x', 'x']);
+  });
+});
+
+describe('retroPush', () => {
+  it('serves /push and the WebSocket from the Vite dev server', async () => {
+    const plugin = retroPush({ logger: silent });
+    const vite = await createViteServer({
+      configFile: false,
+      root: import.meta.dirname,
+      logLevel: 'silent',
+      plugins: [plugin],
+      optimizeDeps: { noDiscovery: true },
+      server: { port: 0, host: 'localhost' },
+    });
+    try {
+      await vite.listen();
+      const { port } = vite.httpServer.address();
+
+      const { ws, received } = await connect(`ws://localhost:${port}/__retro-push?channels=build`);
+      const res = await fetch(`http://localhost:${port}/__retro-push/push`, {
+        method: 'POST',
+        body: JSON.stringify(log('from a script')),
+      });
+      expect(await res.json()).toEqual({ ok: true, delivered: 1 });
+      expect(plugin.api.publish(log('from a plugin'))).toEqual({ ok: true, delivered: 1 });
+      await until(() => received.length === 2);
+      expect(received.map((e) => e.data.message)).toEqual(['from a script', 'from a plugin']);
+      ws.close();
+
+      // Vite keeps everything else.
+      expect((await fetch(`http://localhost:${port}/@vite/client`)).status).toBe(200);
+    } finally {
+      await vite.close();
+    }
+  });
+});
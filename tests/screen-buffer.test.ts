@@ -0,0 +1,177 @@
+import { describe, it, expect } from 'vitest';
+import { ScreenBuffer, encodeKey } from '../src/utils/screen-buffer';
+
+const screenText = (screen: ScreenBuffer) => {
+  const lines: string[] = [];
+  for (let r = 0; r < screen.rows; r++) lines.push(screen.lineText(screen.screenStart + r));
+  return lines;
+};
+
+describe('ScreenBuffer', () => {
+  it('addresses the cursor and erases in place', () => {
+    const screen = new ScreenBuffer({ cols: 10, rows: 3 });
+    screen.write('abcdefghij\r\nline two\x1b[1;3HXY\x1b[2;5H\x1b[K');
+    expect(screenText(screen)).toEqual(['abXYefghij', 'line', '']);
+    expect(screen.cursor).toEqual({ row: 1, col: 4 });
+  });
+
+  it('defers the wrap at the last column and scrolls into scrollback', () => {
+    const screen = new ScreenBuffer({ cols: 4, rows: 2 });
+    screen.write('abcd');
+    expect(screen.cursor).toEqual({ row: 0, col: 3 });
+    screen.write('ef\r\ngh');
+    expect(screenText(screen)).toEqual(['ef', 'gh']);
+    expect(screen.scrollback.length).toBe(1);
+    expect(screen.lineText(0)).toBe('abcd');
+  });
+
+  it('scrolls only inside the scroll region', () => {
+    const screen = new ScreenBuffer({ cols: 6, rows: 4 });
+    screen.write('head\r\n1\r\n2\r\nfoot');
+    // Region rows 2–3; a line feed at its bottom scrolls it, leaving header and footer
+    screen.write('\x1b[2;3r\x1b[3;1H\n3');
+    expect(screenText(screen)).toEqual(['head', '2', '3', 'foot']);
+    expect(screen.scrollback.length).toBe(0);
+    // Reverse index at the region's top scrolls it down
+    screen.write('\x1b[2;1H\x1bM0');
+    expect(screenText(screen)).toEqual(['head', '0', '2', 'foot']);
+  });
+
+  it('keeps the main screen intact across the alternate screen', () => {
+    const screen = new ScreenBuffer({ cols: 8, rows: 2 });
+    screen.write('shell $ ');
+    screen.write('\x1b[?1049h\x1b[H\x1b[2Jvim');
+    expect(screen.alternate).toBe(true);
+    expect(screenText(screen)).toEqual(['vim', '']);
+    screen.write('\x1b[?1049l');
+    expect(screen.alternate).toBe(false);
+    expect(screenText(screen)).toEqual(['shell $', '']);
+    expect(screen.cursor).toEqual({ row: 0, col: 7 });
+  });
+
+  it('inserts and deletes lines and characters', () => {
+    const screen = new ScreenBuffer({ cols: 6, rows: 3 });
+    screen.write('one\r\ntwo\r\nthree\x1b[2;1H\x1b[L');
+    expect(screenText(screen)).toEqual(['one', '', 'two']);
+    screen.write('\x1b[1;1H\x1b[2P');
+    expect(screen.lineText(0)).toBe('e');
+    screen.write('\x1b[2@');
+    expect(screen.lineText(0)).toBe('  e');
+  });
+
+  it('discards lines deleted at the top row instead of saving them', () => {
+    const screen = new ScreenBuffer({ cols: 6, rows: 3 });
+    screen.write('a\r\nb\r\nc\x1b[H\x1b[M');
+    expect(screen.scrollback.length).toBe(0);
+    expect(screen.text()).toBe('b\nc');
+    screen.write('\x1b[3H\x1b[S');
+    expect(screen.scrollback.length).toBe(1);
+    expect(screen.lineText(0)).toBe('b');
+  });
+
+  it('draws DEC line graphics and styles cells with the shared SGR handling', () => {
+    const screen = new ScreenBuffer({ cols: 6, rows: 1 });
+    screen.write('\x1b(0lqk\x1b(B \x1b[1;31mok');
+    expect(screen.lineText(0)).toBe('┌─┐ ok');
+    const red = screen.spansAt(0).find((span) => span.text.startsWith('ok'));
+    expect(red).toMatchObject({ fg: 'red', bold: true });
+  });
+
+  it('swaps its own colours for reverse video', () => {
+    const screen = new ScreenBuffer({ cols: 3, rows: 1 });
+    screen.write('\x1b[7;32mx');
+    expect(screen.spansAt(0)[0]).toMatchObject({ reverse: false, fg: 'var(--surface-base)', bg: 'green' });
+  });
+
+  it('answers cursor position and device attribute queries', () => {
+    const replies: string[] = [];
+    const screen = new ScreenBuffer({ cols: 10, rows: 5, reply: (data) => replies.push(data) });
+    screen.write('\x1b[3;4H\x1b[6n\x1b[c');
+    expect(replies).toEqual(['\x1b[3;4R', '\x1b[?1;2c']);
+  });
+
+  it('tracks input modes, title and bell', () => {
+    let title = '';
+    let bells = 0;
+    const screen = new ScreenBuffer({ title: (t) => { title = t; }, bell: () => { bells++; } });
+    screen.write('\x1b[?1h\x1b[?2004h\x1b[?25l\x1b[6 q\x1b]0;htop\x07\x07');
+    expect(screen.modes).toMatchObject({
+      applicationCursor: true, bracketedPaste: true, cursorVisible: false, cursorShape: 'bar',
+    });
+    expect(title).toBe('htop');
+    expect(bells).toBe(1);
+  });
+
+  it('gives wide characters two cells and wraps them whole', () => {
+    const screen = new ScreenBuffer({ cols: 9, rows: 2 });
+    screen.write('日本語ab');
+    expect(screen.cursor).toEqual({ row: 0, col: 8 });
+    expect(screen.lineAt(0)!.cells.slice(0, 2).map((cell) => cell.ch)).toEqual(['日', '']);
+    // No room for a second cell in the last column: it goes to the next line
+    screen.write('😀');
+    expect(screenText(screen)).toEqual(['日本語ab', '😀']);
+    expect(screen.cursor).toEqual({ row: 1, col: 2 });
+    // Overwriting half a wide character blanks the other half
+    screen.write('\x1b[1;2Hx');
+    expect(screen.lineText(0)).toBe(' x本語ab');
+  });
+
+  it('bounds REP to a screenful', () => {
+    const screen = new ScreenBuffer({ cols: 10, rows: 3, scrollback: 5 });
+    const start = performance.now();
+    screen.write('x\x1b[999999999b');
+    expect(performance.now() - start).toBeLessThan(500);
+    expect(screenText(screen)).toEqual(['xxxxxxxxxx', 'xxxxxxxxxx', 'x']);
+  });
+
+  it('cuts or pads lines on resize, moving rows above the cursor to scrollback', () => {
+    const screen = new ScreenBuffer({ cols: 6, rows: 3 });
+    screen.write('a\r\nb\r\nc');
+    screen.resize(4, 2);
+    expect(screenText(screen)).toEqual(['b', 'c']);
+    expect(screen.lineText(0)).toBe('a');
+    expect(screen.cursor).toEqual({ row: 1, col: 1 });
+  });
+
+  it('scrolls the main screen back consistently when resized on the alternate screen', () => {
+    const screen = new ScreenBuffer({ cols: 6, rows: 3 });
+    screen.write('a\r\nb\r\nc\x1b[?1049h\x1b[Hvim');
+    screen.resize(6, 2);
+    expect(screenText(screen)).toEqual(['vim', '']);
+    screen.write('\x1b[?1049l');
+    expect(screenText(screen)).toEqual(['b', 'c']);
+    expect(screen.lineText(0)).toBe('a');
+    expect(screen.cursor).toEqual({ row: 1, col: 1 });
+  });
+});
+
+describe('encodeKey', () => {
+  const key = (init: Partial<KeyboardEvent>) => ({
+    key: '', code: '', ctrlKey: false, altKey: false, shiftKey: false, metaKey: false, ...init,
+  });
+  const normal = { applicationCursor: false };
+
+  it('encodes text, control keys and Alt as ESC prefix', () => {
+    expect(encodeKey(key({ key: 'a' }), normal)).toBe('a');
+    expect(encodeKey(key({ key: 'c', ctrlKey: true }), normal)).toBe('\x03');
+    expect(encodeKey(key({ key: '[', ctrlKey: true }), normal)).toBe('\x1b');
+    expect(encodeKey(key({ key: '∫', code: 'KeyB', altKey: true }), normal)).toBe('\x1bb');
+    expect(encodeKey(key({ key: 'Enter' }), normal)).toBe('\r');
+    expect(encodeKey(key({ key: 'Backspace' }), normal)).toBe('\x7f');
+    expect(encodeKey(key({ key: 'Tab', shiftKey: true }), normal)).toBe('\x1b[Z');
+  });
+
+  it('encodes cursor and function keys, honouring application cursor mode', () => {
+    expect(encodeKey(key({ key: 'ArrowUp' }), normal)).toBe('\x1b[A');
+    expect(encodeKey(key({ key: 'ArrowUp' }), { applicationCursor: true })).toBe('\x1bOA');
+    expect(encodeKey(key({ key: 'ArrowRight', ctrlKey: true }), normal)).toBe('\x1b[1;5C');
+    expect(encodeKey(key({ key: 'PageDown' }), normal)).toBe('\x1b[6~');
+    expect(encodeKey(key({ key: 'F1' }), normal)).toBe('\x1bOP');
+    expect(encodeKey(key({ key: 'F12' }), normal)).toBe('\x1b[24~');
+  });
+
+  it('leaves modifiers and Meta shortcuts to the browser', () => {
+    expect(encodeKey(key({ key: 'Shift', shiftKey: true }), normal)).toBeNull();
+    expect(encodeKey(key({ key: 'c', metaKey: true }), normal)).toBeNull();
+  });
+});
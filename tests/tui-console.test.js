@@ -1,4 +1,4 @@
-import { describe, it } from 'vitest';
+import { describe, it, vi } from 'vitest';
 import { fixture, html, expect } from '@open-wc/testing';
 import '../src/components/tui-console.ts';
 
@@ -69,6 +69,357 @@ describe('tui-console', () => {
     input.dispatchEvent(new Event('input'));
     input.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter', bubbles: true }));
 
-    expect(detail).to.deep.equal({ command: 'help' });
+    expect(detail.command).to.equal('help');
+    expect(detail.signal).to.be.instanceOf(AbortSignal);
+  });
+
+  it('fires tui-output-link for OSC 8 links in printed output', async () => {
+    const el = await fixture(html`<tui-console></tui-console>`);
+    el.print('\x1b]8;;https://example.com/run/42\x07run #42\x1b]8;;\x07');
+    await el.updateComplete;
+    let detail = null;
+    el.addEventListener('tui-output-link', (e) => { detail = e.detail; });
+    el.shadowRoot.querySelector('a.tui-link').dispatchEvent(
+      new MouseEvent('click', { bubbles: true, composed: true, cancelable: true }),
+    );
+    expect(detail).to.deep.equal({ text: 'run #42', href: 'https://example.com/run/42' });
+  });
+
+  it('streams chunks split mid-sequence through write()', async () => {
+    const el = await fixture(html`<tui-console></tui-console>`);
+    el.write('\x1b[3');
+    el.write('1mfailed\x1b[0m\n');
+    await el.updateComplete;
+    const red = el.shadowRoot.querySelector('.line .ansi-red');
+    expect(red.textContent).to.equal('failed');
+  });
+
+  it('shows submitted commands as text, not HTML', async () => {
+    const el = await fixture(html`<tui-console></tui-console>`);
+    const input = el.shadowRoot.querySelector('input');
+    input.value = '<b>bold</b>';
+    input.dispatchEvent(new Event('input'));
+    input.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter' }));
+    await el.updateComplete;
+    const command = el.shadowRoot.querySelector('.line.command');
+    expect(command.querySelector('b')).to.be.null;
+    expect(command.textContent.trim()).to.equal('<b>bold</b>');
+  });
+
+  it('caps output at max-lines', async () => {
+    const el = await fixture(html`<tui-console max-lines="2"></tui-console>`);
+    el.print('one\ntwo\nthree');
+    await el.updateComplete;
+    const lines = [...el.shadowRoot.querySelectorAll('.line')].map((line) => line.textContent.trim());
+    expect(lines).to.deep.equal(['two', 'three']);
+  });
+
+  it('exports commands with their prompt and output with its colours', async () => {
+    const el = await fixture(html`<tui-console prompt="$ "></tui-console>`);
+    const input = el.shadowRoot.querySelector('input');
+    input.value = 'make';
+    input.dispatchEvent(new Event('input'));
+    input.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter' }));
+    el.print('\x1b[32mok\x1b[0m');
+    expect(el.exportText()).to.equal('$ make\nok');
+    expect(el.exportAnsi()).to.equal('$ make\n\x1b[0;32mok\x1b[0m');
+  });
+
+  it('runs registered commands with parsed arguments and flags', async () => {
+    const el = await fixture(html`<tui-console></tui-console>`);
+    let context = null;
+    el.registerCommand({ name: 'deploy', run: (ctx) => { context = ctx; } });
+    await el.execute('deploy "web 1" --force --tag=v2 -qv -- -x');
+    expect(context.args).to.deep.equal(['web 1', '-x']);
+    expect(context.flags).to.deep.equal({ force: true, tag: 'v2', q: true, v: true });
+  });
+
+  it('streams output from async handlers and reports their errors', async () => {
+    const el = await fixture(html`<tui-console></tui-console>`);
+    el.registerCommand({
+      name: 'build',
+      run: async ({ print }) => {
+        print('step 1');
+        await new Promise((resolve) => setTimeout(resolve));
+        print('step 2');
+        throw new Error('boom');
+      },
+    });
+    const done = el.execute('build');
+    expect(el.exportText()).to.equal('❯ build\nstep 1');
+    await done;
+    expect(el.exportText()).to.equal('❯ build\nstep 1\nstep 2\nbuild: boom');
+  });
+
+  it('generates help and reports unknown commands and missing arguments', async () => {
+    const el = await fixture(html`<tui-console></tui-console>`);
+    el.registerCommand({
+      name: 'deploy',
+      description: 'Ship it',
+      args: [{ name: 'env' }, { name: '--force', description: 'Skip checks' }],
+      run: () => {},
+    });
+    await el.execute('help');
+    await el.execute('help deploy');
+    await el.execute('deploy');
+    await el.execute('nope');
+    expect(el.exportText().split('\n')).to.deep.equal([
+      '❯ help',
+      '  deploy <env> [--force]  Ship it',
+      '  help [command]          List commands, or show how to use one',
+      '❯ help deploy',
+      'usage: deploy <env> [--force]',
+      '  Ship it',
+      '  --force  Skip checks',
+      '❯ deploy',
+      'usage: deploy <env> [--force]',
+      '❯ nope',
+      'nope: command not found (try "help")',
+    ]);
+  });
+
+  it('skips registered commands when tui-console-command is prevented', async () => {
+    const el = await fixture(html`<tui-console></tui-console>`);
+    let ran = false;
+    el.registerCommand({ name: 'go', run: () => { ran = true; } });
+    el.addEventListener('tui-console-command', (e) => e.preventDefault());
+    await el.execute('go');
+    expect(ran).to.equal(false);
+  });
+
+  it('completes command names and arguments on Tab, listing ambiguous matches', async () => {
+    const el = await fixture(html`<tui-console></tui-console>`);
+    el.registerCommand({ name: 'deploy', args: [{ name: 'env', choices: ['staging', 'production'] }], run: () => {} });
+    el.registerCommand({ name: 'describe', run: () => {} });
+    el.registerCommand({ name: 'open', complete: () => ['my file.txt', 'other.txt'], run: () => {} });
+    const input = el.shadowRoot.querySelector('input');
+    const tab = async (value) => {
+      input.value = value;
+      input.dispatchEvent(new Event('input'));
+      input.setSelectionRange(value.length, value.length);
+      input.dispatchEvent(new KeyboardEvent('keydown', { key: 'Tab', cancelable: true }));
+      await new Promise((resolve) => setTimeout(resolve));
+      await el.updateComplete;
+      return input.value;
+    };
+
+    expect(await tab('d')).to.equal('de');
+    const listed = [...el.shadowRoot.querySelectorAll('.completions span')].map((span) => span.textContent);
+    expect(listed).to.deep.equal(['deploy', 'describe']);
+    expect(await tab('dep')).to.equal('deploy ');
+    expect(el.shadowRoot.querySelector('.completions')).to.be.null;
+    expect(await tab('deploy st')).to.equal('deploy staging ');
+    expect(await tab('open my')).to.equal('open "my file.txt" ');
+  });
+
+  it('prints an error from a failing complete instead of rejecting', async () => {
+    const el = await fixture(html`<tui-console></tui-console>`);
+    el.registerCommand({ name: 'open', complete: async () => { throw new Error('index missing'); }, run: () => {} });
+    const input = el.shadowRoot.querySelector('input');
+    input.value = 'open x';
+    input.dispatchEvent(new Event('input'));
+    input.setSelectionRange(6, 6);
+    input.dispatchEvent(new KeyboardEvent('keydown', { key: 'Tab', cancelable: true }));
+    await new Promise((resolve) => setTimeout(resolve));
+    await el.updateComplete;
+    expect(input.value).to.equal('open x');
+    expect(el.exportText()).to.contain('open: index missing');
+  });
+
+  describe('line editing', () => {
+    const type = (input, value) => {
+      input.value = value;
+      input.dispatchEvent(new Event('input'));
+      input.setSelectionRange(value.length, value.length);
+    };
+    const key = (input, init) => input.dispatchEvent(new KeyboardEvent('keydown', { cancelable: true, ...init }));
+
+    it('moves and cuts with emacs keys', async () => {
+      const el = await fixture(html`<tui-console></tui-console>`);
+      const input = el.shadowRoot.querySelector('input');
+      type(input, 'git commit -m');
+      key(input, { key: 'w', ctrlKey: true });
+      expect(input.value).to.equal('git commit ');
+      key(input, { key: 'b', code: 'KeyB', altKey: true });
+      expect(input.selectionStart).to.equal(4);
+      key(input, { key: 'k', ctrlKey: true });
+      expect(input.value).to.equal('git ');
+      key(input, { key: 'a', ctrlKey: true });
+      key(input, { key: 'y', ctrlKey: true });
+      expect(input.value).to.equal('commit git ');
+      key(input, { key: 'f', code: 'KeyF', altKey: true });
+      expect(input.selectionStart).to.equal(10);
+      key(input, { key: 'u', ctrlKey: true });
+      expect(input.value).to.equal(' ');
+    });
+
+    it('continues a command over several lines', async () => {
+      const el = await fixture(html`<tui-console prompt="$ " continuation-prompt="> "></tui-console>`);
+      let command = null;
+      el.addEventListener('tui-console-command', (e) => { command = e.detail.command; });
+      const input = el.shadowRoot.querySelector('input');
+      type(input, 'echo one');
+      key(input, { key: 'Enter', shiftKey: true });
+      type(input, 'two \\');
+      key(input, { key: 'Enter' });
+      await el.updateComplete;
+      const continued = [...el.shadowRoot.querySelectorAll('.continued')].map((line) => line.textContent);
+      expect(continued).to.deep.equal(['$ echo one', '> two ']);
+      expect(el.shadowRoot.querySelector('.input-line .prompt').textContent).to.equal('> ');
+      type(input, 'three');
+      key(input, { key: 'Enter' });
+      expect(command).to.equal('echo one\ntwo \nthree');
+      expect(el.exportText()).to.equal('$ echo one\n> two \n> three');
+    });
+
+    it('searches history backwards with Ctrl+R', async () => {
+      const el = await fixture(html`<tui-console></tui-console>`);
+      const commands = [];
+      el.addEventListener('tui-console-command', (e) => commands.push(e.detail.command));
+      const input = el.shadowRoot.querySelector('input');
+      for (const line of ['make test', 'ls', 'make build']) {
+        type(input, line);
+        key(input, { key: 'Enter' });
+      }
+      key(input, { key: 'r', ctrlKey: true });
+      type(input, 'make');
+      await el.updateComplete;
+      expect(el.shadowRoot.querySelector('.history-match').textContent).to.equal('make build');
+      key(input, { key: 'r', ctrlKey: true });
+      await el.updateComplete;
+      expect(el.shadowRoot.querySelector('.history-match').textContent).to.equal('make test');
+      key(input, { key: 'Enter' });
+      expect(commands.at(-1)).to.equal('make test');
+    });
+
+    it('keeps history in localStorage per console id, up to history-size', async () => {
+      localStorage.removeItem('tui-console-history-shell');
+      const first = await fixture(html`<tui-console id="shell" history-size="2"></tui-console>`);
+      let input = first.shadowRoot.querySelector('input');
+      for (const line of ['one', 'two', 'three']) {
+        type(input, line);
+        key(input, { key: 'Enter' });
+      }
+      expect(JSON.parse(localStorage.getItem('tui-console-history-shell'))).to.deep.equal(['two', 'three']);
+
+      const second = await fixture(html`<tui-console id="shell"></tui-console>`);
+      input = second.shadowRoot.querySelector('input');
+      key(input, { key: 'ArrowUp' });
+      key(input, { key: 'ArrowUp' });
+      await second.updateComplete;
+      expect(input.value).to.equal('two');
+      localStorage.removeItem('tui-console-history-shell');
+    });
+
+    it('keeps history in memory when localStorage throws', async () => {
+      const blocked = () => { throw new DOMException('The operation is insecure.', 'SecurityError'); };
+      vi.stubGlobal('localStorage', { getItem: blocked, setItem: blocked, removeItem: blocked });
+      // Errors thrown on connect or from a key handler are reported, not thrown
+      const reported = [];
+      const report = (e) => { reported.push(e.error); e.preventDefault(); };
+      window.addEventListener('error', report);
+      try {
+        const el = await fixture(html`<tui-console id="sandboxed"></tui-console>`);
+        const input = el.shadowRoot.querySelector('input');
+        for (const line of ['one', 'two']) {
+          type(input, line);
+          key(input, { key: 'Enter' });
+        }
+        key(input, { key: 'ArrowUp' });
+        await el.updateComplete;
+        expect(input.value).to.equal('two');
+        expect(reported).to.deep.equal([]);
+      } finally {
+        window.removeEventListener('error', report);
+        vi.unstubAllGlobals();
+      }
+    });
+  });
+
+  describe('running commands', () => {
+    const key = (input, init) => input.dispatchEvent(new KeyboardEvent('keydown', { cancelable: true, ...init }));
+
+    it('shows a spinner while busy and aborts the signal on Ctrl+C', async () => {
+      const el = await fixture(html`<tui-console></tui-console>`);
+      let signal = null;
+      el.addEventListener('tui-console-command', (e) => {
+        signal = e.detail.signal;
+        e.detail.waitUntil(new Promise((resolve, reject) => {
+          signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+        }));
+      });
+      const done = el.execute('sleep 60');
+      await el.updateComplete;
+      const input = el.shadowRoot.querySelector('input');
+      expect(el.busy).to.equal(true);
+      expect(el.hasAttribute('busy')).to.equal(true);
+      expect(el.shadowRoot.querySelector('.spinner')).to.exist;
+      expect(input.readOnly).to.equal(true);
+
+      key(input, { key: 'c', ctrlKey: true });
+      await done;
+      await el.updateComplete;
+      expect(signal.aborted).to.equal(true);
+      expect(el.busy).to.equal(false);
+      expect(el.shadowRoot.querySelector('.spinner')).to.be.null;
+      // The rejection is the abort, so no error is printed
+      expect(el.exportText()).to.equal('❯ sleep 60\n^C');
+    });
+
+    it('lets a running command read a line from the user', async () => {
+      const el = await fixture(html`<tui-console></tui-console>`);
+      el.registerCommand({
+        name: 'login',
+        run: async ({ read, print }) => {
+          const user = await read('user: ');
+          print(`hello ${user}`);
+        },
+      });
+      const done = el.execute('login');
+      await el.updateComplete;
+      const input = el.shadowRoot.querySelector('input');
+      expect(el.shadowRoot.querySelector('.input-line .prompt').textContent).to.equal('user: ');
+      expect(input.readOnly).to.equal(false);
+
+      input.value = 'ada';
+      input.dispatchEvent(new Event('input'));
+      key(input, { key: 'Enter' });
+      await done;
+      expect(el.exportText()).to.equal('❯ login\nuser: ada\nhello ada');
+    });
+
+    it('rejects a pending read() with an AbortError on Ctrl+C', async () => {
+      const el = await fixture(html`<tui-console></tui-console>`);
+      let error = null;
+      el.registerCommand({
+        name: 'ask',
+        run: async ({ read }) => {
+          try {
+            await read('? ');
+          } catch (err) {
+            error = err;
+          }
+        },
+      });
+      const done = el.execute('ask');
+      await el.updateComplete;
+      key(el.shadowRoot.querySelector('input'), { key: 'c', ctrlKey: true });
+      await done;
+      expect(error.name).to.equal('AbortError');
+    });
+  });
+
+  it('catches a refused clipboard on Ctrl+Alt+C', async () => {
+    const writeText = vi.fn(() => Promise.reject(new Error('denied')));
+    Object.defineProperty(navigator, 'clipboard', { value: { writeText }, configurable: true });
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const el = await fixture(html`<tui-console actions></tui-console>`);
+    el.print('hello');
+    el.shadowRoot.querySelector('input').dispatchEvent(new KeyboardEvent('keydown', { code: 'KeyC', key: 'c', ctrlKey: true, altKey: true }));
+    await new Promise((resolve) => setTimeout(resolve));
+    await el.updateComplete;
+    expect(warn.mock.calls[0][0]).to.equal('<tui-console>: copy failed');
+    expect(el.shadowRoot.querySelector('.actions button').textContent.trim()).to.equal('✗ copy failed');
+    warn.mockRestore();
   });
 });
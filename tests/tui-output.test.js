@@ -1,4 +1,4 @@
-import { describe, it } from 'vitest';
+import { describe, it, vi, afterEach } from 'vitest';
 import { fixture, html, expect } from '@open-wc/testing';
 import '../src/components/tui-output.ts';
 
@@ -46,6 +46,8 @@ describe('tui-output', () => {
     await el.updateComplete;
     const lines = el.shadowRoot.querySelectorAll('.line');
     expect(lines.length).to.equal(1);
+    expect(lines[0].classList.contains('level-warn')).to.be.true;
+    expect(lines[0].querySelector('.gutter').textContent).to.equal('⚠');
   });
 
   it('handles clear event via handleEvent', async () => {
@@ -56,4 +58,461 @@ describe('tui-output', () => {
     const lines = el.shadowRoot.querySelectorAll('.line');
     expect(lines.length).to.equal(0);
   });
+
+  it('fires a cancelable tui-output-link for autolinked file references', async () => {
+    const el = await fixture(html`<tui-output autolink></tui-output>`);
+    el.append('src/app.ts:12:5 - error TS2322');
+    await el.updateComplete;
+    let detail = null;
+    el.addEventListener('tui-output-link', (e) => {
+      detail = e.detail;
+      e.preventDefault();
+    });
+    const link = el.shadowRoot.querySelector('a.tui-link');
+    const click = new MouseEvent('click', { bubbles: true, composed: true, cancelable: true });
+    link.dispatchEvent(click);
+    expect(detail).to.deep.equal({ text: 'src/app.ts:12:5', path: 'src/app.ts', line: 12, column: 5 });
+    expect(click.defaultPrevented).to.be.true;
+  });
+
+  it('does not autolink by default', async () => {
+    const el = await fixture(html`<tui-output></tui-output>`);
+    el.append('see https://example.com');
+    await el.updateComplete;
+    expect(el.shadowRoot.querySelector('a.tui-link')).to.be.null;
+  });
+
+  it('keeps a colour open across appended lines', async () => {
+    const el = await fixture(html`<tui-output></tui-output>`);
+    el.append('\x1b[33mwarning: deprecated');
+    el.append('  in config.json\x1b[0m');
+    el.append('done');
+    await el.updateComplete;
+    const lines = el.shadowRoot.querySelectorAll('.line');
+    expect(lines[1].querySelector('.ansi-yellow').textContent).to.equal('  in config.json');
+    expect(lines[2].querySelector('.ansi-yellow')).to.be.null;
+  });
+
+  it('shows a partial line from write() and finishes it in place', async () => {
+    const el = await fixture(html`<tui-output></tui-output>`);
+    el.write('Downloading 10%');
+    await el.updateComplete;
+    expect(el.shadowRoot.querySelectorAll('.line').length).to.equal(1);
+    el.write('\rDownloading 100%\nDo');
+    el.write('ne\n');
+    await el.updateComplete;
+    const lines = [...el.shadowRoot.querySelectorAll('.line')].map((line) => line.textContent.trim());
+    expect(lines).to.deep.equal(['Downloading 100%', 'Done']);
+  });
+
+  it('keeps only the newest max-lines lines', async () => {
+    const el = await fixture(html`<tui-output max-lines="3"></tui-output>`);
+    for (let i = 1; i <= 5; i++) el.append(`line ${i}`);
+    await el.updateComplete;
+    const lines = [...el.shadowRoot.querySelectorAll('.line')].map((line) => line.textContent.trim());
+    expect(lines).to.deep.equal(['line 3', 'line 4', 'line 5']);
+  });
+
+  it('renders only the rows in view of a 100k-line log', async () => {
+    const el = await fixture(html`<tui-output max-lines="200000" style="height: 320px"></tui-output>`);
+    const output = el.shadowRoot.querySelector('.output');
+    // jsdom has no layout; give the scroller a 320px viewport of 16px rows.
+    let scrollTop = 0;
+    Object.defineProperty(output, 'clientHeight', { get: () => 320 });
+    Object.defineProperty(output, 'scrollHeight', { get: () => output.querySelector('.spacer')?.offsetHeight ?? 0 });
+    Object.defineProperty(output, 'scrollTop', { get: () => scrollTop, set: (v) => { scrollTop = v; } });
+
+    for (let i = 0; i < 100_000; i++) el.append(`row ${i}`);
+    await el.updateComplete;
+    const spacer = el.shadowRoot.querySelector('.spacer');
+    expect(spacer.style.height).to.equal(`${100_000 * 16}px`);
+    expect(el.shadowRoot.querySelectorAll('.line').length).to.be.below(100);
+
+    scrollTop = 50_000 * 16;
+    output.dispatchEvent(new Event('scroll'));
+    await el.updateComplete;
+    const texts = [...el.shadowRoot.querySelectorAll('.line')].map((line) => line.textContent.trim());
+    expect(texts).to.include('row 50000');
+    expect(texts).to.include('row 50019');
+    expect(texts).not.to.include('row 0');
+  });
+
+  describe('search', () => {
+    const visible = (el) => [...el.shadowRoot.querySelectorAll('.line')].map((line) => line.textContent.trim());
+    const marks = (el) => [...el.shadowRoot.querySelectorAll('mark.tui-match')];
+
+    it('highlights matches across ANSI styling and steps through them', async () => {
+      const el = await fixture(html`<tui-output></tui-output>`);
+      el.append('\x1b[31mERR\x1b[0mOR one');
+      el.append('ok');
+      el.append('error two');
+      await el.updateComplete;
+
+      expect(el.search('error')).to.equal(2);
+      await el.updateComplete;
+      expect(el.shadowRoot.querySelector('.search input')).to.exist;
+      expect(marks(el).map((mark) => mark.textContent)).to.deep.equal(['ERR', 'OR', 'error']);
+      expect(el.shadowRoot.querySelector('mark.tui-match.current').textContent).to.equal('ERR');
+      expect(el.shadowRoot.querySelector('.search-count').textContent).to.equal('1/2');
+
+      el.nextMatch();
+      await el.updateComplete;
+      expect(el.shadowRoot.querySelector('mark.tui-match.current').textContent).to.equal('error');
+      el.nextMatch();
+      await el.updateComplete;
+      expect(el.shadowRoot.querySelector('.search-count').textContent).to.equal('1/2');
+      el.previousMatch();
+      await el.updateComplete;
+      expect(el.shadowRoot.querySelector('.search-count').textContent).to.equal('2/2');
+    });
+
+    it('honours the case and regex toggles', async () => {
+      const el = await fixture(html`<tui-output></tui-output>`);
+      el.append('Error 42');
+      el.append('error 7');
+      expect(el.search('Error', { caseSensitive: true })).to.equal(1);
+      expect(el.search('\\d+', { regex: true, caseSensitive: false })).to.equal(2);
+      expect(el.search('\\d+', { regex: false })).to.equal(0);
+      expect(el.search('(', { regex: true })).to.equal(0);
+      await el.updateComplete;
+      expect(el.shadowRoot.querySelector('.search input').classList.contains('invalid')).to.be.true;
+    });
+
+    it('hides non-matching lines in filter mode', async () => {
+      const el = await fixture(html`<tui-output></tui-output>`);
+      ['build a', 'test b', 'build c'].forEach((line) => el.append(line));
+      el.search('build', { filter: true });
+      await el.updateComplete;
+      expect(visible(el)).to.deep.equal(['build a', 'build c']);
+
+      el.append('build d');
+      el.append('lint e');
+      await el.updateComplete;
+      expect(visible(el)).to.deep.equal(['build a', 'build c', 'build d']);
+
+      el.closeSearch();
+      await el.updateComplete;
+      expect(el.shadowRoot.querySelector('.search')).to.be.null;
+      expect(visible(el)).to.have.length(5);
+      expect(marks(el)).to.have.length(0);
+    });
+
+    it('opens the search bar with Ctrl+F and closes it with Escape', async () => {
+      const el = await fixture(html`<tui-output></tui-output>`);
+      el.dispatchEvent(new KeyboardEvent('keydown', { key: 'f', ctrlKey: true, bubbles: true }));
+      await el.updateComplete;
+      const input = el.shadowRoot.querySelector('.search input');
+      expect(input).to.exist;
+      input.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', bubbles: true, composed: true }));
+      await el.updateComplete;
+      expect(el.shadowRoot.querySelector('.search')).to.be.null;
+    });
+
+    it('fires tui-output-search when the matches change', async () => {
+      const el = await fixture(html`<tui-output></tui-output>`);
+      const details = [];
+      el.addEventListener('tui-output-search', (e) => details.push(e.detail));
+      el.append('a b a');
+      await el.updateComplete;
+      expect(details).to.have.length(0);
+
+      el.search('a');
+      await el.updateComplete;
+      el.nextMatch();
+      await el.updateComplete;
+      el.append('a');
+      await el.updateComplete;
+      expect(details).to.deep.equal([
+        { query: 'a', matches: 2, current: 1 },
+        { query: 'a', matches: 2, current: 2 },
+        { query: 'a', matches: 3, current: 2 },
+      ]);
+    });
+  });
+
+  describe('levels', () => {
+    const messages = (el) => [...el.shadowRoot.querySelectorAll('.line > span:last-child')].map((span) => span.textContent);
+    const fill = (el) => {
+      el.append('plain');
+      el.log('started');
+      el.log('careful', 'warn');
+      el.handleEvent({ channel: 'c', type: 'log', id: 'x', data: { message: 'broken', level: 'error' } });
+    };
+
+    it('hides lines below min-level, counting unlevelled lines as info', async () => {
+      const el = await fixture(html`<tui-output min-level="warn"></tui-output>`);
+      fill(el);
+      await el.updateComplete;
+      expect(messages(el)).to.deep.equal(['careful', 'broken']);
+
+      el.minLevel = '';
+      await el.updateComplete;
+      expect(messages(el)).to.have.length(4);
+    });
+
+    it('toggles single levels through hide-levels', async () => {
+      const el = await fixture(html`<tui-output hide-levels="warn"></tui-output>`);
+      fill(el);
+      await el.updateComplete;
+      expect(messages(el)).to.deep.equal(['plain', 'started', 'broken']);
+
+      el.toggleLevel('warn');
+      el.toggleLevel('info', false);
+      await el.updateComplete;
+      expect(el.hideLevels).to.equal('info');
+      expect(messages(el)).to.deep.equal(['careful', 'broken']);
+    });
+
+    it('shows per-level toggles in the search bar', async () => {
+      const el = await fixture(html`<tui-output></tui-output>`);
+      fill(el);
+      el.search('');
+      await el.updateComplete;
+      const error = el.shadowRoot.querySelector('.level-toggle.level-error');
+      expect(error.getAttribute('aria-pressed')).to.equal('true');
+      error.click();
+      await el.updateComplete;
+      expect(el.hideLevels).to.equal('error');
+      expect(messages(el)).to.deep.equal(['plain', 'started', 'careful']);
+    });
+
+    it('counts errors and warnings and reports changes', async () => {
+      const el = await fixture(html`<tui-output max-lines="2"></tui-output>`);
+      const counts = [];
+      el.addEventListener('tui-output-count', (e) => counts.push(e.detail));
+      fill(el);
+      el.log('again', 'error');
+      await el.updateComplete;
+      expect(el.errorCount).to.equal(2);
+      expect(el.warnCount).to.equal(1);
+      expect(el.getAttribute('error-count')).to.equal('2');
+      expect(counts).to.deep.equal([{ errorCount: 2, warnCount: 1 }]);
+
+      el.clear();
+      await el.updateComplete;
+      expect(el.errorCount).to.equal(0);
+      expect(counts[1]).to.deep.equal({ errorCount: 0, warnCount: 0 });
+    });
+  });
+
+  describe('export', () => {
+    afterEach(() => vi.restoreAllMocks());
+
+    const clipboard = () => {
+      const writeText = vi.fn(() => Promise.resolve());
+      Object.defineProperty(navigator, 'clipboard', { value: { writeText }, configurable: true });
+      return writeText;
+    };
+
+    it('exports the lines shown as text, ANSI and HTML', async () => {
+      const el = await fixture(html`<tui-output></tui-output>`);
+      el.append('\x1b[31mred\x1b[0m <tag>');
+      el.log('careful', 'warn');
+      expect(el.exportText()).to.equal('red <tag>\ncareful');
+      expect(el.exportAnsi()).to.equal('\x1b[0;31mred\x1b[0m <tag>\ncareful');
+      expect(el.exportHtml()).to.equal('<pre class="tui-export"><span class="ansi-red">red</span> &lt;tag&gt;\ncareful</pre>');
+
+      el.minLevel = 'warn';
+      await el.updateComplete;
+      expect(el.exportText()).to.equal('careful');
+    });
+
+    it('keeps timestamps in the export', async () => {
+      const el = await fixture(html`<tui-output timestamps></tui-output>`);
+      el.append('tick');
+      expect(el.exportText()).to.match(/^\[\d\d:\d\d:\d\d\] tick$/);
+    });
+
+    it('copies all lines, or the selected ones, and reports it', async () => {
+      const writeText = clipboard();
+      const el = await fixture(html`<tui-output></tui-output>`);
+      const copies = [];
+      el.addEventListener('tui-output-copy', (e) => copies.push(e.detail));
+      ['one', 'two', 'three', 'four'].forEach((line) => el.append(line));
+      await el.updateComplete;
+
+      await el.copy();
+      expect(writeText.mock.calls[0][0]).to.equal('one\ntwo\nthree\nfour');
+
+      // jsdom cannot select inside a shadow root; hand over the range a browser would
+      const rows = el.shadowRoot.querySelectorAll('.line');
+      const range = {
+        startContainer: rows[1].querySelector('span').firstChild,
+        endContainer: rows[2].querySelector('span').firstChild,
+        collapsed: false,
+      };
+      vi.spyOn(document, 'getSelection').mockReturnValue({ rangeCount: 1, getComposedRanges: () => [range] });
+      await el.copy();
+      expect(writeText.mock.calls[1][0]).to.equal('two\nthree');
+
+      await el.copy([3, 3]);
+      expect(copies.map((detail) => detail.lines)).to.deep.equal([4, 2, 1]);
+      expect(copies[2].text).to.equal('four');
+    });
+
+    it('copies with Ctrl+Alt+C and shows copy buttons with the actions attribute', async () => {
+      const writeText = clipboard();
+      const el = await fixture(html`<tui-output actions></tui-output>`);
+      el.append('hello');
+      await el.updateComplete;
+      el.dispatchEvent(new KeyboardEvent('keydown', { code: 'KeyC', key: 'c', ctrlKey: true, altKey: true }));
+      await Promise.resolve();
+      expect(writeText.mock.calls.length).to.equal(1);
+
+      const [copy] = el.shadowRoot.querySelectorAll('.actions button');
+      copy.click();
+      await el.updateComplete;
+      await el.updateComplete;
+      expect(writeText.mock.calls.length).to.equal(2);
+      expect(copy.textContent.trim()).to.equal('✓ copied');
+    });
+
+    it('reports a refused clipboard on the button instead of rejecting unhandled', async () => {
+      const writeText = vi.fn(() => Promise.reject(new DOMException('denied', 'NotAllowedError')));
+      Object.defineProperty(navigator, 'clipboard', { value: { writeText }, configurable: true });
+      document.execCommand = vi.fn(() => false);
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      const el = await fixture(html`<tui-output actions></tui-output>`);
+      el.append('secret');
+      await el.updateComplete;
+
+      const [copy] = el.shadowRoot.querySelectorAll('.actions button');
+      copy.click();
+      await new Promise((resolve) => setTimeout(resolve));
+      await el.updateComplete;
+      expect(copy.textContent.trim()).to.equal('✗ copy failed');
+      expect(warn.mock.calls[0][0]).to.equal('<tui-output>: copy failed');
+      let error = null;
+      await el.copy().catch((err) => { error = err; });
+      expect(error.name).to.equal('NotAllowedError');
+      delete document.execCommand;
+    });
+
+    it('falls back to execCommand where the Clipboard API is missing', async () => {
+      Object.defineProperty(navigator, 'clipboard', { value: undefined, configurable: true });
+      document.execCommand = vi.fn(() => true);
+      const el = await fixture(html`<tui-output></tui-output>`);
+      el.append('plain http');
+      await el.copy();
+      expect(document.execCommand.mock.calls[0][0]).to.equal('copy');
+      expect(document.querySelector('textarea')).to.equal(null);
+      delete document.execCommand;
+    });
+
+    it('downloads the text as a .log file named after the element', async () => {
+      const el = await fixture(html`<tui-output id="build"></tui-output>`);
+      el.append('done');
+      URL.createObjectURL = vi.fn(() => 'blob:log');
+      URL.revokeObjectURL = vi.fn();
+      const click = vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(function () {
+        expect(this.download).to.equal('build.log');
+        expect(this.href).to.equal('blob:log');
+      });
+      el.download();
+      expect(click.mock.calls.length).to.equal(1);
+      expect(URL.createObjectURL.mock.calls[0][0].size).to.equal('done'.length);
+    });
+  });
+
+  describe('groups', () => {
+    const rows = (el) => [...el.shadowRoot.querySelectorAll('.line')].map((line) => line.textContent.replace(/\s+/g, ' ').trim());
+    const header = (el, title) => [...el.shadowRoot.querySelectorAll('.group-header')]
+      .find((line) => line.textContent.includes(title));
+
+    it('folds ::group:: sections that succeed and nests them', async () => {
+      const el = await fixture(html`<tui-output></tui-output>`);
+      el.append('::group::Install');
+      el.append('fetching');
+      el.append('::group::Build native');
+      el.append('gcc');
+      el.append('::endgroup::');
+      el.append('linked');
+      el.append('::endgroup::');
+      el.append('after');
+      await el.updateComplete;
+      expect(rows(el)).to.have.length(2);
+      expect(rows(el)[0]).to.match(/^▸ ✓ Install \d+ms$/);
+      expect(rows(el)[1]).to.equal('after');
+
+      header(el, 'Install').click();
+      await el.updateComplete;
+      const unfolded = rows(el);
+      expect(unfolded[0]).to.match(/^▾ ✓ Install/);
+      expect(unfolded[1]).to.equal('│ fetching');
+      expect(unfolded[2]).to.match(/^│ ▸ ✓ Build native \d+ms$/);
+      expect(unfolded.slice(3)).to.deep.equal(['└ linked', 'after']);
+
+      header(el, 'Build native').click();
+      await el.updateComplete;
+      expect(rows(el)[3]).to.equal('│ └ gcc');
+    });
+
+    it('keeps a group open when it logs an error', async () => {
+      const el = await fixture(html`<tui-output></tui-output>`);
+      el.group('Test');
+      el.log('1 failed', 'error');
+      el.groupEnd();
+      await el.updateComplete;
+      const test = header(el, 'Test');
+      expect(test.classList.contains('status-error')).to.be.true;
+      expect(test.getAttribute('aria-expanded')).to.equal('true');
+      expect(rows(el)).to.have.length(2);
+    });
+
+    it('takes group events from the protocol, timed by their timestamps', async () => {
+      const el = await fixture(html`<tui-output></tui-output>`);
+      const send = (type, data, timestamp) => el.handleEvent({ channel: 'ci', type, id: 'x', data, timestamp });
+      send('group', { action: 'start', title: 'Deploy' }, 1_000);
+      send('log', { message: 'pushing' });
+      send('group', { action: 'end', status: 'error' }, 3_500);
+      await el.updateComplete;
+      expect(header(el, 'Deploy').querySelector('.duration').textContent).to.equal('2.5s');
+      expect(rows(el)[1]).to.equal('└ pushing');
+    });
+
+    it('unfolds a group to show a search match inside it', async () => {
+      const el = await fixture(html`<tui-output></tui-output>`);
+      el.group('Lint');
+      el.append('needle');
+      el.groupEnd('success');
+      await el.updateComplete;
+      expect(rows(el)).to.have.length(1);
+      expect(el.search('needle')).to.equal(1);
+      await el.updateComplete;
+      expect(rows(el)).to.deep.equal([rows(el)[0], '└ needle']);
+      expect(header(el, 'Lint').getAttribute('aria-expanded')).to.equal('true');
+    });
+
+    it('exports headers as shown and leaves folded lines out', async () => {
+      const el = await fixture(html`<tui-output></tui-output>`);
+      el.group('Setup');
+      el.append('hidden');
+      el.groupEnd();
+      el.append('shown');
+      expect(el.exportText()).to.match(/^▸ Setup \(\d+ms\)\nshown$/);
+    });
+
+    it('keeps showing a partial line after a group folds itself away', async () => {
+      const el = await fixture(html`<tui-output></tui-output>`);
+      el.group('Install');
+      el.append('fetched');
+      el.groupEnd();
+      el.write('building 10%');
+      el.write('\rbuilding 50%');
+      await el.updateComplete;
+      expect(rows(el)).to.have.length(2);
+      expect(rows(el)[1]).to.equal('building 50%');
+      expect(el.exportText()).to.match(/\nbuilding 50%$/);
+    });
+
+    it('leaves groups open without autocollapse', async () => {
+      const el = await fixture(html`<tui-output></tui-output>`);
+      el.autocollapse = false;
+      el.append('::group::Quiet');
+      el.append('inside');
+      el.append('::endgroup::');
+      await el.updateComplete;
+      expect(rows(el)[1]).to.equal('└ inside');
+    });
+  });
 });
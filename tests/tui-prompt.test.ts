@@ -0,0 +1,61 @@
+// tests/tui-prompt.test.ts
+import { describe, it } from 'vitest';
+import { fixture, html, expect } from '@open-wc/testing';
+import '../src/components/tui-prompt.ts';
+
+const prompt = (data: Record<string, unknown>, id = 'go') =>
+  ({ channel: 'deploy', type: 'prompt', id, data });
+
+describe('tui-prompt', () => {
+  it('renders closed until a prompt arrives', async () => {
+    const el: any = await fixture(html`<tui-prompt></tui-prompt>`);
+    expect(el.open).to.be.false;
+    el.handleEvent(prompt({ message: 'Ship it?', options: ['yes', 'no'] }));
+    await el.updateComplete;
+    expect(el.open).to.be.true;
+    expect(el.shadowRoot.querySelector('.message').textContent).to.equal('Ship it?');
+  });
+
+  it('renders a button per option when there are few', async () => {
+    const el: any = await fixture(html`<tui-prompt></tui-prompt>`);
+    el.handleEvent(prompt({ message: 'Ship it?', options: ['yes', 'no'] }));
+    await el.updateComplete;
+    const buttons = el.shadowRoot.querySelectorAll('tui-button');
+    expect([...buttons].map((b: Element) => b.textContent!.trim())).to.deep.equal(['yes', 'no']);
+  });
+
+  it('renders a radio list when there are many options', async () => {
+    const el: any = await fixture(html`<tui-prompt></tui-prompt>`);
+    el.handleEvent(prompt({ message: 'Region?', options: ['a', 'b', 'c', 'd', 'e'] }));
+    await el.updateComplete;
+    expect(el.shadowRoot.querySelectorAll('tui-radio').length).to.equal(5);
+  });
+
+  it('renders a text input when there are no options', async () => {
+    const el: any = await fixture(html`<tui-prompt></tui-prompt>`);
+    el.handleEvent(prompt({ message: 'Tag?' }));
+    await el.updateComplete;
+    expect(el.shadowRoot.querySelector('tui-input')).to.exist;
+  });
+
+  it('fires tui-prompt-answer with channel, id and value, then closes', async () => {
+    const el: any = await fixture(html`<tui-prompt></tui-prompt>`);
+    let detail = null;
+    el.addEventListener('tui-prompt-answer', (e: CustomEvent) => { detail = e.detail; });
+    el.handleEvent(prompt({ message: 'Ship it?', options: ['yes', 'no'] }));
+    await el.updateComplete;
+
+    el.shadowRoot.querySelectorAll('tui-button')[1].click();
+    expect(detail).to.deep.equal({ channel: 'deploy', id: 'go', value: 'no' });
+    expect(el.open).to.be.false;
+  });
+
+  it('closes when the same prompt is answered elsewhere', async () => {
+    const el: any = await fixture(html`<tui-prompt></tui-prompt>`);
+    el.handleEvent(prompt({ message: 'Ship it?', options: ['yes'] }));
+    el.handleEvent({ channel: 'deploy', type: 'answer', id: 'other', data: { value: 'yes' } });
+    expect(el.open).to.be.true;
+    el.handleEvent({ channel: 'deploy', type: 'answer', id: 'go', data: { value: 'yes' } });
+    expect(el.open).to.be.false;
+  });
+});
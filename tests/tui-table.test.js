@@ -64,4 +64,96 @@ describe('tui-table', () => {
     const empty = el.shadowRoot.querySelector('.empty');
     expect(empty).to.exist;
   });
+
+  it('renders column definitions: labels, widths, format and template', async () => {
+    const el = await fixture(html`<tui-table></tui-table>`);
+    el.setData([
+      { key: 'name', label: 'Host', width: 12 },
+      { key: 'size', type: 'number', format: (bytes) => `${bytes / 1024} KiB` },
+      { key: 'tag', template: (tag) => html`<b>${tag}</b>` },
+    ], [{ name: 'web-1', size: 2048, tag: 'prod' }]);
+    await el.updateComplete;
+    const headers = [...el.shadowRoot.querySelectorAll('.header .cell')].map((c) => c.textContent.trim());
+    expect(headers).to.deep.equal(['Host', 'size', 'tag']);
+    const cells = el.shadowRoot.querySelectorAll('.row:not(.header) .cell');
+    expect(cells[0].style.flex).to.contain('12ch');
+    expect(cells[1].textContent).to.equal('2 KiB');
+    expect(cells[1].classList.contains('number')).to.equal(true);
+    expect(cells[2].querySelector('b').textContent).to.equal('prod');
+  });
+
+  it('styles status columns from the column type', async () => {
+    const el = await fixture(html`<tui-table></tui-table>`);
+    el.setData(
+      [{ key: 'host' }, { key: 'state', type: 'status' }],
+      [{ host: 'a', state: 'up' }, { host: 'b', state: 'Degraded' }, { host: 'c', state: 'down' }],
+    );
+    await el.updateComplete;
+    const states = [...el.shadowRoot.querySelectorAll('.row:not(.header) .cell:nth-child(2)')];
+    expect(states.map((c) => c.className.match(/status-\w+/)[0])).to.deep.equal([
+      'status-ok', 'status-warn', 'status-error',
+    ]);
+  });
+
+  it('sorts on header clicks, and by several columns with Shift', async () => {
+    const el = await fixture(html`<tui-table></tui-table>`);
+    const sorts = [];
+    el.addEventListener('tui-table-sort', (e) => sorts.push(e.detail.sort));
+    el.setData([{ key: 'team' }, { key: 'score', type: 'number' }], [
+      { team: 'b', score: 9 }, { team: 'a', score: 10 }, { team: 'b', score: 2 }, { team: 'a', score: 1 },
+    ]);
+    await el.updateComplete;
+    const header = (i) => el.shadowRoot.querySelectorAll('.header .cell')[i];
+    const order = () => [...el.shadowRoot.querySelectorAll('.row:not(.header)')]
+      .map((row) => row.textContent.replace(/\s+/g, ''));
+
+    header(1).click();
+    await el.updateComplete;
+    expect(order()).to.deep.equal(['a1', 'b2', 'b9', 'a10']);
+    expect(header(1).getAttribute('aria-sort')).to.equal('ascending');
+
+    header(0).click();
+    header(1).dispatchEvent(new MouseEvent('click', { shiftKey: true }));
+    header(1).dispatchEvent(new MouseEvent('click', { shiftKey: true }));
+    await el.updateComplete;
+    expect(order()).to.deep.equal(['a10', 'a1', 'b9', 'b2']);
+    expect(header(0).querySelector('.sort-indicator').textContent).to.equal('┴1');
+    expect(header(1).querySelector('.sort-indicator').textContent).to.equal('┬2');
+    expect(sorts.at(-1)).to.deep.equal([{ key: 'team', direction: 'asc' }, { key: 'score', direction: 'desc' }]);
+
+    // A third plain click on a sorted column turns sorting off
+    header(0).click();
+    header(0).click();
+    await el.updateComplete;
+    expect(el.sort).to.deep.equal([]);
+    expect(order()).to.deep.equal(['b9', 'a10', 'b2', 'a1']);
+  });
+
+  it('draws sort marks from its border set', async () => {
+    const el = await fixture(html`<tui-table border="double"></tui-table>`);
+    el.setData(['team', 'score'], [{ team: 'a', score: 1 }]);
+    el.sort = [{ key: 'team', direction: 'asc' }];
+    await el.updateComplete;
+    const mark = () => el.shadowRoot.querySelector('.sort-indicator').textContent;
+    expect(mark()).to.equal('╩');
+    el.border = 'heavy';
+    el.sort = [{ key: 'team', direction: 'desc' }];
+    await el.updateComplete;
+    expect(mark()).to.equal('┳');
+    el.border = 'none';
+    await el.updateComplete;
+    expect(mark()).to.equal('┬');
+  });
+
+  it('keeps column definitions across protocol table events', async () => {
+    const el = await fixture(html`<tui-table></tui-table>`);
+    el.setData([{ key: 'host', label: 'Host' }, { key: 'cpu', type: 'number' }], []);
+    el.handleEvent({
+      channel: 'test', type: 'table', id: 'x',
+      data: { columns: ['host', 'cpu'], rows: [{ host: 'web-1', cpu: '45' }] },
+    });
+    await el.updateComplete;
+    expect(el.shadowRoot.querySelector('.header .cell').textContent.trim()).to.equal('Host');
+    expect(el.shadowRoot.querySelectorAll('.row:not(.header) .cell')[1].classList.contains('number')).to.equal(true);
+  });
 });
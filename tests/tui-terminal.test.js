@@ -0,0 +1,119 @@
+import { describe, it } from 'vitest';
+import { fixture, html, expect } from '@open-wc/testing';
+import '../src/components/tui-terminal.ts';
+
+const lines = (el) => [...el.shadowRoot.querySelectorAll('.line')].map((line) => line.textContent.trimEnd());
+
+describe('tui-terminal', () => {
+  it('renders without errors', async () => {
+    const el = await fixture(html`<tui-terminal></tui-terminal>`);
+    expect(el).to.exist;
+    expect(el.cols).to.equal(80);
+    expect(el.rows).to.equal(24);
+  });
+
+  it('draws written output at the cursor, in ANSI colours', async () => {
+    const el = await fixture(html`<tui-terminal cols="20" rows="3"></tui-terminal>`);
+    el.write('hello\r\n\x1b[32mgreen\x1b[0m\x1b[1;3HY');
+    await el.updateComplete;
+    expect(lines(el)).to.deep.equal(['heYlo', 'green', '']);
+    expect(el.shadowRoot.querySelector('.ansi-green').textContent).to.equal('green');
+    const cursor = el.shadowRoot.querySelector('.cursor');
+    expect(cursor.classList.contains('block')).to.equal(true);
+    expect(cursor.style.left).to.equal('3ch');
+    expect(cursor.textContent).to.equal('l');
+  });
+
+  it('switches to the alternate screen and back', async () => {
+    const el = await fixture(html`<tui-terminal cols="10" rows="2"></tui-terminal>`);
+    el.write('$ top');
+    el.write('\x1b[?1049h\x1b[H\x1b[?25lPID');
+    await el.updateComplete;
+    expect(lines(el)).to.deep.equal(['PID', '']);
+    expect(el.shadowRoot.querySelector('.cursor')).to.equal(null);
+    el.write('\x1b[?25h\x1b[?1049l');
+    await el.updateComplete;
+    expect(lines(el)).to.deep.equal(['$ top', '']);
+    expect(el.exportText()).to.equal('$ top');
+  });
+
+  it('encodes keys as input, honouring the program\'s modes', async () => {
+    const el = await fixture(html`<tui-terminal></tui-terminal>`);
+    const sent = [];
+    el.addEventListener('tui-terminal-data', (e) => sent.push(e.detail.data));
+    const press = (init) => {
+      const event = new KeyboardEvent('keydown', { ...init, cancelable: true });
+      el.dispatchEvent(event);
+      return event.defaultPrevented;
+    };
+    expect(press({ key: 'l' })).to.equal(true);
+    press({ key: 'c', ctrlKey: true });
+    press({ key: 'ArrowUp' });
+    el.write('\x1b[?1h\x1b[?2004h');
+    press({ key: 'ArrowUp' });
+    el.paste('a\nb');
+    expect(press({ key: 'Shift', shiftKey: true })).to.equal(false);
+    expect(sent).to.deep.equal(['l', '\x03', '\x1b[A', '\x1bOA', '\x1b[200~a\rb\x1b[201~']);
+  });
+
+  it('resizes the screen and reports it', async () => {
+    const el = await fixture(html`<tui-terminal cols="10" rows="3"></tui-terminal>`);
+    let size = null;
+    el.addEventListener('tui-terminal-resize', (e) => { size = e.detail; });
+    el.write('abcdefghij');
+    el.cols = 4;
+    await el.updateComplete;
+    expect(size).to.deep.equal({ cols: 4, rows: 3 });
+    expect(lines(el)[0]).to.equal('abcd');
+  });
+
+  it('attaches to a WebSocket: messages are written, input is sent', async () => {
+    const el = await fixture(html`<tui-terminal cols="10" rows="2"></tui-terminal>`);
+    const socket = new EventTarget();
+    socket.readyState = WebSocket.OPEN;
+    socket.sent = [];
+    socket.send = (data) => socket.sent.push(data);
+    const detach = el.attach(socket);
+    expect(socket.binaryType).to.equal('arraybuffer');
+
+    socket.dispatchEvent(new MessageEvent('message', { data: 'hi ' }));
+    socket.dispatchEvent(new MessageEvent('message', { data: new TextEncoder().encode('✓').buffer }));
+    // A cursor position query is answered over the socket
+    socket.dispatchEvent(new MessageEvent('message', { data: '\x1b[6n' }));
+    el.input('q');
+    await el.updateComplete;
+    expect(lines(el)[0]).to.equal('hi ✓');
+    expect(socket.sent).to.deep.equal(['\x1b[1;5R', 'q']);
+
+    detach();
+    socket.dispatchEvent(new MessageEvent('message', { data: 'more' }));
+    el.input('x');
+    expect(el.exportText()).to.equal('hi ✓');
+    expect(socket.sent.length).to.equal(2);
+  });
+
+  it('attaches to a pair of streams', async () => {
+    const el = await fixture(html`<tui-terminal cols="10" rows="2"></tui-terminal>`);
+    let output;
+    const readable = new ReadableStream({ start(controller) { output = controller; } });
+    const written = [];
+    const writable = new WritableStream({ write(chunk) { written.push(new TextDecoder().decode(chunk)); } });
+    el.attach({ readable, writable });
+
+    output.enqueue(new TextEncoder().encode('ok'));
+    await new Promise((resolve) => setTimeout(resolve));
+    el.input('\r');
+    await new Promise((resolve) => setTimeout(resolve));
+    expect(el.exportText()).to.equal('ok');
+    expect(written).to.deep.equal(['\r']);
+    el.detach();
+  });
+
+  it('handles protocol events', async () => {
+    const el = await fixture(html`<tui-terminal cols="20" rows="2"></tui-terminal>`);
+    el.handleEvent({ type: 'log', data: { message: 'from the router' } });
+    expect(el.exportText()).to.equal('from the router');
+    el.handleEvent({ type: 'clear', data: {} });
+    expect(el.exportText()).to.equal('');
+  });
+});
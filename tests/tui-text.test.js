@@ -19,4 +19,21 @@ describe('tui-text', () => {
     const el = await fixture(html`<tui-text content="Hello World"></tui-text>`);
     expect(el.content).to.equal('Hello World');
   });
+
+  it('renders ANSI colours as spans', async () => {
+    const el = await fixture(html`<tui-text content="\x1b[32mok\x1b[0m\nplain"></tui-text>`);
+    const pre = el.shadowRoot.querySelector('pre');
+    expect(pre.querySelector('span.ansi-green').textContent).to.equal('ok');
+    expect(pre.textContent).to.equal('ok\nplain');
+  });
+
+  it('never parses content as HTML', async () => {
+    const el = await fixture(html`<tui-text></tui-text>`);
+    el.content = '\x1b[31m<img src=x onerror="alert(1)">\x1b[0m';
+    await el.updateComplete;
+    const pre = el.shadowRoot.querySelector('pre');
+    expect(pre.querySelector('img')).to.be.null;
+    expect(pre.textContent).to.equal('<img src=x onerror="alert(1)">');
+  });
 });
+
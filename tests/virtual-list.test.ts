@@ -0,0 +1,51 @@
+import { describe, it, expect } from 'vitest';
+import { RingBuffer } from '../src/utils/virtual-list';
+
+describe('RingBuffer', () => {
+  it('keeps items in order until full', () => {
+    const buffer = new RingBuffer<number>(3);
+    buffer.push(1);
+    buffer.push(2);
+    expect(buffer.length).toBe(2);
+    expect([...buffer]).toEqual([1, 2]);
+  });
+
+  it('evicts the oldest item once full', () => {
+    const buffer = new RingBuffer<number>(3);
+    const evicted = [1, 2, 3, 4, 5].map((n) => buffer.push(n));
+    expect(evicted).toEqual([undefined, undefined, undefined, 1, 2]);
+    expect([...buffer]).toEqual([3, 4, 5]);
+    expect(buffer.at(0)).toBe(3);
+    expect(buffer.at(-1)).toBe(5);
+    expect(buffer.at(3)).toBeUndefined();
+    expect(buffer.slice(1, 10)).toEqual([4, 5]);
+  });
+
+  it('keeps the newest items when shrunk, and all of them when grown', () => {
+    const buffer = new RingBuffer<number>(4);
+    for (let n = 1; n <= 6; n++) buffer.push(n);
+    buffer.resize(2);
+    expect([...buffer]).toEqual([5, 6]);
+    buffer.resize(3);
+    buffer.push(7);
+    buffer.push(8);
+    expect([...buffer]).toEqual([6, 7, 8]);
+  });
+
+  it('treats a nonsense capacity as 1', () => {
+    const buffer = new RingBuffer<number>(0);
+    buffer.push(1);
+    buffer.push(2);
+    expect([...buffer]).toEqual([2]);
+    expect(new RingBuffer(NaN).capacity).toBe(1);
+  });
+
+  it('clears', () => {
+    const buffer = new RingBuffer<number>(2);
+    buffer.push(1);
+    buffer.clear();
+    expect(buffer.length).toBe(0);
+    buffer.push(2);
+    expect([...buffer]).toEqual([2]);
+  });
+});
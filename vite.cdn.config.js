@@ -8,6 +8,11 @@ import { defineConfig } from 'vite';
 // module instance (sharedStyles is a Lit CSSResult meant to be composed into
 // consumers' own components, which breaks across two instances).
 export default defineConfig({
+  // A script tag has no bundler to decide, so this build is production: no
+  // dev-mode protocol warnings from handleEvent().
+  define: {
+    'process.env.NODE_ENV': JSON.stringify('production'),
+  },
   build: {
     lib: {
       entry: 'src/index.ts',